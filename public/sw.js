@@ -0,0 +1,58 @@
+// public/sw.js
+// Lets the kiosk load with no network: the page is served network-first with the
+// cached copy as fallback, static files from the cache (refreshed in the background).
+// The whole app is cached on install, so a kiosk boots offline even if it never
+// loaded some of the bundles online.
+// Firestore keeps its own cache and /api calls are never cached.
+// Filled in by the build (swPrecache in vite.config.js): every file it emits, the
+// hashed JS and CSS bundles included, and a version that changes with them
+const BUILD_ASSETS = [];
+const BUILD_VERSION = 'dev';
+const CACHE = `spin-shell-${BUILD_VERSION}`;
+const PRECACHE = ['/', '/bg.jpg', '/sounds/spin.wav', '/sounds/win.wav', '/vite.svg', ...BUILD_ASSETS];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE).then((cache) => cache.addAll(PRECACHE)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim()),
+  );
+});
+
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put('/', response.clone());
+    return response;
+  } catch (err) {
+    // every route is the single-page app, cached under '/'
+    const cached = await cache.match('/');
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(CACHE);
+  const cached = await cache.match(event.request);
+  const update = fetch(event.request).then((response) => {
+    if (response.ok) cache.put(event.request, response.clone());
+    return response;
+  });
+  if (!cached) return update;
+  event.waitUntil(update.catch(() => {}));
+  return cached;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return;
+  if (request.mode === 'navigate') event.respondWith(networkFirst(request));
+  else event.respondWith(staleWhileRevalidate(event));
+});
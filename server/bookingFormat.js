@@ -0,0 +1,87 @@
+// server/bookingFormat.js
+// Format rules for booking IDs, so typos are caught when the guest applies the ID
+// instead of producing spins nobody can reconcile. Each venue keeps its own in
+// venues/{venueId}/settings/bookingFormat (npm run set-booking-format):
+//   pattern    string | null    regex the whole ID must match, e.g. ^BK-\d{6}$
+//   checksum   string | null    'luhn' (digits, last one is the check digit) or
+//                               'mod97' (ISO 7064 MOD 97-10 over digits and letters, as IBANs)
+//   uppercase  boolean          upper-case IDs before checking and storing them
+import { SpinError } from './errors.js';
+
+function luhnValid(id) {
+  const digits = id.replace(/\D/g, '');
+  if (digits.length < 2) return false;
+  let sum = 0;
+  [...digits].reverse().forEach((c, i) => {
+    let d = Number(c);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  });
+  return sum % 10 === 0;
+}
+
+function mod97Valid(id) {
+  const chars = id.toUpperCase().replace(/[^0-9A-Z]/g, '');
+  if (chars.length < 3) return false;
+  let remainder = 0;
+  for (const c of chars) {
+    // letters count as two digits: A = 10 ... Z = 35
+    const value = /\d/.test(c) ? c : String(c.charCodeAt(0) - 55);
+    for (const digit of value) remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+}
+
+export const CHECKSUMS = { luhn: luhnValid, mod97: mod97Valid };
+
+/**
+ * The settings document for a format, as set-booking-format stores it.
+ * Throws on a pattern that is not a regex or an unknown checksum.
+ * @param {{ pattern?: string|null, checksum?: string|null, uppercase?: boolean }} format
+ */
+export function toStoredFormat({ pattern = null, checksum = null, uppercase = false }) {
+  if (pattern) new RegExp(pattern);
+  if (checksum && !Object.hasOwn(CHECKSUMS, checksum)) throw new Error(`checksum must be one of ${Object.keys(CHECKSUMS).join(', ')}`);
+  return { pattern: pattern || null, checksum: checksum || null, uppercase: !!uppercase };
+}
+
+/**
+ * The format rules of a venue's settings/bookingFormat document (null: none).
+ * A part that can't be applied is left out rather than stopping every spin.
+ * @returns {{ pattern: RegExp|null, checksum: string|null, uppercase: boolean }}
+ */
+export function formatFromSettings(data) {
+  let pattern = null;
+  try {
+    pattern = typeof data?.pattern === 'string' && data.pattern ? new RegExp(data.pattern) : null;
+  } catch {
+    console.warn(`Ignoring invalid booking ID pattern: ${data.pattern}`);
+  }
+  return {
+    pattern,
+    checksum: Object.hasOwn(CHECKSUMS, data?.checksum ?? '') ? data.checksum : null,
+    uppercase: data?.uppercase === true,
+  };
+}
+
+// Firestore document IDs cannot contain '/', be '.' or '..', match __.*__ (reserved)
+// or exceed 1500 bytes
+const MAX_DOCUMENT_ID_BYTES = 1500;
+const isDocumentId = (id) => !!id && !id.includes('/') && id !== '.' && id !== '..' && !/^__.*__$/.test(id)
+  && Buffer.byteLength(id) <= MAX_DOCUMENT_ID_BYTES;
+
+/**
+ * Canonical form of a booking ID as typed, or SpinError 'invalid-booking-id'
+ * (empty, unusable as a document ID) / 'invalid-format' (breaks the format rules).
+ */
+export function normalizeBookingId(bookingId, format = {}) {
+  let id = typeof bookingId === 'string' ? bookingId.trim() : '';
+  if (!isDocumentId(id)) throw new SpinError('invalid-booking-id');
+  if (format.uppercase) id = id.toUpperCase();
+  if (format.pattern && !format.pattern.test(id)) throw new SpinError('invalid-format');
+  if (format.checksum && !CHECKSUMS[format.checksum](id)) throw new SpinError('invalid-format');
+  return id;
+}
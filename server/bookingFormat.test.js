@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeBookingId, formatFromSettings, toStoredFormat } from './bookingFormat.js';
+
+const codeOf = (fn) => {
+  try {
+    fn();
+    return null;
+  } catch (err) {
+    return err.code;
+  }
+};
+
+describe('normalizeBookingId', () => {
+  it('trims and refuses IDs that cannot be document IDs', () => {
+    expect(normalizeBookingId('  BK-1 ')).toBe('BK-1');
+    expect(codeOf(() => normalizeBookingId('   '))).toBe('invalid-booking-id');
+    expect(codeOf(() => normalizeBookingId('BK/1'))).toBe('invalid-booking-id');
+    expect(codeOf(() => normalizeBookingId('.'))).toBe('invalid-booking-id');
+    expect(codeOf(() => normalizeBookingId(' .. '))).toBe('invalid-booking-id');
+    expect(codeOf(() => normalizeBookingId('__name__'))).toBe('invalid-booking-id');
+    expect(codeOf(() => normalizeBookingId('x'.repeat(1501)))).toBe('invalid-booking-id');
+    expect(normalizeBookingId('...')).toBe('...');
+    expect(normalizeBookingId('__BK-1')).toBe('__BK-1');
+  });
+
+  it('applies the pattern after upper-casing', () => {
+    const format = formatFromSettings({ pattern: '^BK-\\d{4}$', uppercase: true });
+    expect(normalizeBookingId('bk-1234', format)).toBe('BK-1234');
+    expect(codeOf(() => normalizeBookingId('BK-123', format))).toBe('invalid-format');
+  });
+
+  it('checks Luhn check digits', () => {
+    const format = formatFromSettings({ checksum: 'luhn' });
+    expect(normalizeBookingId('79927398713', format)).toBe('79927398713');
+    expect(codeOf(() => normalizeBookingId('79927398714', format))).toBe('invalid-format');
+  });
+
+  it('checks ISO 7064 MOD 97-10 over letters and digits', () => {
+    const format = formatFromSettings({ checksum: 'mod97' });
+    expect(normalizeBookingId('WEST12345698765432GB82', format)).toBe('WEST12345698765432GB82');
+    expect(codeOf(() => normalizeBookingId('WEST12345698765432GB83', format))).toBe('invalid-format');
+  });
+
+  it('refuses rules it cannot apply when they are set', () => {
+    expect(() => toStoredFormat({ checksum: 'crc' })).toThrow(/checksum/);
+    expect(() => toStoredFormat({ pattern: '(' })).toThrow();
+    expect(toStoredFormat({ pattern: '^BK-\\d{4}$' })).toEqual({ pattern: '^BK-\\d{4}$', checksum: null, uppercase: false });
+  });
+
+  it('leaves out stored rules it cannot apply', () => {
+    expect(formatFromSettings(null)).toEqual({ pattern: null, checksum: null, uppercase: false });
+    expect(formatFromSettings({ checksum: 'toString', uppercase: 'yes' })).toEqual({ pattern: null, checksum: null, uppercase: false });
+  });
+});
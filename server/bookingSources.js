@@ -0,0 +1,101 @@
+// server/bookingSources.js
+// Where the spin service looks bookings up. Every source resolves a booking ID to
+// null (unknown) or:
+//   { guestName: string|null, paid: boolean, date: 'YYYY-MM-DD'|null, expiresAt: Date|null, tier: string|null }
+// `date` is the venue day the booking is for; it must fall inside the live
+// campaign's window. `tier` (e.g. a spend tier) is matched by prize rules
+// (src/lib/prizeRules.js). Whether a booking has spun is always tracked in the
+// venue's own `bookings` collection (`used`), whichever source confirms it exists.
+//
+//   BOOKING_SOURCE=firestore (default)  venues/{venueId}/bookings, e.g. filled by
+//                                       npm run import-bookings -- --venue <id> bookings.csv
+//   BOOKING_SOURCE=rest                 GET {BOOKING_API_URL}/bookings/{id}, with
+//                                       Authorization: Bearer {BOOKING_API_TOKEN} if set
+import { parseCsv } from '../src/lib/csv.js';
+import { SpinError } from './errors.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const LOOKUP_TIMEOUT_MS = 5000;
+
+function toDate(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value?.toDate?.() ?? value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function toPaid(value) {
+  if (value === undefined || value === null || value === '') return true; // bookings from before payment tracking
+  if (typeof value === 'boolean') return value;
+  return /^(true|yes|1|paid)$/i.test(String(value).trim());
+}
+
+/** Normalizes booking fields from any source (Firestore doc, REST JSON, CSV row). */
+export function toBooking(data = {}) {
+  const date = typeof data.date === 'string' ? data.date.trim() : '';
+  const guestName = typeof data.guestName === 'string' ? data.guestName.trim() : '';
+  const tier = typeof data.tier === 'string' ? data.tier.trim().toLowerCase() : '';
+  return {
+    guestName: guestName || null,
+    paid: toPaid(data.paid),
+    date: DATE_PATTERN.test(date) ? date : null,
+    expiresAt: toDate(data.expiresAt),
+    tier: tier || null,
+  };
+}
+
+/**
+ * Bookings from a CSV export (header row: bookingId, guestName, paid, date, expiresAt, tier;
+ * only bookingId is required).
+ * @returns {Array<{ id: string } & ReturnType<typeof toBooking>>}
+ */
+export function bookingsFromCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  const columns = (header || []).map((h) => h.trim());
+  if (!columns.includes('bookingId')) throw new Error('CSV needs a bookingId column');
+  return rows
+    .map((cells) => Object.fromEntries(columns.map((column, i) => [column, cells[i] ?? ''])))
+    .filter((row) => row.bookingId.trim())
+    .map((row) => ({ id: row.bookingId.trim(), ...toBooking(row) }));
+}
+
+/**
+ * Looks bookings up in an external booking system over HTTP.
+ * @param {object} opts
+ * @param {string} opts.url  base URL; the service calls GET {url}/bookings/{id}
+ * @param {string} [opts.token]
+ * @param {typeof fetch} [opts.fetch]
+ */
+export function createRestBookingSource({ url, token, fetch = globalThis.fetch }) {
+  const base = url.replace(/\/$/, '');
+  return {
+    async lookup(bookingId) {
+      let res;
+      try {
+        res = await fetch(`${base}/bookings/${encodeURIComponent(bookingId)}`, {
+          headers: { Accept: 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+          signal: AbortSignal.timeout(LOOKUP_TIMEOUT_MS),
+        });
+      } catch (err) {
+        console.error('Booking lookup failed:', err);
+        throw new SpinError('booking-lookup-failed', 503);
+      }
+      if (res.status === 404) return null;
+      if (!res.ok) {
+        console.error(`Booking lookup failed: HTTP ${res.status}`);
+        throw new SpinError('booking-lookup-failed', 503);
+      }
+      return toBooking(await res.json());
+    },
+  };
+}
+
+/** The configured booking source, or null to use the store's `bookings` collection. */
+export function bookingSourceFromEnv(env) {
+  const source = env.BOOKING_SOURCE || 'firestore';
+  if (source === 'firestore') return null;
+  if (source === 'rest') {
+    if (!env.BOOKING_API_URL) throw new Error('BOOKING_SOURCE=rest needs BOOKING_API_URL');
+    return createRestBookingSource({ url: env.BOOKING_API_URL, token: env.BOOKING_API_TOKEN });
+  }
+  throw new Error(`Unknown BOOKING_SOURCE: ${source}`);
+}
@@ -0,0 +1,90 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createServer } from 'node:http';
+import { bookingsFromCsv, createRestBookingSource, toBooking } from './bookingSources.js';
+import { createMockBookingApi } from './mockBookingApi.js';
+import { createSpinService } from './spinService.js';
+import { createMemoryStore } from './memoryStore.js';
+
+describe('toBooking', () => {
+  it('treats bookings without payment info as paid', () => {
+    expect(toBooking({})).toEqual({ guestName: null, paid: true, date: null, expiresAt: null, tier: null });
+    expect(toBooking({ tier: ' Gold ' }).tier).toBe('gold');
+    expect(toBooking({ paid: 'no', date: '2025-01-01', guestName: ' Sari ' })).toMatchObject({ paid: false, date: '2025-01-01', guestName: 'Sari' });
+  });
+});
+
+describe('bookingsFromCsv', () => {
+  it('reads bookings and skips rows without an ID', () => {
+    const csv = 'bookingId,guestName,paid,date\r\nBK-1,Sari Wijaya,yes,2025-01-01\r\n,,,\r\nBK-2,"Mori, Kenji",false,\r\n';
+    expect(bookingsFromCsv(csv)).toEqual([
+      { id: 'BK-1', guestName: 'Sari Wijaya', paid: true, date: '2025-01-01', expiresAt: null, tier: null },
+      { id: 'BK-2', guestName: 'Mori, Kenji', paid: false, date: null, expiresAt: null, tier: null },
+    ]);
+  });
+
+  it('needs a bookingId column', () => {
+    expect(() => bookingsFromCsv('id,name\r\n1,a')).toThrow(/bookingId/);
+  });
+});
+
+describe('REST booking source against the mock booking API', () => {
+  let server;
+  let url;
+
+  beforeAll(async () => {
+    const bookings = {
+      'BK-1': { guestName: 'Sari Wijaya', paid: true, date: '2025-01-01' },
+      'BK-2': { guestName: 'Kenji Mori', paid: false },
+      'BK-3': { guestName: 'Li Na', paid: true, date: '2025-03-01' },
+    };
+    server = createServer(createMockBookingApi(bookings, { token: 'secret' }));
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  it('looks bookings up and returns null for unknown ones', async () => {
+    const source = createRestBookingSource({ url, token: 'secret' });
+    expect(await source.lookup('BK-1')).toMatchObject({ guestName: 'Sari Wijaya', paid: true, date: '2025-01-01' });
+    expect(await source.lookup('NOPE')).toBeNull();
+  });
+
+  it('reports an unusable booking system as a lookup failure', async () => {
+    const source = createRestBookingSource({ url, token: 'wrong' });
+    await expect(source.lookup('BK-1')).rejects.toMatchObject({ code: 'booking-lookup-failed', status: 503 });
+  });
+
+  describe('spin service', () => {
+    const NOW = new Date('2025-01-01T05:00:00Z');
+    const campaign = {
+      id: 'newyear', name: 'New Year', enabled: true,
+      startsAt: '2024-12-31T17:00:00Z', endsAt: '2025-01-31T17:00:00Z',
+    };
+
+    function service() {
+      const store = createMemoryStore({ prizes: [{ id: 'a', label: 'A', probability: 100, campaignId: 'newyear' }], campaigns: [campaign] });
+      const bookingSource = createRestBookingSource({ url, token: 'secret' });
+      return { store, ...createSpinService({ store, bookingSource, now: () => NOW }) };
+    }
+
+    it('confirms the booking and returns the guest name', async () => {
+      const { checkBooking } = service();
+      expect(await checkBooking('BK-1')).toEqual({ bookingId: 'BK-1', guestName: 'Sari Wijaya', contactChannels: [] });
+    });
+
+    it('records use in our own bookings so the ID spins once', async () => {
+      const { store, spin } = service();
+      await spin('BK-1');
+      expect(store.venue().bookings.get('BK-1').used).toBe(true);
+      await expect(spin('BK-1')).rejects.toMatchObject({ code: 'already-used' });
+    });
+
+    it('refuses unknown, unpaid and out-of-window bookings', async () => {
+      const { checkBooking } = service();
+      await expect(checkBooking('NOPE')).rejects.toMatchObject({ code: 'not-found' });
+      await expect(checkBooking('BK-2')).rejects.toMatchObject({ code: 'unpaid', status: 402 });
+      await expect(checkBooking('BK-3')).rejects.toMatchObject({ code: 'outside-campaign' });
+    });
+  });
+});
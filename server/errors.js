@@ -0,0 +1,11 @@
+// server/errors.js
+// Errors the spin service reports to the browser: `code` is sent as { error: { code } }
+// with HTTP `status` (server/http.js).
+export class SpinError extends Error {
+  constructor(code, status = 400) {
+    super(`Spin rejected: ${code}`);
+    this.name = 'SpinError';
+    this.code = code;
+    this.status = status;
+  }
+}
@@ -0,0 +1,90 @@
+// server/firestoreStore.js
+// Firestore-backed store using the Admin SDK. Set FIRESTORE_EMULATOR_HOST to run
+// against the local emulator instead of the live project.
+import { Timestamp } from 'firebase-admin/firestore';
+import { toBooking } from './bookingSources.js';
+import { venuePath } from '../src/lib/venue.js';
+
+function bookingFromSnap(snap) {
+  if (!snap.exists) return null;
+  const data = snap.data();
+  return { used: !!data.used, ...toBooking(data) };
+}
+
+function toCampaign(d) {
+  const data = d.data();
+  return {
+    id: d.id,
+    ...data,
+    startsAt: data.startsAt?.toDate?.() || null,
+    endsAt: data.endsAt?.toDate?.() || null,
+  };
+}
+
+/** @param {import('firebase-admin/firestore').Firestore} db */
+export function createFirestoreStore(db) {
+  return {
+    // everything but display sessions is read and written under venues/{venueId}
+    runTransaction(venueId, fn) {
+      const venueCollection = (name) => db.collection(venuePath(venueId, name));
+      const bookingRef = (id) => venueCollection('bookings').doc(id);
+      return db.runTransaction((t) =>
+        fn({
+          venueExists: async () => (await t.get(db.collection('venues').doc(venueId))).exists,
+          getBooking: async (id) => bookingFromSnap(await t.get(bookingRef(id))),
+          listPrizes: async () => {
+            const snap = await t.get(venueCollection('prizes'));
+            return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+          },
+          listCampaigns: async () => (await t.get(venueCollection('campaigns'))).docs.map(toCampaign),
+          getSpin: async (id) => {
+            const snap = await t.get(venueCollection('spins').doc(id));
+            return snap.exists ? { id: snap.id, ...snap.data(), createdAt: snap.data().createdAt.toDate() } : null;
+          },
+          claimExists: async (code) => (await t.get(venueCollection('claims').doc(code))).exists,
+          getSetting: async (name) => {
+            const snap = await t.get(venueCollection('settings').doc(name));
+            return snap.exists ? snap.data() : null;
+          },
+          getKiosk: async (id) => {
+            const snap = await t.get(venueCollection('kiosks').doc(id));
+            return snap.exists ? snap.data() : null;
+          },
+          getContact: async (spinId) => {
+            const snap = await t.get(venueCollection('contacts').doc(spinId));
+            return snap.exists ? snap.data() : null;
+          },
+          getDisplaySession: async (code) => {
+            const snap = await t.get(db.collection('displaySessions').doc(code));
+            return snap.exists ? snap.data() : null;
+          },
+          updatePrize: (id, data) => t.update(venueCollection('prizes').doc(id), data),
+          markBookingUsed: (id, data) => {
+            t.set(bookingRef(id), { ...data, usedAt: Timestamp.fromDate(data.usedAt) }, { merge: true });
+          },
+          addSpin: (data, id) => {
+            const ref = id ? venueCollection('spins').doc(id) : venueCollection('spins').doc();
+            t.set(ref, { ...data, createdAt: Timestamp.fromDate(data.createdAt) });
+            return ref.id;
+          },
+          addClaim: (code, data) => t.create(venueCollection('claims').doc(code), data),
+          setContact: (spinId, data) => t.set(venueCollection('contacts').doc(spinId), data),
+          deleteContact: (spinId) => t.delete(venueCollection('contacts').doc(spinId)),
+          // merged: requests queued in Firestore keep their createdAt and requestedBy
+          setSpinRequest: (id, data) => {
+            t.set(venueCollection('spinRequests').doc(id), { ...data, finishedAt: Timestamp.fromDate(data.finishedAt) }, { merge: true });
+          },
+          setSpinNotification: (id, notification) => {
+            t.update(venueCollection('spins').doc(id), {
+              notification: { ...notification, updatedAt: Timestamp.fromDate(notification.updatedAt) },
+            });
+          },
+          setSetting: (name, data) => t.set(venueCollection('settings').doc(name), data),
+          setDisplaySession: (code, data) => {
+            t.set(db.collection('displaySessions').doc(code), { ...data, at: Timestamp.fromDate(data.at) });
+          },
+        }),
+      );
+    },
+  };
+}
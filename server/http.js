@@ -0,0 +1,109 @@
+// server/http.js
+import { timingSafeEqual } from 'node:crypto';
+import { SpinError } from './errors.js';
+
+const MAX_BODY = 16 * 1024; // bytes
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': process.env.CORS_ORIGIN || '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  });
+  res.end(JSON.stringify(body));
+}
+
+// Request bodies are JSON objects; anything else (null, arrays, numbers) is invalid-json
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    // decoded once at the end, so a character split across chunks stays whole
+    let chunks = [];
+    let size = 0;
+    const onData = (chunk) => {
+      chunks.push(chunk);
+      size += chunk.byteLength;
+      if (size <= MAX_BODY) return;
+      // stop buffering; the handler closes the connection once it has answered
+      req.off('data', onData);
+      req.pause();
+      chunks = [];
+      reject(new SpinError('body-too-large', 413));
+    };
+    req.on('data', onData);
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('utf8');
+      let body;
+      try {
+        body = raw ? JSON.parse(raw) : {};
+      } catch {
+        return reject(new SpinError('invalid-json'));
+      }
+      if (body === null || typeof body !== 'object' || Array.isArray(body)) return reject(new SpinError('invalid-json'));
+      resolve(body);
+    });
+    req.on('error', reject);
+  });
+}
+
+const bearer = (req) => (req.headers.authorization || '').replace(/^Bearer /, '');
+
+// Stream spins are only accepted from overlays set up with STREAM_TOKEN. Kiosks
+// send their own credential, which the spin service checks against the venue's kiosks.
+function checkToken(req, token, disabledCode) {
+  if (!token) throw new SpinError(disabledCode, 403);
+  const sent = Buffer.from(bearer(req));
+  const expected = Buffer.from(token);
+  if (sent.length !== expected.length || !timingSafeEqual(sent, expected)) throw new SpinError('unauthorized', 401);
+}
+
+// Who is asking, for rate limits: the device id the browser sends and the client IP
+function clientOf(req, body, trustProxy) {
+  const forwarded = trustProxy ? String(req.headers['x-forwarded-for'] || '').split(',')[0].trim() : '';
+  return { deviceId: body.deviceId, ip: forwarded || req.socket.remoteAddress };
+}
+
+/**
+ * Builds a node:http request listener around a spin service.
+ * @param {object} service
+ * @param {object} [opts]
+ * @param {string} [opts.streamToken]  shared secret for POST /api/stream/spin; unset disables it
+ * @param {boolean} [opts.trustProxy]  take the client IP from X-Forwarded-For
+ */
+export function createHandler(service, { streamToken, trustProxy = false } = {}) {
+  const routes = {
+    'POST /api/bookings/check': (body, req) => service.checkBooking(body.bookingId, clientOf(req, body, trustProxy), {
+      venue: body.venue,
+    }),
+    'POST /api/spin': (body, req) => service.spin(body.bookingId, clientOf(req, body, trustProxy), {
+      displaySession: body.displaySession,
+      venue: body.venue,
+      contact: body.contact,
+      language: body.language,
+    }),
+    'POST /api/spins/offline': (body, req) => service.recordOfflineSpin(body, { venue: body.venue, kioskToken: bearer(req) }),
+    'POST /api/kiosk/rules': (body, req) => service.kioskRules({ venue: body.venue, kioskToken: bearer(req) }),
+    'POST /api/stream/spin': (body, req) => {
+      checkToken(req, streamToken, 'stream-disabled');
+      return service.streamSpin(body, { venue: body.venue });
+    },
+  };
+
+  return async function handler(req, res) {
+    if (req.method === 'OPTIONS') return send(res, 204, {});
+    const path = new URL(req.url, 'http://localhost').pathname;
+    const route = routes[`${req.method} ${path}`];
+    if (!route) return send(res, 404, { error: { code: 'not-found-route' } });
+
+    try {
+      const body = await readJson(req);
+      send(res, 200, await route(body, req));
+    } catch (err) {
+      // the rest of an oversized body is never read, so the connection cannot be reused
+      if (err instanceof SpinError && err.code === 'body-too-large') res.setHeader('Connection', 'close');
+      if (err instanceof SpinError) return send(res, err.status, { error: { code: err.code } });
+      console.error(`${req.method} ${path} failed:`, err);
+      send(res, 500, { error: { code: 'internal' } });
+    }
+  };
+}
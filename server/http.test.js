@@ -0,0 +1,61 @@
+import { createServer, request } from 'node:http';
+import { afterAll, beforeAll, describe, it, expect } from 'vitest';
+import { createHandler } from './http.js';
+
+let server;
+let url;
+beforeAll(async () => {
+  const service = { checkBooking: async (bookingId) => ({ bookingId }) };
+  server = createServer(createHandler(service));
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${server.address().port}/api/bookings/check`;
+});
+afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+const post = async (body) => {
+  const res = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body });
+  return { status: res.status, body: await res.json(), connection: res.headers.get('connection') };
+};
+
+// Sends `parts` as separate chunks, a moment apart
+const postParts = (parts) => new Promise((resolve, reject) => {
+  const req = request(url, { method: 'POST', headers: { 'Content-Type': 'application/json' } }, (res) => {
+    let text = '';
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => { text += chunk; });
+    res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(text) }));
+  });
+  req.on('error', reject);
+  req.write(parts[0]);
+  setTimeout(() => req.end(parts[1]), 20);
+});
+
+describe('request bodies', () => {
+  it('passes a JSON object to the route', async () => {
+    expect(await post('{"bookingId":"BK-1"}')).toMatchObject({ status: 200, body: { bookingId: 'BK-1' } });
+  });
+
+  it('rejects bodies that are not JSON objects', async () => {
+    for (const body of ['null', '[]', '42', '"BK-1"', '{']) {
+      expect(await post(body)).toMatchObject({ status: 400, body: { error: { code: 'invalid-json' } } });
+    }
+  });
+
+  it('decodes a character split across chunks', async () => {
+    const body = Buffer.from('{"bookingId":"BK-日本"}');
+    const split = body.indexOf(Buffer.from('日')) + 1;
+    expect(await postParts([body.subarray(0, split), body.subarray(split)]))
+      .toEqual({ status: 200, body: { bookingId: 'BK-日本' } });
+  });
+
+  it('limits the body size in bytes', async () => {
+    // 9,000 characters, 18,000 bytes
+    const res = await post(JSON.stringify({ bookingId: 'é'.repeat(9000) }));
+    expect(res).toMatchObject({ status: 413, body: { error: { code: 'body-too-large' } } });
+  });
+
+  it('stops reading an oversized body and closes the connection', async () => {
+    const res = await post(JSON.stringify({ bookingId: 'x'.repeat(20 * 1024) }));
+    expect(res).toMatchObject({ status: 413, body: { error: { code: 'body-too-large' } }, connection: 'close' });
+  });
+});
@@ -0,0 +1,53 @@
+// server/index.js
+// Local/prod entry point for the spin service.
+//   node server/index.js            -> Firestore (honours FIRESTORE_EMULATOR_HOST)
+//   node server/index.js --memory   -> in-memory store seeded from server/seed.json
+import { createServer } from 'node:http';
+import { randomInt } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { createSpinService } from './spinService.js';
+import { createHandler } from './http.js';
+import { createSpinGuard, limitsFromEnv } from './spinGuard.js';
+import { bookingSourceFromEnv } from './bookingSources.js';
+import { notifierFromEnv } from './notifiers.js';
+
+try {
+  process.loadEnvFile('.env');
+} catch {
+  // no .env file, rely on the real environment
+}
+
+const useMemory = process.argv.includes('--memory');
+const port = Number(process.env.PORT) || 8787;
+const allowAnyBooking = (process.env.ALLOW_ANY_BOOKING ?? process.env.VITE_ALLOW_ANY_BOOKING) === 'true';
+
+async function createStore() {
+  if (useMemory) {
+    const { createMemoryStore } = await import('./memoryStore.js');
+    const seed = JSON.parse(readFileSync(new URL('./seed.json', import.meta.url), 'utf8'));
+    return createMemoryStore(seed);
+  }
+  const { initializeApp } = await import('firebase-admin/app');
+  const { getFirestore } = await import('firebase-admin/firestore');
+  const { createFirestoreStore } = await import('./firestoreStore.js');
+  const app = initializeApp({ projectId: process.env.FIREBASE_PROJECT_ID || process.env.VITE_FIREBASE_PROJECT_ID });
+  return createFirestoreStore(getFirestore(app));
+}
+
+const service = createSpinService({
+  store: await createStore(),
+  allowAnyBooking,
+  randomInt,
+  timeZone: process.env.TIMEZONE || undefined,
+  guard: createSpinGuard({ limits: limitsFromEnv(process.env) }),
+  bookingSource: bookingSourceFromEnv(process.env),
+  defaultVenue: process.env.DEFAULT_VENUE || process.env.VITE_DEFAULT_VENUE || undefined,
+  notifier: notifierFromEnv(process.env),
+});
+
+createServer(createHandler(service, {
+  streamToken: process.env.STREAM_TOKEN,
+  trustProxy: process.env.TRUST_PROXY === 'true',
+})).listen(port, () => {
+  console.log(`Spin service on http://localhost:${port} (${useMemory ? 'memory' : 'firestore'} store, ${allowAnyBooking ? 'open' : 'strict'} booking mode, bookings from ${process.env.BOOKING_SOURCE === 'rest' ? 'REST API' : 'store'}, winner messages ${process.env.NOTIFIER || 'off'})`);
+});
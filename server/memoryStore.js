@@ -0,0 +1,117 @@
+// server/memoryStore.js
+// In-memory stand-in for Firestore, for local runs and tests without Firebase.
+import { randomUUID } from 'node:crypto';
+import { toBooking } from './bookingSources.js';
+import { DEFAULT_VENUE_ID } from '../src/lib/venue.js';
+
+function venueState({ prizes = [], campaigns = [], rules, bookingFormat, bookings = {}, kiosks = {} } = {}) {
+  return {
+    bookings: new Map(Object.entries(bookings).map(([id, b]) => [id, { used: !!b.used, ...toBooking(b) }])),
+    prizes: prizes.map((p) => ({ ...p })),
+    campaigns: campaigns.map((c) => ({
+      ...c,
+      startsAt: c.startsAt ? new Date(c.startsAt) : null,
+      endsAt: c.endsAt ? new Date(c.endsAt) : null,
+    })),
+    // settings/prizeRules, settings/ruleState and settings/bookingFormat
+    settings: new Map([
+      ...(rules ? [['prizeRules', { rules }]] : []),
+      ...(bookingFormat ? [['bookingFormat', { ...bookingFormat }]] : []),
+    ]),
+    spins: [],
+    claims: new Map(),
+    spinRequests: new Map(),
+    // contacts/{spinId}: where the winner message goes
+    contacts: new Map(),
+    // kiosks/{kioskId} (src/lib/kioskCredential.js)
+    kiosks: new Map(Object.entries(kiosks).map(([id, k]) => [id, { revokedAt: null, ...k }])),
+  };
+}
+
+/**
+ * Top-level prizes, campaigns, bookings and kiosks belong to the default venue; seed.venues adds others.
+ * @param {object} [seed]
+ * @param {Array<{id: string, label: string, probability: number, totalStock?: number, dailyStock?: number, consolation?: boolean}>} [seed.prizes]
+ * @param {Record<string, {used?: boolean, expiresAt?: string|Date, guestName?: string, paid?: boolean, date?: string, tier?: string}>} [seed.bookings]
+ * @param {Array<{id: string, name: string, enabled: boolean, startsAt?: string, endsAt?: string}>} [seed.campaigns]
+ * @param {Array<object>} [seed.rules]  prize rules (src/lib/prizeRules.js)
+ * @param {{pattern?: string, checksum?: string, uppercase?: boolean}} [seed.bookingFormat]  booking ID format (./bookingFormat.js)
+ * @param {Record<string, {name?: string, secretHash: string, revokedAt?: Date|null}>} [seed.kiosks]  registered kiosks
+ * @param {Record<string, {prizes?: Array<object>, campaigns?: Array<object>, rules?: Array<object>, bookingFormat?: object, bookings?: object, kiosks?: object}>} [seed.venues]
+ */
+export function createMemoryStore(seed = {}) {
+  const state = {
+    venues: new Map([
+      [DEFAULT_VENUE_ID, venueState(seed)],
+      ...Object.entries(seed.venues || {}).map(([id, venue]) => [id, venueState(venue)]),
+    ]),
+    displaySessions: new Map(),
+  };
+
+  // Transactions run one at a time; writes are buffered and only applied if fn succeeds.
+  let queue = Promise.resolve();
+
+  function runTransaction(venueId, fn) {
+    const run = queue.then(async () => {
+      const writes = [];
+      const venue = state.venues.get(venueId);
+      const result = await fn({
+        venueExists: async () => !!venue,
+        getBooking: async (id) => (venue.bookings.has(id) ? { ...venue.bookings.get(id) } : null),
+        listPrizes: async () => venue.prizes.map((p) => ({ ...p })),
+        listCampaigns: async () => venue.campaigns.map((c) => ({ ...c })),
+        getSpin: async (id) => {
+          const found = venue.spins.find((s) => s.id === id);
+          return found ? { ...found } : null;
+        },
+        claimExists: async (code) => venue.claims.has(code),
+        getSetting: async (name) => (venue.settings.has(name) ? { ...venue.settings.get(name) } : null),
+        getKiosk: async (id) => (venue.kiosks.has(id) ? { ...venue.kiosks.get(id) } : null),
+        getContact: async (spinId) => (venue.contacts.has(spinId) ? { ...venue.contacts.get(spinId) } : null),
+        getDisplaySession: async (code) => (state.displaySessions.has(code) ? { ...state.displaySessions.get(code) } : null),
+        updatePrize: (id, data) => {
+          writes.push(() => Object.assign(venue.prizes.find((p) => p.id === id), data));
+        },
+        markBookingUsed: (id, data) => {
+          writes.push(() => venue.bookings.set(id, { expiresAt: null, ...venue.bookings.get(id), ...data }));
+        },
+        addSpin: (data, id = randomUUID()) => {
+          writes.push(() => venue.spins.push({ id, ...data }));
+          return id;
+        },
+        addClaim: (code, data) => {
+          writes.push(() => venue.claims.set(code, { ...data }));
+        },
+        setContact: (spinId, data) => {
+          writes.push(() => venue.contacts.set(spinId, { ...data }));
+        },
+        deleteContact: (spinId) => {
+          writes.push(() => venue.contacts.delete(spinId));
+        },
+        setSpinRequest: (id, data) => {
+          writes.push(() => venue.spinRequests.set(id, { ...venue.spinRequests.get(id), ...data }));
+        },
+        setSpinNotification: (id, notification) => {
+          writes.push(() => Object.assign(venue.spins.find((s) => s.id === id), { notification: { ...notification } }));
+        },
+        setSetting: (name, data) => {
+          writes.push(() => venue.settings.set(name, { ...data }));
+        },
+        setDisplaySession: (code, data) => {
+          writes.push(() => state.displaySessions.set(code, { ...data }));
+        },
+      });
+      writes.forEach((w) => w());
+      return result;
+    });
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  return {
+    state,
+    runTransaction,
+    // one venue's collections, for tests and local debugging
+    venue: (venueId = DEFAULT_VENUE_ID) => state.venues.get(venueId),
+  };
+}
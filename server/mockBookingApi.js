@@ -0,0 +1,25 @@
+// server/mockBookingApi.js
+// Stand-in for an external booking system, speaking the protocol
+// createRestBookingSource() expects. Used by the tests and by
+// `npm run mock:bookings` for local runs with BOOKING_SOURCE=rest.
+//   GET /bookings/{id} -> 200 { guestName, paid, date, expiresAt } | 404
+
+/**
+ * @param {Record<string, object>} bookings  booking ID -> booking fields
+ * @param {object} [opts]
+ * @param {string} [opts.token]  require Authorization: Bearer {token}
+ */
+export function createMockBookingApi(bookings, { token } = {}) {
+  return function handler(req, res) {
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+    if (token && req.headers.authorization !== `Bearer ${token}`) return send(401, { error: 'unauthorized' });
+    const match = new URL(req.url, 'http://localhost').pathname.match(/^\/bookings\/([^/]+)$/);
+    if (req.method !== 'GET' || !match) return send(404, { error: 'not-found' });
+    const booking = bookings[decodeURIComponent(match[1])];
+    if (!booking) return send(404, { error: 'not-found' });
+    send(200, booking);
+  };
+}
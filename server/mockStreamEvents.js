@@ -0,0 +1,72 @@
+// server/mockStreamEvents.js
+// Stand-in for a livestream bot: a WebSocket feed of spin requests for the
+// overlay (?source=ws in src/Overlay.jsx). Used by `npm run mock:stream` and the
+// tests. Only sends text frames; whatever the browser sends is ignored.
+//   each message: {"id":"...","requester":"..."}
+import { createHash } from 'node:crypto';
+
+// RFC 6455 handshake constant
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+export function acceptKey(key) {
+  return createHash('sha1').update(key + WS_GUID).digest('base64');
+}
+
+// A single unmasked text frame (server-to-client frames are never masked)
+export function textFrame(text) {
+  const payload = Buffer.from(text);
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x81, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header.writeUInt8(0x81, 0);
+    header.writeUInt8(126, 1);
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    throw new Error('Message too long for the mock stream feed');
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Attach to an http server with server.on('upgrade', feed.handleUpgrade).
+ * @returns {{ handleUpgrade: Function, send: (request: object) => number, close: () => void }}
+ */
+export function createMockStreamEvents() {
+  const sockets = new Set();
+
+  function handleUpgrade(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    if (req.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+      '',
+      '',
+    ].join('\r\n'));
+    sockets.add(socket);
+    socket.on('data', () => {});
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => sockets.delete(socket));
+  }
+
+  // Sends a request to every connected overlay; returns how many got it
+  function send(request) {
+    const frame = textFrame(JSON.stringify(request));
+    sockets.forEach((socket) => socket.write(frame));
+    return sockets.size;
+  }
+
+  function close() {
+    sockets.forEach((socket) => socket.destroy());
+    sockets.clear();
+  }
+
+  return { handleUpgrade, send, close };
+}
@@ -0,0 +1,49 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createServer, request } from 'node:http';
+import { once } from 'node:events';
+import { acceptKey, createMockStreamEvents, textFrame } from './mockStreamEvents.js';
+
+describe('textFrame', () => {
+  it('uses the 16-bit length form from 126 bytes', () => {
+    expect([...textFrame('hi').subarray(0, 2)]).toEqual([0x81, 2]);
+    const frame = textFrame('x'.repeat(300));
+    expect([...frame.subarray(0, 4)]).toEqual([0x81, 126, 1, 44]);
+    expect(frame).toHaveLength(304);
+  });
+});
+
+describe('mock stream feed', () => {
+  let server;
+  let feed;
+
+  beforeAll(async () => {
+    feed = createMockStreamEvents();
+    server = createServer();
+    server.on('upgrade', feed.handleUpgrade);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterAll(() => {
+    feed.close();
+    return new Promise((resolve) => server.close(resolve));
+  });
+
+  it('completes the handshake and sends requests as text frames', async () => {
+    // sample key from RFC 6455
+    const key = 'dGhlIHNhbXBsZSBub25jZQ==';
+    expect(acceptKey(key)).toBe('s3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+    const req = request({
+      host: '127.0.0.1',
+      port: server.address().port,
+      headers: { Connection: 'Upgrade', Upgrade: 'websocket', 'Sec-WebSocket-Key': key, 'Sec-WebSocket-Version': '13' },
+    });
+    req.end();
+    const [res, socket] = await once(req, 'upgrade');
+    expect(res.headers['sec-websocket-accept']).toBe(acceptKey(key));
+
+    expect(feed.send({ id: 'gift-1', requester: 'kenji' })).toBe(1);
+    const [frame] = await once(socket, 'data');
+    expect(JSON.parse(frame.subarray(2).toString())).toEqual({ id: 'gift-1', requester: 'kenji' });
+    socket.destroy();
+  });
+});
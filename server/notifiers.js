@@ -0,0 +1,159 @@
+// server/notifiers.js
+// How winner messages reach customers who left a contact (src/lib/contact.js).
+// Every notifier lists the contact channels it serves and has
+//   send({ channel, to, language, subject, text, spinId, claimCode, prizeLabel })
+// which resolves once the message is handed over and throws otherwise; the spin
+// service retries and keeps the delivery status on the spin.
+//
+//   NOTIFIER=smtp     email through SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE=true
+//                     for TLS from the start, SMTP_USER/SMTP_PASS, from NOTIFY_FROM
+//   NOTIFIER=webhook  POST {NOTIFY_WEBHOOK_URL} with the message as JSON, for a WhatsApp
+//                     gateway or any other system; Authorization: Bearer {NOTIFY_WEBHOOK_TOKEN}
+//                     if set. NOTIFY_CHANNELS=email,whatsapp (default) sets what it accepts.
+//   NOTIFIER=mock     prints messages instead of sending them, for local runs;
+//                     NOTIFY_MOCK_FAILURES=n makes the first n sends fail
+//   unset             no winner messages; the booking page asks for no contact
+import { CONTACT_CHANNELS } from '../src/lib/contact.js';
+import en from '../src/i18n/locales/en.js';
+import id from '../src/i18n/locales/id.js';
+import zh from '../src/i18n/locales/zh.js';
+import ja from '../src/i18n/locales/ja.js';
+
+const SEND_TIMEOUT_MS = 10000;
+
+// the booking page's catalogs (src/i18n/index.js), with its Intl locales
+const CATALOGS = {
+  en: { locale: 'en-US', messages: en },
+  id: { locale: 'id-ID', messages: id },
+  zh: { locale: 'zh-CN', messages: zh },
+  ja: { locale: 'ja-JP', messages: ja },
+};
+
+export const isMessageLanguage = (language) => typeof language === 'string' && language in CATALOGS;
+
+function translate(language, key, params) {
+  const message = CATALOGS[language].messages.notify[key] ?? en.notify[key];
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * The winner message in the customer's language (English when unknown).
+ * @param {object} opts
+ * @param {string} opts.language
+ * @param {{ label: string, labels?: Record<string, string> }} opts.prize
+ * @param {string} opts.claimCode
+ * @param {Date} opts.createdAt
+ * @param {string} opts.timeZone  venue time zone
+ * @returns {{ subject: string, text: string }}
+ */
+export function winnerMessage({ language, prize, claimCode, createdAt, timeZone }) {
+  const lang = isMessageLanguage(language) ? language : 'en';
+  const params = {
+    prize: prize.labels?.[lang] || prize.label,
+    claimCode,
+    time: createdAt.toLocaleString(CATALOGS[lang].locale, { timeZone, dateStyle: 'medium', timeStyle: 'short' }),
+  };
+  return {
+    subject: translate(lang, 'subject', params),
+    text: ['won', 'claimCode', 'collect'].map((key) => translate(lang, key, params)).join('\n'),
+  };
+}
+
+/**
+ * Email over SMTP with nodemailer, loaded on the first message.
+ * @param {object} opts
+ * @param {string} opts.host
+ * @param {number} [opts.port]
+ * @param {boolean} [opts.secure]
+ * @param {string} [opts.user]
+ * @param {string} [opts.pass]
+ * @param {string} opts.from
+ * @param {object} [opts.transport]  nodemailer transport to use instead
+ */
+export function createSmtpNotifier({ host, port = 587, secure = false, user, pass, from, transport = null }) {
+  let mailer = transport;
+  return {
+    channels: ['email'],
+    async send({ to, subject, text }) {
+      if (!mailer) {
+        const { default: nodemailer } = await import('nodemailer');
+        mailer = nodemailer.createTransport({
+          host, port, secure, auth: user ? { user, pass } : undefined, connectionTimeout: SEND_TIMEOUT_MS,
+        });
+      }
+      await mailer.sendMail({ from, to, subject, text });
+    },
+  };
+}
+
+/**
+ * Posts each message as JSON to another system, e.g. a WhatsApp gateway.
+ * @param {object} opts
+ * @param {string} opts.url
+ * @param {string} [opts.token]
+ * @param {string[]} [opts.channels]
+ * @param {typeof fetch} [opts.fetch]
+ */
+export function createWebhookNotifier({ url, token, channels = CONTACT_CHANNELS, fetch = globalThis.fetch }) {
+  return {
+    channels,
+    async send(message) {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+        body: JSON.stringify(message),
+        signal: AbortSignal.timeout(SEND_TIMEOUT_MS),
+      });
+      if (!res.ok) throw new Error(`Webhook answered HTTP ${res.status}`);
+    },
+  };
+}
+
+/**
+ * Keeps messages in `sent` and prints them; the first `failures` sends throw.
+ * @param {object} [opts]
+ * @param {number} [opts.failures]
+ * @param {(line: string) => void} [opts.log]
+ */
+export function createMockNotifier({ failures = 0, log = console.log } = {}) {
+  const sent = [];
+  let failed = 0;
+  return {
+    channels: CONTACT_CHANNELS,
+    sent,
+    async send(message) {
+      if (failed < failures) {
+        failed += 1;
+        throw new Error(`Mock failure ${failed} of ${failures}`);
+      }
+      sent.push(message);
+      log(`[mock ${message.channel}] to ${message.to}: ${message.subject}\n${message.text}`);
+    },
+  };
+}
+
+/** The configured notifier, or null for no winner messages. */
+export function notifierFromEnv(env) {
+  const type = env.NOTIFIER || '';
+  if (!type) return null;
+  if (type === 'smtp') {
+    if (!env.SMTP_HOST || !env.NOTIFY_FROM) throw new Error('NOTIFIER=smtp needs SMTP_HOST and NOTIFY_FROM');
+    return createSmtpNotifier({
+      host: env.SMTP_HOST,
+      port: Number(env.SMTP_PORT) || undefined,
+      secure: env.SMTP_SECURE === 'true',
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS,
+      from: env.NOTIFY_FROM,
+    });
+  }
+  if (type === 'webhook') {
+    if (!env.NOTIFY_WEBHOOK_URL) throw new Error('NOTIFIER=webhook needs NOTIFY_WEBHOOK_URL');
+    const channels = env.NOTIFY_CHANNELS ? env.NOTIFY_CHANNELS.split(',').map((c) => c.trim()) : CONTACT_CHANNELS;
+    const unknown = channels.filter((c) => !CONTACT_CHANNELS.includes(c));
+    if (unknown.length > 0) throw new Error(`Unknown NOTIFY_CHANNELS: ${unknown.join(', ')}`);
+    return createWebhookNotifier({ url: env.NOTIFY_WEBHOOK_URL, token: env.NOTIFY_WEBHOOK_TOKEN, channels });
+  }
+  if (type === 'mock') return createMockNotifier({ failures: Number(env.NOTIFY_MOCK_FAILURES) || 0 });
+  throw new Error(`Unknown NOTIFIER: ${type}`);
+}
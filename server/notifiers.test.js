@@ -0,0 +1,91 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { createServer } from 'node:http';
+import { winnerMessage, createWebhookNotifier, createMockNotifier, createSmtpNotifier, notifierFromEnv } from './notifiers.js';
+
+const message = { channel: 'whatsapp', to: '+6281234567890', subject: 'You won', text: 'Claim code K7QM-3XHT' };
+
+describe('winnerMessage', () => {
+  const opts = {
+    prize: { label: 'Free drink', labels: { ja: '無料ドリンク' } },
+    claimCode: 'K7QM-3XHT',
+    createdAt: new Date('2025-01-01T05:00:00Z'),
+    timeZone: 'Asia/Jakarta',
+  };
+
+  it('is written in the customer language with the translated prize', () => {
+    const { subject, text } = winnerMessage({ ...opts, language: 'ja' });
+    expect(subject).toBe('無料ドリンク が当たりました！');
+    expect(text).toContain('引換コード：K7QM-3XHT');
+  });
+
+  it('falls back to English', () => {
+    const { subject, text } = winnerMessage({ ...opts, language: 'xx' });
+    expect(subject).toBe('You won Free drink!');
+    expect(text.split('\n')).toHaveLength(3);
+    expect(text).toContain('Jan 1, 2025');
+  });
+});
+
+describe('webhook notifier', () => {
+  let server;
+  afterEach(() => new Promise((resolve) => server.close(resolve)));
+
+  async function listen(status, received) {
+    server = createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        received.push({ auth: req.headers.authorization, body: JSON.parse(body) });
+        res.writeHead(status).end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    return `http://127.0.0.1:${server.address().port}/notify`;
+  }
+
+  it('posts the message as JSON', async () => {
+    const received = [];
+    const notifier = createWebhookNotifier({ url: await listen(204, received), token: 'secret' });
+    await notifier.send(message);
+    expect(received).toEqual([{ auth: 'Bearer secret', body: message }]);
+  });
+
+  it('fails on an error answer so the message is retried', async () => {
+    const notifier = createWebhookNotifier({ url: await listen(502, []) });
+    await expect(notifier.send(message)).rejects.toThrow(/502/);
+  });
+});
+
+describe('mock notifier', () => {
+  it('fails the first sends it is told to, then keeps the messages', async () => {
+    const lines = [];
+    const notifier = createMockNotifier({ failures: 1, log: (line) => lines.push(line) });
+    await expect(notifier.send(message)).rejects.toThrow();
+    await notifier.send(message);
+    expect(notifier.sent).toEqual([message]);
+    expect(lines[0]).toContain('to +6281234567890');
+  });
+});
+
+describe('notifierFromEnv', () => {
+  it('builds the configured notifier', () => {
+    expect(notifierFromEnv({})).toBeNull();
+    expect(notifierFromEnv({ NOTIFIER: 'smtp', SMTP_HOST: 'mail', NOTIFY_FROM: 'spin@example.com' }).channels).toEqual(['email']);
+    expect(notifierFromEnv({ NOTIFIER: 'webhook', NOTIFY_WEBHOOK_URL: 'http://x', NOTIFY_CHANNELS: 'whatsapp' }).channels).toEqual(['whatsapp']);
+  });
+
+  it('refuses incomplete settings', () => {
+    expect(() => notifierFromEnv({ NOTIFIER: 'smtp' })).toThrow(/SMTP_HOST/);
+    expect(() => notifierFromEnv({ NOTIFIER: 'webhook', NOTIFY_WEBHOOK_URL: 'http://x', NOTIFY_CHANNELS: 'sms' })).toThrow(/sms/);
+    expect(() => notifierFromEnv({ NOTIFIER: 'pigeon' })).toThrow(/pigeon/);
+  });
+});
+
+describe('SMTP notifier', () => {
+  it('hands the email to the transport', async () => {
+    const mails = [];
+    const notifier = createSmtpNotifier({ host: 'mail', from: 'spin@example.com', transport: { sendMail: async (mail) => mails.push(mail) } });
+    await notifier.send({ ...message, channel: 'email', to: 'sari@example.com' });
+    expect(mails).toEqual([{ from: 'spin@example.com', to: 'sari@example.com', subject: 'You won', text: 'Claim code K7QM-3XHT' }]);
+  });
+});
@@ -0,0 +1,69 @@
+// server/scripts/importBookings.js
+// Loads bookings from a CSV export into a venue's `bookings` collection:
+//   npm run import-bookings -- bookings.csv                  -> venues/default/bookings
+//   npm run import-bookings -- --venue seaside bookings.csv
+// Columns: bookingId (required), guestName, paid, date (YYYY-MM-DD), expiresAt, tier.
+// Re-importing updates the details but never resets whether a booking has spun.
+// Set FIRESTORE_EMULATOR_HOST=localhost:8080 to target the emulator.
+import { readFileSync } from 'node:fs';
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore, Timestamp } from 'firebase-admin/firestore';
+import { bookingsFromCsv } from '../bookingSources.js';
+import { formatFromSettings, normalizeBookingId } from '../bookingFormat.js';
+import { DEFAULT_VENUE_ID, isVenueId, venuePath } from '../../src/lib/venue.js';
+
+// Firestore batches take at most 500 writes
+const BATCH_SIZE = 500;
+
+try {
+  process.loadEnvFile('.env');
+} catch {
+  // no .env file
+}
+
+const args = process.argv.slice(2);
+const option = (name) => {
+  const i = args.indexOf(name);
+  return i >= 0 ? args.splice(i, 2)[1] : undefined;
+};
+const venueId = option('--venue') || process.env.DEFAULT_VENUE || process.env.VITE_DEFAULT_VENUE || DEFAULT_VENUE_ID;
+const [file] = args;
+if (!file || !isVenueId(venueId)) {
+  console.error('Usage: import-bookings [--venue <venueId>] <file.csv>');
+  process.exit(1);
+}
+
+const app = initializeApp({ projectId: process.env.FIREBASE_PROJECT_ID || process.env.VITE_FIREBASE_PROJECT_ID });
+const db = getFirestore(app);
+if (!(await db.collection('venues').doc(venueId).get()).exists) {
+  console.error(`Unknown venue: ${venueId}`);
+  process.exit(1);
+}
+
+// IDs are stored in the form the spin service looks them up in at this venue
+const format = formatFromSettings((await db.collection(venuePath(venueId, 'settings')).doc('bookingFormat').get()).data());
+const bookings = [];
+const rejected = [];
+for (const booking of bookingsFromCsv(readFileSync(file, 'utf8'))) {
+  try {
+    bookings.push({ ...booking, id: normalizeBookingId(booking.id, format) });
+  } catch (err) {
+    rejected.push(`${booking.id} (${err.code})`);
+  }
+}
+
+const target = db.collection(venuePath(venueId, 'bookings'));
+
+for (let i = 0; i < bookings.length; i += BATCH_SIZE) {
+  const batch = db.batch();
+  bookings.slice(i, i + BATCH_SIZE).forEach(({ id, expiresAt, ...fields }) => {
+    batch.set(target.doc(id), {
+      ...fields,
+      expiresAt: expiresAt ? Timestamp.fromDate(expiresAt) : null,
+    }, { merge: true });
+  });
+  await batch.commit();
+}
+
+console.log(`Imported ${bookings.length} bookings into ${venuePath(venueId, 'bookings')}`);
+if (rejected.length > 0) console.log(`Skipped ${rejected.length} with invalid IDs: ${rejected.join(', ')}`);
@@ -0,0 +1,83 @@
+// server/scripts/migrateToVenues.js
+// Moves single-venue data from the top-level collections into venues/{venueId}:
+//   npm run migrate-venues                          -> venues/default
+//   npm run migrate-venues -- seaside --name "Seaside Bali" --delete
+// Documents keep their IDs, so claim codes and prize audit links keep working, and
+// running it again only overwrites the copies. --delete removes the top-level
+// originals once they are copied. Admins with a role but no venue claim are assigned
+// to the venue. Bookings move too (they are accepted at one venue only); with several
+// venues, run it for the one whose bookings the top-level collection holds, then
+// import the others' with npm run import-bookings -- --venue <id>. Display sessions
+// and themes are not venue collections and stay where they are.
+// Set FIRESTORE_EMULATOR_HOST / FIREBASE_AUTH_EMULATOR_HOST to target the emulators.
+import { initializeApp } from 'firebase-admin/app';
+import { getAuth } from 'firebase-admin/auth';
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { DEFAULT_VENUE_ID, VENUE_COLLECTIONS, claimsForVenue, isVenueId, venuePath } from '../../src/lib/venue.js';
+
+// Firestore batches take at most 500 writes
+const BATCH_SIZE = 500;
+
+try {
+  process.loadEnvFile('.env');
+} catch {
+  // no .env file
+}
+
+const args = process.argv.slice(2);
+const option = (name) => {
+  const i = args.indexOf(name);
+  return i >= 0 ? args.splice(i, 2)[1] : undefined;
+};
+const name = option('--name');
+const deleteSource = args.includes('--delete');
+const [venueId = process.env.DEFAULT_VENUE || process.env.VITE_DEFAULT_VENUE || DEFAULT_VENUE_ID] = args.filter((a) => !a.startsWith('--'));
+if (!isVenueId(venueId)) {
+  console.error('Usage: migrate-venues [venueId] [--name "Venue name"] [--delete]');
+  process.exit(1);
+}
+
+const app = initializeApp({ projectId: process.env.FIREBASE_PROJECT_ID || process.env.VITE_FIREBASE_PROJECT_ID });
+const db = getFirestore(app);
+const auth = getAuth(app);
+
+const venueRef = db.collection('venues').doc(venueId);
+if (!(await venueRef.get()).exists) {
+  await venueRef.set({ name: name || venueId, createdAt: FieldValue.serverTimestamp(), createdBy: 'migrate-venues' });
+  console.log(`Created venue ${venueId}`);
+}
+
+for (const collection of VENUE_COLLECTIONS) {
+  const { docs } = await db.collection(collection).get();
+  const target = db.collection(venuePath(venueId, collection));
+  for (let i = 0; i < docs.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    docs.slice(i, i + BATCH_SIZE).forEach((d) => batch.set(target.doc(d.id), d.data()));
+    await batch.commit();
+  }
+  // only once every copy is committed
+  if (deleteSource) {
+    for (let i = 0; i < docs.length; i += BATCH_SIZE) {
+      const batch = db.batch();
+      docs.slice(i, i + BATCH_SIZE).forEach((d) => batch.delete(d.ref));
+      await batch.commit();
+    }
+  }
+  console.log(`${collection}: ${docs.length} copied to ${venuePath(venueId, collection)}${deleteSource ? ' and removed' : ''}`);
+}
+
+let pageToken;
+let assigned = 0;
+do {
+  const page = await auth.listUsers(1000, pageToken);
+  for (const user of page.users) {
+    const claims = claimsForVenue(user.customClaims, venueId);
+    if (!claims) continue;
+    await auth.setCustomUserClaims(user.uid, claims);
+    await auth.revokeRefreshTokens(user.uid);
+    console.log(`${user.email}: ${claims.role} at ${venueId}`);
+    assigned++;
+  }
+  pageToken = page.pageToken;
+} while (pageToken);
+console.log(`Assigned ${assigned} admins to ${venueId}`);
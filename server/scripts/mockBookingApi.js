@@ -0,0 +1,16 @@
+// server/scripts/mockBookingApi.js
+// Local booking system for trying BOOKING_SOURCE=rest:
+//   npm run mock:bookings                      -> bookings from server/mockBookings.json
+//   npm run mock:bookings -- my-bookings.json
+// then run the spin service with BOOKING_SOURCE=rest BOOKING_API_URL=http://localhost:8788
+import { createServer } from 'node:http';
+import { readFileSync } from 'node:fs';
+import { createMockBookingApi } from '../mockBookingApi.js';
+
+const file = process.argv[2] || new URL('../mockBookings.json', import.meta.url);
+const port = Number(process.env.MOCK_BOOKING_PORT) || 8788;
+const bookings = JSON.parse(readFileSync(file, 'utf8'));
+
+createServer(createMockBookingApi(bookings, { token: process.env.BOOKING_API_TOKEN })).listen(port, () => {
+  console.log(`Mock booking API on http://localhost:${port} (${Object.keys(bookings).length} bookings)`);
+});
@@ -0,0 +1,44 @@
+// server/scripts/mockStreamEvents.js
+// Local spin request feed for trying the stream overlay:
+//   npm run mock:stream                -> type a viewer name and press Enter to queue a spin
+//   npm run mock:stream -- --every 20  -> also queue a spin for a made-up viewer every 20 s
+// then open /overlay?key=<STREAM_TOKEN>&source=ws://localhost:8789
+import { createServer } from 'node:http';
+import { randomUUID } from 'node:crypto';
+import { createInterface } from 'node:readline';
+import { createMockStreamEvents } from '../mockStreamEvents.js';
+
+const port = Number(process.env.MOCK_STREAM_PORT) || 8789;
+const everyIndex = process.argv.indexOf('--every');
+const everySeconds = everyIndex >= 0 ? Number(process.argv[everyIndex + 1]) : 0;
+const DEMO_VIEWERS = ['sari.w', 'kenji_m', 'lina88', 'alex.tan', 'putri', 'haruto', 'mei', 'budi_s'];
+
+const feed = createMockStreamEvents();
+const server = createServer((req, res) => {
+  res.writeHead(426, { 'Content-Type': 'text/plain' });
+  res.end('Connect with a WebSocket\n');
+});
+server.on('upgrade', feed.handleUpgrade);
+
+function queue(requester) {
+  const sent = feed.send({ id: randomUUID(), requester });
+  console.log(`Queued a spin for ${requester} (${sent} overlay${sent === 1 ? '' : 's'} connected)`);
+}
+
+server.listen(port, () => {
+  console.log(`Mock stream feed on ws://localhost:${port}. Type a name and press Enter; Ctrl+D to stop.`);
+});
+
+if (everySeconds > 0) {
+  const timer = setInterval(() => queue(DEMO_VIEWERS[Math.floor(Math.random() * DEMO_VIEWERS.length)]), everySeconds * 1000);
+  server.on('close', () => clearInterval(timer));
+}
+
+const input = createInterface({ input: process.stdin });
+input.on('line', (line) => {
+  if (line.trim()) queue(line.trim());
+});
+input.on('close', () => {
+  feed.close();
+  server.close();
+});
@@ -0,0 +1,63 @@
+// server/scripts/setBookingFormat.js
+// Sets the booking ID format rules of one venue (venues/{venueId}/settings/bookingFormat,
+// ../bookingFormat.js), which the spin service and import-bookings apply:
+//   npm run set-booking-format -- seaside --pattern '^BK-\d{6}$' --uppercase
+//   npm run set-booking-format -- seaside --checksum luhn
+//   npm run set-booking-format -- seaside --clear
+// Each run replaces the venue's rules as a whole.
+// Set FIRESTORE_EMULATOR_HOST=localhost:8080 to target the emulator.
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+import { CHECKSUMS, toStoredFormat } from '../bookingFormat.js';
+import { isVenueId, venuePath } from '../../src/lib/venue.js';
+
+try {
+  process.loadEnvFile('.env');
+} catch {
+  // no .env file
+}
+
+const args = process.argv.slice(2);
+const flag = (name) => {
+  const i = args.indexOf(name);
+  if (i < 0) return false;
+  args.splice(i, 1);
+  return true;
+};
+const option = (name) => {
+  const i = args.indexOf(name);
+  return i >= 0 ? args.splice(i, 2)[1] : undefined;
+};
+const clear = flag('--clear');
+const uppercase = flag('--uppercase');
+const pattern = option('--pattern');
+const checksum = option('--checksum');
+const [venueId, ...rest] = args;
+if (!isVenueId(venueId) || rest.length > 0 || (clear && (pattern || checksum || uppercase))) {
+  console.error(`Usage: set-booking-format <venueId> [--pattern <regex>] [--checksum <${Object.keys(CHECKSUMS).join('|')}>] [--uppercase]`);
+  console.error('       set-booking-format <venueId> --clear');
+  process.exit(1);
+}
+
+let format;
+try {
+  format = toStoredFormat({ pattern, checksum, uppercase });
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+const app = initializeApp({ projectId: process.env.FIREBASE_PROJECT_ID || process.env.VITE_FIREBASE_PROJECT_ID });
+const db = getFirestore(app);
+if (!(await db.collection('venues').doc(venueId).get()).exists) {
+  console.error(`Unknown venue: ${venueId}`);
+  process.exit(1);
+}
+const ref = db.collection(venuePath(venueId, 'settings')).doc('bookingFormat');
+if (clear) {
+  await ref.delete();
+  console.log(`${venueId}: no booking ID format rules`);
+} else {
+  await ref.set(format);
+  console.log(`${venueId}: booking ID format ${JSON.stringify(format)}`);
+}
@@ -0,0 +1,37 @@
+// server/scripts/setRole.js
+// Grants an admin role as a custom claim. Viewers and prize editors belong to one
+// venue; super admins manage every venue:
+//   npm run set-role -- staff@example.com viewer seaside
+//   npm run set-role -- staff@example.com prizeEditor seaside
+//   npm run set-role -- owner@example.com superAdmin
+//   npm run set-role -- staff@example.com none
+// Set FIREBASE_AUTH_EMULATOR_HOST=localhost:9099 to target the Auth emulator.
+import { initializeApp } from 'firebase-admin/app';
+import { getAuth } from 'firebase-admin/auth';
+import { SUPER_ADMIN, VENUE_ROLES, isVenueId } from '../../src/lib/venue.js';
+
+try {
+  process.loadEnvFile('.env');
+} catch {
+  // no .env file
+}
+
+const [email, role, venue] = process.argv.slice(2);
+const venueRole = VENUE_ROLES.includes(role);
+if (!email || !(venueRole || role === SUPER_ADMIN || role === 'none') || (venueRole && !isVenueId(venue))) {
+  console.error(`Usage: set-role <email> <${VENUE_ROLES.join('|')}> <venueId>`);
+  console.error(`       set-role <email> <${SUPER_ADMIN}|none>`);
+  process.exit(1);
+}
+
+const app = initializeApp({ projectId: process.env.FIREBASE_PROJECT_ID || process.env.VITE_FIREBASE_PROJECT_ID });
+const auth = getAuth(app);
+
+const user = await auth.getUserByEmail(email);
+let claims = { role: null, venue: null };
+if (venueRole) claims = { role, venue };
+else if (role === SUPER_ADMIN) claims = { role, venue: null };
+await auth.setCustomUserClaims(user.uid, claims);
+// force existing sessions to pick up the change on their next token refresh
+await auth.revokeRefreshTokens(user.uid);
+console.log(`${email}: role = ${role}${venueRole ? ` at ${venue}` : ''}`);
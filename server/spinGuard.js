@@ -0,0 +1,179 @@
+// server/spinGuard.js
+// Rate limits and fraud signals for the spin service. Recent activity is kept in
+// memory, so limits are per service instance and reset on restart.
+//
+// A "device" is the id the browser sends (src/api.js), or the client IP when it
+// sends none. The device id is the client's word, so every limit is also counted
+// per IP, with its own (looser, several tablets can share one) limits; a request
+// has to pass both. Limits reject the request; fraud signals only flag the spin
+// for review in the admin area (spins.flags / spins.reviewStatus).
+import { SpinError } from './errors.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEVICE_ID_PATTERN = /^[0-9a-f-]{36}$/i;
+// trailing number of a booking ID, e.g. 'BK-1042' -> ['BK-', '1042']
+const NUMBERED_ID = /^(.*?)(\d+)$/;
+const SEQUENCE_DISTANCE = 2;
+const MIN_BOOKING_ID_LENGTH = 4;
+
+export const DEFAULT_LIMITS = {
+  spinsPerDeviceHour: 120,
+  cooldownSeconds: 5,
+  failedPerDeviceHour: 20,
+  // the same, per client IP, whatever device ids it sends
+  spinsPerIpHour: 600,
+  ipCooldownSeconds: 1,
+  failedPerIpHour: 60,
+  // [{ pattern: RegExp, perHour: number }]: spins per hour across all devices
+  // for booking IDs matching the pattern
+  bookingPatterns: [],
+  burstSpins: 10,
+  burstMinutes: 10,
+};
+
+const number = (value, fallback) => (value === undefined || value === '' ? fallback : Number(value));
+
+/** Limits from the spin service environment (see README, "Rate limits and fraud flags"). */
+export function limitsFromEnv(env) {
+  const patterns = env.SPIN_LIMIT_PATTERNS ? JSON.parse(env.SPIN_LIMIT_PATTERNS) : [];
+  return {
+    spinsPerDeviceHour: number(env.SPIN_LIMIT_PER_DEVICE_HOUR, DEFAULT_LIMITS.spinsPerDeviceHour),
+    cooldownSeconds: number(env.SPIN_COOLDOWN_SECONDS, DEFAULT_LIMITS.cooldownSeconds),
+    failedPerDeviceHour: number(env.SPIN_LIMIT_FAILED_PER_HOUR, DEFAULT_LIMITS.failedPerDeviceHour),
+    spinsPerIpHour: number(env.SPIN_LIMIT_PER_IP_HOUR, DEFAULT_LIMITS.spinsPerIpHour),
+    ipCooldownSeconds: number(env.SPIN_IP_COOLDOWN_SECONDS, DEFAULT_LIMITS.ipCooldownSeconds),
+    failedPerIpHour: number(env.SPIN_LIMIT_FAILED_PER_IP_HOUR, DEFAULT_LIMITS.failedPerIpHour),
+    bookingPatterns: patterns.map(({ pattern, perHour }) => ({ pattern: new RegExp(pattern), perHour: Number(perHour) })),
+    burstSpins: number(env.FRAUD_BURST_SPINS, DEFAULT_LIMITS.burstSpins),
+    burstMinutes: number(env.FRAUD_BURST_MINUTES, DEFAULT_LIMITS.burstMinutes),
+  };
+}
+
+// { deviceId, ip } from the request -> device key stored on the spin
+export function deviceKey({ deviceId, ip } = {}) {
+  if (typeof deviceId === 'string' && DEVICE_ID_PATTERN.test(deviceId)) return deviceId.toLowerCase();
+  return ipKey({ ip });
+}
+
+const ipKey = ({ ip } = {}) => `ip:${ip || 'unknown'}`;
+
+function isSequential(a, b) {
+  const ma = a.match(NUMBERED_ID);
+  const mb = b.match(NUMBERED_ID);
+  if (!ma || !mb || ma[1] !== mb[1]) return false;
+  const distance = Math.abs(Number(ma[2]) - Number(mb[2]));
+  return distance > 0 && distance <= SEQUENCE_DISTANCE;
+}
+
+// IDs that break the venue's format rules are rejected outright (./bookingFormat.js); this
+// catches implausible ones that slip through
+function isOddFormat(bookingId) {
+  return bookingId.length < MIN_BOOKING_ID_LENGTH || new Set(bookingId.toUpperCase()).size === 1;
+}
+
+/**
+ * @param {object} [opts]
+ * @param {Partial<typeof DEFAULT_LIMITS>} [opts.limits]  0 turns a limit or signal off
+ * @param {() => Date} [opts.now]
+ */
+export function createSpinGuard({ limits = {}, now = () => new Date() } = {}) {
+  const config = { ...DEFAULT_LIMITS, ...limits };
+  const spins = new Map(); // device -> [{ bookingId, at }]
+  const failures = new Map(); // device -> [at]
+  const ipSpins = new Map(); // 'ip:…' -> [{ bookingId, at }]
+  const ipFailures = new Map(); // 'ip:…' -> [at]
+  const patternSpins = config.bookingPatterns.map(() => []); // [at] per pattern
+
+  const recent = (list, since) => list.filter((entry) => (entry.at ?? entry) >= since);
+
+  function pruneMap(map, since) {
+    for (const [device, list] of map) {
+      const kept = recent(list, since);
+      if (kept.length > 0) map.set(device, kept);
+      else map.delete(device);
+    }
+  }
+
+  function prune(at) {
+    const since = at - HOUR_MS;
+    pruneMap(spins, since);
+    pruneMap(failures, since);
+    pruneMap(ipSpins, since);
+    pruneMap(ipFailures, since);
+    patternSpins.forEach((list, i) => { patternSpins[i] = recent(list, since); });
+  }
+
+  const over = (max, list = []) => max > 0 && list.length >= max;
+  const within = (seconds, list = [], at) => seconds > 0 && list.some((s) => s.at > at - seconds * 1000);
+
+  // Rejects a device, or an IP, that keeps failing booking checks (guessing IDs)
+  function checkAttempts(client) {
+    const at = now().getTime();
+    prune(at);
+    if (over(config.failedPerDeviceHour, failures.get(deviceKey(client)))
+      || over(config.failedPerIpHour, ipFailures.get(ipKey(client)))) {
+      throw new SpinError('too-many-attempts', 429);
+    }
+  }
+
+  function recordFailure(client) {
+    const at = now().getTime();
+    const device = deviceKey(client);
+    const ip = ipKey(client);
+    failures.set(device, [...(failures.get(device) || []), at]);
+    ipFailures.set(ip, [...(ipFailures.get(ip) || []), at]);
+  }
+
+  /**
+   * Checks the limits for a spin and counts it; call forget() if the spin then fails.
+   * @param {{ deviceId?: string, ip?: string }} client
+   * @returns {{ device: string, flags: string[] }} flags: fraud signals for the spin
+   */
+  function admitSpin(client, bookingId) {
+    const device = deviceKey(client);
+    checkAttempts(client);
+    const at = now().getTime();
+    const history = spins.get(device) || [];
+    const ip = ipKey(client);
+    const ipHistory = ipSpins.get(ip) || [];
+    if (within(config.cooldownSeconds, history, at) || within(config.ipCooldownSeconds, ipHistory, at)) {
+      throw new SpinError('cooldown', 429);
+    }
+    if (over(config.spinsPerDeviceHour, history) || over(config.spinsPerIpHour, ipHistory)) {
+      throw new SpinError('rate-limited', 429);
+    }
+    const matched = config.bookingPatterns
+      .map((limit, i) => [limit, i])
+      .filter(([limit]) => limit.pattern.test(bookingId));
+    if (matched.some(([limit, i]) => limit.perHour > 0 && patternSpins[i].length >= limit.perHour)) {
+      throw new SpinError('rate-limited', 429);
+    }
+
+    const flags = [];
+    if (device.startsWith('ip:')) flags.push('unknown-device');
+    if (isOddFormat(bookingId)) flags.push('odd-format');
+    if (history.some((s) => isSequential(s.bookingId, bookingId))) flags.push('sequential-booking-id');
+    const burstSince = at - config.burstMinutes * 60 * 1000;
+    if (config.burstSpins > 0 && history.filter((s) => s.at >= burstSince).length + 1 >= config.burstSpins) {
+      flags.push('device-burst');
+    }
+
+    spins.set(device, [...history, { bookingId, at }]);
+    ipSpins.set(ip, [...ipHistory, { bookingId, at }]);
+    matched.forEach(([, i]) => patternSpins[i].push(at));
+    return { device, flags };
+  }
+
+  // Undoes admitSpin() for a spin that was not recorded
+  function forget(client, bookingId) {
+    const device = deviceKey(client);
+    const ip = ipKey(client);
+    spins.set(device, (spins.get(device) || []).filter((s) => s.bookingId !== bookingId));
+    ipSpins.set(ip, (ipSpins.get(ip) || []).filter((s) => s.bookingId !== bookingId));
+    config.bookingPatterns.forEach((limit, i) => {
+      if (limit.pattern.test(bookingId)) patternSpins[i].pop();
+    });
+  }
+
+  return { checkAttempts, recordFailure, admitSpin, forget };
+}
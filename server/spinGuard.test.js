@@ -0,0 +1,137 @@
+import { describe, it, expect } from 'vitest';
+import { createSpinGuard, deviceKey, limitsFromEnv } from './spinGuard.js';
+import { createSpinService } from './spinService.js';
+import { createMemoryStore } from './memoryStore.js';
+
+const DEVICE = { deviceId: '0b6f6f3e-1c1a-4c4e-9a55-2f0d3c1e8a10', ip: '10.0.0.2' };
+const OTHER = { deviceId: '5d1e3c2a-7b7f-4f0e-8d1b-9a2c4e6f8a00', ip: '10.0.0.2' };
+const NO_COOLDOWN = { cooldownSeconds: 0, ipCooldownSeconds: 0 };
+
+// Clock the tests move by hand
+function clock(start = '2025-01-01T05:00:00Z') {
+  let ms = new Date(start).getTime();
+  return { now: () => new Date(ms), advance: (seconds) => { ms += seconds * 1000; } };
+}
+
+describe('deviceKey', () => {
+  it('uses the browser device id, falling back to the IP', () => {
+    expect(deviceKey(DEVICE)).toBe(DEVICE.deviceId);
+    expect(deviceKey({ deviceId: 'not-an-id', ip: '10.0.0.2' })).toBe('ip:10.0.0.2');
+  });
+});
+
+describe('limits', () => {
+  it('enforces a cooldown between spins from one device', () => {
+    const time = clock();
+    // DEVICE and OTHER share an IP
+    const guard = createSpinGuard({ limits: { cooldownSeconds: 10, ipCooldownSeconds: 0 }, now: time.now });
+    guard.admitSpin(DEVICE, 'BK-100');
+    expect(() => guard.admitSpin(DEVICE, 'BK-200')).toThrow(expect.objectContaining({ code: 'cooldown', status: 429 }));
+    guard.admitSpin(OTHER, 'BK-300');
+    time.advance(10);
+    expect(() => guard.admitSpin(DEVICE, 'BK-200')).not.toThrow();
+  });
+
+  it('caps spins per device over a rolling hour', () => {
+    const time = clock();
+    const guard = createSpinGuard({ limits: { ...NO_COOLDOWN, spinsPerDeviceHour: 2 }, now: time.now });
+    guard.admitSpin(DEVICE, 'BK-100');
+    guard.admitSpin(DEVICE, 'BK-200');
+    expect(() => guard.admitSpin(DEVICE, 'BK-300')).toThrow(expect.objectContaining({ code: 'rate-limited' }));
+    time.advance(3601);
+    expect(() => guard.admitSpin(DEVICE, 'BK-300')).not.toThrow();
+  });
+
+  it('caps spins per booking ID pattern across devices', () => {
+    const guard = createSpinGuard({ limits: { ...NO_COOLDOWN, bookingPatterns: [{ pattern: /^WALKIN-/, perHour: 1 }] } });
+    guard.admitSpin(DEVICE, 'WALKIN-1');
+    expect(() => guard.admitSpin(OTHER, 'WALKIN-77')).toThrow(expect.objectContaining({ code: 'rate-limited' }));
+    expect(() => guard.admitSpin(OTHER, 'BK-77')).not.toThrow();
+  });
+
+  it('blocks a device after too many failed booking lookups', () => {
+    const guard = createSpinGuard({ limits: { failedPerDeviceHour: 2 } });
+    guard.recordFailure(DEVICE);
+    guard.recordFailure(DEVICE);
+    expect(() => guard.checkAttempts(DEVICE)).toThrow(expect.objectContaining({ code: 'too-many-attempts' }));
+    expect(() => guard.checkAttempts(OTHER)).not.toThrow();
+  });
+
+  it('counts by IP as well, so rotating the device id does not help', () => {
+    const time = clock();
+    const guard = createSpinGuard({
+      limits: { cooldownSeconds: 0, ipCooldownSeconds: 5, spinsPerIpHour: 3, failedPerIpHour: 3 },
+      now: time.now,
+    });
+    const fresh = (i) => ({ deviceId: `00000000-0000-4000-8000-${String(i).padStart(12, '0')}`, ip: '10.0.0.9' });
+
+    guard.admitSpin(fresh(1), 'BK-100');
+    expect(() => guard.admitSpin(fresh(2), 'BK-200')).toThrow(expect.objectContaining({ code: 'cooldown' }));
+    time.advance(5);
+    guard.admitSpin(fresh(3), 'BK-300');
+    time.advance(5);
+    guard.admitSpin(fresh(4), 'BK-400');
+    time.advance(5);
+    expect(() => guard.admitSpin(fresh(5), 'BK-500')).toThrow(expect.objectContaining({ code: 'rate-limited' }));
+    // another address is unaffected
+    expect(() => guard.admitSpin({ ...fresh(6), ip: '10.0.0.10' }, 'BK-600')).not.toThrow();
+
+    [7, 8, 9].forEach((i) => guard.recordFailure(fresh(i)));
+    expect(() => guard.checkAttempts(fresh(10))).toThrow(expect.objectContaining({ code: 'too-many-attempts' }));
+  });
+
+  it('reads limits from the environment', () => {
+    const limits = limitsFromEnv({ SPIN_COOLDOWN_SECONDS: '0', SPIN_LIMIT_PATTERNS: '[{"pattern":"^WALKIN-","perHour":5}]' });
+    expect(limits.cooldownSeconds).toBe(0);
+    expect(limits.spinsPerDeviceHour).toBe(120);
+    expect(limits.bookingPatterns[0].pattern.test('WALKIN-3')).toBe(true);
+  });
+});
+
+describe('fraud signals', () => {
+  const guard = (limits = {}) => createSpinGuard({ limits: { ...NO_COOLDOWN, ...limits } });
+
+  it('flags booking IDs next to one the device just spun', () => {
+    const g = guard();
+    expect(g.admitSpin(DEVICE, 'BK-1041').flags).toEqual([]);
+    expect(g.admitSpin(DEVICE, 'BK-1042').flags).toEqual(['sequential-booking-id']);
+    expect(g.admitSpin(DEVICE, 'XY-1043').flags).toEqual([]);
+  });
+
+  it('flags implausible booking IDs', () => {
+    expect(guard().admitSpin(DEVICE, 'AAAA').flags).toContain('odd-format');
+    expect(guard().admitSpin(DEVICE, 'B1').flags).toContain('odd-format');
+    expect(guard().admitSpin(DEVICE, 'BK-1234').flags).toEqual([]);
+  });
+
+  it('flags bursts from one device and requests without a device id', () => {
+    const g = guard({ burstSpins: 3 });
+    g.admitSpin(DEVICE, 'BK-1000');
+    g.admitSpin(DEVICE, 'BK-2000');
+    expect(g.admitSpin(DEVICE, 'BK-3000').flags).toEqual(['device-burst']);
+    expect(g.admitSpin({ ip: '10.0.0.9' }, 'BK-4000').flags).toEqual(['unknown-device']);
+  });
+});
+
+describe('spin service with a guard', () => {
+  function setup(limits) {
+    const store = createMemoryStore({ prizes: [{ id: 'a', label: 'A', probability: 100 }], bookings: { 'BK-1001': {}, 'BK-1002': {} } });
+    const service = createSpinService({ store, guard: createSpinGuard({ limits }) });
+    return { store, ...service };
+  }
+
+  it('marks flagged spins for review', async () => {
+    const { store, spin } = setup(NO_COOLDOWN);
+    await spin('BK-1001', DEVICE);
+    await spin('BK-1002', DEVICE);
+    expect(store.venue().spins[0]).toMatchObject({ device: DEVICE.deviceId, flags: [], reviewStatus: null });
+    expect(store.venue().spins[1]).toMatchObject({ flags: ['sequential-booking-id'], reviewStatus: 'pending' });
+  });
+
+  it('does not count rejected spins toward the limits, but counts them as failed lookups', async () => {
+    const { spin } = setup({ spinsPerDeviceHour: 1, failedPerDeviceHour: 1 });
+    await expect(spin('NOPE-1', DEVICE)).rejects.toMatchObject({ code: 'not-found' });
+    await expect(spin('BK-1001', DEVICE)).rejects.toMatchObject({ code: 'too-many-attempts' });
+    await expect(spin('BK-1001', OTHER)).resolves.toMatchObject({ prizeId: 'a' });
+  });
+});
@@ -0,0 +1,519 @@
+// server/spinService.js
+// The trusted half of a spin: validates the booking, picks the prize and writes
+// the log in one transaction. The browser only animates to whatever comes back.
+import { timingSafeEqual } from 'node:crypto';
+import { DEFAULT_TIME_ZONE, dayKey } from '../src/lib/time.js';
+import { isInStock, stockAfterAward } from '../src/lib/stock.js';
+import { wheelSlices } from '../src/lib/prizeSelection.js';
+import { activeRules, nextRuleState, ruleContext, ruleOdds, selectWithRules } from '../src/lib/prizeRules.js';
+import { resolvePrizeSet, findActiveCampaign } from '../src/lib/campaigns.js';
+import { generateClaimCode, normalizeClaimCode } from '../src/lib/claimCode.js';
+import { normalizeRequester, REQUEST_ID_PATTERN } from '../src/lib/spinRequests.js';
+import { normalizeDisplayCode } from '../src/lib/displaySession.js';
+import { DEFAULT_VENUE_ID, isVenueId } from '../src/lib/venue.js';
+import { maskContact, normalizeContact } from '../src/lib/contact.js';
+import { hashKioskSecret, parseKioskToken } from '../src/lib/kioskCredential.js';
+import { SpinError } from './errors.js';
+import { formatFromSettings, normalizeBookingId } from './bookingFormat.js';
+import { isMessageLanguage, winnerMessage } from './notifiers.js';
+
+// part of this module's API; callers match on err.code
+export { SpinError };
+
+const CLAIM_CODE_ATTEMPTS = 5;
+// offline spin ids are crypto.randomUUID() values from the kiosk
+const OFFLINE_ID_PATTERN = /^[0-9a-f-]{36}$/i;
+// kiosk clocks may run a little ahead of ours
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+// answers that mean the booking ID was wrong; repeated ones look like guessing
+const BOOKING_FAILURES = ['not-found', 'already-used', 'expired', 'invalid-booking-id', 'invalid-format'];
+// waits between attempts to deliver a winner message; one more attempt than waits
+const NOTIFY_RETRY_DELAYS_MS = [10 * 1000, 60 * 1000, 5 * 60 * 1000];
+
+// Stand-in for server/spinGuard.js when no limits are configured (tests)
+const NO_GUARD = {
+  checkAttempts() {},
+  recordFailure() {},
+  admitSpin: () => ({ device: null, flags: [] }),
+  forget() {},
+};
+
+// booking: null when missing, otherwise { used, paid, date, expiresAt } (./bookingSources.js)
+function bookingRejection(booking, { allowAnyBooking, now }) {
+  if (!booking) return allowAnyBooking ? null : new SpinError('not-found', 404);
+  if (booking.used) return new SpinError('already-used', 409);
+  if (booking.expiresAt && booking.expiresAt < now) return new SpinError('expired', 410);
+  if (booking.paid === false) return new SpinError('unpaid', 402);
+  return null;
+}
+
+// The venue day a booking is for must fall within the campaign's start and end
+function outsideCampaign(booking, campaign, timeZone) {
+  if (!booking?.date || !campaign) return false;
+  if (campaign.startsAt && booking.date < dayKey(campaign.startsAt, timeZone)) return true;
+  // endsAt is exclusive
+  if (campaign.endsAt && booking.date > dayKey(new Date(campaign.endsAt.getTime() - 1), timeZone)) return true;
+  return false;
+}
+
+// Booking from the external source (undefined when there is none) combined with
+// our own bookings document, which alone knows whether the booking has spun
+function mergeBooking(external, local) {
+  if (external === undefined) return local;
+  if (!external) return local?.used ? local : null;
+  return { ...external, used: !!local?.used };
+}
+
+// What the HTTP API returns for a recorded spin
+function spinResult(spinId, spin) {
+  return {
+    spinId,
+    bookingId: spin.bookingId,
+    prizeId: spin.prizeId,
+    prizeLabel: spin.prizeLabel,
+    campaignId: spin.campaignId,
+    claimCode: spin.claimCode,
+    createdAt: spin.createdAt.toISOString(),
+    // where the winner message goes, masked; its delivery is tracked on the spin
+    notification: spin.notification ? { channel: spin.notification.channel, to: spin.notification.to } : null,
+  };
+}
+
+// Contact for the winner message, or null when none was given
+function contactFor(contact, notifier) {
+  if (typeof contact !== 'string' || !contact.trim()) return null;
+  const parsed = normalizeContact(contact);
+  if (!parsed) throw new SpinError('invalid-contact');
+  if (!notifier?.channels.includes(parsed.channel)) throw new SpinError('contact-unsupported');
+  return parsed;
+}
+
+/**
+ * @param {object} opts
+ * @param {object} opts.store  memoryStore or firestoreStore
+ * @param {boolean} [opts.allowAnyBooking]  open mode: unknown IDs may spin once
+ * @param {() => number} [opts.random]
+ * @param {(n: number) => number} [opts.randomInt]  claim code source, integer in [0, n)
+ * @param {() => Date} [opts.now]
+ * @param {string} [opts.timeZone]  venue time zone for daily stock
+ * @param {object} [opts.guard]  rate limits and fraud signals (createSpinGuard)
+ * @param {object} [opts.bookingSource]  external booking lookup (./bookingSources.js); default: the store's bookings
+ * @param {string} [opts.defaultVenue]  venue of requests that name none (src/lib/venue.js)
+ * @param {object} [opts.notifier]  delivers winner messages (./notifiers.js); none: contacts are refused
+ * @param {number[]} [opts.notifyRetryDelays]  ms to wait before each retry of a winner message
+ * @param {(ms: number) => Promise<void>} [opts.sleep]
+ */
+export function createSpinService({
+  store,
+  allowAnyBooking = false,
+  random = Math.random,
+  randomInt = (n) => Math.floor(Math.random() * n),
+  now = () => new Date(),
+  timeZone = DEFAULT_TIME_ZONE,
+  guard = NO_GUARD,
+  bookingSource = null,
+  defaultVenue = DEFAULT_VENUE_ID,
+  notifier = null,
+  notifyRetryDelays = NOTIFY_RETRY_DELAYS_MS,
+  sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+}) {
+  // winner messages still being delivered
+  const deliveries = new Set();
+
+  // Called before any transaction: the external system may be slow, and Firestore retries transactions
+  const lookupExternal = (id) => (bookingSource ? bookingSource.lookup(id) : undefined);
+
+  // Transaction on one venue's data; unknown venues are refused before anything else is read
+  function inVenue(venue, fn) {
+    const venueId = venue ?? defaultVenue;
+    if (!isVenueId(venueId)) return Promise.reject(new SpinError('unknown-venue', 404));
+    return store.runTransaction(venueId, async (tx) => {
+      if (!(await tx.venueExists())) throw new SpinError('unknown-venue', 404);
+      return fn(tx);
+    });
+  }
+
+  // Canonical form of a booking ID under the venue's own format rules. Read in a
+  // transaction of its own: the ID is needed for the external lookup, which happens
+  // before the spin's transaction.
+  async function venueBookingId(venue, bookingId) {
+    const settings = await inVenue(venue, (tx) => tx.getSetting('bookingFormat'));
+    return normalizeBookingId(bookingId, formatFromSettings(settings));
+  }
+
+  // Counts failed booking lookups against the device before passing the error on
+  function countFailure(client, err) {
+    if (err instanceof SpinError && BOOKING_FAILURES.includes(err.code)) guard.recordFailure(client);
+    throw err;
+  }
+
+  /**
+   * @param {{ deviceId?: string, ip?: string }} [client]
+   * @param {{ venue?: string }} [opts]
+   */
+  async function checkBooking(bookingId, client, { venue } = {}) {
+    guard.checkAttempts(client);
+    try {
+      const id = await venueBookingId(venue, bookingId);
+      const external = await lookupExternal(id);
+      return await inVenue(venue, async (tx) => {
+        const at = now();
+        const booking = mergeBooking(external, await tx.getBooking(id));
+        const rejection = bookingRejection(booking, { allowAnyBooking, now: at });
+        if (rejection) throw rejection;
+        if (outsideCampaign(booking, findActiveCampaign(await tx.listCampaigns(), at, timeZone), timeZone)) {
+          throw new SpinError('outside-campaign', 409);
+        }
+        // the booking page only asks for a contact it can be sent to
+        return { bookingId: id, guestName: booking?.guestName || null, contactChannels: notifier?.channels || [] };
+      });
+    } catch (err) {
+      return countFailure(client, err);
+    }
+  }
+
+  /**
+   * @param {{ deviceId?: string, ip?: string }} [client]
+   * @param {object} [opts]
+   * @param {string} [opts.displaySession]  session code of paired displays (src/lib/displaySession.js)
+   * @param {string} [opts.venue]
+   * @param {string} [opts.contact]  email or WhatsApp number for the winner message (src/lib/contact.js)
+   * @param {string} [opts.language]  language of the winner message
+   */
+  async function spin(bookingId, client, { displaySession, venue, contact, language } = {}) {
+    let id;
+    let notify;
+    try {
+      id = await venueBookingId(venue, bookingId);
+      notify = contactFor(contact, notifier);
+    } catch (err) {
+      return countFailure(client, err);
+    }
+    const { device, flags } = guard.admitSpin(client, id);
+    let result;
+    try {
+      const message = notify && { ...notify, language: isMessageLanguage(language) ? language : 'en' };
+      result = await recordSpin(venue, id, await lookupExternal(id), device, flags, normalizeDisplayCode(displaySession), message);
+    } catch (err) {
+      guard.forget(client, id);
+      return countFailure(client, err);
+    }
+    // sent after the spin is recorded, without holding up the answer
+    if (notify) {
+      const delivery = deliverWinnerMessage(venue, result.spinId);
+      deliveries.add(delivery);
+      delivery.finally(() => deliveries.delete(delivery));
+    }
+    return result;
+  }
+
+  // Tries the spin's winner message until it is sent or the retries run out,
+  // keeping spin.notification { status, attempts, error, updatedAt } up to date.
+  // status: 'pending' -> 'sent', or 'retrying' between failures -> 'failed'
+  // The address itself is in contacts/{spinId}, deleted once delivery is over.
+  async function deliverWinnerMessage(venue, spinId) {
+    try {
+      const { notification, message } = await inVenue(venue, async (tx) => {
+        const spin = await tx.getSpin(spinId);
+        const { channel, to } = await tx.getContact(spinId);
+        const prize = (await tx.listPrizes()).find((p) => p.id === spin.prizeId) || { label: spin.prizeLabel };
+        const { language } = spin.notification;
+        return {
+          notification: spin.notification,
+          message: {
+            channel, to, language, spinId, claimCode: spin.claimCode, prizeLabel: spin.prizeLabel,
+            ...winnerMessage({ language, prize, claimCode: spin.claimCode, createdAt: spin.createdAt, timeZone }),
+          },
+        };
+      });
+      for (let attempt = 1; ; attempt++) {
+        let error = null;
+        try {
+          await notifier.send(message);
+        } catch (err) {
+          error = String(err?.message || err).slice(0, 200);
+        }
+        const last = !error || attempt > notifyRetryDelays.length;
+        const status = !error ? 'sent' : last ? 'failed' : 'retrying';
+        await inVenue(venue, async (tx) => {
+          tx.setSpinNotification(spinId, { ...notification, status, attempts: attempt, error, updatedAt: now() });
+          if (last) tx.deleteContact(spinId);
+        });
+        if (last) return;
+        await sleep(notifyRetryDelays[attempt - 1]);
+      }
+    } catch (err) {
+      console.error(`Winner message for spin ${spinId} failed:`, err);
+    }
+  }
+
+  // The live campaign and its wheel, the same slices in the same order as the browser shows
+  async function liveWheel(tx, at) {
+    const { campaign, prizes, closed } = resolvePrizeSet(await tx.listCampaigns(), await tx.listPrizes(), at, timeZone);
+    if (closed) throw new SpinError('no-active-campaign', 409);
+    const slices = wheelSlices(prizes);
+    if (slices.length === 0) throw new SpinError('no-prizes', 503);
+    return { campaign, slices };
+  }
+
+  // The prize for this spin after the venue's prize rules (src/lib/prizeRules.js).
+  // Call writeRuleState(tx, draw) with the result once the reads are done.
+  async function drawPrize(tx, { slices }, day, booking = null) {
+    const state = await tx.getSetting('ruleState');
+    const rules = activeRules(await tx.getSetting('prizeRules'));
+    const { index, applied } = selectWithRules(slices, rules, ruleContext({ day, booking, state }), random);
+    if (index < 0) throw new SpinError('out-of-stock', 503);
+    return { prize: slices[index], rules: applied, nextState: nextRuleState(state, slices[index], day) };
+  }
+
+  // Every spin moves the venue's spin count, so the state is written each time
+  function writeRuleState(tx, { nextState }) {
+    tx.setSetting('ruleState', nextState);
+  }
+
+  // Firestore transactions need every read before the first write
+  async function unusedClaimCode(tx) {
+    for (let i = 0; i < CLAIM_CODE_ATTEMPTS; i++) {
+      const candidate = generateClaimCode(randomInt);
+      if (!(await tx.claimExists(candidate))) return candidate;
+    }
+    throw new SpinError('claim-code-exhausted', 500);
+  }
+
+  // notify: { channel, to, language } of the winner message, if one was asked for
+  function recordSpin(venue, id, external, device, flags, displayCode, notify) {
+    return inVenue(venue, async (tx) => {
+      const createdAt = now();
+      const booking = mergeBooking(external, await tx.getBooking(id));
+      const rejection = bookingRejection(booking, { allowAnyBooking, now: createdAt });
+      if (rejection) throw rejection;
+
+      const wheel = await liveWheel(tx, createdAt);
+      const { campaign } = wheel;
+      if (outsideCampaign(booking, campaign, timeZone)) throw new SpinError('outside-campaign', 409);
+      const day = dayKey(createdAt, timeZone);
+      const draw = await drawPrize(tx, wheel, day, booking);
+      const { prize } = draw;
+      const claimCode = await unusedClaimCode(tx);
+      // a session belongs to the venue whose spin first used its code; other venues'
+      // spins leave it alone
+      const venueId = venue ?? defaultVenue;
+      const session = displayCode ? await tx.getDisplaySession(displayCode) : null;
+      const showOnDisplays = displayCode && (!session || session.venueId === venueId);
+
+      tx.updatePrize(prize.id, stockAfterAward(prize, day));
+      writeRuleState(tx, draw);
+      tx.markBookingUsed(id, { used: true, usedAt: createdAt });
+      const spin = {
+        bookingId: id,
+        prizeId: prize.id,
+        prizeLabel: prize.label,
+        campaignId: campaign?.id || null,
+        claimCode,
+        redeemedAt: null,
+        redeemedBy: null,
+        createdAt,
+        device,
+        flags,
+        // ids of the prize rules that changed the odds of this spin
+        rules: draw.rules,
+        // flagged spins wait in the admin review queue
+        reviewStatus: flags.length > 0 ? 'pending' : null,
+        // viewers read spins: the address is only kept masked here, in full in contacts/{spinId}
+        notification: notify
+          ? { ...notify, to: maskContact(notify.to), status: 'pending', attempts: 0, error: null, updatedAt: createdAt }
+          : null,
+      };
+      const spinId = tx.addSpin(spin);
+      tx.addClaim(claimCode, { spinId });
+      if (notify) tx.setContact(spinId, { channel: notify.channel, to: notify.to });
+      // a malformed or foreign code only costs the displays their update, not the guest their spin
+      if (showOnDisplays) {
+        tx.setDisplaySession(displayCode, {
+          venueId, spinId, prizeId: prize.id, prizeLabel: prize.label, campaignId: spin.campaignId, at: createdAt,
+        });
+      }
+      return spinResult(spinId, spin);
+    });
+  }
+
+  /**
+   * Spins for a livestream viewer queued by a host or bot (src/lib/spinRequests.js).
+   * No booking is involved; the outcome is written to spinRequests/{id} so the queue
+   * moves on. Sending the same request twice returns the spin recorded the first time.
+   * @param {{ id: string, requester: string }} request
+   * @param {{ venue?: string }} [opts]
+   */
+  async function streamSpin(request, { venue } = {}) {
+    const requestId = typeof request?.id === 'string' ? request.id : '';
+    const requester = normalizeRequester(request?.requester);
+    if (!REQUEST_ID_PATTERN.test(requestId) || !requester) throw new SpinError('invalid-request');
+    const spinId = `stream-${requestId}`;
+
+    try {
+      return await inVenue(venue, async (tx) => {
+        const existing = await tx.getSpin(spinId);
+        if (existing) return { ...spinResult(spinId, existing), requester: existing.requester };
+
+        const createdAt = now();
+        const wheel = await liveWheel(tx, createdAt);
+        const { campaign } = wheel;
+        const day = dayKey(createdAt, timeZone);
+        const draw = await drawPrize(tx, wheel, day);
+        const { prize } = draw;
+        const claimCode = await unusedClaimCode(tx);
+
+        tx.updatePrize(prize.id, stockAfterAward(prize, day));
+        writeRuleState(tx, draw);
+        const spin = {
+          bookingId: null,
+          requester,
+          prizeId: prize.id,
+          prizeLabel: prize.label,
+          campaignId: campaign?.id || null,
+          claimCode,
+          redeemedAt: null,
+          redeemedBy: null,
+          createdAt,
+          stream: true,
+          rules: draw.rules,
+        };
+        tx.addSpin(spin, spinId);
+        tx.addClaim(claimCode, { spinId });
+        tx.setSpinRequest(requestId, {
+          requester, status: 'done', spinId, prizeId: prize.id, prizeLabel: prize.label, error: null, finishedAt: createdAt,
+        });
+        return { ...spinResult(spinId, spin), requester };
+      });
+    } catch (err) {
+      // a request that can't be played is taken off the queue instead of retried forever
+      if (err instanceof SpinError && err.code !== 'unknown-venue') {
+        await inVenue(venue, async (tx) => {
+          tx.setSpinRequest(requestId, { requester, status: 'failed', error: err.code, finishedAt: now() });
+        });
+      }
+      throw err;
+    }
+  }
+
+  // The kiosk registered under the token's id, if the token's secret is its own
+  // (src/lib/kioskCredential.js); revoked kiosks are refused for good
+  async function checkKiosk(tx, token) {
+    const credential = parseKioskToken(token);
+    const kiosk = credential ? await tx.getKiosk(credential.kioskId) : null;
+    const sent = Buffer.from(credential ? await hashKioskSecret(credential.secret) : '');
+    const expected = Buffer.from(kiosk?.secretHash || '');
+    if (!kiosk || sent.length !== expected.length || !timingSafeEqual(sent, expected)) {
+      throw new SpinError('unauthorized', 401);
+    }
+    if (kiosk.revokedAt) throw new SpinError('kiosk-revoked', 403);
+    return credential.kioskId;
+  }
+
+  // Why an offline spin would not have been drawn online: the prize off the wheel
+  // at spin time, out of stock, or ruled out by the prize rules
+  async function offlineFlags(tx, prize, slices, day, booking, state) {
+    const index = slices.findIndex((p) => p.id === prize.id);
+    if (index < 0) return { flags: ['offline-inactive-prize'], rules: [] };
+    if (!isInStock(prize, day)) return { flags: ['offline-out-of-stock'], rules: [] };
+    const rules = activeRules(await tx.getSetting('prizeRules'));
+    const { odds, applied } = ruleOdds(slices, rules, ruleContext({ day, booking, state }));
+    return { flags: odds[index] > 0 ? [] : ['offline-rule-blocked'], rules: applied };
+  }
+
+  /**
+   * Records a spin a kiosk made while the service was unreachable (src/spinQueue.js).
+   * The guest has already been shown the prize, so it is not picked again. The booking
+   * and claim code must still be unused; a prize the service would not have awarded
+   * then (off the wheel, out of stock, ruled out) is recorded but flagged for review.
+   * Sending the same record twice returns the spin recorded the first time.
+   * @param {{ id: string, bookingId: string, prizeId: string, claimCode: string, spunAt: string }} record
+   * @param {{ venue: string, kioskToken?: string }} opts  the venue the kiosk was set up
+   *   for when it spun, and the kiosk's credential. Unlike other calls, an offline spin
+   *   must name its venue: it is never recorded at the default one.
+   */
+  async function recordOfflineSpin(record, { venue, kioskToken } = {}) {
+    const offlineId = typeof record?.id === 'string' ? record.id : '';
+    if (!OFFLINE_ID_PATTERN.test(offlineId) || typeof venue !== 'string' || !venue) throw new SpinError('invalid-spin');
+    // nothing about the booking is looked up for a caller that is not a kiosk
+    await inVenue(venue, (tx) => checkKiosk(tx, kioskToken));
+    const id = await venueBookingId(venue, record.bookingId);
+    const claimCode = normalizeClaimCode(record.claimCode);
+    const spunAt = new Date(record.spunAt);
+    if (!claimCode || Number.isNaN(spunAt.getTime()) || spunAt > new Date(now().getTime() + CLOCK_SKEW_MS)) {
+      throw new SpinError('invalid-spin');
+    }
+    const spinId = `offline-${offlineId}`;
+    const external = await lookupExternal(id);
+
+    return inVenue(venue, async (tx) => {
+      // again, in case the kiosk was revoked meanwhile
+      const kioskId = await checkKiosk(tx, kioskToken);
+      const syncedAt = now();
+      const existing = await tx.getSpin(spinId);
+      if (existing) return spinResult(spinId, existing);
+
+      // judged at spin time: a booking that expired while the kiosk was offline still counts
+      const booking = mergeBooking(external, await tx.getBooking(id));
+      const rejection = bookingRejection(booking, { allowAnyBooking, now: spunAt });
+      if (rejection) throw rejection;
+      const prizes = await tx.listPrizes();
+      const prize = prizes.find((p) => p.id === record.prizeId);
+      if (!prize) throw new SpinError('prize-not-found', 409);
+      const campaigns = await tx.listCampaigns();
+      const campaignId = typeof prize.campaignId === 'string' ? prize.campaignId : null;
+      const campaign = campaignId ? campaigns.find((c) => c.id === campaignId) : null;
+      if (outsideCampaign(booking, campaign, timeZone)) throw new SpinError('outside-campaign', 409);
+      if (await tx.claimExists(claimCode)) throw new SpinError('claim-code-taken', 409);
+      const day = dayKey(spunAt, timeZone);
+      const state = await tx.getSetting('ruleState');
+      // the wheel as it was when the kiosk spun
+      const slices = wheelSlices(resolvePrizeSet(campaigns, prizes, spunAt, timeZone).prizes);
+      const { flags, rules } = await offlineFlags(tx, prize, slices, day, booking, state);
+
+      tx.updatePrize(prize.id, stockAfterAward(prize, day));
+      writeRuleState(tx, { nextState: nextRuleState(state, prize, day) });
+      tx.markBookingUsed(id, { used: true, usedAt: spunAt });
+      const spin = {
+        bookingId: id,
+        prizeId: prize.id,
+        prizeLabel: prize.label,
+        campaignId,
+        claimCode,
+        redeemedAt: null,
+        redeemedBy: null,
+        createdAt: spunAt,
+        offline: true,
+        kioskId,
+        syncedAt,
+        flags,
+        rules,
+        reviewStatus: flags.length > 0 ? 'pending' : null,
+      };
+      tx.addSpin(spin, spinId);
+      tx.addClaim(claimCode, { spinId });
+      return spinResult(spinId, spin);
+    });
+  }
+
+  /**
+   * The prize rules and rule state for a kiosk to draw offline spins with
+   * (src/lib/offlineSpins.js); kiosks run signed out and can't read them from Firestore.
+   * @param {{ venue?: string, kioskToken?: string }} [opts]
+   * @returns {Promise<{ rules: object[], state: object }>}  rules: the ones activeRules() applies
+   */
+  function kioskRules({ venue, kioskToken } = {}) {
+    return inVenue(venue, async (tx) => {
+      await checkKiosk(tx, kioskToken);
+      return {
+        rules: activeRules(await tx.getSetting('prizeRules')),
+        state: (await tx.getSetting('ruleState')) || {},
+      };
+    });
+  }
+
+  // Resolves once every winner message under way is sent or given up (tests, shutdown)
+  const settleNotifications = () => Promise.all([...deliveries]);
+
+  return { checkBooking, spin, recordOfflineSpin, kioskRules, streamSpin, settleNotifications };
+}
@@ -0,0 +1,429 @@
+import { describe, it, expect } from 'vitest';
+import { createSpinService, SpinError } from './spinService.js';
+import { createMemoryStore } from './memoryStore.js';
+import { createMockNotifier } from './notifiers.js';
+import { wheelSlices } from '../src/lib/prizeSelection.js';
+import { hashKioskSecret, newKioskCredential } from '../src/lib/kioskCredential.js';
+import { DEFAULT_VENUE_ID } from '../src/lib/venue.js';
+
+const NOW = new Date('2025-01-01T05:00:00Z');
+
+function service(seed, random = () => 0) {
+  const store = createMemoryStore(seed);
+  return createSpinService({ store, random, randomInt: () => 0, now: () => NOW });
+}
+
+describe('spin service', () => {
+  it('awards the prize the wheel shows at the chosen slice', async () => {
+    const prizes = [
+      { id: 'a-draft', label: '', probability: 50 },
+      { id: 'b-drink', label: 'Free drink', probability: 25 },
+      { id: 'c-night', label: 'Free night', probability: 25 },
+    ];
+    const { spin } = service({ prizes, bookings: { B1: {} } }, () => 0.75);
+    const outcome = await spin('B1');
+    const slices = wheelSlices(prizes);
+    expect(outcome.prizeId).toBe('c-night');
+    expect(slices.findIndex((p) => p.id === outcome.prizeId)).toBe(1);
+  });
+
+  it('consumes the booking so it only spins once', async () => {
+    const { spin } = service({ prizes: [{ id: 'a', label: 'A', probability: 100 }], bookings: { B1: {} } });
+    await spin('B1');
+    await expect(spin('B1')).rejects.toMatchObject({ code: 'already-used', status: 409 });
+  });
+
+  it('rejects spins when every prize is out of stock and nothing is marked consolation', async () => {
+    const { spin } = service({ prizes: [{ id: 'a', label: 'A', probability: 100, totalStock: 0 }], bookings: { B1: {} } });
+    const err = await spin('B1').catch((e) => e);
+    expect(err).toBeInstanceOf(SpinError);
+    expect(err.code).toBe('out-of-stock');
+  });
+
+  it('refuses booking IDs that cannot be document IDs before any lookup', async () => {
+    const { spin, checkBooking } = service({ prizes: [{ id: 'a', label: 'A', probability: 100 }], bookings: { B1: {} } });
+    await expect(spin('..')).rejects.toMatchObject({ code: 'invalid-booking-id', status: 400 });
+    await expect(checkBooking('__name__')).rejects.toMatchObject({ code: 'invalid-booking-id', status: 400 });
+  });
+
+  it('refuses a wheel with no labelled prizes', async () => {
+    const { spin } = service({ prizes: [{ id: 'a', label: '', probability: 100 }], bookings: { B1: {} } });
+    await expect(spin('B1')).rejects.toMatchObject({ code: 'no-prizes' });
+  });
+});
+
+// a kiosk tablet registered at the default venue
+const { kioskId, secret, token: KIOSK } = newKioskCredential();
+const kiosks = { [kioskId]: { name: 'Front desk', secretHash: await hashKioskSecret(secret) } };
+
+describe('offline spins', () => {
+  const record = {
+    id: '0b6f6f3e-1c1a-4c4e-9a55-2f0d3c1e8a10',
+    bookingId: 'B1',
+    prizeId: 'b',
+    claimCode: 'K7QM-3XHT',
+    spunAt: '2025-01-01T04:00:00Z',
+  };
+  const seed = () => ({
+    prizes: [
+      { id: 'a', label: 'A', probability: 100 },
+      { id: 'b', label: 'B', probability: 0, totalStock: 0 },
+    ],
+    bookings: { B1: {} },
+    kiosks,
+  });
+  const sync = (svc, r = record, kioskToken = KIOSK) => svc.recordOfflineSpin(r, { venue: DEFAULT_VENUE_ID, kioskToken });
+
+  it('records the prize the kiosk showed, even past its stock, and flags it for review', async () => {
+    const store = createMemoryStore(seed());
+    const outcome = await sync(createSpinService({ store, now: () => NOW }));
+    expect(outcome).toMatchObject({ prizeId: 'b', claimCode: 'K7QM-3XHT', createdAt: '2025-01-01T04:00:00.000Z' });
+    expect(store.venue().spins[0]).toMatchObject({
+      id: `offline-${record.id}`,
+      offline: true,
+      kioskId,
+      syncedAt: NOW,
+      flags: ['offline-out-of-stock'],
+      reviewStatus: 'pending',
+    });
+    expect(store.venue().prizes[1].awardedTotal).toBe(1);
+    expect(store.venue().claims.get('K7QM-3XHT')).toEqual({ spinId: outcome.spinId });
+  });
+
+  it('records a prize the service could have drawn without flags', async () => {
+    const store = createMemoryStore(seed());
+    await sync(createSpinService({ store, now: () => NOW }), { ...record, prizeId: 'a' });
+    expect(store.venue().spins[0]).toMatchObject({ flags: [], reviewStatus: null });
+  });
+
+  it('flags a prize that was not on the wheel at spin time', async () => {
+    const store = createMemoryStore({
+      ...seed(),
+      campaigns: [{ id: 'spring', name: 'Spring', enabled: true, startsAt: '2025-01-01T00:00:00Z' }],
+      prizes: [
+        { id: 'a', label: 'A', probability: 100, campaignId: 'spring' },
+        { id: 'b', label: 'B', probability: 100 },
+      ],
+    });
+    await sync(createSpinService({ store, now: () => NOW }));
+    expect(store.venue().spins[0]).toMatchObject({ flags: ['offline-inactive-prize'], reviewStatus: 'pending' });
+  });
+
+  it('flags a prize the prize rules ruled out, and keeps the rule state', async () => {
+    const rules = [{ id: 'r1', name: 'First spin wins A', enabled: true, type: 'guarantee', prizeId: 'a', nthSpin: 1, repeat: false }];
+    const prizes = [
+      { id: 'a', label: 'A', probability: 50 },
+      { id: 'b', label: 'B', probability: 50, consolation: true },
+    ];
+    const store = createMemoryStore({ ...seed(), prizes, rules });
+    await sync(createSpinService({ store, now: () => NOW }));
+    expect(store.venue().spins[0]).toMatchObject({ flags: ['offline-rule-blocked'], rules: ['r1'], reviewStatus: 'pending' });
+    expect(store.venue().settings.get('ruleState')).toEqual({ consolationStreak: 1, day: '2025-01-01', spinsToday: 1 });
+  });
+
+  it('only takes spins from registered kiosks that were not revoked', async () => {
+    const store = createMemoryStore(seed());
+    const svc = createSpinService({ store, now: () => NOW });
+    const stranger = newKioskCredential().token;
+    await expect(sync(svc, record, stranger)).rejects.toMatchObject({ code: 'unauthorized', status: 401 });
+    await expect(sync(svc, record, `${kioskId}.${newKioskCredential().secret}`)).rejects.toMatchObject({ code: 'unauthorized' });
+    await expect(sync(svc, record, '')).rejects.toMatchObject({ code: 'unauthorized' });
+
+    store.venue().kiosks.get(kioskId).revokedAt = NOW;
+    await expect(sync(svc)).rejects.toMatchObject({ code: 'kiosk-revoked', status: 403 });
+    expect(store.venue().spins).toHaveLength(0);
+  });
+
+  it('refuses a spin that names no venue', async () => {
+    const svc = createSpinService({ store: createMemoryStore(seed()), now: () => NOW });
+    await expect(svc.recordOfflineSpin(record, { kioskToken: KIOSK })).rejects.toMatchObject({ code: 'invalid-spin' });
+  });
+
+  it('checks the kiosk before looking at the booking', async () => {
+    const looked = [];
+    const bookingSource = { lookup: async (id) => { looked.push(id); return {}; } };
+    const svc = createSpinService({ store: createMemoryStore(seed()), bookingSource, now: () => NOW });
+    const stranger = newKioskCredential().token;
+    await expect(sync(svc, { ...record, bookingId: '..' }, stranger)).rejects.toMatchObject({ code: 'unauthorized' });
+    await expect(sync(svc, record, stranger)).rejects.toMatchObject({ code: 'unauthorized' });
+    expect(looked).toEqual([]);
+  });
+
+  it('refuses a kiosk registered at another venue', async () => {
+    const store = createMemoryStore({ ...seed(), venues: { uptown: { ...seed(), kiosks: {} } } });
+    const svc = createSpinService({ store, now: () => NOW });
+    await expect(svc.recordOfflineSpin(record, { venue: 'uptown', kioskToken: KIOSK })).rejects.toMatchObject({ code: 'unauthorized' });
+  });
+
+  it('hands registered kiosks the rules to draw offline spins with', async () => {
+    const rules = [
+      { id: 'r1', name: 'Pity', enabled: true, type: 'pity', streak: 3 },
+      { id: 'r2', name: 'Off', enabled: false, type: 'pity', streak: 3 },
+    ];
+    const store = createMemoryStore({ ...seed(), rules });
+    store.venue().settings.set('ruleState', { consolationStreak: 2 });
+    const svc = createSpinService({ store, now: () => NOW });
+    expect(await svc.kioskRules({ kioskToken: KIOSK })).toEqual({ rules: [rules[0]], state: { consolationStreak: 2 } });
+    await expect(svc.kioskRules({ kioskToken: newKioskCredential().token })).rejects.toMatchObject({ code: 'unauthorized' });
+  });
+
+  it('returns the first result when a sync is retried', async () => {
+    const store = createMemoryStore(seed());
+    const svc = createSpinService({ store, now: () => NOW });
+    const first = await sync(svc);
+    expect(await sync(svc)).toEqual(first);
+    expect(store.venue().spins).toHaveLength(1);
+  });
+
+  it('rejects a booking that spun online in the meantime', async () => {
+    const svc = service(seed());
+    await svc.spin('B1');
+    await expect(sync(svc)).rejects.toMatchObject({ code: 'already-used', status: 409 });
+  });
+
+  it('rejects a claim code that is already taken', async () => {
+    const svc = service({ ...seed(), bookings: { B1: {}, B2: {} } });
+    await sync(svc);
+    const second = { ...record, id: '5d1e3c2a-7b7f-4f0e-8d1b-9a2c4e6f8a00', bookingId: 'B2' };
+    await expect(sync(svc, second)).rejects.toMatchObject({ code: 'claim-code-taken' });
+  });
+
+  it('refuses malformed records and spins from the future', async () => {
+    const svc = service(seed());
+    await expect(sync(svc, { ...record, id: 'x' })).rejects.toMatchObject({ code: 'invalid-spin' });
+    await expect(sync(svc, { ...record, claimCode: 'nope' })).rejects.toMatchObject({ code: 'invalid-spin' });
+    await expect(sync(svc, { ...record, spunAt: '2025-01-02T00:00:00Z' })).rejects.toMatchObject({ code: 'invalid-spin' });
+  });
+
+  it('counts a late award toward the total only', async () => {
+    const store = createMemoryStore(seed());
+    store.venue().prizes[1] = { ...store.venue().prizes[1], awardedTotal: 2, awardedToday: 2, awardedDay: '2025-01-02' };
+    await sync(createSpinService({ store, now: () => new Date('2025-01-02T05:00:00Z') }));
+    expect(store.venue().prizes[1]).toMatchObject({ awardedTotal: 3, awardedToday: 2, awardedDay: '2025-01-02' });
+  });
+});
+
+describe('stream spins', () => {
+  function streamService(prizes = [{ id: 'a', label: 'A', probability: 100 }]) {
+    const store = createMemoryStore({ prizes });
+    return { store, ...createSpinService({ store, randomInt: () => 0, now: () => NOW }) };
+  }
+
+  it('spins for the requester and records the outcome on the request', async () => {
+    const { store, streamSpin } = streamService();
+    const outcome = await streamSpin({ id: 'gift-1', requester: '  kenji ' });
+    expect(outcome).toMatchObject({ spinId: 'stream-gift-1', bookingId: null, prizeId: 'a', requester: 'kenji' });
+    expect(store.venue().spins[0]).toMatchObject({ requester: 'kenji', stream: true });
+    expect(store.venue().spinRequests.get('gift-1')).toMatchObject({ status: 'done', spinId: 'stream-gift-1', prizeLabel: 'A' });
+  });
+
+  it('returns the first result when a request is sent again', async () => {
+    const { store, streamSpin } = streamService();
+    const first = await streamSpin({ id: 'gift-1', requester: 'kenji' });
+    expect(await streamSpin({ id: 'gift-1', requester: 'kenji' })).toEqual(first);
+    expect(store.venue().spins).toHaveLength(1);
+  });
+
+  it('marks a request that cannot be played as failed', async () => {
+    const { store, streamSpin } = streamService([{ id: 'a', label: 'A', probability: 100, totalStock: 0 }]);
+    await expect(streamSpin({ id: 'gift-1', requester: 'kenji' })).rejects.toMatchObject({ code: 'out-of-stock' });
+    expect(store.venue().spinRequests.get('gift-1')).toMatchObject({ status: 'failed', error: 'out-of-stock' });
+  });
+
+  it('refuses requests without a usable id or name', async () => {
+    const { streamSpin } = streamService();
+    await expect(streamSpin({ id: 'a/b', requester: 'kenji' })).rejects.toMatchObject({ code: 'invalid-request' });
+    await expect(streamSpin({ id: 'gift-1', requester: ' ' })).rejects.toMatchObject({ code: 'invalid-request' });
+  });
+});
+
+describe('display sessions', () => {
+  it('publishes the spin to the paired displays', async () => {
+    const store = createMemoryStore({ prizes: [{ id: 'a', label: 'A', probability: 100 }], bookings: { B1: {}, B2: {} } });
+    let n = 0;
+    const { spin } = createSpinService({ store, randomInt: () => n++ % 31, now: () => NOW });
+    const outcome = await spin('B1', undefined, { displaySession: 'k7qm3x' });
+    expect(store.state.displaySessions.get('K7QM3X')).toEqual({
+      venueId: 'default', spinId: outcome.spinId, prizeId: 'a', prizeLabel: 'A', campaignId: null, at: NOW,
+    });
+    await spin('B2', undefined, { displaySession: 'not a code' });
+    expect(store.state.displaySessions.size).toBe(1);
+  });
+
+  it("leaves another venue's displays alone", async () => {
+    const prizes = [{ id: 'a', label: 'A', probability: 100 }];
+    const store = createMemoryStore({ prizes, bookings: { B1: {} }, venues: { uptown: { prizes, bookings: { U1: {}, U2: {} } } } });
+    let n = 0;
+    const { spin } = createSpinService({ store, randomInt: () => n++ % 31, now: () => NOW });
+    const first = await spin('U1', undefined, { displaySession: 'K7QM3X', venue: 'uptown' });
+    const other = await spin('B1', undefined, { displaySession: 'K7QM3X' });
+    expect(other.spinId).toBeTruthy();
+    expect(store.state.displaySessions.get('K7QM3X')).toMatchObject({ venueId: 'uptown', spinId: first.spinId });
+    const next = await spin('U2', undefined, { displaySession: 'K7QM3X', venue: 'uptown' });
+    expect(store.state.displaySessions.get('K7QM3X')).toMatchObject({ venueId: 'uptown', spinId: next.spinId });
+  });
+});
+
+describe('venues', () => {
+  const seed = () => ({
+    prizes: [{ id: 'a', label: 'A', probability: 100 }],
+    venues: { uptown: { prizes: [{ id: 'u', label: 'Uptown prize', probability: 100, totalStock: 1 }], bookings: { B1: {}, B2: {}, B9: {} } } },
+    bookings: { B3: {}, B9: {} },
+  });
+
+  it("spins on the named venue's wheel and records the spin there", async () => {
+    const store = createMemoryStore(seed());
+    const { spin } = createSpinService({ store, randomInt: () => 0, now: () => NOW });
+    const outcome = await spin('B1', undefined, { venue: 'uptown' });
+    expect(outcome.prizeId).toBe('u');
+    expect(store.venue('uptown').spins).toHaveLength(1);
+    expect(store.venue('uptown').prizes[0].awardedTotal).toBe(1);
+    expect(store.venue().spins).toHaveLength(0);
+    // stock is the venue's own
+    await expect(spin('B2', undefined, { venue: 'uptown' })).rejects.toMatchObject({ code: 'out-of-stock' });
+    expect((await spin('B3')).prizeId).toBe('a');
+  });
+
+  it("only accepts a venue's own bookings, and uses them up there only", async () => {
+    const { spin, checkBooking } = createSpinService({ store: createMemoryStore(seed()), randomInt: () => 0, now: () => NOW });
+    await expect(checkBooking('B1')).rejects.toMatchObject({ code: 'not-found' });
+    await expect(spin('B3', undefined, { venue: 'uptown' })).rejects.toMatchObject({ code: 'not-found' });
+    expect((await spin('B9', undefined, { venue: 'uptown' })).prizeId).toBe('u');
+    expect((await spin('B9')).prizeId).toBe('a');
+    await expect(spin('B9')).rejects.toMatchObject({ code: 'already-used' });
+  });
+
+  it("checks booking IDs against each venue's own format", async () => {
+    const store = createMemoryStore({
+      prizes: [{ id: 'a', label: 'A', probability: 100 }],
+      bookingFormat: { pattern: '^BK-\\d{4}$', uppercase: true },
+      bookings: { 'BK-1234': {} },
+      venues: {
+        uptown: {
+          prizes: [{ id: 'u', label: 'Uptown prize', probability: 100 }],
+          bookingFormat: { checksum: 'luhn' },
+          bookings: { 79927398713: {}, 'bk-1234': {} },
+        },
+      },
+    });
+    const { spin, checkBooking } = createSpinService({ store, randomInt: () => 0, now: () => NOW });
+    expect(await checkBooking('bk-1234')).toMatchObject({ bookingId: 'BK-1234' });
+    await expect(checkBooking('79927398713')).rejects.toMatchObject({ code: 'invalid-format' });
+    // uptown holds IDs to its checksum instead
+    await expect(checkBooking('bk-1234', undefined, { venue: 'uptown' })).rejects.toMatchObject({ code: 'invalid-format' });
+    await expect(checkBooking('79927398714', undefined, { venue: 'uptown' })).rejects.toMatchObject({ code: 'invalid-format' });
+    expect((await spin('79927398713', undefined, { venue: 'uptown' })).prizeId).toBe('u');
+  });
+
+  it('refuses venues that do not exist', async () => {
+    const { spin, checkBooking, streamSpin } = createSpinService({ store: createMemoryStore(seed()), now: () => NOW });
+    await expect(spin('B1', undefined, { venue: 'nowhere' })).rejects.toMatchObject({ code: 'unknown-venue', status: 404 });
+    await expect(checkBooking('B1', undefined, { venue: '../x' })).rejects.toMatchObject({ code: 'unknown-venue' });
+    await expect(streamSpin({ id: 'gift-1', requester: 'kenji' }, { venue: 'nowhere' })).rejects.toMatchObject({ code: 'unknown-venue' });
+  });
+
+  it('uses the default venue for requests that name none', async () => {
+    const store = createMemoryStore({ venues: seed().venues });
+    const { spin } = createSpinService({ store, randomInt: () => 0, now: () => NOW, defaultVenue: 'uptown' });
+    expect((await spin('B1')).prizeId).toBe('u');
+  });
+});
+
+describe('prize rules', () => {
+  const prizes = [
+    { id: 'grand', label: 'Grand', probability: 10 },
+    { id: 'thanks', label: 'Thanks', probability: 90, consolation: true },
+  ];
+
+  // random() of 0.5 lands on the consolation prize unless the rules change the odds
+  function ruleService(rules) {
+    const store = createMemoryStore({ prizes, rules, bookings: { B1: { tier: 'Gold' }, B2: {}, B3: {} } });
+    let n = 0;
+    const service = createSpinService({ store, random: () => 0.5, randomInt: () => n++ % 32, now: () => NOW });
+    return { store, ...service };
+  }
+
+  it('applies the rules that match the spin and records them on it', async () => {
+    const { store, spin } = ruleService([
+      { id: 'vip', name: 'VIP', enabled: true, type: 'tierOdds', prizeId: 'grand', tiers: ['gold'], factor: 10 },
+      { id: 'third', name: 'Third spin', enabled: true, type: 'guarantee', prizeId: 'grand', nthSpin: 3, repeat: false },
+    ]);
+    expect((await spin('B1')).prizeId).toBe('grand');
+    expect((await spin('B2')).prizeId).toBe('thanks');
+    expect((await spin('B3')).prizeId).toBe('grand');
+    expect(store.venue().spins.map((s) => s.rules)).toEqual([['vip'], [], ['third']]);
+  });
+
+  it('keeps the consolation streak across spins for the pity rule', async () => {
+    const { store, spin } = ruleService([{ id: 'pity', name: 'Pity', enabled: true, type: 'pity', streak: 2 }]);
+    expect((await spin('B1')).prizeId).toBe('thanks');
+    expect((await spin('B2')).prizeId).toBe('thanks');
+    expect(store.venue().settings.get('ruleState')).toMatchObject({ consolationStreak: 2 });
+    expect((await spin('B3')).prizeId).toBe('grand');
+    expect(store.venue().settings.get('ruleState')).toMatchObject({ consolationStreak: 0 });
+  });
+
+  it('counts the spins of the day itself, not the prize counters', async () => {
+    const { store, spin } = ruleService([
+      { id: 'third', name: 'Third spin', enabled: true, type: 'guarantee', prizeId: 'grand', nthSpin: 3, repeat: false },
+    ]);
+    await spin('B1');
+    // the prize awarded so far was deleted and added again
+    store.venue().prizes[1] = { ...prizes[1] };
+    await spin('B2');
+    expect(store.venue().settings.get('ruleState')).toEqual({ consolationStreak: 2, day: '2025-01-01', spinsToday: 2 });
+    expect((await spin('B3')).prizeId).toBe('grand');
+  });
+});
+
+describe('winner messages', () => {
+  const seed = () => ({ prizes: [{ id: 'a', label: 'Free drink', labels: { id: 'Minuman gratis' }, probability: 100 }], bookings: { B1: {} } });
+
+  function notifying(notifier) {
+    const store = createMemoryStore(seed());
+    const waits = [];
+    const spinService = createSpinService({
+      store, randomInt: () => 0, now: () => NOW, notifier,
+      notifyRetryDelays: [1000, 5000], sleep: async (ms) => { waits.push(ms); },
+    });
+    return { store, waits, ...spinService };
+  }
+
+  it('sends the message once the spin is recorded and stores the delivery status', async () => {
+    const notifier = createMockNotifier({ log: () => {} });
+    const { store, spin, checkBooking, settleNotifications } = notifying(notifier);
+    expect((await checkBooking('B1')).contactChannels).toEqual(['email', 'whatsapp']);
+    const outcome = await spin('B1', {}, { contact: ' sari@example.com ', language: 'id' });
+    expect(outcome.notification).toEqual({ channel: 'email', to: 's•••@example.com' });
+    expect(store.venue().contacts.get(outcome.spinId)).toEqual({ channel: 'email', to: 'sari@example.com' });
+    await settleNotifications();
+    expect(notifier.sent).toHaveLength(1);
+    expect(notifier.sent[0]).toMatchObject({ to: 'sari@example.com', spinId: outcome.spinId, subject: 'Anda memenangkan Minuman gratis!' });
+    expect(store.venue().spins[0].notification).toMatchObject({ channel: 'email', language: 'id', status: 'sent', attempts: 1, error: null });
+  });
+
+  it('keeps the full address off the spin, and only until delivery is over', async () => {
+    const { store, spin, settleNotifications } = notifying(createMockNotifier({ log: () => {} }));
+    await spin('B1', {}, { contact: 'sari@example.com' });
+    expect(JSON.stringify(store.venue().spins[0])).not.toContain('sari@');
+    await settleNotifications();
+    expect(store.venue().contacts.size).toBe(0);
+  });
+
+  it('retries failed deliveries and then gives up', async () => {
+    const { store, waits, spin, settleNotifications } = notifying(createMockNotifier({ failures: 5, log: () => {} }));
+    await spin('B1', {}, { contact: '0812-3456-7890' });
+    await settleNotifications();
+    expect(waits).toEqual([1000, 5000]);
+    expect(store.venue().spins[0].notification).toMatchObject({ channel: 'whatsapp', to: '08•••••7890', status: 'failed', attempts: 3 });
+    expect(store.venue().contacts.size).toBe(0);
+  });
+
+  it('refuses a contact it cannot use before the booking is spent', async () => {
+    const { spin } = notifying(createMockNotifier({ log: () => {} }));
+    await expect(spin('B1', {}, { contact: 'not a contact' })).rejects.toMatchObject({ code: 'invalid-contact', status: 400 });
+    const { spin: spinWithout } = service(seed());
+    await expect(spinWithout('B1', {}, { contact: 'sari@example.com' })).rejects.toMatchObject({ code: 'contact-unsupported' });
+    expect((await spin('B1')).notification).toBeNull();
+  });
+});
@@ -1,63 +1,104 @@
 import React, { useEffect, useState, useRef } from 'react';
-import { initializeApp } from 'firebase/app';
-import {
-  getFirestore,
-  collection,
-  doc,
-  query,
-  orderBy,
-  addDoc,
-  updateDoc,
-  deleteDoc,
-  onSnapshot,
-  Timestamp
-} from 'firebase/firestore';
-import { Wheel } from 'react-custom-roulette';
-
-// --------- CONFIG - Vite env (VITE_ prefix)
-const firebaseConfig = {
-  apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
-  authDomain: import.meta.env.VITE_FIREBASE_AUTH_DOMAIN,
-  projectId: import.meta.env.VITE_FIREBASE_PROJECT_ID,
-  storageBucket: import.meta.env.VITE_FIREBASE_STORAGE_BUCKET,
-  messagingSenderId: import.meta.env.VITE_FIREBASE_MESSAGING_SENDER_ID,
-  appId: import.meta.env.VITE_FIREBASE_APP_ID,
-};
-
-const ADMIN_LOGS_PASSWORD = import.meta.env.VITE_ADMIN_LOGS_PASSWORD || 'secret123';
-const ADMIN_PRIZES_PASSWORD = import.meta.env.VITE_ADMIN_PRIZES_PASSWORD || 'supersecret123';
-
-// Init Firebase
-const app = initializeApp(firebaseConfig);
-const db = getFirestore(app);
+import { checkBooking, requestSpin, SpinApiError } from './api';
+import { useAuth, signIn, signOut, canViewLogs, canEditPrizes, isSuperAdmin } from './auth';
+import { useKiosk, useKioskRules } from './kiosk';
+import { registerKiosk } from './kiosks';
+import { useSpinQueue } from './spinQueue';
+import { useWheelConfig } from './wheelConfig';
+import { useDisplayPairing } from './display';
+import { useTheme, useThemeSounds } from './theme';
+import { VENUE_ID, venueUrl } from './venue';
+import { DEFAULT_TIME_ZONE, dayKey } from './lib/time';
+import { resolvePrizeSet } from './lib/campaigns';
+import { wheelSlices } from './lib/prizeSelection';
+import { createOfflineSpin } from './lib/offlineSpins';
+import { normalizeContact } from './lib/contact';
+import { readableTextColor } from './lib/contrast';
+import { useDialogs } from './dialogs';
+import { useReducedMotion } from './motion';
+import AdminTabs from './components/AdminTabs';
+import BookingForm from './components/BookingForm';
+import CampaignManager from './components/CampaignManager';
+import PrizeEditor from './components/PrizeEditor';
+import SpinLogs from './components/SpinLogs';
+import RedeemClaim from './components/RedeemClaim';
+import PrizeHistory from './components/PrizeHistory';
+import ClaimQrCode from './components/ClaimQrCode';
+import ResultModal from './components/ResultModal';
+import StatsPanel from './components/StatsPanel';
+import KioskPanel from './components/KioskPanel';
+import DisplayPanel from './components/DisplayPanel';
+import SpinReview from './components/SpinReview';
+import PrizeWheel from './components/PrizeWheel';
+import StreamQueue from './components/StreamQueue';
+import ThemeEditor from './components/ThemeEditor';
+import RuleEditor from './components/RuleEditor';
+import OddsSimulator from './components/OddsSimulator';
+import VenueOverview from './components/VenueOverview';
+import { LANGUAGES, prizeLabel, useI18n } from './i18n';
+
+const TIME_ZONE = import.meta.env.VITE_TIMEZONE || DEFAULT_TIME_ZONE;
+
+const KIOSK_EXIT_HOLD_MS = 3000;
+
+const SPIN_ERROR_CODES = [
+  'not-found', 'already-used', 'expired', 'no-prizes', 'no-active-campaign', 'out-of-stock',
+  'invalid-booking-id', 'invalid-format', 'unpaid', 'outside-campaign', 'cooldown', 'rate-limited', 'too-many-attempts',
+  'unknown-venue', 'invalid-contact', 'contact-unsupported',
+];
+
+const isNetworkError = (err) => err instanceof SpinApiError && err.code === 'network';
+
+function spinErrorMessage(err, t) {
+  if (err instanceof SpinApiError && SPIN_ERROR_CODES.includes(err.code)) return t(`errors.spin.${err.code}`);
+  console.error('Spin service request failed:', err);
+  return t('errors.spin.unavailable');
+}
 
 export default function App() {
   const [bookingIdInput, setBookingIdInput] = useState('');
   const [bookingId, setBookingId] = useState('');
-  const [prizes, setPrizes] = useState([]);
+  const [guestName, setGuestName] = useState(null);
+  // optional email or WhatsApp number for the winner message, on the channels the spin service sends to
+  const [contactInput, setContactInput] = useState('');
+  const [contactChannels, setContactChannels] = useState([]);
+  const { prizes, campaigns } = useWheelConfig();
+  const [now, setNow] = useState(() => new Date());
   const [spinning, setSpinning] = useState(false);
   const [result, setResult] = useState(null);
   const [resultIndex, setResultIndex] = useState(0);
-
-  const [adminLevel, setAdminLevel] = useState(0);
+  const [showResult, setShowResult] = useState(false);
+  // the spin's outcome, announced once the wheel stops on it
+  const pendingResult = useRef(null);
+  // read out by the live region: spin started, prize won
+  const [announcement, setAnnouncement] = useState('');
+
+  const { user, role, venue: userVenue } = useAuth();
+  const [adminEmailInput, setAdminEmailInput] = useState('');
   const [adminPasswordInput, setAdminPasswordInput] = useState('');
-  const [prizePasswordInput, setPrizePasswordInput] = useState('');
+  const kiosk = useKiosk();
+  const queue = useSpinQueue(kiosk.token);
+  const kioskRules = useKioskRules(kiosk.token);
+  const display = useDisplayPairing();
+  // kiosk mode hides the admin area even if someone is still signed in
+  const isAdmin = canViewLogs(role) && !kiosk.enabled;
+  const exitHold = useRef(null);
 
-  const [logs, setLogs] = useState([]);
   const [allowSpin, setAllowSpin] = useState(false);
 
-  const [language, setLanguage] = useState('en'); // 'en' or 'id'
-
-  const [currentPage, setCurrentPage] = useState(1);
-  const pageSize = 10;
+  const { t, language, setLanguage } = useI18n();
+  const dialogs = useDialogs();
+  const { reduced: reducedMotion, setReduced: setReducedMotion } = useReducedMotion();
 
-  const spinAudio = useRef(new Audio('/sounds/spin.wav'));
-  const winAudio = useRef(new Audio('/sounds/win.wav'));
+  const theme = useTheme();
+  const { playSpin, stopSpin, playWin } = useThemeSounds();
 
   // --- Background handling
+  const { backgroundUrl } = theme;
   useEffect(() => {
     const base = (import.meta && import.meta.env && import.meta.env.BASE_URL) ? import.meta.env.BASE_URL : '/';
-    const bgPath = `${base.replace(/\/$/, '')}/bg.jpg`.replace('//bg.jpg', '/bg.jpg');
+    // site-relative theme images follow the app's base path
+    const bgPath = backgroundUrl.startsWith('/') ? `${base.replace(/\/$/, '')}${backgroundUrl}` : backgroundUrl;
 
     const htmlEl = document.documentElement;
     const bodyEl = document.body;
@@ -78,7 +119,7 @@ export default function App() {
     bodyEl.style.minHeight = '100vh';
     bodyEl.style.margin = '0';
     // keep the body background as a fallback but we'll also render a background div
-    bodyEl.style.backgroundImage = `url('${bgPath}')`;
+    bodyEl.style.backgroundImage = bgPath ? `url('${bgPath}')` : 'none';
     bodyEl.style.backgroundSize = 'cover';
     bodyEl.style.backgroundPosition = 'center center';
     bodyEl.style.backgroundRepeat = 'no-repeat';
@@ -94,166 +135,189 @@ export default function App() {
       bodyEl.style.backgroundRepeat = previous.bodyBgRepeat;
       bodyEl.style.backgroundAttachment = previous.bodyBgAttach;
     };
-  }, []);
-
-  // Weighted random selection
-  function pickPrizeByProbability(prizes) {
-    const total = prizes.reduce((s, p) => s + (p.probability || 0), 0);
-    if (total <= 0) {
-      const idx = Math.floor(Math.random() * prizes.length);
-      return { prize: prizes[idx], index: idx };
-    }
-    const r = Math.random() * total;
-    let acc = 0;
-    for (let i = 0; i < prizes.length; i++) {
-      acc += prizes[i].probability || 0;
-      if (r <= acc) return { prize: prizes[i], index: i };
-    }
-    return { prize: prizes[prizes.length - 1], index: prizes.length - 1 };
-  }
+  }, [backgroundUrl]);
 
-  // Load prizes
+  // Re-evaluate campaign windows every 30s so the wheel switches on time
+  // (paused mid-spin so the slices can't change under the animation)
   useEffect(() => {
-    const q = query(collection(db, 'prizes'));
-    const unsubscribe = onSnapshot(q, (snapshot) => {
-      const items = snapshot.docs.map((d) => ({ id: d.id, ...d.data() }));
-      const total = items.reduce((s, x) => s + (x.probability || 0), 0);
-      if (total === 0 && items.length > 0) {
-        items.forEach((it) => (it.probability = 1));
-      }
-      setPrizes(items);
-    });
-    return () => unsubscribe();
-  }, []);
-
-  // Load spin logs
-  useEffect(() => {
-    const q = query(collection(db, 'spins'), orderBy('createdAt', 'desc'));
-    const unsubscribe = onSnapshot(q, (snapshot) => {
-      const entries = snapshot.docs.map((d) => ({ id: d.id, ...d.data() }));
-      setLogs(entries);
-      setCurrentPage(1);
-    });
-    return () => unsubscribe();
-  }, []);
-
-  function handleApplyBooking() {
-    const id = bookingIdInput.trim();
-    if (!id) return alert(language==='en' ? 'Booking ID is required' : 'ID Pemesanan dibutuhkan');
+    if (spinning) return;
+    const timer = setInterval(() => setNow(new Date()), 30000);
+    return () => clearInterval(timer);
+  }, [spinning]);
+
+  // Prize set of the live campaign, as the same slice list the spin service picks from
+  const { campaign: activeCampaign, prizes: campaignPrizes, closed: noActiveCampaign } = resolvePrizeSet(campaigns, prizes, now, TIME_ZONE);
+  const wheelPrizes = wheelSlices(campaignPrizes);
+
+  async function handleApplyBooking() {
+    let id = bookingIdInput.trim();
+    if (!id) return dialogs.alert(t('app.bookingIdRequired'));
+    let guest = null;
+    let channels = [];
+    try {
+      // the service answers with the ID in its canonical form (e.g. upper-cased)
+      const booking = await checkBooking(id);
+      id = booking.bookingId || id;
+      guest = booking.guestName || null;
+      channels = booking.contactChannels || [];
+    } catch (err) {
+      // offline kiosk: the booking is checked when the spin syncs
+      if (!(kiosk.enabled && isNetworkError(err))) return dialogs.alert(spinErrorMessage(err, t));
+    }
     setBookingId(id);
+    setGuestName(guest);
+    setContactChannels(channels);
+    setContactInput('');
     setBookingIdInput('');
     setAllowSpin(true);
     setResult(null);
   }
 
   async function handleSpin() {
-    if (!bookingId) return alert(language==='en' ? 'Please enter a Booking ID first' : 'Silakan masukkan ID Pemesanan terlebih dahulu');
-    if (prizes.length === 0) return alert(language==='en' ? 'No prizes configured' : 'Belum ada hadiah yang dikonfigurasi');
+    if (!bookingId) return dialogs.alert(t('app.enterBookingFirst'));
+    if (noActiveCampaign) return dialogs.alert(t('errors.spin.no-active-campaign'));
+    if (wheelPrizes.length === 0) return dialogs.alert(t('app.noPrizes'));
+    const contact = contactInput.trim() ? normalizeContact(contactInput) : null;
+    if (contactInput.trim() && !contact) return dialogs.alert(t('errors.spin.invalid-contact'));
+
+    // The spin service consumes the booking, picks the prize and logs the spin;
+    // the wheel only animates to the slice it tells us.
+    let outcome;
+    setAllowSpin(false);
+    try {
+      outcome = await requestSpin(bookingId, display.code, { contact: contact?.to, language });
+    } catch (err) {
+      if (kiosk.enabled && isNetworkError(err)) {
+        outcome = await spinOffline(bookingId);
+      } else {
+        dialogs.alert(spinErrorMessage(err, t));
+      }
+    }
+    if (!outcome) return setBookingId('');
+
+    const index = wheelPrizes.findIndex((p) => p.id === outcome.prizeId);
+    const selected = {
+      ...(wheelPrizes[index] || { id: outcome.prizeId, label: outcome.prizeLabel }),
+      claimCode: outcome.claimCode,
+      offline: !!outcome.offline,
+      notifyTo: outcome.notification?.to || null, // masked by the spin service
+    };
+
+    pendingResult.current = selected;
+
+    // The prize list changed between our snapshot and the spin: landing on any
+    // slice would show the wrong prize, so announce the result without the animation
+    if (index < 0) {
+      console.warn(`Prize ${outcome.prizeId} is not on the wheel; skipping the animation`);
+      return revealResult();
+    }
+    // reduced motion: straight to the result
+    if (reducedMotion) return revealResult();
 
-    const { prize: selected, index } = pickPrizeByProbability(prizes);
     setSpinning(true);
+    setAnnouncement(t('a11y.spinningAnnouncement'));
     setResult(null);
     setResultIndex(index);
+    playSpin();
+  }
 
-    spinAudio.current.loop = true;
-    spinAudio.current.currentTime = 0;
-    spinAudio.current.playbackRate = 3;
-    spinAudio.current.play();
-
-    const spinDuration = 7000;
-
-    setTimeout(async () => {
-      await recordSpin(selected);
-      setResult(selected);
-      setSpinning(false);
-      setAllowSpin(false);
-      setBookingId('');
-
-      spinAudio.current.pause();
-      spinAudio.current.loop = false;
-      spinAudio.current.currentTime = 0;
-
-      winAudio.current.currentTime = 0;
-      winAudio.current.play();
-
-      alert(language==='en'
-        ? `🎉 YOU WON: ${selected.label}
-Please take a screenshot to claim your prize.`
-        : `🎉 ANDA MENANG: ${selected.label}
-Silakan screenshot untuk klaim hadiah.`);
-    }, spinDuration);
+  // The wheel has stopped (or there is nothing to animate): announce the pending result
+  function revealResult() {
+    const selected = pendingResult.current;
+    pendingResult.current = null;
+    setSpinning(false);
+    stopSpin();
+    if (!selected) return;
+
+    setResult(selected);
+    setShowResult(true);
+    setAnnouncement(t('a11y.wonAnnouncement', { prize: prizeLabel(selected, language), code: selected.claimCode }));
+    setAllowSpin(false);
+    setBookingId('');
+    setContactInput('');
+    playWin();
   }
 
-  async function recordSpin(selectedPrize) {
+  // Kiosk without the spin service: pick from the cached wheel and queue the spin
+  // on this device until it syncs (src/spinQueue.js). Resolves to null on failure.
+  async function spinOffline(id) {
+    if (queue.pending.some((r) => r.bookingId === id)) {
+      dialogs.alert(t('errors.spin.already-used'));
+      return null;
+    }
+    const day = dayKey(new Date(), TIME_ZONE);
+    const record = createOfflineSpin({
+      id: crypto.randomUUID(),
+      venue: VENUE_ID,
+      bookingId: id,
+      slices: wheelPrizes,
+      rules: kioskRules.rules,
+      state: kioskRules.state,
+      day,
+      now: new Date(),
+    });
+    if (!record) {
+      dialogs.alert(t('errors.spin.out-of-stock'));
+      return null;
+    }
     try {
-      await addDoc(collection(db, 'spins'), {
-        bookingId,
-        prizeId: selectedPrize.id,
-        prizeLabel: selectedPrize.label,
-        createdAt: Timestamp.now(),
-      });
+      await queue.enqueue(record);
     } catch (err) {
-      console.error('Failed to record spin:', err);
+      console.error('Queueing offline spin failed:', err);
+      dialogs.alert(t('errors.spin.unavailable'));
+      return null;
     }
+    kioskRules.afterSpin(wheelPrizes.find((p) => p.id === record.prizeId), day);
+    return { ...record, offline: true };
   }
 
-  function handleAdminLogin() {
-    if (adminPasswordInput === ADMIN_LOGS_PASSWORD) setAdminLevel(1);
-    else alert(language==='en' ? 'Wrong admin password' : 'Password admin salah');
-    setAdminPasswordInput('');
+  // Hidden exit from kiosk mode: hold the title, then enter the exit key
+  function startExitHold() {
+    if (!kiosk.enabled) return;
+    exitHold.current = setTimeout(async () => {
+      const key = await dialogs.prompt(t('kiosk.exitPrompt'), { secret: true });
+      if (key !== null && key === kiosk.exitKey) kiosk.stop();
+    }, KIOSK_EXIT_HOLD_MS);
   }
 
-  function handlePrizeLogin() {
-    if (prizePasswordInput === ADMIN_PRIZES_PASSWORD) setAdminLevel(2);
-    else alert(language==='en' ? 'Wrong prize password' : 'Password hadiah salah');
-    setPrizePasswordInput('');
+  function cancelExitHold() {
+    clearTimeout(exitHold.current);
   }
 
-  async function adminAddPrize() {
-    const label = prompt(language==='en' ? 'Prize label?' : 'Label hadiah?');
-    if (!label) return;
-    const probStr = prompt(language==='en' ? 'Probability percent?' : 'Persentase probabilitas?');
-    const prob = parseFloat(probStr);
-    if (isNaN(prob) || prob <= 0) return alert(language==='en' ? 'invalid probability' : 'probabilitas tidak valid');
+  // Registers this tablet with the venue while still signed in, then locks it down
+  async function startKiosk({ name, exitKey }) {
+    let token;
     try {
-      await addDoc(collection(db, 'prizes'), { label, probability: prob });
+      token = await registerKiosk(name, user.email);
     } catch (err) {
-      console.error(err);
+      console.error('Registering the kiosk failed:', err);
+      return dialogs.alert(t('kiosk.registerFailed'));
     }
+    await signOut();
+    kiosk.start(token, exitKey);
   }
 
-  async function adminEditPrize(prize) {
-    const label = prompt(language==='en' ? 'Prize label?' : 'Label hadiah?', prize.label);
-    if (!label) return;
-    const probStr = prompt(language==='en' ? 'Probability percent?' : 'Persentase probabilitas?', String(prize.probability || 0));
-    const prob = parseFloat(probStr);
-    if (isNaN(prob) || prob < 0) return alert(language==='en' ? 'invalid probability' : 'probabilitas tidak valid');
+  async function handleAdminLogin(e) {
+    e.preventDefault();
     try {
-      const ref = doc(db, 'prizes', prize.id);
-      await updateDoc(ref, { label, probability: prob });
+      await signIn(adminEmailInput.trim(), adminPasswordInput);
+      setAdminEmailInput('');
     } catch (err) {
-      console.error(err);
+      console.error('Admin sign-in failed:', err);
+      dialogs.alert(t('auth.wrongCredentials'));
     }
+    setAdminPasswordInput('');
   }
 
-  async function adminDeletePrize(prize) {
-    if (!window.confirm(language==='en' ? 'Delete this prize?' : 'Hapus hadiah ini?')) return;
-    try {
-      await deleteDoc(doc(db, 'prizes', prize.id));
-    } catch (err) {
-      console.error(err);
-    }
+  async function handleAdminLogout() {
+    await signOut();
+    setAdminEmailInput('');
+    setAdminPasswordInput('');
   }
 
-  const totalPages = Math.ceil(logs.length / pageSize);
-  const paginatedLogs = logs.slice((currentPage-1)*pageSize, currentPage*pageSize);
-
-  // Helper for outline style — white text with optional dark stroke for readability
-  const textOutlineStyle = (strokeColor = '#000000') => ({
-    color: 'white',
-    WebkitTextStroke: `1px ${strokeColor}`,
-    textStroke: `1px ${strokeColor}`
-  });
+  const spinLocked = spinning || !allowSpin || noActiveCampaign;
+  // why the button is off, in words rather than only its grey colour
+  const spinHint = !spinning && !allowSpin && !noActiveCampaign ? t('a11y.spinHint') : '';
 
   return (
     <div className="relative min-h-screen w-full font-sans">
@@ -262,7 +326,7 @@ Silakan screenshot untuk klaim hadiah.`);
       <div
         className="absolute inset-0 z-0"
         style={{
-          backgroundImage: "url('/bg.jpg')",
+          backgroundImage: backgroundUrl ? `url('${backgroundUrl}')` : 'none',
           backgroundSize: 'cover',
           backgroundPosition: 'center center',
           backgroundAttachment: 'fixed',
@@ -275,146 +339,203 @@ Silakan screenshot untuk klaim hadiah.`);
       <div
         className="absolute inset-0 z-10"
         style={{
-          backgroundColor: 'rgba(0,0,0,0.72)', // slightly less transparent -> darker overlay
+          backgroundColor: `rgba(0,0,0,${theme.backgroundDim})`, // darker overlay -> clearer white text
           backdropFilter: 'blur(4px)'
         }}
       />
 
 
-      {/* content wrapper: all text forced white */}
+      {/* content wrapper: white text, on the dark .readable-panel backing wherever it sits over the image */}
       <div
         className="relative z-20 w-full max-w-4xl px-4 pt-16 pb-8 text-white"
         style={{ paddingTop: '1rem', color: '#ffffff' }}
       >
-        {/* simplified header per your request (no items-center, no justify-between) */}
-        <header className="flex flex-col sm:flex-row w-full mb-6">
-          <h1 className="text-3xl font-bold mb-3 sm:mb-0 leading-tight" style={textOutlineStyle('#000000')}>
-            {language==='en' ? 'Millennium TikTok Spin' : 'Putar TikTok Millennium'}
+        {/* spin progress and the prize won, for screen readers */}
+        <div role="status" aria-live="polite" className="sr-only">{announcement}</div>
+
+        <header className="readable-panel flex flex-col sm:flex-row w-full mb-6">
+          <h1
+            className="text-3xl font-bold mb-3 sm:mb-0 leading-tight select-none"
+            onPointerDown={startExitHold}
+            onPointerUp={cancelExitHold}
+            onPointerLeave={cancelExitHold}
+          >
+            {theme.logoUrl && <img src={theme.logoUrl} alt="" className="inline-block h-10 mr-2 align-middle" />}
+            {theme.title || t('app.title')}
           </h1>
           <div className="flex items-center gap-2">
             <select
               value={language}
               onChange={(e) => setLanguage(e.target.value)}
+              aria-label={t('app.language')}
               className="px-2 py-1 rounded border bg-gray-700 text-white"
               style={{ color: '#000000ff' }}
             >
-              <option value="en">English</option>
-              <option value="id">Bahasa Indonesia</option>
+              {Object.entries(LANGUAGES).map(([code, { name }]) => (
+                <option key={code} value={code}>{name}</option>
+              ))}
             </select>
 
-            {adminLevel === 0 ? (
-              <div className="flex gap-2">
+            <button
+              onClick={() => setReducedMotion(!reducedMotion)}
+              aria-pressed={reducedMotion}
+              className="px-2 py-1 rounded text-sm"
+              style={{ backgroundColor: '#374151', color: '#ffffff' }}
+            >
+              {reducedMotion ? '☑' : '☐'} {t('a11y.reduceMotion')}
+            </button>
+
+            {kiosk.enabled ? (
+              !queue.online && (
+                <span className="px-2 py-1 rounded text-sm" style={{ backgroundColor: '#b91c1c', color: '#ffffff' }}>{t('kiosk.offlineBadge')}</span>
+              )
+            ) : !user ? (
+              <form onSubmit={handleAdminLogin} className="flex gap-2">
                 <input
-                  placeholder={language==='en' ? "Admin password" : "Password admin"}
+                  type="email"
+                  placeholder={t('auth.email')}
+                  aria-label={t('auth.email')}
+                  autoComplete="username"
+                  value={adminEmailInput}
+                  onChange={(e) => setAdminEmailInput(e.target.value)}
+                  className="border px-2 py-1 rounded text-white bg-gray-800 placeholder-white"
+                />
+                <input
+                  type="password"
+                  placeholder={t('auth.password')}
+                  aria-label={t('auth.password')}
+                  autoComplete="current-password"
                   value={adminPasswordInput}
                   onChange={(e) => setAdminPasswordInput(e.target.value)}
                   className="border px-2 py-1 rounded text-white bg-gray-800 placeholder-white"
                 />
-                <button onClick={handleAdminLogin} className="px-3 py-1 bg-indigo-600 text-white rounded">
-                  {language==='en' ? 'Admin' : 'Admin'}
+                <button type="submit" className="px-3 py-1 rounded" style={{ backgroundColor: '#4338ca', color: '#ffffff' }}>
+                  {t('auth.signIn')}
                 </button>
-              </div>
+              </form>
             ) : (
-              <button onClick={() => setAdminLevel(0)} className="px-3 py-1 bg-red-500 text-white rounded">
-                {language==='en' ? 'Exit Admin' : 'Keluar Admin'}
-              </button>
+              <div className="flex items-center gap-2">
+                {!isAdmin && (
+                  <span className="text-sm" style={{ color: '#ffffff' }}>
+                    {userVenue && userVenue !== VENUE_ID ? (
+                      <a href={venueUrl('/', {}, userVenue)} className="underline">{t('auth.otherVenue', { venue: userVenue })}</a>
+                    ) : t('auth.noAdminRole')}
+                  </span>
+                )}
+                <button onClick={handleAdminLogout} className="px-3 py-1 rounded" style={{ backgroundColor: '#b91c1c', color: '#ffffff' }}>
+                  {t('auth.logOut')}
+                </button>
+              </div>
             )}
           </div>
         </header>
 
-        {adminLevel === 0 && (
-          <main className="flex flex-col items-center w-full max-w-2xl">
-            <div className="mb-6 w-full">
-              <label className="block mb-1 font-medium" style={{ ...textOutlineStyle('#ffffffff'), color: '#ffffffff' }}>
-                {language==='en' ? 'Booking ID:' : 'ID Pemesanan:'}
-              </label>
-              <div className="flex gap-2">
-                <input
-                  value={bookingIdInput}
-                  onChange={(e) => setBookingIdInput(e.target.value)}
-                  placeholder={language==='en' ? "Enter booking id" : "Masukkan ID pemesanan"}
-                  className="flex-1 border px-2 py-2 rounded text-white bg-gray-800 placeholder-white"
-                />
-                <button onClick={handleApplyBooking} className="px-4 py-2 bg-green-600 text-white rounded">
-                  {language==='en' ? 'Apply' : 'Terapkan'}
-                </button>
-              </div>
-              {bookingId && (
-                <div className="mt-2 text-sm font-medium" style={textOutlineStyle('#000000')}>
-                  {language==='en' ? 'Current Booking ID:' : 'ID Pemesanan Saat Ini:'} <strong>{bookingId}</strong>
-                </div>
-              )}
-            </div>
+        {!isAdmin && (
+          <main className="readable-panel flex flex-col items-center w-full max-w-2xl">
+            <BookingForm
+              bookingIdInput={bookingIdInput}
+              onBookingIdInput={setBookingIdInput}
+              onApply={handleApplyBooking}
+              bookingId={bookingId}
+              guestName={guestName}
+              contactChannels={contactChannels}
+              contactInput={contactInput}
+              onContactInput={setContactInput}
+            />
+
+            {activeCampaign && (
+              <div className="mb-2 text-lg font-semibold">{activeCampaign.name}</div>
+            )}
 
             <div className="w-full max-w-full max-h-[80vw] min-h-[300px] h-auto relative">
-              {prizes.length > 0 ? (
-                <Wheel
+              {noActiveCampaign ? (
+                <div className="flex flex-col items-center justify-center h-80 text-center">
+                  <span className="text-xl font-semibold" style={{ color: '#ffffff' }}>
+                    {t('app.noActiveCampaign')}
+                  </span>
+                  <span className="mt-2 text-sm" style={{ color: '#ffffff' }}>
+                    {t('app.noActiveCampaignHint')}
+                  </span>
+                </div>
+              ) : wheelPrizes.length > 0 ? (
+                <PrizeWheel
                   mustStartSpinning={spinning}
-                  prizeNumber={resultIndex >= 0 ? resultIndex : 0}
-                  data={prizes.filter((p) => p.label).map((p) => ({ option: p.label }))}
-                  onStopSpinning={() => setSpinning(false)}
-                  backgroundColors={['#FFDD57', '#FF6B6B', '#6BCB77', '#4D96FF', '#FF8C42']}
-                  textColors={['#ffffff']}
-                  outerBorderColor="#ccc"
-                  outerBorderWidth={5}
-                  radiusLineColor="#fff"
-                  radiusLineWidth={2}
-                  fontSize={14}
+                  prizeNumber={resultIndex}
+                  slices={wheelPrizes}
+                  onStopSpinning={revealResult}
                 />
               ) : (
                 <div className="flex items-center justify-center h-80">
-                  <span style={{ color: '#ffffff' }}>{language==='en' ? 'No prizes configured' : 'Belum ada hadiah'}</span>
+                  <span style={{ color: '#ffffff' }}>{t('app.noPrizes')}</span>
                 </div>
               )}
             </div>
 
-            <div className="mt-6">
+            <div className="mt-6 text-center">
               <button
                 onClick={handleSpin}
-                disabled={spinning || !allowSpin}
-                className={`px-8 py-3 rounded text-white text-lg ${
-                  spinning || !allowSpin ? 'bg-gray-400' : 'bg-yellow-500'
-                }`}
+                disabled={spinLocked}
+                aria-describedby={spinHint ? 'spin-hint' : undefined}
+                className="px-8 py-3 rounded text-lg"
+                style={spinLocked
+                  ? { backgroundColor: '#4b5563', color: '#ffffff', border: '2px dashed #d1d5db', cursor: 'not-allowed' }
+                  : { backgroundColor: theme.accentColor, color: readableTextColor(theme.accentColor) }}
               >
-                {spinning ? (language==='en' ? 'Spinning...' : 'Sedang berputar...') : (language==='en' ? 'SPIN' : 'PUTAR')}
+                {spinLocked && !spinning && <span aria-hidden="true">🔒 </span>}
+                {spinning ? t('app.spinning') : t('app.spin')}
               </button>
+              {spinHint && <div id="spin-hint" className="mt-2 text-sm">{spinHint}</div>}
             </div>
 
+            {result && showResult && <ResultModal result={result} onClose={() => setShowResult(false)} />}
+            {/* stays up after the modal closes, until the next booking */}
             {result && (
-              <div className="mt-6 p-4 bg-green-800 bg-opacity-80 border border-green-700 rounded text-center text-white">
+              <div className="mt-6 p-4 rounded text-center" style={{ backgroundColor: '#14532d', border: '1px solid #15803d', color: '#ffffff' }}>
                 <h3 className="font-semibold">
-                  {language==='en' ? 'You won:' : 'Anda menang:'}
+                  {t('app.youWon')}
                 </h3>
-                <div className="text-xl font-bold">{result.label}</div>
+                <div className="text-xl font-bold">{prizeLabel(result, language)}</div>
+                <div className="mt-3">
+                  <ClaimQrCode code={result.claimCode} />
+                  <div className="mt-2 text-2xl font-mono font-bold tracking-widest">{result.claimCode}</div>
+                </div>
                 <div className="text-sm mt-2">
-                  {language==='en' ? 'Please screenshot this screen to claim your prize.' : 'Silakan screenshot layar ini untuk klaim hadiah.'}
+                  {t('app.showClaimCode')}
                 </div>
+                {result.offline && (
+                  <div className="text-xs mt-2">{t('kiosk.offlineClaimNote')}</div>
+                )}
+                {result.notifyTo && (
+                  <div className="text-xs mt-2">{t('result.notifying', { contact: result.notifyTo })}</div>
+                )}
               </div>
             )}
 
             <div className="mt-6 text-xs text-white text-center">
-              {language==='en'
-                ? 'Each spin requires entering a booking ID. After one spin, you must apply another booking ID to spin again.'
-                : 'Setiap putaran membutuhkan ID pemesanan. Setelah satu putaran, masukkan ID baru untuk berputar lagi.'}
+              {t('app.spinRules')}
+              {/* a kiosk stays on the wheel */}
+              {!kiosk.enabled && (
+                <>
+                  {' '}
+                  <a href={venueUrl('/odds')} className="underline">{t('app.oddsLink')}</a>
+                </>
+              )}
             </div>
           </main>
         )}
 
-        {adminLevel >= 1 && (
+        {isAdmin && (
           <AdminPanel
             prizes={prizes}
-            logs={paginatedLogs}
-            totalPages={totalPages}
-            currentPage={currentPage}
-            setCurrentPage={setCurrentPage}
-            adminLevel={adminLevel}
-            prizePasswordInput={prizePasswordInput}
-            setPrizePasswordInput={setPrizePasswordInput}
-            onPrizeLogin={handlePrizeLogin}
-            onAddPrize={adminAddPrize}
-            onEditPrize={adminEditPrize}
-            onDeletePrize={adminDeletePrize}
-            language={language}
+            user={user}
+            canEditPrizes={canEditPrizes(role)}
+            superAdmin={isSuperAdmin(role)}
+            campaigns={campaigns}
+            now={now}
+            slices={wheelPrizes}
+            queue={queue}
+            display={display}
+            onStartKiosk={startKiosk}
           />
         )}
       </div>
@@ -422,118 +543,102 @@ Silakan screenshot untuk klaim hadiah.`);
   );
 }
 
-// AdminPanel component remains unchanged but inputs/buttons forced white where needed
+// AdminPanel: the tabbed admin area (AdminTabs), white text on a .readable-panel
 function AdminPanel({
   prizes,
-  logs,
-  totalPages,
-  currentPage,
-  setCurrentPage,
-  adminLevel,
-  prizePasswordInput,
-  setPrizePasswordInput,
-  onPrizeLogin,
-  onAddPrize,
-  onEditPrize,
-  onDeletePrize,
-  language
+  user,
+  canEditPrizes,
+  superAdmin,
+  campaigns,
+  now,
+  slices,
+  queue,
+  display,
+  onStartKiosk
 }) {
+  const { t } = useI18n();
+  const [tab, setTab] = useState('dashboard'); // 'dashboard' | 'stats' | 'simulator' | 'rules' | 'venues'
+  const [prizeCampaignId, setPrizeCampaignId] = useState(''); // '' = default prize set
+  const shownPrizes = prizes.filter((p) => (p.campaignId || '') === prizeCampaignId);
+
   return (
-    <div className="w-full max-w-4xl mt-6 text-white">
+    <div className="readable-panel w-full max-w-4xl mt-6 text-white">
       {/* All text inside now inherits white color */}
-      <h2 className="text-lg font-semibold mb-3" style={{ color: '#ffffff' }}>{language==='en' ? 'Admin Dashboard' : 'Dashboard Admin'}</h2>
-
-      {adminLevel === 1 && (
-        <div className="mb-4 flex gap-2">
-          <input
-            placeholder={language==='en' ? "Prize editor password" : "Password editor hadiah"}
-            value={prizePasswordInput}
-            onChange={(e) => setPrizePasswordInput(e.target.value)}
-            className="border px-2 py-1 rounded text-white bg-gray-800 placeholder-white"
-          />
-          <button onClick={onPrizeLogin} className="px-3 py-1 bg-indigo-600 text-white rounded">
-            {language==='en' ? 'Unlock Prize Editor' : 'Buka Editor Hadiah'}
-          </button>
-        </div>
-      )}
-
-      {adminLevel === 2 && (
-        <>
-          <div className="mb-4">
-            <button onClick={onAddPrize} className="px-3 py-1 bg-green-600 text-white rounded mr-2">
-              {language==='en' ? 'Add Prize' : 'Tambah Hadiah'}
-            </button>
-          </div>
-          <div className="overflow-x-auto">
-            <table className="w-full text-sm text-left border-collapse border border-gray-400" style={{ color: '#ffffff' }}>
-              <thead>
-                <tr className="bg-gray-700">
-                  <th className="border px-2 py-1">{language==='en' ? 'Label' : 'Label'}</th>
-                  <th className="border px-2 py-1">{language==='en' ? 'Probability' : 'Probabilitas'}</th>
-                  <th className="border px-2 py-1">{language==='en' ? 'Actions' : 'Aksi'}</th>
-                </tr>
-              </thead>
-              <tbody>
-                {prizes.map((p) => (
-                  <tr key={p.id} className="bg-gray-800">
-                    <td className="border px-2 py-1" style={{ color: '#ffffff' }}>{p.label}</td>
-                    <td className="border px-2 py-1" style={{ color: '#ffffff' }}>{p.probability}</td>
-                    <td className="border px-2 py-1 flex gap-2">
-                      <button onClick={() => onEditPrize(p)} className="px-2 py-1 bg-yellow-500 rounded text-white">
-                        {language==='en' ? 'Edit' : 'Edit'}
-                      </button>
-                      <button onClick={() => onDeletePrize(p)} className="px-2 py-1 bg-red-500 rounded text-white">
-                        {language==='en' ? 'Delete' : 'Hapus'}
-                      </button>
-                    </td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
+      <h2 className="text-lg font-semibold mb-3" style={{ color: '#ffffff' }}>{t('admin.dashboard')}</h2>
+
+      <AdminTabs
+        tabs={[
+          ['dashboard', t('admin.tabDashboard')],
+          ['stats', t('admin.tabStats')],
+          ['simulator', t('admin.tabSimulator')],
+          ...(canEditPrizes ? [['rules', t('admin.tabRules')]] : []),
+          ...(superAdmin ? [['venues', t('admin.tabVenues')]] : []),
+        ]}
+        selected={tab}
+        onSelect={setTab}
+      >
+        {tab === 'stats' && (
+          <StatsPanel prizes={prizes} campaigns={campaigns} timeZone={TIME_ZONE} />
+        )}
+
+        {tab === 'simulator' && (
+          <OddsSimulator prizes={prizes} campaigns={campaigns} timeZone={TIME_ZONE} />
+        )}
+
+        {tab === 'rules' && canEditPrizes && (
+          <RuleEditor prizes={prizes} campaigns={campaigns} slices={slices} timeZone={TIME_ZONE} user={user} />
+        )}
+
+        {tab === 'venues' && superAdmin && (
+          <VenueOverview user={user} timeZone={TIME_ZONE} />
+        )}
+
+        {tab === 'dashboard' && !canEditPrizes && (
+          <div className="mb-4 text-sm" style={{ color: '#ffffff' }}>
+            {t('admin.readOnly')}
           </div>
-        </>
-      )}
-
-      <div className="mt-6">
-        <h3 className="text-md font-semibold mb-2" style={{ color: '#ffffff' }}>{language==='en' ? 'Recent Spins' : 'Putaran Terbaru'}</h3>
-        <div className="overflow-x-auto">
-          <table className="w-full text-sm text-left border-collapse border border-gray-400" style={{ color: '#ffffff' }}>
-            <thead>
-              <tr className="bg-gray-700">
-                <th className="border px-2 py-1">Booking ID</th>
-                <th className="border px-2 py-1">{language==='en' ? 'Prize' : 'Hadiah'}</th>
-                <th className="border px-2 py-1">{language==='en' ? 'Date' : 'Tanggal'}</th>
-              </tr>
-            </thead>
-            <tbody>
-              {logs.map((log) => (
-                <tr key={log.id} className="bg-gray-800">
-                  <td className="border px-2 py-1" style={{ color: '#ffffff' }}>{log.bookingId}</td>
-                  <td className="border px-2 py-1" style={{ color: '#ffffff' }}>{log.prizeLabel}</td>
-                  <td className="border px-2 py-1" style={{ color: '#ffffff' }}>{log.createdAt?.toDate?.()?.toLocaleString() || ''}</td>
-                </tr>
-              ))}
-            </tbody>
-          </table>
-        </div>
-        <div className="mt-2 flex justify-between items-center">
-          <button
-            disabled={currentPage <= 1}
-            onClick={() => setCurrentPage(currentPage - 1)}
-            className="px-3 py-1 bg-gray-600 text-white rounded disabled:opacity-50"
-          >
-            {language==='en' ? 'Prev' : 'Sebelumnya'}
-          </button>
-          <span style={{ color: '#ffffff' }}>{currentPage} / {totalPages}</span>
-          <button
-            disabled={currentPage >= totalPages}
-            onClick={() => setCurrentPage(currentPage + 1)}
-            className="px-3 py-1 bg-gray-600 text-white rounded disabled:opacity-50"
-          >
-            {language==='en' ? 'Next' : 'Berikutnya'}
-          </button>
-        </div>
-      </div>
+        )}
+
+        {tab === 'dashboard' && canEditPrizes && (
+          <>
+            <div className="mb-4 flex items-center gap-2">
+              <label htmlFor="admin-prize-set" style={{ color: '#ffffff' }}>{t('common.prizeSet')}</label>
+              <select
+                id="admin-prize-set"
+                value={prizeCampaignId}
+                onChange={(e) => setPrizeCampaignId(e.target.value)}
+                className="px-2 py-1 rounded border bg-gray-700 text-white"
+              >
+                <option value="">{t('common.defaultPrizeSet')}</option>
+                {campaigns.map((c) => <option key={c.id} value={c.id}>{c.name}</option>)}
+              </select>
+            </div>
+            <PrizeEditor key={prizeCampaignId} prizes={shownPrizes} campaignId={prizeCampaignId || null} timeZone={TIME_ZONE} user={user} />
+
+            <CampaignManager campaigns={campaigns} now={now} timeZone={TIME_ZONE} />
+
+            <ThemeEditor slices={slices} user={user} />
+          </>
+        )}
+
+        {tab === 'dashboard' && (
+          <>
+            <KioskPanel queue={queue} user={user} onStart={onStartKiosk} />
+
+            <DisplayPanel display={display} />
+
+            <StreamQueue user={user} />
+
+            <RedeemClaim user={user} />
+
+            <SpinReview user={user} />
+
+            <SpinLogs prizes={prizes} campaigns={campaigns} timeZone={TIME_ZONE} />
+
+            <PrizeHistory prizes={prizes} campaigns={campaigns} user={user} canEditPrizes={canEditPrizes} />
+          </>
+        )}
+      </AdminTabs>
     </div>
   );
 }
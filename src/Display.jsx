@@ -0,0 +1,180 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { subscribeDisplaySession } from './display';
+import PrizeWheel from './components/PrizeWheel';
+import { useTheme, useThemeSounds } from './theme';
+import { useWheelConfig } from './wheelConfig';
+import { DEFAULT_TIME_ZONE } from './lib/time';
+import { resolvePrizeSet } from './lib/campaigns';
+import { wheelSlices } from './lib/prizeSelection';
+import { displayAction, normalizeDisplayCode } from './lib/displaySession';
+import { prizeLabel, useI18n } from './i18n';
+import { useDialogs } from './dialogs';
+
+const TIME_ZONE = import.meta.env.VITE_TIMEZONE || DEFAULT_TIME_ZONE;
+
+// spins older than this when they reach the display are shown without the animation
+const ANIMATE_WITHIN_MS = 5000;
+
+const outline = { color: '#ffffff', WebkitTextStroke: '1px #000000', textShadow: '0 2px 6px rgba(0,0,0,0.8)' };
+
+function codeFromUrl() {
+  return normalizeDisplayCode(new URLSearchParams(window.location.search).get('code'));
+}
+
+// Lobby display at /display?code=<session code>: replays the spins made on the
+// paired control screen (src/lib/displaySession.js) and keeps the latest result up
+export default function Display() {
+  const { t, language } = useI18n();
+  const dialogs = useDialogs();
+  const theme = useTheme();
+  const [code, setCode] = useState(codeFromUrl);
+  const [codeInput, setCodeInput] = useState('');
+
+  const { prizes, campaigns } = useWheelConfig();
+  const [now, setNow] = useState(() => new Date());
+  // { event, phase: 'ready' | 'spinning' | 'result' }, event as in subscribeDisplaySession
+  const [shown, setShown] = useState(null);
+  const [paired, setPaired] = useState(false);
+  const shownSpinId = useRef(null);
+  const firstLoad = useRef(true);
+  const spinningRef = useRef(false);
+  // a spin that arrives while the wheel is still turning waits for it to stop
+  const pending = useRef(null);
+
+  const { playSpin, stopSpin, playWin } = useThemeSounds();
+
+  const { campaign, prizes: campaignPrizes, closed } = resolvePrizeSet(campaigns, prizes, now, TIME_ZONE);
+  const wheelPrizes = wheelSlices(campaignPrizes);
+  const resultIndex = shown ? wheelPrizes.findIndex((p) => p.id === shown.event.prizeId) : -1;
+
+  useEffect(() => {
+    if (!code) return;
+    firstLoad.current = true;
+    shownSpinId.current = null;
+
+    function play(event, action) {
+      shownSpinId.current = event.spinId;
+      setNow(new Date());
+      setShown({ event, phase: action === 'animate' ? 'ready' : 'result' });
+    }
+
+    const unsubscribe = subscribeDisplaySession(code, (event) => {
+      setPaired(true);
+      const action = displayAction(event, shownSpinId.current, firstLoad.current, new Date(), ANIMATE_WITHIN_MS);
+      firstLoad.current = false;
+      if (action === 'none') return;
+      if (spinningRef.current) {
+        pending.current = { event, play };
+        return;
+      }
+      play(event, action);
+    }, (err) => {
+      console.error('Failed to load the display session:', err);
+      setPaired(false);
+    });
+    return () => unsubscribe();
+  }, [code]);
+
+  // Same campaign clock as the booking page, paused mid-spin
+  useEffect(() => {
+    if (shown?.phase === 'spinning') return;
+    const timer = setInterval(() => setNow(new Date()), 30000);
+    return () => clearInterval(timer);
+  }, [shown?.phase]);
+
+  // A prize that is not on this wheel (prizes edited meanwhile) is shown without the animation
+  useEffect(() => {
+    if (shown?.phase !== 'ready') return;
+    if (resultIndex < 0) {
+      setShown((s) => ({ ...s, phase: 'result' }));
+      return;
+    }
+    spinningRef.current = true;
+    playSpin();
+    setShown((s) => ({ ...s, phase: 'spinning' }));
+  }, [shown?.phase, resultIndex, playSpin]);
+
+  function handleStopSpinning() {
+    spinningRef.current = false;
+    stopSpin();
+    playWin();
+    setShown((s) => (s ? { ...s, phase: 'result' } : s));
+    if (pending.current) {
+      const { event, play } = pending.current;
+      pending.current = null;
+      play(event, 'animate');
+    }
+  }
+
+  function pair(e) {
+    e.preventDefault();
+    const next = normalizeDisplayCode(codeInput);
+    if (!next) return dialogs.alert(t('display.invalidCode'));
+    window.history.replaceState(null, '', `${window.location.pathname}?code=${next}`);
+    setCode(next);
+  }
+
+  const page = (content) => (
+    <div className="relative min-h-screen w-full font-sans">
+      <div
+        className="absolute inset-0 z-0"
+        style={{
+          backgroundImage: theme.backgroundUrl ? `url('${theme.backgroundUrl}')` : 'none',
+          backgroundSize: 'cover',
+          backgroundPosition: 'center center',
+          filter: 'brightness(0.55) saturate(0.95)'
+        }}
+      />
+      <div className="absolute inset-0 z-10" style={{ backgroundColor: `rgba(0,0,0,${theme.backgroundDim})` }} />
+      <div className="relative z-20 min-h-screen flex flex-col items-center justify-center gap-6 p-6">{content}</div>
+    </div>
+  );
+
+  if (!code) {
+    return page(
+      <form onSubmit={pair} className="flex flex-col items-center gap-3 text-center">
+        <div className="text-2xl font-semibold" style={outline}>{t('display.enterCode')}</div>
+        <input
+          value={codeInput}
+          onChange={(e) => setCodeInput(e.target.value)}
+          autoFocus
+          className="border px-3 py-2 rounded text-white bg-gray-800 text-2xl font-mono tracking-widest text-center uppercase"
+        />
+        <button type="submit" className="px-6 py-2 bg-indigo-600 text-white rounded text-lg">{t('display.pair')}</button>
+      </form>
+    );
+  }
+
+  const result = shown?.phase === 'result' && (wheelPrizes[resultIndex] || { label: shown.event.prizeLabel });
+
+  return page(
+    <>
+      <div className="flex items-center gap-3 text-4xl font-bold" style={outline}>
+        {theme.logoUrl && <img src={theme.logoUrl} alt="" className="h-14" />}
+        {theme.title || t('app.title')}
+      </div>
+      {campaign && <div className="text-2xl font-semibold" style={outline}>{campaign.name}</div>}
+
+      <div style={{ width: 'min(85vw, 70vh)' }}>
+        {closed ? (
+          <div className="text-2xl text-center" style={outline}>{t('app.noActiveCampaign')}</div>
+        ) : wheelPrizes.length > 0 && (
+          <PrizeWheel
+            mustStartSpinning={shown?.phase === 'spinning'}
+            prizeNumber={resultIndex}
+            slices={wheelPrizes}
+            onStopSpinning={handleStopSpinning}
+          />
+        )}
+      </div>
+
+      <div className="h-16 text-4xl font-bold text-center" style={{ ...outline, color: '#FFDD57' }}>
+        {result ? t('display.result', { prize: prizeLabel(result, language) }) : !shown && t('display.waiting')}
+      </div>
+
+      <div className="fixed bottom-2 right-3 text-sm" style={outline}>
+        {paired ? t('display.session', { code }) : t('display.connecting', { code })}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,136 @@
+import React, { useEffect, useState } from 'react';
+import { useTheme } from './theme';
+import { useWheelConfig } from './wheelConfig';
+import { venueUrl } from './venue';
+import { DEFAULT_TIME_ZONE, dayKey } from './lib/time';
+import { resolvePrizeSet } from './lib/campaigns';
+import { wheelSlices } from './lib/prizeSelection';
+import { isInStock } from './lib/stock';
+import { ruleOdds } from './lib/prizeRules';
+import { LANGUAGES, prizeLabel, useI18n } from './i18n';
+
+const TIME_ZONE = import.meta.env.VITE_TIMEZONE || DEFAULT_TIME_ZONE;
+const TERMS = ['booking', 'random', 'stock', 'consolation', 'promotions', 'claim', 'changes'];
+
+const percent = (v, locale) => v.toLocaleString(locale, { style: 'percent', maximumFractionDigits: 2 });
+
+// Odds & Terms at /odds: the chance of each prize on the live wheel, worked out
+// from the same prize data the spin service draws from, for customers to read
+// before they spin. Prize rules are private to the venue, so only their
+// existence is disclosed (terms.promotions).
+export default function Odds() {
+  const { t, language, locale, setLanguage } = useI18n();
+  const theme = useTheme();
+  const { prizes, campaigns } = useWheelConfig();
+  const [now, setNow] = useState(() => new Date());
+
+  // campaigns switch on the clock; prizes update live
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), 30000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const { campaign, prizes: campaignPrizes, closed } = resolvePrizeSet(campaigns, prizes, now, TIME_ZONE);
+  const slices = wheelSlices(campaignPrizes);
+  const day = dayKey(now, TIME_ZONE);
+  const { odds } = ruleOdds(slices, [], { day });
+  const formatDate = (date) => date.toLocaleString(locale, { timeZone: TIME_ZONE, dateStyle: 'medium', timeStyle: 'short' });
+  const stockText = (limit) => (typeof limit === 'number' ? limit.toLocaleString(locale) : t('common.unlimited'));
+
+  return (
+    <div className="relative min-h-screen w-full font-sans">
+      <div
+        className="absolute inset-0 z-0"
+        style={{
+          backgroundImage: theme.backgroundUrl ? `url('${theme.backgroundUrl}')` : 'none',
+          backgroundSize: 'cover',
+          backgroundPosition: 'center center',
+          filter: 'brightness(0.55) saturate(0.95)'
+        }}
+      />
+      <div className="absolute inset-0 z-10" style={{ backgroundColor: `rgba(0,0,0,${theme.backgroundDim})` }} />
+      <main className="relative z-20 mx-auto p-6" style={{ maxWidth: 760, color: '#ffffff' }}>
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <h1 className="text-2xl font-bold" style={{ margin: 0 }}>
+            {theme.logoUrl && <img src={theme.logoUrl} alt="" className="inline-block h-10 mr-2 align-middle" />}
+            {t('odds.title', { title: theme.title || t('app.title') })}
+          </h1>
+          <select
+            value={language}
+            onChange={(e) => setLanguage(e.target.value)}
+            aria-label={t('app.language')}
+            className="px-2 py-1 rounded border bg-gray-700 text-white"
+          >
+            {Object.entries(LANGUAGES).map(([code, { name }]) => (
+              <option key={code} value={code}>{name}</option>
+            ))}
+          </select>
+        </div>
+
+        <section className="mt-6">
+          <h2 className="text-xl font-semibold">{t('odds.prizesTitle')}</h2>
+          {campaign && (
+            <div className="mt-1">
+              {t('odds.campaign', { name: campaign.name })}
+              {(campaign.startsAt || campaign.endsAt) && (
+                <span>
+                  {' '}
+                  {t('odds.period', {
+                    from: campaign.startsAt ? formatDate(campaign.startsAt) : '…',
+                    to: campaign.endsAt ? formatDate(campaign.endsAt) : '…',
+                  })}
+                </span>
+              )}
+            </div>
+          )}
+
+          {closed ? (
+            <p>{t('app.noActiveCampaign')} {t('app.noActiveCampaignHint')}</p>
+          ) : slices.length === 0 ? (
+            <p>{t('app.noPrizes')}</p>
+          ) : (
+            <div className="mt-3 overflow-x-auto">
+              <table className="w-full text-left border-collapse border border-gray-400" style={{ backgroundColor: 'rgba(17,24,39,0.85)' }}>
+                <thead>
+                  <tr className="bg-gray-700">
+                    <th scope="col" className="border px-2 py-1">{t('common.prize')}</th>
+                    <th scope="col" className="border px-2 py-1">{t('odds.chance')}</th>
+                    <th scope="col" className="border px-2 py-1">{t('odds.totalStock')}</th>
+                    <th scope="col" className="border px-2 py-1">{t('odds.dailyStock')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {slices.map((p, i) => (
+                    <tr key={p.id}>
+                      <th scope="row" className="border px-2 py-1 font-normal">
+                        {p.icon && <span aria-hidden="true">{p.icon} </span>}
+                        {prizeLabel(p, language)}
+                        {p.consolation && <span className="text-sm"> ({t('odds.consolation')})</span>}
+                      </th>
+                      <td className="border px-2 py-1">
+                        {percent(odds[i], locale)}
+                        {!isInStock(p, day) && <span className="text-sm"> ({t('odds.outOfStock')})</span>}
+                      </td>
+                      <td className="border px-2 py-1">{stockText(p.totalStock)}</td>
+                      <td className="border px-2 py-1">{stockText(p.dailyStock)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          <div className="mt-2 text-sm">{t('odds.asOf', { time: formatDate(now), timeZone: TIME_ZONE })}</div>
+        </section>
+
+        <section className="mt-6">
+          <h2 className="text-xl font-semibold">{t('odds.termsTitle')}</h2>
+          <ol className="mt-2 pl-6" style={{ listStyle: 'decimal' }}>
+            {TERMS.map((term) => <li key={term} className="mt-1">{t(`odds.terms.${term}`)}</li>)}
+          </ol>
+        </section>
+
+        <a href={venueUrl('/')} className="mt-6 inline-block underline">{t('odds.back')}</a>
+      </main>
+    </div>
+  );
+}
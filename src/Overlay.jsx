@@ -0,0 +1,191 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { requestStreamSpin } from './api';
+import { subscribeSpinRequests } from './streamEvents';
+import PrizeWheel from './components/PrizeWheel';
+import { useThemeSounds } from './theme';
+import { useWheelConfig } from './wheelConfig';
+import { DEFAULT_TIME_ZONE } from './lib/time';
+import { resolvePrizeSet } from './lib/campaigns';
+import { wheelSlices } from './lib/prizeSelection';
+import { enqueueRequests } from './lib/spinRequests';
+import { LANGUAGES, prizeLabel, useI18n } from './i18n';
+
+const TIME_ZONE = import.meta.env.VITE_TIMEZONE || DEFAULT_TIME_ZONE;
+
+const RESULT_MS = 6000;
+const RETRY_MS = 5000;
+const UP_NEXT_SHOWN = 3;
+// answers that won't change on retry; the spin service has marked the request failed
+const DROPPED_CODES = ['invalid-request', 'no-active-campaign', 'no-prizes', 'out-of-stock', 'unknown-venue'];
+const NAMED_BACKGROUNDS = { transparent: 'transparent', green: '#00ff00', blue: '#0000ff', magenta: '#ff00ff' };
+
+// ?bg=green | blue | magenta | transparent (default, for OBS browser sources) | a hex colour without '#'
+function overlayBackground(value) {
+  if (!value) return NAMED_BACKGROUNDS.transparent;
+  if (NAMED_BACKGROUNDS[value]) return NAMED_BACKGROUNDS[value];
+  return /^[0-9a-f]{6}$/i.test(value) ? `#${value}` : NAMED_BACKGROUNDS.transparent;
+}
+
+const outline = { color: '#ffffff', WebkitTextStroke: '1px #000000', textShadow: '0 2px 6px rgba(0,0,0,0.8)' };
+
+// Stream overlay at /overlay: just the wheel and the result, on a chroma-key
+// friendly background, playing queued spin requests one after another.
+//   /overlay?key=<STREAM_TOKEN>[&source=firestore|ws://host:port][&bg=green][&lang=ja]
+export default function Overlay() {
+  const { t, language, setLanguage } = useI18n();
+  const [params] = useState(() => new URLSearchParams(window.location.search));
+  const key = params.get('key') || '';
+  const source = params.get('source') || 'firestore';
+  const background = overlayBackground(params.get('bg'));
+
+  const { prizes, campaigns } = useWheelConfig();
+  const [now, setNow] = useState(() => new Date());
+  const [queue, setQueue] = useState([]);
+  // { request, outcome?, phase: 'requesting' | 'ready' | 'spinning' | 'result' }
+  const [current, setCurrent] = useState(null);
+  const [connected, setConnected] = useState(false);
+  const [serviceDown, setServiceDown] = useState(false);
+  const played = useRef(new Set());
+  // pending retry after the spin service failed (see the request effect below)
+  const retryTimer = useRef(null);
+
+  const { playSpin, stopSpin, playWin } = useThemeSounds();
+
+  const { prizes: campaignPrizes } = resolvePrizeSet(campaigns, prizes, now, TIME_ZONE);
+  const wheelPrizes = wheelSlices(campaignPrizes);
+  const resultIndex = current?.outcome ? wheelPrizes.findIndex((p) => p.id === current.outcome.prizeId) : -1;
+
+  useEffect(() => {
+    const lang = params.get('lang');
+    if (lang && LANGUAGES[lang]) setLanguage(lang);
+  }, [params, setLanguage]);
+
+  // The page background shows through everywhere else; :root has a colour in index.css
+  useEffect(() => {
+    const elements = [document.documentElement, document.body];
+    const previous = elements.map((el) => el.style.background);
+    elements.forEach((el) => { el.style.background = background; });
+    return () => elements.forEach((el, i) => { el.style.background = previous[i]; });
+  }, [background]);
+
+  useEffect(() => subscribeSpinRequests(
+    source,
+    (requests) => setQueue((q) => enqueueRequests(q, requests, played.current)),
+    setConnected
+  ), [source]);
+
+  // Same campaign clock as the booking page, paused while a request plays
+  useEffect(() => {
+    if (current) return;
+    const timer = setInterval(() => setNow(new Date()), 30000);
+    return () => clearInterval(timer);
+  }, [current]);
+
+  function finish(request) {
+    played.current.add(request.id);
+    setQueue((q) => q.filter((r) => r.id !== request.id));
+    setCurrent(null);
+  }
+
+  // Next request: the spin service picks the prize and records the spin
+  useEffect(() => {
+    if (!key || current || queue.length === 0) return;
+    const request = queue[0];
+    setCurrent({ request, phase: 'requesting' });
+    requestStreamSpin(request, key)
+      .then((outcome) => {
+        setServiceDown(false);
+        setNow(new Date());
+        setCurrent({ request, outcome, phase: 'ready' });
+      })
+      .catch((err) => {
+        console.error(`Stream spin for request ${request.id} failed:`, err);
+        if (DROPPED_CODES.includes(err.code)) return finish(request);
+        // unreachable or misconfigured service: keep the request and try again
+        setServiceDown(true);
+        clearTimeout(retryTimer.current);
+        retryTimer.current = setTimeout(() => setCurrent((c) => (c?.request.id === request.id ? null : c)), RETRY_MS);
+      });
+  }, [key, current, queue]);
+
+  // Kept apart from the effect above, whose cleanup runs whenever the queue changes
+  useEffect(() => () => clearTimeout(retryTimer.current), []);
+
+  // A prize that is not on the wheel (edited meanwhile) is announced without the animation
+  useEffect(() => {
+    if (current?.phase !== 'ready') return;
+    if (resultIndex < 0) {
+      setCurrent((c) => ({ ...c, phase: 'result' }));
+      return;
+    }
+    playSpin();
+    setCurrent((c) => ({ ...c, phase: 'spinning' }));
+  }, [current?.phase, resultIndex, playSpin]);
+
+  useEffect(() => {
+    if (current?.phase !== 'result') return;
+    playWin();
+    const timer = setTimeout(() => finish(current.request), RESULT_MS);
+    return () => clearTimeout(timer);
+  }, [current, playWin]);
+
+  function handleStopSpinning() {
+    stopSpin();
+    setCurrent((c) => (c ? { ...c, phase: 'result' } : c));
+  }
+
+  if (!key) {
+    return (
+      <div className="min-h-screen flex items-center justify-center p-6 text-center text-xl" style={outline}>
+        {t('overlay.missingKey')}
+      </div>
+    );
+  }
+
+  const upNext = queue.filter((r) => r.id !== current?.request.id);
+  const wonPrize = current?.outcome && (wheelPrizes[resultIndex] || { label: current.outcome.prizeLabel });
+
+  return (
+    <div className="min-h-screen w-full flex flex-col items-center justify-center gap-4 p-4 font-sans">
+      <div className="h-12 text-3xl font-bold text-center" style={outline}>
+        {current?.phase === 'spinning' && t('overlay.spinningFor', { name: current.request.requester })}
+      </div>
+
+      <div className="relative" style={{ width: 'min(90vw, 75vh)' }}>
+        {wheelPrizes.length > 0 && (
+          <PrizeWheel
+            mustStartSpinning={current?.phase === 'spinning'}
+            prizeNumber={resultIndex}
+            slices={wheelPrizes}
+            onStopSpinning={handleStopSpinning}
+          />
+        )}
+
+        {current?.phase === 'result' && (
+          <div className="absolute inset-0 flex items-center justify-center">
+            <div className="px-8 py-6 rounded-xl text-center shadow-lg" style={{ backgroundColor: 'rgba(0,0,0,0.8)', border: '4px solid #FFDD57' }}>
+              <div className="text-2xl font-semibold" style={{ color: '#ffffff' }}>{current.request.requester}</div>
+              <div className="mt-2 text-4xl font-bold" style={{ color: '#FFDD57' }}>
+                {t('overlay.won', { prize: prizeLabel(wonPrize, language) })}
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+
+      <div className="h-8 text-xl font-semibold text-center" style={outline}>
+        {upNext.length > 0 && t('overlay.upNext', {
+          names: upNext.slice(0, UP_NEXT_SHOWN).map((r) => r.requester).join(', '),
+          more: upNext.length > UP_NEXT_SHOWN ? t('overlay.more', { count: upNext.length - UP_NEXT_SHOWN }) : '',
+        })}
+      </div>
+
+      {/* status for whoever set up the stream; small enough to crop out */}
+      {(!connected || serviceDown) && (
+        <div className="fixed bottom-1 right-2 text-xs" style={outline}>
+          {!connected ? t('overlay.feedOffline') : t('overlay.serviceDown')}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,82 @@
+// src/api.js
+// Client for the spin service (server/). In dev Vite proxies /api to it. Every call
+// names the venue of this page (src/venue.js).
+import { VENUE_ID } from './venue';
+
+const API_BASE = (import.meta.env.VITE_SPIN_API_URL || '').replace(/\/$/, '');
+const DEVICE_ID_KEY = 'spin.deviceId';
+
+export class SpinApiError extends Error {
+  constructor(code) {
+    super(`Spin service error: ${code}`);
+    this.name = 'SpinApiError';
+    this.code = code; // e.g. 'not-found' | 'already-used' | 'expired' | 'no-prizes'
+  }
+}
+
+// Random id for this browser, sent with booking checks and spins so the spin
+// service can rate-limit and flag per device
+let cachedDeviceId = null;
+function deviceId() {
+  if (cachedDeviceId) return cachedDeviceId;
+  try {
+    cachedDeviceId = localStorage.getItem(DEVICE_ID_KEY);
+    if (!cachedDeviceId) {
+      cachedDeviceId = crypto.randomUUID();
+      localStorage.setItem(DEVICE_ID_KEY, cachedDeviceId);
+    }
+  } catch {
+    // storage blocked: the id lasts until the page is closed
+    cachedDeviceId = cachedDeviceId || crypto.randomUUID();
+  }
+  return cachedDeviceId;
+}
+
+async function post(path, body, headers = {}) {
+  let res;
+  try {
+    res = await fetch(`${API_BASE}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+    });
+  } catch {
+    throw new SpinApiError('network');
+  }
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new SpinApiError(data.error?.code || 'internal');
+  return data;
+}
+
+// Resolves to { bookingId, guestName, contactChannels }: the ID in canonical form, the
+// guest's name when known and the channels winner messages can go out on
+export function checkBooking(bookingId) {
+  return post('/api/bookings/check', { bookingId, deviceId: deviceId(), venue: VENUE_ID });
+}
+
+// Resolves to { spinId, bookingId, prizeId, prizeLabel, claimCode, notification }. Displays
+// paired under displaySession (src/display.js) replay the spin. With a contact
+// (src/lib/contact.js) the service also sends the winner a message in `language`.
+export function requestSpin(bookingId, displaySession = null, { contact = null, language } = {}) {
+  return post('/api/spin', { bookingId, deviceId: deviceId(), displaySession, venue: VENUE_ID, contact, language });
+}
+
+// Uploads a spin queued while offline (src/spinQueue.js); safe to repeat. A record
+// without its venue is refused as invalid-spin rather than sent to this page's venue.
+export async function recordOfflineSpin(record, kioskToken) {
+  const { id, bookingId, prizeId, claimCode, spunAt, venue } = record;
+  if (typeof venue !== 'string' || !venue) throw new SpinApiError('invalid-spin');
+  return post('/api/spins/offline', { id, bookingId, prizeId, claimCode, spunAt, venue }, { Authorization: `Bearer ${kioskToken}` });
+}
+
+// Resolves to { rules, state }: the prize rules this kiosk draws offline spins with
+export function fetchKioskRules(kioskToken) {
+  return post('/api/kiosk/rules', { venue: VENUE_ID }, { Authorization: `Bearer ${kioskToken}` });
+}
+
+// Plays a queued stream request (src/Overlay.jsx); resolves to the spin with its requester. Safe to repeat.
+export function requestStreamSpin(request, streamToken) {
+  return post('/api/stream/spin', { id: request.id, requester: request.requester, venue: VENUE_ID }, {
+    Authorization: `Bearer ${streamToken}`,
+  });
+}
@@ -0,0 +1,72 @@
+// src/auth.js
+import { useEffect, useState } from 'react';
+import {
+  onIdTokenChanged,
+  setPersistence,
+  browserSessionPersistence,
+  signInWithEmailAndPassword,
+  signOut as firebaseSignOut,
+} from 'firebase/auth';
+import { auth } from './firebase';
+import { VENUE_ID } from './venue';
+import { roleAtVenue } from './lib/venue';
+
+// Role is a custom claim set with `npm run set-role -- <email> <role> [venue]`.
+// prizeEditor implies everything a viewer can do; viewers and prize editors only
+// have their role at their own venue, superAdmin has every role at every venue.
+export const ROLES = {
+  VIEWER: 'viewer',
+  PRIZE_EDITOR: 'prizeEditor',
+  SUPER_ADMIN: 'superAdmin',
+};
+
+const SESSION_TIMEOUT_MS = (Number(import.meta.env.VITE_ADMIN_SESSION_MINUTES) || 15) * 60 * 1000;
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'scroll'];
+
+export const canViewLogs = (role) => Object.values(ROLES).includes(role);
+export const canEditPrizes = (role) => role === ROLES.PRIZE_EDITOR || role === ROLES.SUPER_ADMIN;
+export const isSuperAdmin = (role) => role === ROLES.SUPER_ADMIN;
+
+export async function signIn(email, password) {
+  // Session persistence: closing the tab on the shared tablet ends the admin session
+  await setPersistence(auth, browserSessionPersistence);
+  return signInWithEmailAndPassword(auth, email, password);
+}
+
+export function signOut() {
+  return firebaseSignOut(auth);
+}
+
+/**
+ * Current user, their role at this page's venue (null at anyone else's) and the
+ * venue their account belongs to. Signs out after SESSION_TIMEOUT_MS without
+ * pointer/keyboard activity.
+ */
+export function useAuth() {
+  const [state, setState] = useState({ user: null, role: null, venue: null, loading: true });
+
+  useEffect(() => {
+    return onIdTokenChanged(auth, async (user) => {
+      if (!user) return setState({ user: null, role: null, venue: null, loading: false });
+      const { claims } = await user.getIdTokenResult();
+      setState({ user, role: roleAtVenue(claims, VENUE_ID), venue: claims.venue || null, loading: false });
+    });
+  }, []);
+
+  useEffect(() => {
+    if (!state.user) return;
+    let timer;
+    const reset = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => firebaseSignOut(auth), SESSION_TIMEOUT_MS);
+    };
+    ACTIVITY_EVENTS.forEach((e) => window.addEventListener(e, reset, { passive: true }));
+    reset();
+    return () => {
+      clearTimeout(timer);
+      ACTIVITY_EVENTS.forEach((e) => window.removeEventListener(e, reset));
+    };
+  }, [state.user]);
+
+  return state;
+}
@@ -0,0 +1,45 @@
+// src/claims.js
+import { getDoc, runTransaction, serverTimestamp } from 'firebase/firestore';
+import { db } from './firebase';
+import { venueDoc } from './venue';
+import { normalizeClaimCode } from './lib/claimCode';
+import { redemptionFields, redemptionRejection } from './lib/redemption';
+
+export class ClaimError extends Error {
+  constructor(code) {
+    super(`Claim rejected: ${code}`);
+    this.name = 'ClaimError';
+    this.code = code; // 'invalid-code' | 'not-found' | 'already-redeemed' | 'fraud-confirmed'
+  }
+}
+
+// claims/{code} -> { spinId } is written by the spin service next to the spin itself
+async function spinRefForCode(code, get) {
+  const claimCode = normalizeClaimCode(code);
+  if (!claimCode) throw new ClaimError('invalid-code');
+  const claim = await get(venueDoc('claims', claimCode));
+  if (!claim.exists()) throw new ClaimError('not-found');
+  return venueDoc('spins', claim.data().spinId);
+}
+
+// Resolves to the spin document data ({ bookingId, prizeLabel, createdAt, redeemedAt, ... })
+export async function lookupClaim(code) {
+  const spinRef = await spinRefForCode(code, getDoc);
+  const spin = await getDoc(spinRef);
+  if (!spin.exists()) throw new ClaimError('not-found');
+  return { id: spin.id, ...spin.data() };
+}
+
+// Marks the spin redeemed by `staffEmail`. Runs in a transaction (and the security
+// rules refuse a second write) so two counters can't redeem the same code. A spin
+// confirmed as fraud needs `overrideReason` (src/lib/redemption.js).
+export async function redeemClaim(code, staffEmail, overrideReason = '') {
+  await runTransaction(db, async (tx) => {
+    const spinRef = await spinRefForCode(code, (ref) => tx.get(ref));
+    const spin = await tx.get(spinRef);
+    if (!spin.exists()) throw new ClaimError('not-found');
+    const rejection = redemptionRejection(spin.data(), overrideReason);
+    if (rejection) throw new ClaimError(rejection);
+    tx.update(spinRef, { redeemedAt: serverTimestamp(), ...redemptionFields(spin.data(), staffEmail, overrideReason) });
+  });
+}
@@ -0,0 +1,58 @@
+import React, { useRef } from 'react';
+import { useI18n } from '../i18n';
+
+// The admin panel's tab strip and the panel it controls, following the WAI-ARIA
+// tabs pattern: one tab stop, arrow keys move between tabs, Home/End jump to the ends.
+// `tabs` is a list of [key, label].
+export default function AdminTabs({ tabs, selected, onSelect, children }) {
+  const { t } = useI18n();
+  const buttons = useRef({});
+
+  function select(key) {
+    onSelect(key);
+    buttons.current[key]?.focus();
+  }
+
+  function handleKeyDown(e) {
+    const keys = tabs.map(([key]) => key);
+    const at = keys.indexOf(selected);
+    const next = {
+      ArrowRight: keys[(at + 1) % keys.length],
+      ArrowLeft: keys[(at - 1 + keys.length) % keys.length],
+      Home: keys[0],
+      End: keys[keys.length - 1],
+    }[e.key];
+    if (!next) return;
+    e.preventDefault();
+    select(next);
+  }
+
+  return (
+    <>
+      <div role="tablist" aria-label={t('a11y.adminTabs')} onKeyDown={handleKeyDown} className="mb-4 flex gap-2">
+        {tabs.map(([key, label]) => (
+          <button
+            key={key}
+            ref={(el) => { buttons.current[key] = el; }}
+            id={`admin-tab-${key}`}
+            role="tab"
+            aria-selected={key === selected}
+            aria-controls="admin-tabpanel"
+            tabIndex={key === selected ? 0 : -1}
+            onClick={() => onSelect(key)}
+            className="px-3 py-1 rounded"
+            // the selected tab is marked by an underline as well as its colour
+            style={key === selected
+              ? { backgroundColor: '#4338ca', color: '#ffffff', textDecoration: 'underline', textUnderlineOffset: 4 }
+              : { backgroundColor: '#4b5563', color: '#ffffff' }}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      <div role="tabpanel" id="admin-tabpanel" aria-labelledby={`admin-tab-${selected}`}>
+        {children}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,66 @@
+import React from 'react';
+
+const SERIES_COLORS = ['#FFDD57', '#4D96FF'];
+
+/**
+ * Minimal SVG bar chart, rendered locally.
+ * @param {{ label: string, values: number[] }[]} data  one bar per entry in `values` (grouped)
+ * @param {string[]} [seriesNames]  legend, same order as `values`
+ * @param {(v: number) => string} [formatValue]  tooltip / max label formatter
+ */
+export default function BarChart({ data, seriesNames = [], formatValue = String, height = 160, labelEvery = 1 }) {
+  const width = 640;
+  const top = 12;
+  const bottom = 28;
+  const left = 36;
+  const plotHeight = height - top - bottom;
+  const plotWidth = width - left;
+  const max = Math.max(...data.flatMap((d) => d.values), 0);
+  const groupWidth = data.length ? plotWidth / data.length : plotWidth;
+  const seriesCount = data[0]?.values.length || 1;
+  const barWidth = Math.max((groupWidth * 0.8) / seriesCount, 1);
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full" role="img">
+        <line x1={left} y1={top + plotHeight} x2={width} y2={top + plotHeight} stroke="#9ca3af" />
+        <text x={left - 4} y={top + 8} textAnchor="end" fontSize="10" fill="#ffffff">{formatValue(max)}</text>
+        <text x={left - 4} y={top + plotHeight} textAnchor="end" fontSize="10" fill="#ffffff">0</text>
+        {data.map((d, i) => (
+          <g key={d.label}>
+            {d.values.map((v, s) => {
+              const h = max > 0 ? (v / max) * plotHeight : 0;
+              return (
+                <rect
+                  key={s}
+                  x={left + i * groupWidth + groupWidth * 0.1 + s * barWidth}
+                  y={top + plotHeight - h}
+                  width={barWidth}
+                  height={h}
+                  fill={SERIES_COLORS[s % SERIES_COLORS.length]}
+                >
+                  <title>{`${d.label}${seriesNames[s] ? ` · ${seriesNames[s]}` : ''}: ${formatValue(v)}`}</title>
+                </rect>
+              );
+            })}
+            {i % labelEvery === 0 && (
+              <text x={left + i * groupWidth + groupWidth / 2} y={height - 10} textAnchor="middle" fontSize="10" fill="#ffffff">
+                {d.label}
+              </text>
+            )}
+          </g>
+        ))}
+      </svg>
+      {seriesNames.length > 1 && (
+        <div className="flex gap-4 text-xs" style={{ color: '#ffffff' }}>
+          {seriesNames.map((name, s) => (
+            <span key={name} className="flex items-center gap-1">
+              <span className="inline-block w-3 h-3" style={{ backgroundColor: SERIES_COLORS[s % SERIES_COLORS.length] }} />
+              {name}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,73 @@
+import React from 'react';
+import { normalizeContact } from '../lib/contact';
+import { useI18n } from '../i18n';
+
+// Booking ID entry on the booking page, then the optional winner-message contact
+// once a booking is applied. A real form, so Enter applies the ID from the keyboard.
+export default function BookingForm({
+  bookingIdInput,
+  onBookingIdInput,
+  onApply,
+  bookingId,
+  guestName,
+  contactChannels,
+  contactInput,
+  onContactInput,
+}) {
+  const { t } = useI18n();
+  const contactInvalid = !!contactInput.trim() && !normalizeContact(contactInput);
+
+  function submit(e) {
+    e.preventDefault();
+    onApply();
+  }
+
+  return (
+    <div className="mb-6 w-full">
+      <form onSubmit={submit}>
+        <label htmlFor="booking-id" className="block mb-1 font-medium">
+          {t('app.bookingIdLabel')}
+        </label>
+        <div className="flex gap-2">
+          <input
+            id="booking-id"
+            value={bookingIdInput}
+            onChange={(e) => onBookingIdInput(e.target.value)}
+            placeholder={t('app.bookingIdPlaceholder')}
+            autoComplete="off"
+            className="flex-1 border px-2 py-2 rounded text-white bg-gray-800 placeholder-white"
+          />
+          <button type="submit" className="px-4 py-2 rounded" style={{ backgroundColor: '#15803d', color: '#ffffff' }}>
+            {t('app.apply')}
+          </button>
+        </div>
+      </form>
+      {bookingId && (
+        <div className="mt-2 text-sm font-medium">
+          {t('app.currentBookingId')} <strong>{bookingId}</strong>
+          {guestName && <div>{t('app.welcomeGuest', { name: guestName })}</div>}
+        </div>
+      )}
+      {bookingId && contactChannels.length > 0 && (
+        <div className="mt-2">
+          <label htmlFor="winner-contact" className="block mb-1 text-sm font-medium">
+            {t('app.contactLabel')}
+          </label>
+          <input
+            id="winner-contact"
+            value={contactInput}
+            onChange={(e) => onContactInput(e.target.value)}
+            inputMode={contactChannels.length === 1 && contactChannels[0] === 'whatsapp' ? 'tel' : 'email'}
+            placeholder={t(`app.contactPlaceholder.${contactChannels.length > 1 ? 'any' : contactChannels[0]}`)}
+            aria-invalid={contactInvalid}
+            aria-describedby={contactInvalid ? 'winner-contact-error' : undefined}
+            className={`w-full border px-2 py-2 rounded text-white bg-gray-800 placeholder-white ${contactInvalid ? 'border-red-500' : ''}`}
+          />
+          {contactInvalid && (
+            <div id="winner-contact-error" className="mt-1 text-sm font-medium">{t('errors.spin.invalid-contact')}</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,186 @@
+import React, { useState } from 'react';
+import { addDoc, updateDoc, deleteDoc, Timestamp } from 'firebase/firestore';
+import { venueCollection, venueDoc } from '../venue';
+import { isCampaignActive } from '../lib/campaigns';
+import { parseClock } from '../lib/time';
+import { useI18n } from '../i18n';
+import { useDialogs } from '../dialogs';
+
+// Short weekday names, Sunday first (campaign.days uses 0 = Sunday); 2023-01-01 was a Sunday
+const dayLabels = (locale) => Array.from({ length: 7 }, (_, day) => (
+  new Date(Date.UTC(2023, 0, 1 + day)).toLocaleDateString(locale, { weekday: 'short', timeZone: 'UTC' })
+));
+
+const EMPTY_FORM = { id: null, name: '', enabled: true, startsAt: '', endsAt: '', days: [], dailyStart: '', dailyEnd: '', priority: 0 };
+
+// Date <-> <input type="datetime-local"> value (browser local time)
+function toInputValue(date) {
+  if (!date) return '';
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+}
+const fromInputValue = (value) => (value ? Timestamp.fromDate(new Date(value)) : null);
+
+// Campaign list + editor. Campaigns decide which prize set the wheel uses (see lib/campaigns.js).
+export default function CampaignManager({ campaigns, now, timeZone }) {
+  const { t, locale } = useI18n();
+  const dialogs = useDialogs();
+  const days = dayLabels(locale);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const set = (field) => (e) => setForm({ ...form, [field]: e.target.type === 'checkbox' ? e.target.checked : e.target.value });
+
+  function toggleDay(day) {
+    const days = form.days.includes(day) ? form.days.filter((d) => d !== day) : [...form.days, day].sort();
+    setForm({ ...form, days });
+  }
+
+  function editCampaign(c) {
+    setForm({
+      id: c.id,
+      name: c.name || '',
+      enabled: !!c.enabled,
+      startsAt: toInputValue(c.startsAt),
+      endsAt: toInputValue(c.endsAt),
+      days: c.days || [],
+      dailyStart: c.dailyStart || '',
+      dailyEnd: c.dailyEnd || '',
+      priority: c.priority || 0,
+    });
+  }
+
+  async function saveCampaign(e) {
+    e.preventDefault();
+    const name = form.name.trim();
+    if (!name) return dialogs.alert(t('campaigns.nameRequired'));
+    if (form.startsAt && form.endsAt && new Date(form.endsAt) <= new Date(form.startsAt)) {
+      return dialogs.alert(t('campaigns.endBeforeStart'));
+    }
+    if ((form.dailyStart && parseClock(form.dailyStart) === null) || (form.dailyEnd && parseClock(form.dailyEnd) === null)) {
+      return dialogs.alert(t('campaigns.dailyHoursFormat'));
+    }
+    const data = {
+      name,
+      enabled: form.enabled,
+      startsAt: fromInputValue(form.startsAt),
+      endsAt: fromInputValue(form.endsAt),
+      days: form.days,
+      dailyStart: form.dailyStart || null,
+      dailyEnd: form.dailyEnd || null,
+      priority: Number(form.priority) || 0,
+    };
+    try {
+      if (form.id) await updateDoc(venueDoc('campaigns', form.id), data);
+      else await addDoc(venueCollection('campaigns'), data);
+      setForm(EMPTY_FORM);
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  async function deleteCampaign(c) {
+    if (!await dialogs.confirm(t('campaigns.deleteConfirm', { name: c.name }))) return;
+    try {
+      await deleteDoc(venueDoc('campaigns', c.id));
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  const formatWindow = (c) => {
+    const range = [c.startsAt, c.endsAt].map((d) => (d ? d.toLocaleString() : '…')).join(' – ');
+    const activeDays = c.days?.length ? c.days.map((d) => days[d]).join(' ') : '';
+    const hours = c.dailyStart || c.dailyEnd ? `${c.dailyStart || '00:00'}-${c.dailyEnd || '24:00'}` : '';
+    return [range, activeDays, hours].filter(Boolean).join(' · ');
+  };
+
+  return (
+    <div className="mt-6">
+      <h3 className="text-md font-semibold mb-2" style={{ color: '#ffffff' }}>{t('campaigns.title')}</h3>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm text-left border-collapse border border-gray-400" style={{ color: '#ffffff' }}>
+          <thead>
+            <tr className="bg-gray-700">
+              <th scope="col" className="border px-2 py-1">{t('campaigns.name')}</th>
+              <th scope="col" className="border px-2 py-1">{t('campaigns.window')}</th>
+              <th scope="col" className="border px-2 py-1">{t('campaigns.status')}</th>
+              <th scope="col" className="border px-2 py-1">{t('common.actions')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {campaigns.map((c) => (
+              <tr key={c.id} className="bg-gray-800">
+                <td className="border px-2 py-1">{c.name}</td>
+                <td className="border px-2 py-1">{formatWindow(c)}</td>
+                <td className="border px-2 py-1">
+                  {!c.enabled
+                    ? t('campaigns.disabled')
+                    : isCampaignActive(c, now, timeZone)
+                      ? t('campaigns.live')
+                      : t('campaigns.scheduled')}
+                </td>
+                <td className="border px-2 py-1 flex gap-2">
+                  <button onClick={() => editCampaign(c)} className="px-2 py-1 bg-yellow-500 rounded text-white">
+                    {t('common.edit')}
+                  </button>
+                  <button onClick={() => deleteCampaign(c)} className="px-2 py-1 bg-red-500 rounded text-white">
+                    {t('common.delete')}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <form onSubmit={saveCampaign} className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+        <input
+          placeholder={t('campaigns.namePlaceholder')}
+          value={form.name}
+          onChange={set('name')}
+          className="border px-2 py-1 rounded text-white bg-gray-800 placeholder-white"
+        />
+        <label className="flex items-center gap-1">
+          {t('common.from')}
+          <input type="datetime-local" value={form.startsAt} onChange={set('startsAt')} className="border px-2 py-1 rounded text-white bg-gray-800" />
+        </label>
+        <label className="flex items-center gap-1">
+          {t('campaigns.until')}
+          <input type="datetime-local" value={form.endsAt} onChange={set('endsAt')} className="border px-2 py-1 rounded text-white bg-gray-800" />
+        </label>
+        <span className="flex gap-1">
+          {days.map((label, day) => (
+            <label key={day} className="flex items-center gap-0.5">
+              <input type="checkbox" checked={form.days.includes(day)} onChange={() => toggleDay(day)} />
+              {label}
+            </label>
+          ))}
+        </span>
+        <label className="flex items-center gap-1">
+          {t('campaigns.dailyHours')}
+          <input placeholder="HH:MM" value={form.dailyStart} onChange={set('dailyStart')} className="w-16 border px-2 py-1 rounded text-white bg-gray-800 placeholder-white" />
+          –
+          <input placeholder="HH:MM" value={form.dailyEnd} onChange={set('dailyEnd')} className="w-16 border px-2 py-1 rounded text-white bg-gray-800 placeholder-white" />
+        </label>
+        <label className="flex items-center gap-1">
+          {t('campaigns.priority')}
+          <input type="number" value={form.priority} onChange={set('priority')} className="w-16 border px-2 py-1 rounded text-white bg-gray-800" />
+        </label>
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={form.enabled} onChange={set('enabled')} />
+          {t('campaigns.enabled')}
+        </label>
+        <button type="submit" className="px-3 py-1 bg-green-600 text-white rounded">
+          {form.id ? t('campaigns.save') : t('campaigns.add')}
+        </button>
+        {form.id && (
+          <button type="button" onClick={() => setForm(EMPTY_FORM)} className="px-3 py-1 bg-gray-600 text-white rounded">
+            {t('common.cancel')}
+          </button>
+        )}
+      </form>
+      <div className="mt-1 text-xs" style={{ color: '#ffffff' }}>
+        {t('campaigns.timeZoneHint', { timeZone })}
+      </div>
+    </div>
+  );
+}
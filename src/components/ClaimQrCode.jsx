@@ -0,0 +1,18 @@
+import React, { useEffect, useState } from 'react';
+import QRCode from 'qrcode';
+
+// QR of the bare claim code, so a handheld scanner can type it straight into the Redeem screen
+export default function ClaimQrCode({ code, size = 160 }) {
+  const [src, setSrc] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    QRCode.toDataURL(code, { width: size, margin: 1 })
+      .then((url) => !cancelled && setSrc(url))
+      .catch((err) => console.error('Failed to render QR code:', err));
+    return () => { cancelled = true; };
+  }, [code, size]);
+
+  if (!src) return null;
+  return <img src={src} width={size} height={size} alt={code} className="mx-auto bg-white rounded" />;
+}
@@ -0,0 +1,48 @@
+import React from 'react';
+import { venueUrl } from '../venue';
+import { useI18n } from '../i18n';
+import { useDialogs } from '../dialogs';
+
+// Pairing of lobby displays (/display) with this device: every spin made here
+// plays on the displays showing the same session code
+export default function DisplayPanel({ display }) {
+  const { t } = useI18n();
+  const dialogs = useDialogs();
+  const url = display.code ? venueUrl('/display', { code: display.code }) : '';
+
+  async function newCode() {
+    if (display.code && !await dialogs.confirm(t('display.newCodeConfirm'))) return;
+    display.start();
+  }
+
+  return (
+    <div className="mt-6">
+      <h3 className="text-md font-semibold mb-2" style={{ color: '#ffffff' }}>{t('display.title')}</h3>
+
+      {display.code ? (
+        <div className="text-sm" style={{ color: '#ffffff' }}>
+          <div>
+            {t('display.code')} <span className="font-mono text-lg font-bold tracking-widest">{display.code}</span>
+          </div>
+          <div className="mt-1">
+            {t('display.openOnDisplay')} <a href={url} target="_blank" rel="noreferrer" className="underline">{url}</a>
+          </div>
+        </div>
+      ) : (
+        <div className="text-sm" style={{ color: '#ffffff' }}>{t('display.notPaired')}</div>
+      )}
+
+      <div className="mt-2 flex gap-2 text-sm">
+        <button onClick={newCode} className="px-3 py-1 bg-indigo-600 text-white rounded">
+          {display.code ? t('display.newCode') : t('display.pair')}
+        </button>
+        {display.code && (
+          <button onClick={display.stop} className="px-3 py-1 bg-gray-600 text-white rounded">
+            {t('display.unpair')}
+          </button>
+        )}
+      </div>
+      <div className="mt-1 text-xs" style={{ color: '#ffffff' }}>{t('display.hint')}</div>
+    </div>
+  );
+}
@@ -0,0 +1,136 @@
+import React, { useEffect, useState } from 'react';
+import { subscribeKiosks, revokeKiosk } from '../kiosks';
+import { KIOSK_NAME_MAX_LENGTH } from '../lib/kioskCredential';
+import { useI18n } from '../i18n';
+import { useDialogs } from '../dialogs';
+
+// Connection and offline-queue status for this device, the switch into kiosk mode,
+// and the venue's registered kiosk tablets
+export default function KioskPanel({ queue, user, onStart }) {
+  const { t, locale } = useI18n();
+  const dialogs = useDialogs();
+  const [name, setName] = useState('');
+  const [exitKey, setExitKey] = useState('');
+  const [kiosks, setKiosks] = useState([]);
+  const [busy, setBusy] = useState(null); // kiosk id
+
+  useEffect(() => subscribeKiosks(setKiosks, (err) => console.error('Failed to load the kiosk tablets:', err)), []);
+
+  async function start(e) {
+    e.preventDefault();
+    if (!name.trim() || !exitKey.trim()) return dialogs.alert(t('kiosk.startRequired'));
+    if (!await dialogs.confirm(t('kiosk.startConfirm'))) return;
+    onStart({ name: name.trim(), exitKey: exitKey.trim() });
+  }
+
+  async function revoke(kiosk) {
+    if (!await dialogs.confirm(t('kiosk.revokeConfirm', { name: kiosk.name }))) return;
+    setBusy(kiosk.id);
+    try {
+      await revokeKiosk(kiosk.id, user.email);
+    } catch (err) {
+      console.error('Revoking the kiosk failed:', err);
+      dialogs.alert(t('kiosk.revokeFailed'));
+    }
+    setBusy(null);
+  }
+
+  const spunAt = (record) => new Date(record.spunAt).toLocaleString(locale);
+  // serverTimestamp() fields are null until the write is confirmed
+  const shownAt = (at) => (at ? at.toDate().toLocaleString(locale) : '…');
+
+  return (
+    <div className="mt-6">
+      <h3 className="text-md font-semibold mb-2" style={{ color: '#ffffff' }}>{t('kiosk.title')}</h3>
+
+      <div className="flex flex-wrap items-center gap-3 text-sm" style={{ color: '#ffffff' }}>
+        <span className={`px-2 py-1 rounded ${queue.online ? 'bg-green-700' : 'bg-red-700'}`}>
+          {queue.online ? t('kiosk.online') : t('kiosk.offline')}
+        </span>
+        <span>{t('kiosk.pending', { count: queue.pending.length })}</span>
+        <button
+          onClick={queue.syncNow}
+          disabled={queue.syncing || queue.pending.length === 0}
+          className="px-3 py-1 bg-gray-600 text-white rounded disabled:opacity-50"
+        >
+          {queue.syncing ? t('kiosk.syncing') : t('kiosk.syncNow')}
+        </button>
+      </div>
+
+      {queue.pending.some((r) => r.error) && (
+        <div className="mt-1 text-xs" style={{ color: '#ffffff' }}>
+          {t('kiosk.lastError', { code: queue.pending.find((r) => r.error).error })}
+        </div>
+      )}
+
+      {queue.rejected.length > 0 && (
+        <div className="mt-3 text-sm" style={{ color: '#ffffff' }}>
+          <div className="font-semibold">{t('kiosk.rejectedTitle')}</div>
+          <ul className="mt-1 space-y-1">
+            {queue.rejected.map((r) => (
+              <li key={r.id} className="flex flex-wrap items-center gap-2">
+                <span>{spunAt(r)}</span>
+                <span>{r.bookingId}</span>
+                <span>{r.prizeLabel}</span>
+                <span className="font-mono">{r.claimCode}</span>
+                <span className="text-red-300">{t(`errors.spin.${r.error}`)}</span>
+                <button onClick={() => queue.dismiss(r.id)} className="px-2 py-0.5 bg-gray-600 text-white rounded">
+                  {t('kiosk.dismiss')}
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <form onSubmit={start} className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+        <input
+          placeholder={t('kiosk.name')}
+          aria-label={t('kiosk.name')}
+          value={name}
+          maxLength={KIOSK_NAME_MAX_LENGTH}
+          onChange={(e) => setName(e.target.value)}
+          className="border px-2 py-1 rounded text-white bg-gray-800 placeholder-white"
+        />
+        <input
+          type="password"
+          placeholder={t('kiosk.exitKey')}
+          aria-label={t('kiosk.exitKey')}
+          value={exitKey}
+          onChange={(e) => setExitKey(e.target.value)}
+          className="border px-2 py-1 rounded text-white bg-gray-800 placeholder-white"
+        />
+        <button type="submit" className="px-3 py-1 bg-indigo-600 text-white rounded">
+          {t('kiosk.start')}
+        </button>
+      </form>
+      <div className="mt-1 text-xs" style={{ color: '#ffffff' }}>{t('kiosk.hint')}</div>
+
+      <h4 className="mt-4 text-sm font-semibold" style={{ color: '#ffffff' }}>{t('kiosk.tablets')}</h4>
+      {kiosks.length === 0 ? (
+        <div className="mt-1 text-sm" style={{ color: '#ffffff' }}>{t('kiosk.noTablets')}</div>
+      ) : (
+        <ul className="mt-1 space-y-1 text-sm" style={{ color: '#ffffff' }}>
+          {kiosks.map((kiosk) => (
+            <li key={kiosk.id} className="flex flex-wrap items-center gap-2">
+              <span className="font-medium">{kiosk.name}</span>
+              <span>{t('kiosk.registered', { date: shownAt(kiosk.createdAt), by: kiosk.createdBy })}</span>
+              {/* revokedBy is there at once, revokedAt only once the write is confirmed */}
+              {kiosk.revokedBy ? (
+                <span>{t('kiosk.revokedAt', { date: shownAt(kiosk.revokedAt) })}</span>
+              ) : (
+                <button
+                  onClick={() => revoke(kiosk)}
+                  disabled={busy === kiosk.id}
+                  className="px-2 py-0.5 bg-red-700 text-white rounded disabled:opacity-50"
+                >
+                  {t('kiosk.revoke')}
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
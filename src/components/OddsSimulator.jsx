@@ -0,0 +1,139 @@
+import React, { useEffect, useState } from 'react';
+import { subscribePrizeRules, subscribeRuleState } from '../prizeRules';
+import { dayKey } from '../lib/time';
+import { wheelSlices } from '../lib/prizeSelection';
+import { MAX_SIMULATED_SPINS, simulateSpins } from '../lib/oddsSimulator';
+import { prizeLabel, useI18n } from '../i18n';
+
+const inputClass = 'w-28 border px-2 py-1 rounded text-white bg-gray-800';
+const percent = (v) => `${Number((v * 100).toFixed(2))}%`;
+
+// Simulator tab: N virtual spins of a prize set through the spin service's
+// selection code and the saved prize rules, without touching real stock
+export default function OddsSimulator({ prizes, campaigns, timeZone }) {
+  const { t, language, locale } = useI18n();
+  const [prizeSetId, setPrizeSetId] = useState(''); // '' = default set (no campaign)
+  const [spins, setSpins] = useState('1000');
+  const [spinsPerDay, setSpinsPerDay] = useState('');
+  const [fromStock, setFromStock] = useState(false);
+  const [rules, setRules] = useState([]);
+  const [ruleState, setRuleState] = useState({});
+  const [result, setResult] = useState(null);
+
+  useEffect(() => subscribePrizeRules(setRules, (err) => console.error('Failed to load prize rules:', err)), []);
+  useEffect(() => subscribeRuleState(setRuleState, (err) => console.error('Failed to load the rule state:', err)), []);
+
+  const slices = wheelSlices(prizes.filter((p) => (p.campaignId || '') === prizeSetId));
+  const count = Number(spins);
+  const perDay = spinsPerDay === '' ? 0 : Number(spinsPerDay);
+  const valid = Number.isInteger(count) && count >= 1 && count <= MAX_SIMULATED_SPINS
+    && Number.isInteger(perDay) && perDay >= 0;
+  const number = (n) => n.toLocaleString(locale);
+
+  function run(e) {
+    e.preventDefault();
+    if (!valid || slices.length === 0) return;
+    setResult(simulateSpins(slices, {
+      spins: count,
+      spinsPerDay: perDay,
+      day: dayKey(new Date(), timeZone),
+      rules: { rules },
+      fromStock,
+      state: ruleState,
+    }));
+  }
+
+  return (
+    <div className="mt-6" style={{ color: '#ffffff' }}>
+      <h3 className="text-md font-semibold mb-1">{t('simulator.title')}</h3>
+      <div className="mb-3 text-xs">{t('simulator.hint')}</div>
+
+      <form onSubmit={run} className="mb-4 flex flex-wrap items-center gap-3 text-sm">
+        <label className="flex items-center gap-1">
+          {t('common.prizeSet')}
+          <select
+            value={prizeSetId}
+            onChange={(e) => { setPrizeSetId(e.target.value); setResult(null); }}
+            className="px-2 py-1 rounded border bg-gray-700 text-white"
+          >
+            <option value="">{t('common.defaultPrizeSet')}</option>
+            {campaigns.map((c) => <option key={c.id} value={c.id}>{c.name}</option>)}
+          </select>
+        </label>
+        <label className="flex items-center gap-1">
+          {t('simulator.spins')}
+          <input
+            type="number" min="1" max={MAX_SIMULATED_SPINS} step="1"
+            value={spins}
+            onChange={(e) => setSpins(e.target.value)}
+            className={`${inputClass} ${Number.isInteger(count) && count >= 1 && count <= MAX_SIMULATED_SPINS ? '' : 'border-red-500'}`}
+          />
+        </label>
+        <label className="flex items-center gap-1">
+          {t('simulator.spinsPerDay')}
+          <input
+            type="number" min="1" step="1"
+            value={spinsPerDay}
+            placeholder={t('simulator.allOnOneDay')}
+            onChange={(e) => setSpinsPerDay(e.target.value)}
+            className={inputClass}
+          />
+        </label>
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={fromStock} onChange={() => setFromStock(!fromStock)} />
+          {t('simulator.fromStock')}
+        </label>
+        <button type="submit" disabled={!valid || slices.length === 0} className="px-3 py-1 bg-indigo-600 text-white rounded disabled:opacity-50">
+          {t('simulator.run')}
+        </button>
+      </form>
+      {!valid && <div className="mb-2 text-xs text-red-300">{t('simulator.invalid', { max: number(MAX_SIMULATED_SPINS) })}</div>}
+
+      {slices.length === 0 ? (
+        <div className="text-sm">{t('app.noPrizes')}</div>
+      ) : result && (
+        <>
+          <div className="mb-2 text-sm">
+            {t('simulator.summary', { spins: number(result.spins), days: number(result.days) })}
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm text-left border-collapse border border-gray-400">
+              <thead>
+                <tr className="bg-gray-700">
+                  <th scope="col" className="border px-2 py-1">{t('common.prize')}</th>
+                  <th scope="col" className="border px-2 py-1">{t('simulator.chance')}</th>
+                  <th scope="col" className="border px-2 py-1">{t('simulator.expected')}</th>
+                  <th scope="col" className="border px-2 py-1">{t('simulator.wins')}</th>
+                  <th scope="col" className="border px-2 py-1">{t('simulator.share')}</th>
+                  <th scope="col" className="border px-2 py-1">{t('simulator.stockLeft')}</th>
+                  <th scope="col" className="border px-2 py-1">{t('simulator.soldOutAt')}</th>
+                  <th scope="col" className="border px-2 py-1">{t('simulator.dailyLimitDays')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.rows.map((r) => (
+                  <tr key={r.prize.id} className="bg-gray-800">
+                    <td className="border px-2 py-1">{prizeLabel(r.prize, language)}</td>
+                    <td className="border px-2 py-1">{percent(r.chance)}</td>
+                    <td className="border px-2 py-1">{number(Math.round(r.chance * result.spins))}</td>
+                    <td className="border px-2 py-1">{number(r.wins)}</td>
+                    <td className="border px-2 py-1">{percent(r.share)}</td>
+                    <td className="border px-2 py-1">{r.left === null ? t('common.unlimited') : number(r.left)}</td>
+                    <td className={`border px-2 py-1 ${r.soldOutAt ? 'text-red-300' : ''}`}>
+                      {r.soldOutAt ? t('simulator.spinNumber', { n: number(r.soldOutAt) }) : '—'}
+                    </td>
+                    <td className="border px-2 py-1">{r.dailyLimitDays || '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {result.unawarded > 0 && (
+            <div className="mt-2 text-sm text-red-300">{t('simulator.unawarded', { count: number(result.unawarded) })}</div>
+          )}
+          <div className="mt-1 text-xs">{t('simulator.rulesNote')}</div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,314 @@
+import React, { useRef, useState } from 'react';
+import { savePrizeSet } from '../prizes';
+import { dayKey } from '../lib/time';
+import { remainingStock } from '../lib/stock';
+import { PROBABILITY_TOTAL } from '../lib/prizeSelection';
+import {
+  draftFromPrizes,
+  emptyDraftRow,
+  validateDraft,
+  mergeImportedRows,
+  prizesToJson,
+  prizesToCsvRows,
+  parsePrizesJson,
+  parsePrizesCsv,
+  PrizeImportError,
+  MAX_ICON_LENGTH,
+  FONT_SIZE_RANGE,
+} from '../lib/prizeConfig';
+import { downloadCsv, downloadFile } from '../lib/csv';
+import { LANGUAGES, useI18n } from '../i18n';
+import { useDialogs } from '../dialogs';
+
+const inputClass = (error) => `border px-2 py-1 rounded text-white bg-gray-800 ${error ? 'border-red-500' : ''}`;
+
+// Form editor for one prize set. Edits stay in a local draft until Save writes
+// the whole set in one transaction, audited under the editor's email
+// (see savePrizeSet in ../prizes.js).
+export default function PrizeEditor({ prizes, campaignId, timeZone, user }) {
+  const { t } = useI18n();
+  const dialogs = useDialogs();
+  const [draft, setDraft] = useState(null); // null = showing the saved set
+  const [removedIds, setRemovedIds] = useState([]);
+  const [expanded, setExpanded] = useState(null); // row key with translations and slice style open
+  const [dragIndex, setDragIndex] = useState(null);
+  const [dragHandle, setDragHandle] = useState(null); // row key whose handle is held; keeps inputs selectable
+  const [saving, setSaving] = useState(false);
+  const fileInput = useRef(null);
+
+  const rows = draft ?? draftFromPrizes(prizes);
+  const dirty = draft !== null;
+  const { rowErrors, total, totalOk, valid } = validateDraft(rows);
+  const savedById = new Map(prizes.map((p) => [p.id, p]));
+  const today = dayKey(new Date(), timeZone);
+
+  const edit = (nextRows) => setDraft(nextRows);
+  const setField = (index, field, value) => edit(rows.map((r, i) => (i === index ? { ...r, [field]: value } : r)));
+  const setTranslation = (index, code, value) => edit(rows.map((r, i) => (i === index ? { ...r, labels: { ...r.labels, [code]: value } } : r)));
+  // one consolation prize per set
+  const toggleConsolation = (index) => edit(rows.map((r, i) => ({ ...r, consolation: i === index ? !r.consolation : false })));
+
+  function move(from, to) {
+    if (to < 0 || to >= rows.length || from === to) return;
+    const next = [...rows];
+    next.splice(to, 0, next.splice(from, 1)[0]);
+    edit(next);
+  }
+
+  function removeRow(index) {
+    const row = rows[index];
+    if (row.id) setRemovedIds([...removedIds, row.id]);
+    edit(rows.filter((_, i) => i !== index));
+  }
+
+  function discard() {
+    setDraft(null);
+    setRemovedIds([]);
+  }
+
+  async function save() {
+    setSaving(true);
+    try {
+      await savePrizeSet(campaignId, rows, removedIds, user.email);
+      discard();
+    } catch (err) {
+      console.error('Saving prizes failed:', err);
+      dialogs.alert(t('prizeEditor.saveFailed'));
+    }
+    setSaving(false);
+  }
+
+  async function importFile(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const content = await file.text();
+      const imported = /\.json$/i.test(file.name) ? parsePrizesJson(content) : parsePrizesCsv(content);
+      const merged = mergeImportedRows(rows, imported);
+      const keptIds = new Set(merged.map((r) => r.id).filter(Boolean));
+      setRemovedIds([...removedIds, ...rows.filter((r) => r.id && !keptIds.has(r.id)).map((r) => r.id)]);
+      edit(merged);
+    } catch (err) {
+      if (!(err instanceof PrizeImportError)) console.error('Prize import failed:', err);
+      dialogs.alert(t(`prizeEditor.importErrors.${err instanceof PrizeImportError ? err.code : 'unreadable'}`));
+    }
+  }
+
+  const fileName = (ext) => `prizes-${campaignId || 'default'}-${new Date().toISOString().slice(0, 10)}.${ext}`;
+  const errorText = (code) => code && <div className="text-xs text-red-300">{t(`prizeEditor.errors.${code}`, { max: MAX_ICON_LENGTH, minSize: FONT_SIZE_RANGE[0], maxSize: FONT_SIZE_RANGE[1] })}</div>;
+  const formatStock = (id) => {
+    if (!savedById.has(id)) return '–';
+    const { total: left, daily } = remainingStock(savedById.get(id), today);
+    const unlimited = t('common.unlimited');
+    return `${left ?? unlimited} / ${daily ?? unlimited}`;
+  };
+
+  return (
+    <div style={{ color: '#ffffff' }}>
+      <div className="mb-2 flex flex-wrap items-center gap-2">
+        <button onClick={() => edit([...rows, emptyDraftRow()])} className="px-3 py-1 bg-green-600 text-white rounded">
+          {t('admin.addPrize')}
+        </button>
+        <button onClick={() => fileInput.current.click()} className="px-3 py-1 bg-gray-600 text-white rounded">
+          {t('prizeEditor.import')}
+        </button>
+        <input ref={fileInput} type="file" accept=".json,.csv,application/json,text/csv" onChange={importFile} className="hidden" />
+        <button
+          onClick={() => downloadFile([prizesToJson(rows)], fileName('json'), 'application/json')}
+          disabled={rows.length === 0}
+          className="px-3 py-1 bg-gray-600 text-white rounded disabled:opacity-50"
+        >
+          {t('prizeEditor.exportJson')}
+        </button>
+        <button
+          onClick={() => downloadCsv(prizesToCsvRows(rows), fileName('csv'))}
+          disabled={rows.length === 0}
+          className="px-3 py-1 bg-gray-600 text-white rounded disabled:opacity-50"
+        >
+          {t('prizeEditor.exportCsv')}
+        </button>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm text-left border-collapse border border-gray-400">
+          <thead>
+            <tr className="bg-gray-700">
+              <th scope="col" className="border px-2 py-1"><span className="sr-only">{t('prizeEditor.order')}</span></th>
+              <th scope="col" className="border px-2 py-1">{t('prizeEditor.icon')}</th>
+              <th scope="col" className="border px-2 py-1">{t('admin.label')}</th>
+              <th scope="col" className="border px-2 py-1">{t('prizeEditor.color')}</th>
+              <th scope="col" className="border px-2 py-1">{t('admin.probability')} (%)</th>
+              <th scope="col" className="border px-2 py-1">{t('prizeEditor.totalStock')}</th>
+              <th scope="col" className="border px-2 py-1">{t('prizeEditor.dailyStock')}</th>
+              <th scope="col" className="border px-2 py-1">{t('admin.remaining')}</th>
+              <th scope="col" className="border px-2 py-1">{t('prizeEditor.consolation')}</th>
+              <th scope="col" className="border px-2 py-1">{t('common.actions')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.length === 0 && (
+              <tr className="bg-gray-800">
+                <td colSpan={10} className="border px-2 py-2 text-center">{t('prizeEditor.empty')}</td>
+              </tr>
+            )}
+            {rows.map((row, i) => {
+              const errors = rowErrors[i];
+              return (
+                <React.Fragment key={row.key}>
+                  <tr
+                    className={`align-top ${dragIndex === i ? 'bg-gray-600' : 'bg-gray-800'}`}
+                    draggable={dragHandle === row.key}
+                    onDragStart={() => setDragIndex(i)}
+                    onDragOver={(e) => e.preventDefault()}
+                    onDrop={() => { if (dragIndex !== null) move(dragIndex, i); }}
+                    onDragEnd={() => { setDragIndex(null); setDragHandle(null); }}
+                  >
+                    <td className="border px-2 py-1 whitespace-nowrap">
+                      <span
+                        className="cursor-move select-none mr-1"
+                        title={t('prizeEditor.dragHint')}
+                        onMouseDown={() => setDragHandle(row.key)}
+                        onMouseUp={() => setDragHandle(null)}
+                      >
+                        ⋮⋮
+                      </span>
+                      <button onClick={() => move(i, i - 1)} disabled={i === 0} title={t('prizeEditor.moveUp')} className="px-1 disabled:opacity-30">↑</button>
+                      <button onClick={() => move(i, i + 1)} disabled={i === rows.length - 1} title={t('prizeEditor.moveDown')} className="px-1 disabled:opacity-30">↓</button>
+                    </td>
+                    <td className="border px-2 py-1">
+                      <input value={row.icon} aria-label={t('prizeEditor.icon')} onChange={(e) => setField(i, 'icon', e.target.value)} placeholder="🎁" className={`w-14 ${inputClass(errors.icon)}`} />
+                      {errorText(errors.icon)}
+                    </td>
+                    <td className="border px-2 py-1">
+                      <input value={row.label} aria-label={t('admin.label')} onChange={(e) => setField(i, 'label', e.target.value)} className={`w-40 ${inputClass(errors.label)}`} />
+                      {errorText(errors.label)}
+                    </td>
+                    <td className="border px-2 py-1 whitespace-nowrap">
+                      <input
+                        type="color"
+                        aria-label={t('prizeEditor.color')}
+                        value={/^#[0-9a-f]{6}$/i.test(row.color) ? row.color : '#ffdd57'}
+                        onChange={(e) => setField(i, 'color', e.target.value)}
+                        className={`w-10 h-8 align-middle ${row.color ? '' : 'opacity-40'}`}
+                      />
+                      {row.color && (
+                        <button onClick={() => setField(i, 'color', '')} title={t('prizeEditor.defaultColor')} className="ml-1 px-1">×</button>
+                      )}
+                      {errorText(errors.color)}
+                    </td>
+                    <td className="border px-2 py-1">
+                      <input type="number" min="0" step="any" value={row.probability} aria-label={t('admin.probability')} onChange={(e) => setField(i, 'probability', e.target.value)} className={`w-20 ${inputClass(errors.probability)}`} />
+                      {errorText(errors.probability)}
+                    </td>
+                    <td className="border px-2 py-1">
+                      <input type="number" min="0" step="1" value={row.totalStock} aria-label={t('prizeEditor.totalStock')} placeholder={t('common.unlimited')} onChange={(e) => setField(i, 'totalStock', e.target.value)} className={`w-24 placeholder-gray-400 ${inputClass(errors.totalStock)}`} />
+                      {errorText(errors.totalStock)}
+                    </td>
+                    <td className="border px-2 py-1">
+                      <input type="number" min="0" step="1" value={row.dailyStock} aria-label={t('prizeEditor.dailyStock')} placeholder={t('common.unlimited')} onChange={(e) => setField(i, 'dailyStock', e.target.value)} className={`w-24 placeholder-gray-400 ${inputClass(errors.dailyStock)}`} />
+                      {errorText(errors.dailyStock)}
+                    </td>
+                    <td className="border px-2 py-1 whitespace-nowrap">{formatStock(row.id)}</td>
+                    <td className="border px-2 py-1 text-center">
+                      <input type="checkbox" checked={row.consolation} aria-label={t('prizeEditor.consolation')} onChange={() => toggleConsolation(i)} />
+                    </td>
+                    <td className="border px-2 py-1">
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => setExpanded(expanded === row.key ? null : row.key)}
+                          aria-expanded={expanded === row.key}
+                          className={`px-2 py-1 rounded text-white ${errors.textColor || errors.fontSize ? 'bg-red-600' : 'bg-indigo-600'}`}
+                        >
+                          {t('prizeEditor.more')}
+                        </button>
+                        <button onClick={() => removeRow(i)} className="px-2 py-1 bg-red-500 rounded text-white">
+                          {t('common.delete')}
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                  {expanded === row.key && (
+                    <tr className="bg-gray-900">
+                      <td colSpan={10} className="border px-2 py-2">
+                        <div className="mb-1 font-semibold">{t('prizeEditor.translations')}</div>
+                        <div className="flex flex-wrap gap-3">
+                          {Object.entries(LANGUAGES).map(([code, { name }]) => (
+                            <label key={code} className="flex items-center gap-1">
+                              {name}
+                              <input
+                                value={row.labels[code] || ''}
+                                placeholder={row.label}
+                                onChange={(e) => setTranslation(i, code, e.target.value)}
+                                className="w-40 border px-2 py-1 rounded text-white bg-gray-800 placeholder-gray-400"
+                              />
+                            </label>
+                          ))}
+                        </div>
+                        <div className="mt-3 mb-1 font-semibold">{t('prizeEditor.wheelStyle')}</div>
+                        <div className="flex flex-wrap items-start gap-3">
+                          <label className="flex items-center gap-1">
+                            {t('prizeEditor.textColor')}
+                            <input
+                              type="color"
+                              value={/^#[0-9a-f]{6}$/i.test(row.textColor) ? row.textColor : '#ffffff'}
+                              onChange={(e) => setField(i, 'textColor', e.target.value)}
+                              className={`w-10 h-8 ${row.textColor ? '' : 'opacity-40'}`}
+                            />
+                            {row.textColor && (
+                              <button onClick={() => setField(i, 'textColor', '')} title={t('prizeEditor.defaultColor')} className="px-1">×</button>
+                            )}
+                          </label>
+                          {errorText(errors.textColor)}
+                          <div>
+                            <label className="flex items-center gap-1">
+                              {t('prizeEditor.fontSize')}
+                              <input
+                                type="number"
+                                min={FONT_SIZE_RANGE[0]}
+                                max={FONT_SIZE_RANGE[1]}
+                                step="1"
+                                value={row.fontSize}
+                                placeholder={t('prizeEditor.themeSize')}
+                                onChange={(e) => setField(i, 'fontSize', e.target.value)}
+                                className={`w-24 placeholder-gray-400 ${inputClass(errors.fontSize)}`}
+                              />
+                            </label>
+                            {errorText(errors.fontSize)}
+                          </div>
+                        </div>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="mt-3">
+        <div className="flex justify-between text-sm mb-1">
+          <span>{t('prizeEditor.total', { total: Number(total.toFixed(2)), target: PROBABILITY_TOTAL })}</span>
+          {!totalOk && <span className="text-red-300">{t('prizeEditor.totalError', { target: PROBABILITY_TOTAL })}</span>}
+        </div>
+        <div className="h-3 w-full bg-gray-700 rounded overflow-hidden">
+          <div
+            className={`h-full ${totalOk ? 'bg-green-500' : total > PROBABILITY_TOTAL ? 'bg-red-500' : 'bg-yellow-500'}`}
+            style={{ width: `${Math.min(total / PROBABILITY_TOTAL, 1) * 100}%` }}
+          />
+        </div>
+      </div>
+
+      <div className="mt-3 flex items-center gap-2">
+        <button onClick={save} disabled={!dirty || !valid || saving} className="px-3 py-1 bg-green-600 text-white rounded disabled:opacity-50">
+          {saving ? t('prizeEditor.saving') : t('prizeEditor.save')}
+        </button>
+        <button onClick={discard} disabled={!dirty || saving} className="px-3 py-1 bg-gray-600 text-white rounded disabled:opacity-50">
+          {t('prizeEditor.discard')}
+        </button>
+        {dirty && <span className="text-sm">{t('prizeEditor.unsaved')}</span>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,111 @@
+import React, { useEffect, useState } from 'react';
+import { query, where, orderBy, limit, onSnapshot } from 'firebase/firestore';
+import { venueCollection } from '../venue';
+import { restorePrizeVersion } from '../prizes';
+import { diffPrizeConfig, restorableConfig } from '../lib/audit';
+import { useI18n } from '../i18n';
+import { useDialogs } from '../dialogs';
+
+const HISTORY_SIZE = 50;
+
+const auditRef = venueCollection('prizeAudit');
+
+// Audit trail of prize changes (newest first) with rollback to any recorded version
+export default function PrizeHistory({ prizes, campaigns, user, canEditPrizes }) {
+  const { t, locale } = useI18n();
+  const dialogs = useDialogs();
+  const [prizeId, setPrizeId] = useState(''); // '' = all prizes
+  const [entries, setEntries] = useState([]);
+  const [restoring, setRestoring] = useState(null); // entry id
+
+  // prizeId + at is indexed in firestore.indexes.json
+  useEffect(() => {
+    const q = query(
+      auditRef,
+      ...(prizeId ? [where('prizeId', '==', prizeId)] : []),
+      orderBy('at', 'desc'),
+      limit(HISTORY_SIZE)
+    );
+    const unsubscribe = onSnapshot(q, (snapshot) => {
+      setEntries(snapshot.docs.map((d) => ({ id: d.id, ...d.data() })));
+    }, (err) => console.error('Failed to load prize history:', err));
+    return () => unsubscribe();
+  }, [prizeId]);
+
+  const campaignName = (id) => campaigns.find((c) => c.id === id)?.name || id;
+
+  function formatValue(field, value) {
+    if (value === null || value === undefined) {
+      return field === 'totalStock' || field === 'dailyStock' ? t('common.unlimited') : '—';
+    }
+    if (field === 'consolation') return value ? t('common.yes') : t('common.no');
+    if (field === 'campaignId') return campaignName(value);
+    if (field === 'labels') return Object.entries(value).map(([code, label]) => `${code}: ${label}`).join(', ');
+    return String(value);
+  }
+
+  async function restore(entry) {
+    const label = restorableConfig(entry)?.label || entry.prizeId;
+    if (!await dialogs.confirm(t('history.restoreConfirm', { label }))) return;
+    setRestoring(entry.id);
+    try {
+      await restorePrizeVersion(entry, user.email);
+    } catch (err) {
+      console.error('Restoring prize failed:', err);
+      dialogs.alert(t('history.restoreFailed'));
+    }
+    setRestoring(null);
+  }
+
+  return (
+    <div className="mt-6">
+      <h3 className="text-md font-semibold mb-2" style={{ color: '#ffffff' }}>{t('history.title')}</h3>
+
+      <div className="mb-2 text-sm">
+        <select value={prizeId} onChange={(e) => setPrizeId(e.target.value)} aria-label={t('common.prize')} className="px-2 py-1 rounded border bg-gray-700 text-white">
+          <option value="">{t('logs.allPrizes')}</option>
+          {prizes.map((p) => <option key={p.id} value={p.id}>{p.label}</option>)}
+        </select>
+      </div>
+
+      {entries.length === 0 && <div className="text-sm" style={{ color: '#ffffff' }}>{t('history.empty')}</div>}
+
+      <ul className="space-y-2 text-sm">
+        {entries.map((entry) => {
+          const label = (entry.after || entry.before)?.label || entry.prizeId;
+          const changes = entry.action === 'update' || entry.action === 'rollback'
+            ? diffPrizeConfig(entry.before, entry.after)
+            : [];
+          return (
+            <li key={entry.id} className="p-2 bg-gray-800 border border-gray-600 rounded" style={{ color: '#ffffff' }}>
+              <div className="flex flex-wrap items-center gap-2">
+                <span>{entry.at?.toDate?.().toLocaleString(locale) || '…'}</span>
+                <span className="font-semibold">{t(`history.actions.${entry.action}`)}</span>
+                <span>{label}</span>
+                <span className="text-gray-400">{entry.actor}</span>
+                {canEditPrizes && (
+                  <button
+                    onClick={() => restore(entry)}
+                    disabled={restoring !== null}
+                    className="ml-auto px-2 py-1 bg-gray-600 text-white rounded disabled:opacity-50"
+                  >
+                    {restoring === entry.id ? t('history.restoring') : t('history.restore')}
+                  </button>
+                )}
+              </div>
+              {changes.length > 0 && (
+                <ul className="mt-1 text-gray-300">
+                  {changes.map((c) => (
+                    <li key={c.field}>
+                      {t(`history.fields.${c.field}`)}: {formatValue(c.field, c.before)} → {formatValue(c.field, c.after)}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,43 @@
+import React from 'react';
+import { Wheel } from 'react-custom-roulette';
+import { prizeLabel, useI18n } from '../i18n';
+import { useTheme } from '../theme';
+import { fontFamily, pointerProps, wheelSpinDuration } from '../lib/theme';
+
+// The wheel as every screen shows it: booking page, stream overlay and lobby display,
+// in the venue's theme. `slices` come from wheelSlices() so all of them agree with
+// the spin service. onStopSpinning fires when the wheel comes to rest.
+export default function PrizeWheel({ slices, prizeNumber, mustStartSpinning, onStopSpinning }) {
+  const { t, language } = useI18n();
+  const theme = useTheme();
+  return (
+    // the theme's easing is applied to the wheel's stop animation in index.css;
+    // screen readers get the prize list, the outcome comes from the page's live region
+    <div
+      className={`wheel-easing-${theme.easing}`}
+      role="img"
+      aria-label={t('a11y.wheel', { prizes: slices.map((p) => prizeLabel(p, language)).join(', ') })}
+    >
+      <Wheel
+        mustStartSpinning={mustStartSpinning}
+        prizeNumber={prizeNumber >= 0 ? prizeNumber : 0}
+        data={slices.map((p) => ({
+          option: p.icon ? `${p.icon} ${prizeLabel(p, language)}` : prizeLabel(p, language),
+          // unset fields fall back to the theme's
+          style: { backgroundColor: p.color || undefined, textColor: p.textColor || undefined, fontSize: p.fontSize || undefined },
+        }))}
+        onStopSpinning={onStopSpinning}
+        spinDuration={wheelSpinDuration(theme)}
+        backgroundColors={theme.palette}
+        textColors={[theme.textColor]}
+        outerBorderColor={theme.borderColor}
+        outerBorderWidth={theme.borderWidth}
+        radiusLineColor={theme.lineColor}
+        radiusLineWidth={theme.lineWidth}
+        fontFamily={fontFamily(theme)}
+        fontSize={theme.fontSize}
+        pointerProps={pointerProps(theme)}
+      />
+    </div>
+  );
+}
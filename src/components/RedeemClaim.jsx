@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import { lookupClaim, redeemClaim, ClaimError } from '../claims';
+import { needsOverride } from '../lib/redemption';
+import { useI18n } from '../i18n';
+import { useDialogs } from '../dialogs';
+
+// Staff screen: look up a claim code from the result card and mark the prize handed over
+export default function RedeemClaim({ user }) {
+  const { t, locale } = useI18n();
+  const dialogs = useDialogs();
+  const [codeInput, setCodeInput] = useState('');
+  const [spin, setSpin] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  function claimErrorMessage(err) {
+    if (err instanceof ClaimError) return t(`errors.claim.${err.code}`);
+    console.error('Claim request failed:', err);
+    return t('common.somethingWentWrong');
+  }
+
+  async function handleLookup(e) {
+    e.preventDefault();
+    setBusy(true);
+    setSpin(null);
+    try {
+      setSpin(await lookupClaim(codeInput));
+    } catch (err) {
+      dialogs.alert(claimErrorMessage(err));
+    }
+    setBusy(false);
+  }
+
+  async function handleRedeem() {
+    // a spin confirmed as fraud is only handed over with a reason on record
+    let overrideReason = '';
+    if (needsOverride(spin)) {
+      overrideReason = (await dialogs.prompt(t('redeem.overridePrompt'))) || '';
+      if (!overrideReason.trim()) return;
+    }
+    setBusy(true);
+    try {
+      await redeemClaim(spin.claimCode, user.email, overrideReason);
+      setSpin(await lookupClaim(spin.claimCode));
+    } catch (err) {
+      dialogs.alert(claimErrorMessage(err));
+    }
+    setBusy(false);
+  }
+
+  return (
+    <div className="mt-6">
+      <h3 className="text-md font-semibold mb-2" style={{ color: '#ffffff' }}>{t('redeem.title')}</h3>
+      <form onSubmit={handleLookup} className="flex gap-2">
+        <input
+          placeholder={t('redeem.codePlaceholder')}
+          value={codeInput}
+          onChange={(e) => setCodeInput(e.target.value)}
+          className="border px-2 py-1 rounded text-white bg-gray-800 placeholder-white uppercase"
+        />
+        <button type="submit" disabled={busy} className="px-3 py-1 bg-indigo-600 text-white rounded disabled:opacity-50">
+          {t('redeem.lookUp')}
+        </button>
+      </form>
+
+      {spin && (
+        <div className="mt-3 p-3 bg-gray-800 border border-gray-600 rounded text-sm" style={{ color: '#ffffff' }}>
+          <div><strong>{t('redeem.claimCode')}</strong> {spin.claimCode}</div>
+          {spin.stream
+            ? <div><strong>{t('stream.requesterLabel')}</strong> {spin.requester}</div>
+            : <div><strong>{t('app.bookingIdLabel')}</strong> {spin.bookingId}</div>}
+          <div><strong>{t('redeem.prize')}</strong> {spin.prizeLabel}</div>
+          <div><strong>{t('redeem.wonAt')}</strong> {spin.createdAt?.toDate?.()?.toLocaleString(locale) || ''}</div>
+          {spin.reviewStatus === 'pending' && (
+            <div className="mt-2 text-yellow-300 font-semibold">{t('review.redeemWarning.pending')}</div>
+          )}
+          {needsOverride(spin) && (
+            <div className="mt-2 text-red-300 font-semibold">{t('review.redeemWarning.confirmed')}</div>
+          )}
+          {spin.redeemedAt ? (
+            <div className="mt-2 font-semibold">
+              {t('redeem.redeemedBy')} {spin.redeemedBy} · {spin.redeemedAt?.toDate?.()?.toLocaleString(locale) || ''}
+              {spin.redeemOverride && <div>{t('redeem.override')} {spin.redeemOverride}</div>}
+            </div>
+          ) : (
+            <button
+              onClick={handleRedeem}
+              disabled={busy}
+              className={`mt-2 px-3 py-1 text-white rounded disabled:opacity-50 ${needsOverride(spin) ? 'bg-red-700' : 'bg-green-600'}`}
+            >
+              {t(needsOverride(spin) ? 'redeem.redeemAnyway' : 'redeem.markRedeemed')}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,95 @@
+import React, { useEffect, useRef, useState } from 'react';
+import ClaimQrCode from './ClaimQrCode';
+import { useTheme } from '../theme';
+import { readableTextColor, textColorOn } from '../lib/contrast';
+import { confettiPieces } from '../lib/confetti';
+import { prizeLabel, useI18n } from '../i18n';
+
+const CONFETTI_COUNT = 80;
+const MODAL_BACKGROUND = '#1f2937';
+
+// The win announcement once the wheel has stopped: prize, claim code and its QR.
+// A modal dialog: focus moves to the close button and returns on close, Escape
+// closes it. Animations are skipped under prefers-reduced-motion or the app's
+// reduced-motion toggle (index.css); theme colours are kept only where readable.
+export default function ResultModal({ result, onClose }) {
+  const { t, language } = useI18n();
+  const theme = useTheme();
+  const [pieces] = useState(() => confettiPieces(CONFETTI_COUNT, theme.palette));
+  const closeButton = useRef(null);
+
+  useEffect(() => {
+    const previous = document.activeElement;
+    closeButton.current?.focus();
+    return () => previous?.focus?.();
+  }, []);
+
+  function handleKeyDown(e) {
+    if (e.key === 'Escape') onClose();
+    // the close button is the only control, so Tab stays on it
+    if (e.key === 'Tab') e.preventDefault();
+  }
+
+  return (
+    <div
+      onKeyDown={handleKeyDown}
+      onClick={(e) => { if (e.target === e.currentTarget) onClose(); }}
+      style={{
+        position: 'fixed', inset: 0, zIndex: 50, overflow: 'hidden',
+        display: 'flex', alignItems: 'center', justifyContent: 'center', padding: '1rem',
+        backgroundColor: 'rgba(0,0,0,0.7)'
+      }}
+    >
+      <div aria-hidden="true">
+        {pieces.map((p, i) => (
+          <span
+            key={i}
+            className="confetti-piece"
+            style={{
+              left: `${p.left}%`,
+              width: p.size,
+              height: p.round ? p.size : p.size * 0.4,
+              borderRadius: p.round ? '50%' : 1,
+              backgroundColor: p.color,
+              animationDelay: `${p.delay}s`,
+              animationDuration: `${p.duration}s`,
+            }}
+          />
+        ))}
+      </div>
+
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="result-title"
+        aria-describedby="result-prize"
+        className="result-modal relative p-6 rounded-xl text-center shadow-lg"
+        style={{ backgroundColor: MODAL_BACKGROUND, border: `4px solid ${theme.accentColor}`, color: '#ffffff', maxWidth: 420, width: '100%' }}
+      >
+        <h2 id="result-title" className="text-2xl font-semibold" style={{ margin: 0 }}>{t('result.title')}</h2>
+        <div id="result-prize" className="mt-2 text-3xl font-bold" style={{ color: textColorOn(MODAL_BACKGROUND, theme.accentColor) }}>
+          {result.icon && <span aria-hidden="true">{result.icon} </span>}
+          {prizeLabel(result, language)}
+        </div>
+
+        <div className="mt-4">
+          <ClaimQrCode code={result.claimCode} />
+          <div className="mt-2 text-sm">{t('result.claimCode')}</div>
+          <div className="text-3xl font-mono font-bold tracking-widest">{result.claimCode}</div>
+        </div>
+        <div className="text-sm mt-2">{t('app.showClaimCode')}</div>
+        {result.offline && <div className="text-xs mt-2">{t('kiosk.offlineClaimNote')}</div>}
+        {result.notifyTo && <div className="text-xs mt-2">{t('result.notifying', { contact: result.notifyTo })}</div>}
+
+        <button
+          ref={closeButton}
+          onClick={onClose}
+          className="mt-4 px-6 py-2 rounded"
+          style={{ backgroundColor: theme.accentColor, color: readableTextColor(theme.accentColor) }}
+        >
+          {t('result.close')}
+        </button>
+      </div>
+    </div>
+  );
+}
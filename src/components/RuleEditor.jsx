@@ -0,0 +1,262 @@
+import React, { useEffect, useState } from 'react';
+import { savePrizeRules, subscribePrizeRules, subscribeRuleState } from '../prizeRules';
+import { dayKey } from '../lib/time';
+import {
+  RULE_TYPES, MAX_RULES, MAX_FACTOR, activeRules, emptyRule, ruleContext, ruleOdds, validateRules,
+} from '../lib/prizeRules';
+import { prizeLabel, useI18n } from '../i18n';
+import { useDialogs } from '../dialogs';
+
+const inputClass = (error) => `border px-2 py-1 rounded text-white bg-gray-800 placeholder-gray-400 ${error ? 'border-red-500' : ''}`;
+const percent = (odds) => `${Number((odds * 100).toFixed(2))}%`;
+
+// Prize rules of this venue (src/lib/prizeRules.js): edited as a draft like the
+// prize editor, with a dry run of the draft's odds on the live wheel
+export default function RuleEditor({ prizes, campaigns, slices, timeZone, user }) {
+  const { t, language } = useI18n();
+  const dialogs = useDialogs();
+  const [saved, setSaved] = useState([]);
+  const [draft, setDraft] = useState(null); // null = showing the saved rules
+  const [ruleState, setRuleState] = useState({});
+  const [newType, setNewType] = useState(RULE_TYPES[0]);
+  const [saving, setSaving] = useState(false);
+  // dry run inputs; blank = as things stand now
+  const [scenario, setScenario] = useState({ spinOfDay: '', tier: '', streak: '' });
+
+  useEffect(() => subscribePrizeRules(setSaved, (err) => console.error('Failed to load prize rules:', err)), []);
+  useEffect(() => subscribeRuleState(setRuleState, (err) => console.error('Failed to load the rule state:', err)), []);
+
+  const rules = draft ?? saved;
+  const dirty = draft !== null;
+  const { ruleErrors, valid } = validateRules(rules);
+
+  const edit = (next) => setDraft(next);
+  const setField = (index, field, value) => edit(rules.map((r, i) => (i === index ? { ...r, [field]: value } : r)));
+  const setNumber = (index, field) => (e) => setField(index, field, e.target.value === '' ? NaN : Number(e.target.value));
+
+  function move(from, to) {
+    if (to < 0 || to >= rules.length) return;
+    const next = [...rules];
+    next.splice(to, 0, next.splice(from, 1)[0]);
+    edit(next);
+  }
+
+  async function save() {
+    if (!valid) return dialogs.alert(t('rules.fixErrors'));
+    setSaving(true);
+    try {
+      await savePrizeRules(rules, user.email);
+      setDraft(null);
+    } catch (err) {
+      console.error('Saving prize rules failed:', err);
+      dialogs.alert(t('rules.saveFailed'));
+    }
+    setSaving(false);
+  }
+
+  const setName = new Map(campaigns.map((c) => [c.id, c.name]));
+  const prizeOptions = prizes
+    .filter((p) => p.label?.trim())
+    .map((p) => ({ id: p.id, name: `${prizeLabel(p, language)} (${setName.get(p.campaignId) || t('common.defaultPrizeSet')})` }));
+  const errorText = (code) => code && (
+    <div className="text-xs text-red-300">{t(`rules.errors.${code}`, { max: MAX_FACTOR })}</div>
+  );
+  const prizeSelect = (rule, i, anyLabel) => (
+    <label className="flex items-center gap-1">
+      {t('common.prize')}
+      <select
+        value={rule.prizeId || ''}
+        onChange={(e) => setField(i, 'prizeId', e.target.value || null)}
+        className={`px-2 py-1 rounded border bg-gray-700 text-white ${ruleErrors[i].prizeId ? 'border-red-500' : ''}`}
+      >
+        <option value="">{anyLabel || t('rules.choosePrize')}</option>
+        {prizeOptions.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+      </select>
+    </label>
+  );
+  const numberInput = (rule, i, field, min) => (
+    <label className="flex items-center gap-1">
+      {t(`rules.fields.${field}`)}
+      <input
+        type="number" min={min} step={field === 'factor' ? 'any' : 1}
+        value={Number.isNaN(rule[field]) ? '' : rule[field]}
+        onChange={setNumber(i, field)}
+        className={`w-20 ${inputClass(ruleErrors[i][field])}`}
+      />
+    </label>
+  );
+
+  // dry run: the draft's enabled, valid rules against the live wheel and counters
+  const live = ruleContext({ day: dayKey(new Date(), timeZone), state: ruleState });
+  const context = {
+    ...live,
+    spinOfDay: Number(scenario.spinOfDay) || live.spinOfDay,
+    tier: scenario.tier.trim().toLowerCase(),
+    consolationStreak: scenario.streak === '' ? live.consolationStreak : Number(scenario.streak) || 0,
+  };
+  const base = ruleOdds(slices, [], context).odds;
+  const withRules = ruleOdds(slices, activeRules({ rules }), context);
+  const ruleName = new Map(rules.map((r) => [r.id, r.name]));
+
+  return (
+    <div className="mt-2" style={{ color: '#ffffff' }}>
+      <h3 className="text-md font-semibold mb-1">{t('rules.title')}</h3>
+      <div className="mb-3 text-xs">{t('rules.hint')}</div>
+
+      <div className="space-y-2 text-sm">
+        {rules.length === 0 && <div>{t('rules.empty')}</div>}
+        {rules.map((rule, i) => {
+          const errors = ruleErrors[i];
+          return (
+            <div key={rule.id} className="p-2 rounded border border-gray-600 bg-gray-800">
+              <div className="flex flex-wrap items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={rule.enabled}
+                  onChange={() => setField(i, 'enabled', !rule.enabled)}
+                  aria-label={t('rules.enabled')}
+                  title={t('rules.enabled')}
+                />
+                <span className="px-2 py-0.5 rounded bg-gray-600">{t(`rules.types.${rule.type}`)}</span>
+                <input
+                  value={rule.name}
+                  onChange={(e) => setField(i, 'name', e.target.value)}
+                  placeholder={t('rules.name')}
+                  aria-label={t('rules.name')}
+                  className={`flex-1 ${inputClass(errors.name)}`}
+                />
+                <button onClick={() => move(i, i - 1)} disabled={i === 0} title={t('prizeEditor.moveUp')} className="px-1 disabled:opacity-30">↑</button>
+                <button onClick={() => move(i, i + 1)} disabled={i === rules.length - 1} title={t('prizeEditor.moveDown')} className="px-1 disabled:opacity-30">↓</button>
+                <button onClick={() => edit(rules.filter((_, j) => j !== i))} className="px-2 py-1 bg-red-500 rounded text-white">
+                  {t('common.delete')}
+                </button>
+              </div>
+              {errorText(errors.name)}
+
+              <div className="mt-2 flex flex-wrap items-center gap-3">
+                {rule.type === 'guarantee' && (
+                  <>
+                    {numberInput(rule, i, 'nthSpin', 1)}
+                    <label className="flex items-center gap-1">
+                      <input type="checkbox" checked={rule.repeat} onChange={() => setField(i, 'repeat', !rule.repeat)} />
+                      {t('rules.fields.repeat')}
+                    </label>
+                    {prizeSelect(rule, i)}
+                  </>
+                )}
+                {rule.type === 'tierOdds' && (
+                  <>
+                    <label className="flex items-center gap-1">
+                      {t('rules.fields.tiers')}
+                      <input
+                        value={rule.tiers.join(',')}
+                        onChange={(e) => setField(i, 'tiers', e.target.value.split(','))}
+                        placeholder="gold, platinum"
+                        className={`w-40 ${inputClass(errors.tiers)}`}
+                      />
+                    </label>
+                    {numberInput(rule, i, 'factor', 0)}
+                    {prizeSelect(rule, i, t('rules.everyRealPrize'))}
+                  </>
+                )}
+                {rule.type === 'dailyCap' && (
+                  <>
+                    {prizeSelect(rule, i)}
+                    {numberInput(rule, i, 'limit', 0)}
+                  </>
+                )}
+                {rule.type === 'pity' && numberInput(rule, i, 'streak', 1)}
+              </div>
+              {['prizeId', 'nthSpin', 'tiers', 'factor', 'limit', 'streak'].map((field) => (
+                <React.Fragment key={field}>{errorText(errors[field])}</React.Fragment>
+              ))}
+              <div className="mt-1 text-xs text-gray-300">{t(`rules.describe.${rule.type}`)}</div>
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+        <select value={newType} onChange={(e) => setNewType(e.target.value)} className="px-2 py-1 rounded border bg-gray-700 text-white">
+          {RULE_TYPES.map((type) => <option key={type} value={type}>{t(`rules.types.${type}`)}</option>)}
+        </select>
+        <button
+          onClick={() => edit([...rules, emptyRule(newType, crypto.randomUUID())])}
+          disabled={rules.length >= MAX_RULES}
+          className="px-3 py-1 bg-green-600 text-white rounded disabled:opacity-50"
+        >
+          {t('rules.add')}
+        </button>
+        <button onClick={save} disabled={saving || !dirty} className="px-3 py-1 bg-indigo-600 text-white rounded disabled:opacity-50">
+          {saving ? t('rules.saving') : t('rules.save')}
+        </button>
+        <button onClick={() => setDraft(null)} disabled={!dirty} className="px-3 py-1 bg-gray-600 text-white rounded disabled:opacity-50">
+          {t('rules.discard')}
+        </button>
+      </div>
+      {dirty && <div className="mt-1 text-xs">{t('rules.unsaved')}</div>}
+
+      <h4 className="mt-6 mb-1 font-semibold">{t('rules.dryRun.title')}</h4>
+      <div className="mb-2 text-xs">{t('rules.dryRun.hint')}</div>
+      <div className="flex flex-wrap gap-3 text-sm">
+        <label className="flex items-center gap-1">
+          {t('rules.dryRun.spinOfDay')}
+          <input
+            type="number" min="1" step="1"
+            value={scenario.spinOfDay}
+            placeholder={String(live.spinOfDay)}
+            onChange={(e) => setScenario({ ...scenario, spinOfDay: e.target.value })}
+            className={`w-24 ${inputClass()}`}
+          />
+        </label>
+        <label className="flex items-center gap-1">
+          {t('rules.dryRun.tier')}
+          <input
+            value={scenario.tier}
+            placeholder={t('rules.dryRun.noTier')}
+            onChange={(e) => setScenario({ ...scenario, tier: e.target.value })}
+            className={`w-32 ${inputClass()}`}
+          />
+        </label>
+        <label className="flex items-center gap-1">
+          {t('rules.dryRun.streak')}
+          <input
+            type="number" min="0" step="1"
+            value={scenario.streak}
+            placeholder={String(live.consolationStreak)}
+            onChange={(e) => setScenario({ ...scenario, streak: e.target.value })}
+            className={`w-20 ${inputClass()}`}
+          />
+        </label>
+      </div>
+
+      {slices.length === 0 ? (
+        <div className="mt-2 text-sm">{t('app.noPrizes')}</div>
+      ) : (
+        <table className="mt-2 w-full text-sm text-left border-collapse border border-gray-400">
+          <thead>
+            <tr className="bg-gray-700">
+              <th scope="col" className="border px-2 py-1">{t('common.prize')}</th>
+              <th scope="col" className="border px-2 py-1">{t('rules.dryRun.base')}</th>
+              <th scope="col" className="border px-2 py-1">{t('rules.dryRun.withRules')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {slices.map((p, i) => (
+              <tr key={p.id} className="bg-gray-800">
+                <td className="border px-2 py-1">{prizeLabel(p, language)}</td>
+                <td className="border px-2 py-1">{percent(base[i])}</td>
+                <td className={`border px-2 py-1 ${withRules.odds[i] !== base[i] ? 'font-semibold' : ''}`}>{percent(withRules.odds[i])}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <div className="mt-1 text-xs">
+        {t('rules.dryRun.applied', {
+          rules: withRules.applied.length > 0 ? withRules.applied.map((id) => ruleName.get(id)).join(', ') : t('rules.dryRun.none'),
+        })}
+      </div>
+    </div>
+  );
+}
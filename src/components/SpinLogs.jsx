@@ -0,0 +1,270 @@
+import React, { useEffect, useState } from 'react';
+import { query, where, orderBy, limit, startAfter, onSnapshot, getDocs, getCountFromServer, Timestamp } from 'firebase/firestore';
+import { venueCollection } from '../venue';
+import { downloadCsv, neutralizeFormula } from '../lib/csv';
+import { dayStart, nextDay, wallClock } from '../lib/time';
+import { useI18n } from '../i18n';
+import { useDialogs } from '../dialogs';
+
+const PAGE_SIZE = 10;
+const XLSX_DATE_FORMATS = { en: 'mm/dd/yyyy hh:mm:ss', id: 'dd/mm/yyyy hh:mm:ss', zh: 'yyyy/mm/dd hh:mm:ss', ja: 'yyyy/mm/dd hh:mm:ss' };
+
+const spinsRef = venueCollection('spins');
+
+const EMPTY_FILTERS = { bookingId: '', prizeId: '', campaignId: '', from: '', to: '' };
+
+// Firestore constraints for the filter form. Each equality filter pairs with
+// createdAt in firestore.indexes.json.
+function filterConstraints(filters, timeZone) {
+  const constraints = [];
+  if (filters.bookingId) constraints.push(where('bookingId', '==', filters.bookingId));
+  if (filters.prizeId) constraints.push(where('prizeId', '==', filters.prizeId));
+  if (filters.campaignId) constraints.push(where('campaignId', '==', filters.campaignId === 'none' ? null : filters.campaignId));
+  // date inputs are venue days, whatever the time zone of this device; `to` is inclusive
+  if (filters.from) constraints.push(where('createdAt', '>=', Timestamp.fromDate(dayStart(filters.from, timeZone))));
+  if (filters.to) constraints.push(where('createdAt', '<', Timestamp.fromDate(dayStart(nextDay(filters.to), timeZone))));
+  return constraints;
+}
+
+// Spin log table with server-side filtering, cursor paging and CSV/XLSX export
+export default function SpinLogs({ prizes, campaigns, timeZone }) {
+  const { t, language, locale } = useI18n();
+  const dialogs = useDialogs();
+  const [form, setForm] = useState(EMPTY_FILTERS);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [rows, setRows] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  // cursors[i] = last document of page i-1, so page i starts after it
+  const [cursors, setCursors] = useState([null]);
+  const [exporting, setExporting] = useState(false);
+
+  const campaignName = (id) => campaigns.find((c) => c.id === id)?.name || id;
+
+  // Current page, live
+  useEffect(() => {
+    const q = query(
+      spinsRef,
+      ...filterConstraints(filters, timeZone),
+      orderBy('createdAt', 'desc'),
+      ...(cursors[page] ? [startAfter(cursors[page])] : []),
+      limit(PAGE_SIZE)
+    );
+    const unsubscribe = onSnapshot(q, (snapshot) => {
+      setRows(snapshot.docs);
+    }, (err) => console.error('Failed to load spin logs:', err));
+    return () => unsubscribe();
+  }, [filters, page, cursors, timeZone]);
+
+  // Total for the page counter; refreshed when the filters change or a page loads
+  useEffect(() => {
+    let cancelled = false;
+    getCountFromServer(query(spinsRef, ...filterConstraints(filters, timeZone)))
+      .then((snap) => !cancelled && setTotal(snap.data().count))
+      .catch((err) => console.error('Failed to count spin logs:', err));
+    return () => { cancelled = true; };
+  }, [filters, rows, timeZone]);
+
+  const totalPages = Math.max(Math.ceil(total / PAGE_SIZE), 1);
+
+  function applyFilters(e) {
+    e.preventDefault();
+    if (form.from && form.to && form.to < form.from) {
+      return dialogs.alert(t('logs.endBeforeStart'));
+    }
+    setFilters({ ...form, bookingId: form.bookingId.trim() });
+    setPage(0);
+    setCursors([null]);
+  }
+
+  function resetFilters() {
+    setForm(EMPTY_FILTERS);
+    setFilters(EMPTY_FILTERS);
+    setPage(0);
+    setCursors([null]);
+  }
+
+  function nextPage() {
+    setCursors([...cursors.slice(0, page + 1), rows[rows.length - 1]]);
+    setPage(page + 1);
+  }
+
+  // Whole filtered set (not just the visible page) for export
+  async function loadExportRows() {
+    const snap = await getDocs(query(spinsRef, ...filterConstraints(filters, timeZone), orderBy('createdAt', 'desc')));
+    return snap.docs.map((d) => {
+      const log = d.data();
+      return {
+        bookingId: log.bookingId ?? t('stream.spinFor', { name: log.requester }),
+        prize: log.prizeLabel,
+        campaign: log.campaignId ? campaignName(log.campaignId) : '',
+        date: log.createdAt?.toDate?.() || null,
+        claimCode: log.claimCode || '',
+        redeemedAt: log.redeemedAt?.toDate?.() || null,
+        redeemedBy: log.redeemedBy || '',
+      };
+    });
+  }
+
+  const headers = [
+    t('common.bookingId'),
+    t('common.prize'),
+    t('common.campaign'),
+    t('common.date'),
+    t('logs.claimCode'),
+    t('logs.redeemed'),
+  ];
+  const redemptionText = (redeemedAt, redeemedBy) => (redeemedAt
+    ? `${redeemedAt.toLocaleString(locale, { timeZone })} (${redeemedBy})`
+    : t('logs.notRedeemed'));
+  const fileName = (ext) => `spins-${new Date().toISOString().slice(0, 10)}.${ext}`;
+
+  async function exportFile(format) {
+    setExporting(true);
+    try {
+      const data = await loadExportRows();
+      if (format === 'csv') {
+        downloadCsv([
+          headers,
+          ...data.map((r) => [
+            r.bookingId,
+            r.prize,
+            r.campaign,
+            r.date ? r.date.toLocaleString(locale, { timeZone }) : '',
+            r.claimCode,
+            redemptionText(r.redeemedAt, r.redeemedBy),
+          ]),
+        ], fileName('csv'));
+      } else {
+        const { default: writeXlsxFile } = await import('write-excel-file/browser');
+        await writeXlsxFile([
+          headers.map((h) => ({ value: h, fontWeight: 'bold' })),
+          // text cells as toCsv() writes them, so no cell starts a formula
+          ...data.map((r) => [
+            neutralizeFormula(r.bookingId),
+            neutralizeFormula(r.prize),
+            neutralizeFormula(r.campaign),
+            // xlsx dates have no time zone; shift so the sheet shows the venue's wall-clock time, as the app does
+            r.date ? { value: wallClock(r.date, timeZone), format: XLSX_DATE_FORMATS[language] } : null,
+            neutralizeFormula(r.claimCode),
+            neutralizeFormula(redemptionText(r.redeemedAt, r.redeemedBy)),
+          ]),
+        ], { columns: [{ width: 20 }, { width: 24 }, { width: 20 }, { width: 22 }, { width: 14 }, { width: 36 }] }).toFile(fileName('xlsx'));
+      }
+    } catch (err) {
+      console.error('Export failed:', err);
+      dialogs.alert(t('logs.exportFailed'));
+    }
+    setExporting(false);
+  }
+
+  const setField = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  return (
+    <div className="mt-6">
+      <h3 className="text-md font-semibold mb-2" style={{ color: '#ffffff' }}>{t('logs.title')}</h3>
+
+      <form onSubmit={applyFilters} className="mb-2 flex flex-wrap items-center gap-2 text-sm">
+        <input
+          placeholder={t('common.bookingId')}
+          aria-label={t('common.bookingId')}
+          value={form.bookingId}
+          onChange={setField('bookingId')}
+          className="border px-2 py-1 rounded text-white bg-gray-800 placeholder-white"
+        />
+        <select value={form.prizeId} onChange={setField('prizeId')} aria-label={t('common.prize')} className="px-2 py-1 rounded border bg-gray-700 text-white">
+          <option value="">{t('logs.allPrizes')}</option>
+          {prizes.map((p) => <option key={p.id} value={p.id}>{p.label}</option>)}
+        </select>
+        <select value={form.campaignId} onChange={setField('campaignId')} aria-label={t('common.campaign')} className="px-2 py-1 rounded border bg-gray-700 text-white">
+          <option value="">{t('logs.allCampaigns')}</option>
+          <option value="none">{t('logs.noCampaign')}</option>
+          {campaigns.map((c) => <option key={c.id} value={c.id}>{c.name}</option>)}
+        </select>
+        <label className="flex items-center gap-1">
+          {t('common.from')}
+          <input type="date" value={form.from} onChange={setField('from')} className="border px-2 py-1 rounded text-white bg-gray-800" />
+        </label>
+        <label className="flex items-center gap-1">
+          {t('common.to')}
+          <input type="date" value={form.to} onChange={setField('to')} className="border px-2 py-1 rounded text-white bg-gray-800" />
+        </label>
+        <button type="submit" className="px-3 py-1 bg-indigo-600 text-white rounded">
+          {t('logs.search')}
+        </button>
+        <button type="button" onClick={resetFilters} className="px-3 py-1 bg-gray-600 text-white rounded">
+          {t('logs.reset')}
+        </button>
+        <span className="flex gap-2 ml-auto">
+          <button type="button" disabled={exporting} onClick={() => exportFile('csv')} className="px-3 py-1 bg-green-600 text-white rounded disabled:opacity-50">
+            CSV
+          </button>
+          <button type="button" disabled={exporting} onClick={() => exportFile('xlsx')} className="px-3 py-1 bg-green-600 text-white rounded disabled:opacity-50">
+            XLSX
+          </button>
+        </span>
+      </form>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm text-left border-collapse border border-gray-400" style={{ color: '#ffffff' }}>
+          <thead>
+            <tr className="bg-gray-700">
+              {headers.map((h) => <th key={h} scope="col" className="border px-2 py-1">{h}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((d) => {
+              const log = d.data();
+              return (
+                <tr key={d.id} className="bg-gray-800">
+                  <td className="border px-2 py-1" style={{ color: '#ffffff' }}>
+                    {log.bookingId ?? t('stream.spinFor', { name: log.requester })}
+                    {log.flags?.length > 0 && (
+                      <span className="ml-1 text-yellow-300" title={log.flags.map((f) => t(`review.flags.${f}`)).join(', ')}>
+                        ⚠ {t(`review.status.${log.reviewStatus}`)}
+                      </span>
+                    )}
+                    {log.notification && (
+                      <span
+                        className="ml-1"
+                        title={[log.notification.to, log.notification.error].filter(Boolean).join(': ')}
+                      >
+                        ✉ {t(`logs.notify.${log.notification.status}`)}
+                      </span>
+                    )}
+                  </td>
+                  <td className="border px-2 py-1" style={{ color: '#ffffff' }}>{log.prizeLabel}</td>
+                  <td className="border px-2 py-1" style={{ color: '#ffffff' }}>{log.campaignId ? campaignName(log.campaignId) : '-'}</td>
+                  <td className="border px-2 py-1" style={{ color: '#ffffff' }}>{log.createdAt?.toDate?.()?.toLocaleString(locale, { timeZone }) || ''}</td>
+                  <td className="border px-2 py-1 font-mono" style={{ color: '#ffffff' }}>{log.claimCode || '-'}</td>
+                  <td className="border px-2 py-1" style={{ color: '#ffffff' }}>
+                    {log.claimCode ? redemptionText(log.redeemedAt?.toDate?.(), log.redeemedBy) : '-'}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <div className="mt-2 flex justify-between items-center">
+        <button
+          disabled={page <= 0}
+          onClick={() => setPage(page - 1)}
+          className="px-3 py-1 bg-gray-600 text-white rounded disabled:opacity-50"
+        >
+          {t('logs.prev')}
+        </button>
+        <span style={{ color: '#ffffff' }}>
+          {page + 1} / {totalPages} ({total} {t('common.spins')})
+        </span>
+        <button
+          disabled={page + 1 >= totalPages || rows.length < PAGE_SIZE}
+          onClick={nextPage}
+          className="px-3 py-1 bg-gray-600 text-white rounded disabled:opacity-50"
+        >
+          {t('logs.next')}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,84 @@
+import React, { useEffect, useState } from 'react';
+import { query, where, orderBy, limit, onSnapshot } from 'firebase/firestore';
+import { venueCollection } from '../venue';
+import { reviewSpin, REVIEW_STATUSES } from '../spinReview';
+import { useI18n } from '../i18n';
+import { useDialogs } from '../dialogs';
+
+const QUEUE_SIZE = 50;
+
+// Review queue: spins the spin service flagged as suspicious, newest first
+export default function SpinReview({ user }) {
+  const { t, locale } = useI18n();
+  const dialogs = useDialogs();
+  const [spins, setSpins] = useState([]);
+  const [busy, setBusy] = useState(null); // spin id
+
+  // reviewStatus + createdAt is indexed in firestore.indexes.json
+  useEffect(() => {
+    const q = query(
+      venueCollection('spins'),
+      where('reviewStatus', '==', REVIEW_STATUSES.PENDING),
+      orderBy('createdAt', 'desc'),
+      limit(QUEUE_SIZE)
+    );
+    const unsubscribe = onSnapshot(q, (snapshot) => {
+      setSpins(snapshot.docs.map((d) => ({ id: d.id, ...d.data() })));
+    }, (err) => console.error('Failed to load the review queue:', err));
+    return () => unsubscribe();
+  }, []);
+
+  async function decide(spin, status) {
+    setBusy(spin.id);
+    try {
+      await reviewSpin(spin.id, status, user.email);
+    } catch (err) {
+      console.error('Saving the review failed:', err);
+      dialogs.alert(t('review.saveFailed'));
+    }
+    setBusy(null);
+  }
+
+  return (
+    <div className="mt-6">
+      <h3 className="text-md font-semibold mb-2" style={{ color: '#ffffff' }}>
+        {t('review.title', { count: spins.length })}
+      </h3>
+
+      {spins.length === 0 && <div className="text-sm" style={{ color: '#ffffff' }}>{t('review.empty')}</div>}
+
+      <ul className="space-y-2 text-sm">
+        {spins.map((spin) => (
+          <li key={spin.id} className="p-2 bg-gray-800 border border-yellow-600 rounded" style={{ color: '#ffffff' }}>
+            <div className="flex flex-wrap items-center gap-2">
+              <span>{spin.createdAt?.toDate?.().toLocaleString(locale) || ''}</span>
+              <span className="font-semibold">{spin.bookingId}</span>
+              <span>{spin.prizeLabel}</span>
+              <span className="font-mono">{spin.claimCode}</span>
+              <span className="text-gray-400">{t('review.device', { device: spin.device || '-' })}</span>
+            </div>
+            <div className="mt-1 text-yellow-300">
+              {(spin.flags || []).map((flag) => t(`review.flags.${flag}`)).join(' · ')}
+            </div>
+            <div className="mt-2 flex gap-2">
+              <button
+                onClick={() => decide(spin, REVIEW_STATUSES.CLEARED)}
+                disabled={busy !== null}
+                className="px-3 py-1 bg-green-600 text-white rounded disabled:opacity-50"
+              >
+                {t('review.clear')}
+              </button>
+              <button
+                onClick={() => decide(spin, REVIEW_STATUSES.CONFIRMED)}
+                disabled={busy !== null}
+                className="px-3 py-1 bg-red-500 text-white rounded disabled:opacity-50"
+              >
+                {t('review.confirm')}
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
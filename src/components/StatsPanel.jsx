@@ -0,0 +1,117 @@
+import React, { useEffect, useState } from 'react';
+import { query, where, orderBy, getDocs, Timestamp } from 'firebase/firestore';
+import { venueCollection } from '../venue';
+import { spinsPerDay, spinsPerHour, prizeDistribution, chiSquareTest, DRIFT_P_VALUE } from '../lib/stats';
+import BarChart from './BarChart';
+import { useI18n } from '../i18n';
+
+const RANGES = [7, 30, 90];
+const percent = (v) => `${(v * 100).toFixed(1)}%`;
+
+// Statistics tab: spin volume and configured odds vs. actual outcomes
+export default function StatsPanel({ prizes, campaigns, timeZone }) {
+  const { t } = useI18n();
+  const [rangeDays, setRangeDays] = useState(30);
+  const [prizeSetId, setPrizeSetId] = useState(''); // '' = default set (no campaign)
+  const [spins, setSpins] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    const from = new Date(Date.now() - rangeDays * 24 * 60 * 60 * 1000);
+    setLoading(true);
+    getDocs(query(venueCollection('spins'), where('createdAt', '>=', Timestamp.fromDate(from)), orderBy('createdAt')))
+      .then((snap) => {
+        if (cancelled) return;
+        setSpins(snap.docs.map((d) => {
+          const data = d.data();
+          return { prizeId: data.prizeId, campaignId: data.campaignId || '', createdAt: data.createdAt.toDate() };
+        }));
+        setLoading(false);
+      })
+      .catch((err) => console.error('Failed to load spins for statistics:', err));
+    return () => { cancelled = true; };
+  }, [rangeDays]);
+
+  const spinsInSet = spins.filter((s) => s.campaignId === prizeSetId);
+  const prizesInSet = prizes.filter((p) => p.label && (p.campaignId || '') === prizeSetId);
+  const perDay = spinsPerDay(spinsInSet, timeZone);
+  const perHour = spinsPerHour(spinsInSet, timeZone);
+  const { rows, other, total } = prizeDistribution(spinsInSet, prizesInSet);
+  const test = chiSquareTest(rows);
+
+  return (
+    <div className="mt-6" style={{ color: '#ffffff' }}>
+      <div className="mb-4 flex flex-wrap items-center gap-2 text-sm">
+        <label htmlFor="stats-period">{t('stats.period')}</label>
+        <select id="stats-period" value={rangeDays} onChange={(e) => setRangeDays(Number(e.target.value))} className="px-2 py-1 rounded border bg-gray-700 text-white">
+          {RANGES.map((d) => (
+            <option key={d} value={d}>{t('stats.lastDays', { days: d })}</option>
+          ))}
+        </select>
+        <label htmlFor="stats-prize-set">{t('common.prizeSet')}</label>
+        <select id="stats-prize-set" value={prizeSetId} onChange={(e) => setPrizeSetId(e.target.value)} className="px-2 py-1 rounded border bg-gray-700 text-white">
+          <option value="">{t('common.defaultPrizeSet')}</option>
+          {campaigns.map((c) => <option key={c.id} value={c.id}>{c.name}</option>)}
+        </select>
+        <span>{loading ? t('common.loading') : `${spinsInSet.length} ${t('common.spins')}`}</span>
+      </div>
+
+      <h3 className="text-md font-semibold mb-2">{t('stats.spinsPerDay')}</h3>
+      <BarChart
+        data={perDay.map((d) => ({ label: d.day.slice(5), values: [d.count] }))}
+        labelEvery={Math.max(Math.ceil(perDay.length / 15), 1)}
+      />
+
+      <h3 className="text-md font-semibold mt-6 mb-2">{t('stats.spinsPerHour', { timeZone })}</h3>
+      <BarChart data={perHour.map((h) => ({ label: String(h.hour), values: [h.count] }))} labelEvery={2} />
+
+      <h3 className="text-md font-semibold mt-6 mb-2">{t('stats.configuredVsActual')}</h3>
+      <BarChart
+        data={rows.map((r) => ({ label: r.label, values: [r.expectedShare, r.observedShare] }))}
+        seriesNames={[t('stats.configured'), t('stats.actual')]}
+        formatValue={percent}
+      />
+      <div className="overflow-x-auto mt-3">
+        <table className="w-full text-sm text-left border-collapse border border-gray-400">
+          <thead>
+            <tr className="bg-gray-700">
+              <th scope="col" className="border px-2 py-1">{t('common.prize')}</th>
+              <th scope="col" className="border px-2 py-1">{t('stats.configured')}</th>
+              <th scope="col" className="border px-2 py-1">{t('stats.expectedWins')}</th>
+              <th scope="col" className="border px-2 py-1">{t('stats.actualWins')}</th>
+              <th scope="col" className="border px-2 py-1">{t('stats.actualShare')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r) => (
+              <tr key={r.prizeId} className="bg-gray-800">
+                <td className="border px-2 py-1">{r.label}</td>
+                <td className="border px-2 py-1">{percent(r.expectedShare)}</td>
+                <td className="border px-2 py-1">{r.expectedCount.toFixed(1)}</td>
+                <td className="border px-2 py-1">{r.count}</td>
+                <td className="border px-2 py-1">{percent(r.observedShare)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className={`mt-3 p-3 rounded text-sm ${test.drift ? 'bg-red-800' : 'bg-gray-800'}`}>
+        {!test.reliable && !test.drift
+          ? t('stats.notEnoughData')
+          : t(test.drift ? 'stats.drift' : 'stats.consistent', {
+            statistic: test.statistic.toFixed(2),
+            df: test.df,
+            pValue: test.pValue.toPrecision(2),
+            threshold: DRIFT_P_VALUE,
+          })}
+        <div className="mt-1 text-xs">
+          {t('stats.caveat')}
+          {other ? ` ${t('stats.otherSpins', { count: other })}` : ''}
+          {' '}({t('stats.spinsTested', { count: total })})
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+import React, { useEffect, useState } from 'react';
+import { query, orderBy, limit, onSnapshot } from 'firebase/firestore';
+import { venueCollection } from '../venue';
+import { queuedSpinRequests, queueSpinRequest } from '../streamEvents';
+import { normalizeRequester, REQUESTER_MAX_LENGTH } from '../lib/spinRequests';
+import { useI18n } from '../i18n';
+import { useDialogs } from '../dialogs';
+
+const RECENT_SIZE = 10;
+
+// Spins for the livestream overlay (/overlay): the host queues them here by viewer
+// name, the overlay plays them in order
+export default function StreamQueue({ user }) {
+  const { t, locale } = useI18n();
+  const dialogs = useDialogs();
+  const [requester, setRequester] = useState('');
+  const [queued, setQueued] = useState([]);
+  const [recent, setRecent] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const unsubscribe = onSnapshot(queuedSpinRequests(), (snapshot) => {
+      setQueued(snapshot.docs.map((d) => ({ id: d.id, ...d.data() })));
+    }, (err) => console.error('Failed to load the stream queue:', err));
+    return () => unsubscribe();
+  }, []);
+
+  // includes requests from a WebSocket feed, which the spin service records when played
+  useEffect(() => {
+    const q = query(venueCollection('spinRequests'), orderBy('finishedAt', 'desc'), limit(RECENT_SIZE));
+    const unsubscribe = onSnapshot(q, (snapshot) => {
+      setRecent(snapshot.docs.map((d) => ({ id: d.id, ...d.data() })));
+    }, (err) => console.error('Failed to load recent stream spins:', err));
+    return () => unsubscribe();
+  }, []);
+
+  async function queueSpin(e) {
+    e.preventDefault();
+    if (!normalizeRequester(requester)) return dialogs.alert(t('stream.requesterRequired'));
+    setSaving(true);
+    try {
+      await queueSpinRequest(requester, user.email);
+      setRequester('');
+    } catch (err) {
+      console.error('Queueing the stream spin failed:', err);
+      dialogs.alert(t('stream.queueFailed'));
+    }
+    setSaving(false);
+  }
+
+  const finishedAt = (r) => r.finishedAt?.toDate?.().toLocaleTimeString(locale) || '';
+
+  return (
+    <div className="mt-6">
+      <h3 className="text-md font-semibold mb-2" style={{ color: '#ffffff' }}>{t('stream.title')}</h3>
+
+      <form onSubmit={queueSpin} className="flex flex-wrap items-center gap-2 text-sm">
+        <input
+          placeholder={t('stream.requester')}
+          value={requester}
+          maxLength={REQUESTER_MAX_LENGTH}
+          onChange={(e) => setRequester(e.target.value)}
+          className="border px-2 py-1 rounded text-white bg-gray-800 placeholder-white"
+        />
+        <button type="submit" disabled={saving} className="px-3 py-1 bg-indigo-600 text-white rounded disabled:opacity-50">
+          {t('stream.queue')}
+        </button>
+      </form>
+      <div className="mt-1 text-xs" style={{ color: '#ffffff' }}>{t('stream.hint')}</div>
+
+      <div className="mt-3 text-sm" style={{ color: '#ffffff' }}>
+        <div className="font-semibold">{t('stream.queued', { count: queued.length })}</div>
+        <ol className="mt-1 list-decimal list-inside">
+          {queued.map((r) => <li key={r.id}>{r.requester}</li>)}
+        </ol>
+      </div>
+
+      {recent.length > 0 && (
+        <div className="mt-3 text-sm" style={{ color: '#ffffff' }}>
+          <div className="font-semibold">{t('stream.recent')}</div>
+          <ul className="mt-1 space-y-1">
+            {recent.map((r) => (
+              <li key={r.id} className="flex flex-wrap gap-2">
+                <span>{finishedAt(r)}</span>
+                <span className="font-semibold">{r.requester}</span>
+                {r.status === 'done'
+                  ? <span>{r.prizeLabel}</span>
+                  : <span className="text-red-300">{t(`errors.spin.${r.error}`)}</span>}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
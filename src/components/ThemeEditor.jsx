@@ -0,0 +1,275 @@
+import React, { useEffect, useState } from 'react';
+import PrizeWheel from './PrizeWheel';
+import { ThemeContext, saveTheme, useTheme } from '../theme';
+import {
+  DEFAULT_THEME, EASINGS, FONTS, MAX_PALETTE, POINTERS, RANGES, SOUND_SETS, fontFamily, normalizeTheme, soundUrls, themeErrors,
+} from '../lib/theme';
+import { VENUE_ID } from '../venue';
+import { useI18n } from '../i18n';
+import { useDialogs } from '../dialogs';
+
+const PREVIEW_SLICES = [1, 2, 3, 4].map((n) => ({ id: `preview-${n}`, label: `#${n}` }));
+
+// Branding of this venue (themes/{venueId}) with a preview of the unsaved draft
+export default function ThemeEditor({ slices, user }) {
+  const { t } = useI18n();
+  const dialogs = useDialogs();
+  const saved = useTheme();
+  const [draft, setDraft] = useState(saved);
+  const [dirty, setDirty] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [previewSpin, setPreviewSpin] = useState({ spinning: false, index: 0 });
+
+  // follow saves from other editors until this one starts editing
+  useEffect(() => {
+    if (!dirty) setDraft(saved);
+  }, [saved, dirty]);
+
+  const errors = themeErrors(draft);
+  const preview = normalizeTheme(draft);
+  const previewSlices = slices.length > 0 ? slices : PREVIEW_SLICES;
+
+  const edit = (changes) => {
+    setDraft((d) => ({ ...d, ...changes }));
+    setDirty(true);
+  };
+  const setField = (field) => (e) => edit({ [field]: e.target.value });
+  const setNumber = (field) => (e) => edit({ [field]: e.target.value === '' ? NaN : Number(e.target.value) });
+  const setPaletteColor = (i, color) => edit({ palette: draft.palette.map((c, j) => (j === i ? color : c)) });
+
+  async function save() {
+    if (Object.keys(errors).length > 0) return dialogs.alert(t('theme.fixErrors'));
+    setSaving(true);
+    try {
+      await saveTheme(VENUE_ID, draft, user.email);
+      setDirty(false);
+    } catch (err) {
+      console.error('Saving the theme failed:', err);
+      dialogs.alert(t('theme.saveFailed'));
+    }
+    setSaving(false);
+  }
+
+  function discard() {
+    setDraft(saved);
+    setDirty(false);
+  }
+
+  function playSound(which) {
+    const sounds = soundUrls(preview);
+    if (!sounds[which]) return;
+    const audio = new Audio(sounds[which]);
+    audio.volume = preview.volume;
+    if (which === 'spin') audio.playbackRate = sounds.spinRate;
+    audio.play().catch((err) => console.warn('Sound preview failed:', err));
+  }
+
+  const fieldError = (field) => errors[field] && (
+    <div className="text-xs text-red-300">{t(`theme.errors.${errors[field]}`, { min: RANGES[field]?.[0], max: RANGES[field]?.[1] })}</div>
+  );
+  const inputClass = 'border px-2 py-1 rounded text-white bg-gray-800 placeholder-gray-400';
+  const numberField = (field, step = 1) => (
+    <div key={field}>
+      <label className="flex items-center gap-2">
+        {t(`theme.fields.${field}`)}
+        <input
+          type="number" min={RANGES[field][0]} max={RANGES[field][1]} step={step}
+          value={Number.isNaN(draft[field]) ? '' : draft[field]}
+          onChange={setNumber(field)}
+          className={`${inputClass} w-20`}
+        />
+      </label>
+      {fieldError(field)}
+    </div>
+  );
+  const colorField = (field) => (
+    <label key={field} className="flex items-center gap-2">
+      <input type="color" value={draft[field]} onChange={setField(field)} />
+      <span>{t(`theme.fields.${field}`)}</span>
+    </label>
+  );
+
+  return (
+    <div className="mt-6">
+      <h3 className="text-md font-semibold mb-2" style={{ color: '#ffffff' }}>
+        {t('theme.title', { venue: VENUE_ID })}
+      </h3>
+
+      <div className="flex flex-col lg:flex-row gap-4 text-sm" style={{ color: '#ffffff' }}>
+        <div className="flex-1 space-y-3">
+          <div>
+            <label className="block">{t('theme.fields.title')}</label>
+            <input value={draft.title} onChange={setField('title')} placeholder={t('app.title')} className={`${inputClass} w-full`} />
+            {fieldError('title')}
+          </div>
+          {['logoUrl', 'backgroundUrl'].map((field) => (
+            <div key={field}>
+              <label className="block">{t(`theme.fields.${field}`)}</label>
+              <input value={draft[field]} onChange={setField(field)} placeholder="https://…" className={`${inputClass} w-full`} />
+              {fieldError(field)}
+            </div>
+          ))}
+          <div>
+            <label className="block">{t('theme.fields.backgroundDim', { percent: Math.round(draft.backgroundDim * 100) })}</label>
+            <input
+              type="range" min="0" max="1" step="0.05"
+              value={draft.backgroundDim}
+              onChange={(e) => edit({ backgroundDim: Number(e.target.value) })}
+              className="w-full"
+            />
+          </div>
+
+          <div>
+            <label className="block">{t('theme.fields.palette')}</label>
+            <div className="flex flex-wrap items-center gap-2">
+              {draft.palette.map((color, i) => (
+                <span key={i} className="flex items-center gap-1">
+                  <input type="color" value={color} onChange={(e) => setPaletteColor(i, e.target.value)} />
+                  {draft.palette.length > 1 && (
+                    <button
+                      onClick={() => edit({ palette: draft.palette.filter((_, j) => j !== i) })}
+                      className="px-1 bg-gray-600 text-white rounded"
+                      aria-label={t('theme.removeColor')}
+                    >
+                      ×
+                    </button>
+                  )}
+                </span>
+              ))}
+              {draft.palette.length < MAX_PALETTE && (
+                <button onClick={() => edit({ palette: [...draft.palette, '#ffffff'] })} className="px-2 py-0.5 bg-gray-600 text-white rounded">
+                  {t('theme.addColor')}
+                </button>
+              )}
+            </div>
+            {fieldError('palette')}
+          </div>
+          <div className="flex flex-wrap gap-4">
+            {['textColor', 'accentColor', 'borderColor', 'pointerColor', 'lineColor'].map(colorField)}
+          </div>
+          <div className="flex flex-wrap gap-4">
+            {['fontSize', 'borderWidth', 'lineWidth'].map((field) => numberField(field))}
+          </div>
+
+          <div className="flex flex-wrap gap-4">
+            <label className="flex items-center gap-2">
+              {t('theme.fields.font')}
+              <select value={draft.font} onChange={setField('font')} className="px-2 py-1 rounded border bg-gray-700 text-white">
+                {Object.keys(FONTS).map((font) => <option key={font} value={font}>{t(`theme.fonts.${font}`)}</option>)}
+              </select>
+            </label>
+            <label className="flex items-center gap-2">
+              {t('theme.fields.pointer')}
+              <select value={draft.pointer} onChange={setField('pointer')} className="px-2 py-1 rounded border bg-gray-700 text-white">
+                {POINTERS.map((pointer) => <option key={pointer} value={pointer}>{t(`theme.pointers.${pointer}`)}</option>)}
+              </select>
+            </label>
+          </div>
+          {draft.font === 'custom' && (
+            <div className="flex flex-wrap gap-2">
+              <div>
+                <input value={draft.fontName} onChange={setField('fontName')} placeholder={t('theme.fields.fontName')} className={inputClass} />
+                {fieldError('fontName')}
+              </div>
+              <div className="flex-1">
+                <input value={draft.fontUrl} onChange={setField('fontUrl')} placeholder={t('theme.fields.fontUrl')} className={`${inputClass} w-full`} />
+                {fieldError('fontUrl')}
+              </div>
+            </div>
+          )}
+
+          <div className="flex flex-wrap items-center gap-2">
+            <label className="flex items-center gap-2">
+              {t('theme.fields.soundSet')}
+              <select value={draft.soundSet} onChange={setField('soundSet')} className="px-2 py-1 rounded border bg-gray-700 text-white">
+                {Object.keys(SOUND_SETS).map((set) => <option key={set} value={set}>{t(`theme.soundSets.${set}`)}</option>)}
+              </select>
+            </label>
+            <button onClick={() => playSound('spin')} className="px-2 py-0.5 bg-gray-600 text-white rounded">{t('theme.playSpin')}</button>
+            <button onClick={() => playSound('win')} className="px-2 py-0.5 bg-gray-600 text-white rounded">{t('theme.playWin')}</button>
+          </div>
+          {draft.soundSet === 'custom' && ['spinSoundUrl', 'winSoundUrl'].map((field) => (
+            <div key={field}>
+              <input value={draft[field]} onChange={setField(field)} placeholder={t(`theme.fields.${field}`)} className={`${inputClass} w-full`} />
+              {fieldError(field)}
+            </div>
+          ))}
+          <div className="flex flex-wrap items-center gap-2">
+            <label htmlFor="theme-volume">
+              {draft.volume === 0 ? t('theme.muted') : t('theme.fields.volume', { percent: Math.round(draft.volume * 100) })}
+            </label>
+            <input
+              id="theme-volume"
+              type="range" min="0" max="1" step="0.05"
+              value={draft.volume}
+              onChange={(e) => edit({ volume: Number(e.target.value) })}
+            />
+            <button onClick={() => edit({ volume: draft.volume === 0 ? DEFAULT_THEME.volume : 0 })} className="px-2 py-0.5 bg-gray-600 text-white rounded">
+              {draft.volume === 0 ? t('theme.unmute') : t('theme.mute')}
+            </button>
+          </div>
+
+          <div className="flex flex-wrap items-start gap-4">
+            {numberField('spinSeconds', 0.5)}
+            <label className="flex items-center gap-2">
+              {t('theme.fields.easing')}
+              <select value={draft.easing} onChange={setField('easing')} className="px-2 py-1 rounded border bg-gray-700 text-white">
+                {EASINGS.map((easing) => <option key={easing} value={easing}>{t(`theme.easings.${easing}`)}</option>)}
+              </select>
+            </label>
+          </div>
+
+          <div className="flex gap-2">
+            <button onClick={save} disabled={saving || !dirty} className="px-3 py-1 bg-indigo-600 text-white rounded disabled:opacity-50">
+              {saving ? t('theme.saving') : t('theme.save')}
+            </button>
+            <button onClick={discard} disabled={!dirty} className="px-3 py-1 bg-gray-600 text-white rounded disabled:opacity-50">
+              {t('theme.discard')}
+            </button>
+            <button onClick={() => edit(DEFAULT_THEME)} className="px-3 py-1 bg-gray-600 text-white rounded">
+              {t('theme.resetDefault')}
+            </button>
+          </div>
+        </div>
+
+        {/* preview of the draft, as the booking page will show it */}
+        <ThemeContext.Provider value={preview}>
+          <div className="relative flex-1 rounded overflow-hidden border border-gray-600" style={{ minHeight: 420 }}>
+            <div
+              className="absolute inset-0"
+              style={{
+                backgroundImage: preview.backgroundUrl ? `url('${preview.backgroundUrl}')` : 'none',
+                backgroundSize: 'cover',
+                backgroundPosition: 'center center',
+                filter: 'brightness(0.55) saturate(0.95)'
+              }}
+            />
+            <div className="absolute inset-0" style={{ backgroundColor: `rgba(0,0,0,${preview.backgroundDim})` }} />
+            <div className="relative p-3 flex flex-col items-center gap-3" style={{ fontFamily: fontFamily(preview) }}>
+              <div className="self-start text-xl font-bold" style={{ color: '#ffffff' }}>
+                {preview.logoUrl && <img src={preview.logoUrl} alt="" className="inline-block h-8 mr-2 align-middle" />}
+                {preview.title || t('app.title')}
+              </div>
+              <div className="w-full max-w-xs">
+                <PrizeWheel
+                  slices={previewSlices}
+                  prizeNumber={previewSpin.index}
+                  mustStartSpinning={previewSpin.spinning}
+                  onStopSpinning={() => setPreviewSpin((s) => ({ ...s, spinning: false }))}
+                />
+              </div>
+              <button
+                onClick={() => setPreviewSpin({ spinning: true, index: Math.floor(Math.random() * previewSlices.length) })}
+                disabled={previewSpin.spinning}
+                className="px-6 py-2 rounded text-white"
+                style={{ backgroundColor: preview.accentColor }}
+              >
+                {t('app.spin')}
+              </button>
+            </div>
+          </div>
+        </ThemeContext.Provider>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,123 @@
+import React, { useEffect, useState } from 'react';
+import { createVenue, subscribeVenues, venueSummary } from '../venues';
+import { VENUE_ID, venueUrl } from '../venue';
+import { useI18n } from '../i18n';
+import { useDialogs } from '../dialogs';
+
+const FIGURES = ['spinsLastDay', 'spinsTotal', 'pendingReview', 'outOfStock'];
+
+// Venues tab, super admins only: every venue's figures side by side, and new venues
+export default function VenueOverview({ user, timeZone }) {
+  const { t } = useI18n();
+  const dialogs = useDialogs();
+  const [venues, setVenues] = useState([]);
+  const [summaries, setSummaries] = useState({}); // venue id -> venueSummary() | 'error'
+  const [refreshedAt, setRefreshedAt] = useState(() => new Date());
+  const [form, setForm] = useState({ id: '', name: '' });
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => subscribeVenues(setVenues, (err) => console.error('Failed to load venues:', err)), []);
+
+  const venueIds = venues.map((v) => v.id).join(',');
+  useEffect(() => {
+    let cancelled = false;
+    setSummaries({});
+    venueIds.split(',').filter(Boolean).forEach((id) => {
+      venueSummary(id, refreshedAt, timeZone)
+        .then((summary) => !cancelled && setSummaries((s) => ({ ...s, [id]: summary })))
+        .catch((err) => {
+          console.error(`Failed to load figures for venue ${id}:`, err);
+          if (!cancelled) setSummaries((s) => ({ ...s, [id]: 'error' }));
+        });
+    });
+    return () => { cancelled = true; };
+  }, [venueIds, refreshedAt, timeZone]);
+
+  async function addVenue(e) {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await createVenue(form.id.trim().toLowerCase(), form.name, user.email);
+      setForm({ id: '', name: '' });
+    } catch (err) {
+      console.error('Creating the venue failed:', err);
+      dialogs.alert(t(`venues.errors.${['invalid-id', 'exists'].includes(err.message) ? err.message : 'saveFailed'}`));
+    }
+    setSaving(false);
+  }
+
+  const loaded = venues.map((v) => summaries[v.id]).filter((s) => s && s !== 'error');
+  const total = (figure) => loaded.reduce((sum, s) => sum + s[figure], 0);
+
+  return (
+    <div className="mt-6" style={{ color: '#ffffff' }}>
+      <div className="mb-3 flex items-center gap-2 text-sm">
+        <span>{t('venues.hint')}</span>
+        <button onClick={() => setRefreshedAt(new Date())} className="px-2 py-0.5 bg-gray-600 text-white rounded">
+          {t('venues.refresh')}
+        </button>
+      </div>
+
+      <table className="w-full text-sm border-collapse">
+        <thead>
+          <tr className="text-left border-b border-gray-600">
+            <th scope="col" className="py-1 pr-2">{t('venues.venue')}</th>
+            {FIGURES.map((f) => <th key={f} scope="col" className="py-1 pr-2 text-right">{t(`venues.figures.${f}`)}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {venues.map((v) => {
+            const summary = summaries[v.id];
+            return (
+              <tr key={v.id} className="border-b border-gray-700">
+                <td className="py-1 pr-2">
+                  <a href={venueUrl('/', {}, v.id)} className="underline">{v.name || v.id}</a>
+                  <span className="ml-2 text-gray-400 font-mono">{v.id}</span>
+                  {v.id === VENUE_ID && <span className="ml-2 text-xs text-yellow-300">{t('venues.thisVenue')}</span>}
+                </td>
+                {FIGURES.map((f) => (
+                  <td key={f} className="py-1 pr-2 text-right">
+                    {!summary ? '…' : summary === 'error' ? t('venues.unavailable') : (
+                      f === 'outOfStock' ? `${summary.outOfStock} / ${summary.prizes}` : summary[f]
+                    )}
+                  </td>
+                ))}
+              </tr>
+            );
+          })}
+          {venues.length > 1 && (
+            <tr className="font-semibold">
+              <td className="py-1 pr-2">{t('venues.total', { count: loaded.length })}</td>
+              {FIGURES.map((f) => (
+                <td key={f} className="py-1 pr-2 text-right">
+                  {f === 'outOfStock' ? `${total('outOfStock')} / ${total('prizes')}` : total(f)}
+                </td>
+              ))}
+            </tr>
+          )}
+        </tbody>
+      </table>
+      {venues.length === 0 && <div className="mt-2 text-sm">{t('venues.empty')}</div>}
+
+      <h3 className="mt-6 text-md font-semibold mb-2">{t('venues.add')}</h3>
+      <form onSubmit={addVenue} className="flex flex-wrap items-center gap-2 text-sm">
+        <input
+          placeholder={t('venues.id')}
+          value={form.id}
+          onChange={(e) => setForm((f) => ({ ...f, id: e.target.value }))}
+          className="border px-2 py-1 rounded text-white bg-gray-800 placeholder-white font-mono"
+        />
+        <input
+          placeholder={t('venues.name')}
+          value={form.name}
+          onChange={(e) => setForm((f) => ({ ...f, name: e.target.value }))}
+          className="border px-2 py-1 rounded text-white bg-gray-800 placeholder-white"
+        />
+        <button type="submit" disabled={saving || !form.id.trim()} className="px-3 py-1 bg-indigo-600 text-white rounded disabled:opacity-50">
+          {t('venues.create')}
+        </button>
+      </form>
+      <div className="mt-1 text-xs">{t('venues.addHint')}</div>
+    </div>
+  );
+}
@@ -0,0 +1,94 @@
+// @vitest-environment jsdom
+// axe checks and keyboard operation for the spin flow and the admin tabs
+import React, { useState } from 'react';
+import { afterEach, describe, it, expect, vi } from 'vitest';
+import AdminTabs from './AdminTabs';
+import BookingForm from './BookingForm';
+import ResultModal from './ResultModal';
+import { axeViolations, interact, press, render } from '../testUtils';
+
+// ResultModal reads the theme, whose module also talks to Firestore
+vi.mock('../firebase', () => ({ db: {} }));
+
+let view;
+afterEach(() => view?.unmount());
+
+const bookingProps = {
+  bookingIdInput: '',
+  onBookingIdInput: () => {},
+  onApply: () => {},
+  bookingId: '',
+  guestName: null,
+  contactChannels: [],
+  contactInput: '',
+  onContactInput: () => {},
+};
+
+describe('BookingForm', () => {
+  it('has no axe violations, with and without the contact field', async () => {
+    view = await render(<BookingForm {...bookingProps} />);
+    expect(await axeViolations(view.container)).toEqual([]);
+
+    await view.rerender(
+      <BookingForm {...bookingProps} bookingId="BK-1" guestName="Sari" contactChannels={['email']} contactInput="not a contact" />,
+    );
+    expect(view.container.querySelector('#winner-contact').getAttribute('aria-invalid')).toBe('true');
+    expect(await axeViolations(view.container)).toEqual([]);
+  });
+
+  it('applies the booking ID on Enter', async () => {
+    const onApply = vi.fn();
+    view = await render(<BookingForm {...bookingProps} bookingIdInput="BK-1" onApply={onApply} />);
+    await interact(() => view.container.querySelector('form').requestSubmit());
+    expect(onApply).toHaveBeenCalledOnce();
+  });
+});
+
+describe('ResultModal', () => {
+  it('has no axe violations', async () => {
+    view = await render(<ResultModal result={{ id: 'a', label: 'Free drink', icon: '🍹', claimCode: 'ABCD-1234' }} onClose={() => {}} />);
+    // the claim QR is drawn asynchronously; check it as well
+    await interact(() => new Promise((resolve) => setTimeout(resolve, 200)));
+    expect(view.container.querySelector('img[alt="ABCD-1234"]')).not.toBeNull();
+    expect(await axeViolations(view.container)).toEqual([]);
+  });
+});
+
+describe('AdminTabs', () => {
+  function Tabs() {
+    const [tab, setTab] = useState('dashboard');
+    return (
+      <AdminTabs tabs={[['dashboard', 'Dashboard'], ['stats', 'Stats'], ['rules', 'Rules']]} selected={tab} onSelect={setTab}>
+        <p>{tab} panel</p>
+      </AdminTabs>
+    );
+  }
+
+  const selected = () => view.container.querySelector('[role="tab"][aria-selected="true"]');
+
+  it('has no axe violations', async () => {
+    view = await render(<Tabs />);
+    expect(await axeViolations(view.container)).toEqual([]);
+    expect(view.container.querySelector('[role="tabpanel"]').getAttribute('aria-labelledby')).toBe('admin-tab-dashboard');
+  });
+
+  it('moves between tabs with the arrow keys, Home and End', async () => {
+    view = await render(<Tabs />);
+    // a single tab stop
+    expect([...view.container.querySelectorAll('[role="tab"]')].map((b) => b.tabIndex)).toEqual([0, -1, -1]);
+
+    await press(selected(), 'ArrowRight');
+    expect(selected().textContent).toBe('Stats');
+    expect(document.activeElement).toBe(selected());
+    expect(view.container.textContent).toContain('stats panel');
+
+    await press(selected(), 'ArrowLeft');
+    await press(selected(), 'ArrowLeft');
+    expect(selected().textContent).toBe('Rules');
+
+    await press(selected(), 'Home');
+    expect(selected().textContent).toBe('Dashboard');
+    await press(selected(), 'End');
+    expect(selected().textContent).toBe('Rules');
+  });
+});
@@ -0,0 +1,106 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { DialogContext } from './index';
+import { useI18n } from '../i18n';
+
+const FOCUSABLE = 'button, input, [tabindex]:not([tabindex="-1"])';
+
+// Shows the dialogs asked for through useDialogs(), one at a time in order. Focus
+// moves into the dialog, stays there and returns to where it was once it closes.
+export default function DialogProvider({ children }) {
+  const [queue, setQueue] = useState([]);
+  const nextId = useRef(0);
+
+  const open = useCallback((kind, message, opts = {}) => new Promise((resolve) => {
+    const id = nextId.current++;
+    setQueue((q) => [...q, { id, kind, message, secret: !!opts.secret, resolve }]);
+  }), []);
+
+  const value = useMemo(() => ({
+    alert: (message) => open('alert', message),
+    confirm: (message) => open('confirm', message),
+    prompt: (message, opts) => open('prompt', message, opts),
+  }), [open]);
+
+  function close(answer) {
+    queue[0].resolve(answer);
+    setQueue((q) => q.slice(1));
+  }
+
+  return (
+    <DialogContext.Provider value={value}>
+      {children}
+      {queue.length > 0 && <Dialog key={queue[0].id} dialog={queue[0]} onClose={close} />}
+    </DialogContext.Provider>
+  );
+}
+
+function Dialog({ dialog, onClose }) {
+  const { t } = useI18n();
+  const [input, setInput] = useState('');
+  const box = useRef(null);
+  const { kind, message, secret } = dialog;
+  // what Escape and Cancel answer
+  const cancelled = { alert: undefined, confirm: false, prompt: null }[kind];
+
+  useEffect(() => {
+    const previous = document.activeElement;
+    box.current.querySelector(FOCUSABLE)?.focus();
+    return () => previous?.focus?.();
+  }, []);
+
+  function handleKeyDown(e) {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose(cancelled);
+    }
+    if (e.key !== 'Tab') return;
+    const focusable = [...box.current.querySelectorAll(FOCUSABLE)];
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  function submit(e) {
+    e.preventDefault();
+    onClose(kind === 'prompt' ? input : kind === 'confirm' ? true : undefined);
+  }
+
+  return (
+    <div className="dialog-backdrop" onKeyDown={handleKeyDown}>
+      <div
+        ref={box}
+        role={kind === 'prompt' ? 'dialog' : 'alertdialog'}
+        aria-modal="true"
+        aria-labelledby="dialog-message"
+        className="dialog-box"
+      >
+        <form onSubmit={submit}>
+          <p id="dialog-message" style={{ margin: 0 }}>{message}</p>
+          {kind === 'prompt' && (
+            <input
+              type={secret ? 'password' : 'text'}
+              value={input}
+              onChange={(e) => setInput(e.target.value)}
+              aria-labelledby="dialog-message"
+              className="dialog-input"
+            />
+          )}
+          <div className="dialog-actions">
+            {kind !== 'alert' && (
+              <button type="button" onClick={() => onClose(cancelled)} className="dialog-button">
+                {t('common.cancel')}
+              </button>
+            )}
+            <button type="submit" className="dialog-button dialog-button-primary">{t('common.ok')}</button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
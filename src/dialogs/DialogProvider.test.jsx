@@ -0,0 +1,61 @@
+// @vitest-environment jsdom
+import React from 'react';
+import { afterEach, describe, it, expect } from 'vitest';
+import DialogProvider from './DialogProvider';
+import { useDialogs } from './index';
+import { axeViolations, interact, press, render } from '../testUtils';
+
+let dialogs;
+function Capture() {
+  dialogs = useDialogs();
+  return <button>Open</button>;
+}
+
+let view;
+afterEach(() => view?.unmount());
+
+async function open(kind, ...args) {
+  view = await render(<DialogProvider><Capture /></DialogProvider>);
+  view.container.querySelector('button').focus();
+  let answer;
+  await interact(() => { answer = dialogs[kind](...args); });
+  // wrapped: returning the promise itself would wait for the dialog to close
+  return { answer };
+}
+
+describe('DialogProvider', () => {
+  it('has no axe violations and moves focus into the dialog', async () => {
+    const { answer } = await open('confirm', 'Delete this campaign?');
+    const dialog = document.querySelector('[role="alertdialog"]');
+    expect(dialog.textContent).toContain('Delete this campaign?');
+    expect(dialog.contains(document.activeElement)).toBe(true);
+    expect(await axeViolations(document.body)).toEqual([]);
+
+    await interact(() => dialog.querySelector('button[type="submit"]').click());
+    await expect(answer).resolves.toBe(true);
+    expect(document.querySelector('[role="alertdialog"]')).toBeNull();
+    // focus is back where it was
+    expect(document.activeElement.textContent).toBe('Open');
+  });
+
+  it('answers the cancelled value on Escape', async () => {
+    const { answer } = await open('prompt', 'Kiosk key', { secret: true });
+    const input = document.querySelector('[role="dialog"] input');
+    expect(input.type).toBe('password');
+    expect(document.activeElement).toBe(input);
+
+    await press(input, 'Escape');
+    await expect(answer).resolves.toBeNull();
+  });
+
+  it('keeps Tab inside the dialog', async () => {
+    await open('confirm', 'Restore this version?');
+    const [cancel, ok] = document.querySelectorAll('[role="alertdialog"] button');
+    expect(document.activeElement).toBe(cancel);
+
+    await press(cancel, 'Tab', { shiftKey: true });
+    expect(document.activeElement).toBe(ok);
+    await press(ok, 'Tab');
+    expect(document.activeElement).toBe(cancel);
+  });
+});
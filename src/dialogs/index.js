@@ -0,0 +1,23 @@
+// src/dialogs/index.js
+// In-page replacements for window.alert/confirm/prompt: focusable, announced to
+// screen readers, translated and styled like the rest of the app. Each call
+// resolves once the dialog is closed.
+import { createContext, useContext } from 'react';
+
+// Outside <DialogProvider> (e.g. a component rendered on its own) the browser's own dialogs are used
+export const DialogContext = createContext({
+  alert: async (message) => window.alert(message),
+  confirm: async (message) => window.confirm(message),
+  prompt: async (message) => window.prompt(message),
+});
+
+/**
+ * @returns {{
+ *   alert: (message: string) => Promise<void>,
+ *   confirm: (message: string) => Promise<boolean>,
+ *   prompt: (message: string, opts?: { secret?: boolean }) => Promise<string|null>,
+ * }}  prompt resolves to null when cancelled
+ */
+export function useDialogs() {
+  return useContext(DialogContext);
+}
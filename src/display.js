@@ -0,0 +1,60 @@
+// src/display.js
+// Both ends of a display pairing (src/lib/displaySession.js). The control screen
+// keeps its session code in localStorage so a reload, or kiosk mode, keeps the
+// pairing; displays listen to displaySessions/{code}.
+import { useCallback, useState } from 'react';
+import { doc, onSnapshot } from 'firebase/firestore';
+import { db } from './firebase';
+import { VENUE_ID } from './venue';
+import { generateDisplayCode } from './lib/displaySession';
+
+const STORAGE_KEY = 'spin.displaySession';
+
+const cryptoRandomInt = (n) => crypto.getRandomValues(new Uint32Array(1))[0] % n;
+
+function loadCode() {
+  try {
+    return localStorage.getItem(STORAGE_KEY);
+  } catch {
+    return null;
+  }
+}
+
+function saveCode(code) {
+  try {
+    if (code) localStorage.setItem(STORAGE_KEY, code);
+    else localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // storage blocked: the pairing lasts until the page is closed
+  }
+}
+
+// Control side: the code sent with every spin, or null when no display is paired
+export function useDisplayPairing() {
+  const [code, setCode] = useState(loadCode);
+
+  const update = useCallback((next) => {
+    saveCode(next);
+    setCode(next);
+  }, []);
+
+  // a new code unpairs the displays showing the old one
+  const start = useCallback(() => update(generateDisplayCode(cryptoRandomInt)), [update]);
+  const stop = useCallback(() => update(null), [update]);
+
+  return { code, start, stop };
+}
+
+/**
+ * Display side. onEvent gets { venueId, spinId, prizeId, prizeLabel, campaignId, at: Date },
+ * or null until the first spin of the session. Sessions of other venues than this
+ * page's count as empty.
+ * @returns {() => void} unsubscribe
+ */
+export function subscribeDisplaySession(code, onEvent, onError) {
+  return onSnapshot(doc(db, 'displaySessions', code), (snap) => {
+    if (!snap.exists() || snap.data().venueId !== VENUE_ID) return onEvent(null);
+    const data = snap.data();
+    onEvent({ ...data, at: data.at?.toDate?.() || new Date(0) });
+  }, onError);
+}
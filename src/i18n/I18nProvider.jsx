@@ -0,0 +1,26 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { I18nContext, LANGUAGES, loadLanguage, saveLanguage, translate } from './index';
+
+// Holds the active language for the whole app and remembers it across visits
+export default function I18nProvider({ children }) {
+  const [language, setLanguageState] = useState(loadLanguage);
+
+  useEffect(() => {
+    document.documentElement.lang = language;
+  }, [language]);
+
+  const setLanguage = useCallback((next) => {
+    if (!(next in LANGUAGES)) return;
+    saveLanguage(next);
+    setLanguageState(next);
+  }, []);
+
+  const value = useMemo(() => ({
+    language,
+    locale: LANGUAGES[language].locale,
+    setLanguage,
+    t: (key, params) => translate(language, key, params),
+  }), [language, setLanguage]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
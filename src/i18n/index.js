@@ -0,0 +1,74 @@
+// src/i18n/index.js
+// Translation catalogs, lookup with {placeholder} interpolation and language persistence.
+import { createContext, useContext } from 'react';
+import en from './locales/en';
+import id from './locales/id';
+import zh from './locales/zh';
+import ja from './locales/ja';
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// code -> native name, BCP 47 locale for Intl formatting, catalog
+export const LANGUAGES = {
+  en: { name: 'English', locale: 'en-US', messages: en },
+  id: { name: 'Bahasa Indonesia', locale: 'id-ID', messages: id },
+  zh: { name: '中文', locale: 'zh-CN', messages: zh },
+  ja: { name: '日本語', locale: 'ja-JP', messages: ja },
+};
+
+const STORAGE_KEY = 'spin.language';
+
+function lookup(messages, key) {
+  return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), messages);
+}
+
+// Missing keys fall back to English, then to the key itself so gaps stay visible
+export function translate(language, key, params) {
+  let message = lookup(LANGUAGES[language]?.messages, key);
+  if (typeof message !== 'string') message = lookup(en, key);
+  if (typeof message !== 'string') return key;
+  if (!params) return message;
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+// First browser language we have a catalog for, matched on the primary subtag ('zh-TW' -> 'zh')
+export function detectLanguage(preferred = typeof navigator === 'undefined' ? [] : navigator.languages || [navigator.language]) {
+  const match = preferred
+    .map((tag) => String(tag || '').toLowerCase().split('-')[0])
+    .find((code) => code in LANGUAGES);
+  return match || DEFAULT_LANGUAGE;
+}
+
+export function loadLanguage() {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (saved in LANGUAGES) return saved;
+  } catch {
+    // storage disabled (private mode, kiosk policies)
+  }
+  return detectLanguage();
+}
+
+export function saveLanguage(language) {
+  try {
+    localStorage.setItem(STORAGE_KEY, language);
+  } catch {
+    // not persisted; the choice still applies for this session
+  }
+}
+
+// Prizes carry an optional `labels: { en, id, zh, ja }` map; `label` is the default
+export function prizeLabel(prize, language) {
+  return prize?.labels?.[language] || prize?.label || '';
+}
+
+export const I18nContext = createContext({
+  language: DEFAULT_LANGUAGE,
+  locale: LANGUAGES[DEFAULT_LANGUAGE].locale,
+  setLanguage: () => {},
+  t: (key, params) => translate(DEFAULT_LANGUAGE, key, params),
+});
+
+export function useI18n() {
+  return useContext(I18nContext);
+}
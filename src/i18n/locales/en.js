@@ -0,0 +1,560 @@
+// English (default and fallback catalog)
+export default {
+  common: {
+    actions: 'Actions',
+    bookingId: 'Booking ID',
+    campaign: 'Campaign',
+    cancel: 'Cancel',
+    date: 'Date',
+    defaultPrizeSet: 'Default (no campaign)',
+    delete: 'Delete',
+    edit: 'Edit',
+    from: 'From',
+    loading: 'Loading…',
+    no: 'No',
+    ok: 'OK',
+    prize: 'Prize',
+    prizeSet: 'Prize set:',
+    somethingWentWrong: 'Something went wrong. Please try again.',
+    spins: 'spins',
+    to: 'To',
+    unlimited: 'unlimited',
+    yes: 'Yes',
+  },
+  app: {
+    title: 'Millennium TikTok Spin',
+    language: 'Language',
+    bookingIdLabel: 'Booking ID:',
+    bookingIdPlaceholder: 'Enter booking id',
+    apply: 'Apply',
+    currentBookingId: 'Current Booking ID:',
+    welcomeGuest: 'Welcome, {name}!',
+    bookingIdRequired: 'Booking ID is required',
+    enterBookingFirst: 'Please enter a Booking ID first',
+    noPrizes: 'No prizes configured',
+    noActiveCampaign: 'No active campaign',
+    noActiveCampaignHint: 'The wheel opens again during the next promotion.',
+    spin: 'SPIN',
+    spinning: 'Spinning...',
+    youWon: 'You won:',
+    showClaimCode: 'Show this claim code to our staff to collect your prize.',
+    spinRules: 'Each spin requires entering a booking ID. After one spin, you must apply another booking ID to spin again.',
+    oddsLink: 'Odds & Terms',
+    contactLabel: 'Send my prize details to (optional)',
+    contactPlaceholder: {
+      email: 'Email address',
+      whatsapp: 'WhatsApp number',
+      any: 'Email or WhatsApp number',
+    },
+  },
+  auth: {
+    email: 'Admin email',
+    password: 'Password',
+    signIn: 'Admin',
+    wrongCredentials: 'Wrong email or password',
+    noAdminRole: 'This account has no admin role',
+    otherVenue: 'This account manages venue “{venue}”. Open it',
+    logOut: 'Log out',
+  },
+  admin: {
+    dashboard: 'Admin Dashboard',
+    tabDashboard: 'Prizes & Spins',
+    tabStats: 'Statistics',
+    tabSimulator: 'Simulator',
+    tabRules: 'Prize rules',
+    tabVenues: 'Venues',
+    readOnly: 'Read-only access: prize editing requires the prize editor role.',
+    addPrize: 'Add Prize',
+    label: 'Label',
+    probability: 'Probability',
+    remaining: 'Remaining (total / today)',
+  },
+  prizeEditor: {
+    icon: 'Icon',
+    color: 'Color',
+    defaultColor: 'Use the default color',
+    totalStock: 'Total stock',
+    dailyStock: 'Daily stock',
+    consolation: 'Consolation',
+    translations: 'Translations',
+    more: 'More',
+    wheelStyle: 'Slice style',
+    textColor: 'Label color',
+    fontSize: 'Label size (px)',
+    themeSize: 'Theme',
+    dragHint: 'Drag to change the slice order',
+    order: 'Order',
+    moveUp: 'Move up',
+    moveDown: 'Move down',
+    empty: 'No prizes in this set yet.',
+    total: 'Total: {total}% of {target}%',
+    totalError: 'Probabilities must add up to {target}% before saving.',
+    save: 'Save changes',
+    saving: 'Saving…',
+    discard: 'Discard changes',
+    unsaved: 'Unsaved changes. The wheel keeps the saved prizes until you save.',
+    saveFailed: 'Saving failed. Nothing was changed.',
+    import: 'Import JSON/CSV',
+    exportJson: 'Export JSON',
+    exportCsv: 'Export CSV',
+    errors: {
+      required: 'Required',
+      probability: 'Enter a number of 0 or more',
+      stock: 'Whole number of 0 or more, or blank',
+      color: 'Use a #rrggbb color',
+      icon: 'At most {max} characters',
+      fontSize: 'Whole number from {minSize} to {maxSize}, or blank',
+    },
+    importErrors: {
+      'invalid-json': 'The file is not valid JSON.',
+      'not-a-list': 'The JSON file must contain a list of prizes.',
+      'missing-label-column': 'The CSV file needs a "label" column.',
+      'empty': 'The file contains no prizes.',
+      unreadable: 'The file could not be read.',
+    },
+  },
+  campaigns: {
+    title: 'Campaigns',
+    name: 'Name',
+    window: 'Window',
+    status: 'Status',
+    disabled: 'Disabled',
+    live: 'Live',
+    scheduled: 'Scheduled',
+    namePlaceholder: 'Campaign name',
+    until: 'Until',
+    dailyHours: 'Daily hours',
+    priority: 'Priority',
+    enabled: 'Enabled',
+    add: 'Add Campaign',
+    save: 'Save Campaign',
+    nameRequired: 'Campaign name is required',
+    endBeforeStart: 'End must be after start',
+    dailyHoursFormat: 'Daily hours must be HH:MM',
+    deleteConfirm: 'Delete campaign "{name}"? Its prizes stay in the database but will no longer be shown.',
+    timeZoneHint: 'Days and daily hours use the venue time zone ({timeZone}). Without any campaigns the wheel uses the default prize set.',
+  },
+  history: {
+    title: 'Prize History',
+    empty: 'No prize changes recorded yet.',
+    restore: 'Restore this version',
+    restoring: 'Restoring…',
+    restoreConfirm: 'Restore "{label}" to this version? The current settings are kept in the history.',
+    restoreFailed: 'Restoring failed. Nothing was changed.',
+    actions: {
+      create: 'Created',
+      update: 'Changed',
+      delete: 'Deleted',
+      rollback: 'Restored',
+    },
+    fields: {
+      label: 'Label',
+      labels: 'Translations',
+      probability: 'Probability',
+      totalStock: 'Total stock',
+      dailyStock: 'Daily stock',
+      consolation: 'Consolation',
+      color: 'Color',
+      icon: 'Icon',
+      textColor: 'Label color',
+      fontSize: 'Label size',
+      order: 'Position',
+      campaignId: 'Campaign',
+    },
+  },
+  logs: {
+    title: 'Recent Spins',
+    claimCode: 'Claim Code',
+    redeemed: 'Redeemed',
+    notRedeemed: 'Not redeemed',
+    allPrizes: 'All prizes',
+    allCampaigns: 'All campaigns',
+    noCampaign: 'No campaign',
+    search: 'Search',
+    reset: 'Reset',
+    prev: 'Prev',
+    next: 'Next',
+    endBeforeStart: 'The end date is before the start date',
+    exportFailed: 'Export failed',
+    notify: {
+      pending: 'sending',
+      retrying: 'retrying',
+      sent: 'sent',
+      failed: 'not sent',
+    },
+  },
+  redeem: {
+    title: 'Redeem Prize',
+    codePlaceholder: 'Claim code',
+    lookUp: 'Look up',
+    claimCode: 'Claim code:',
+    prize: 'Prize:',
+    wonAt: 'Won at:',
+    redeemedBy: 'Redeemed by',
+    markRedeemed: 'Mark as redeemed',
+    redeemAnyway: 'Redeem anyway…',
+    overridePrompt: 'This spin was marked as fraud. Why is the prize handed out anyway? The reason is recorded with your name.',
+    override: 'Override:',
+  },
+  stats: {
+    period: 'Period:',
+    lastDays: 'Last {days} days',
+    spinsPerDay: 'Spins per day',
+    spinsPerHour: 'Spins per hour ({timeZone})',
+    configuredVsActual: 'Configured vs. actual',
+    configured: 'Configured',
+    actual: 'Actual',
+    expectedWins: 'Expected wins',
+    actualWins: 'Actual wins',
+    actualShare: 'Actual share',
+    notEnoughData: 'Not enough spins yet to compare with the configuration (every prize needs at least 5 expected wins).',
+    drift: '⚠ Results drift from the configuration (χ² = {statistic}, df = {df}, p = {pValue} < {threshold}).',
+    consistent: 'Results are consistent with the configuration (χ² = {statistic}, df = {df}, p = {pValue}).',
+    caveat: 'Compared against the current probabilities. Out-of-stock prizes, consolation fallbacks and edits during the period also shift results.',
+    otherSpins: '{count} spin(s) for prizes no longer in this set are left out.',
+    spinsTested: '{count} spins tested',
+  },
+  review: {
+    title: 'Review Queue ({count})',
+    empty: 'No flagged spins to review.',
+    device: 'Device: {device}',
+    clear: 'Looks legitimate',
+    confirm: 'Mark as fraud',
+    saveFailed: 'Saving the review failed. Please try again.',
+    flags: {
+      'unknown-device': 'No device ID',
+      'odd-format': 'Unusual booking ID',
+      'sequential-booking-id': 'Booking ID next to a recent one from the same device',
+      'device-burst': 'Burst of spins from one device',
+      'offline-inactive-prize': 'Offline spin: prize was not on the wheel',
+      'offline-out-of-stock': 'Offline spin: prize was out of stock',
+      'offline-rule-blocked': 'Offline spin: prize rules ruled the prize out',
+    },
+    status: {
+      pending: 'needs review',
+      cleared: 'cleared',
+      confirmed: 'fraud',
+    },
+    redeemWarning: {
+      pending: 'This spin is flagged as suspicious and waiting for review.',
+      confirmed: 'This spin was marked as fraud. Only hand out the prize with an override.',
+    },
+  },
+  kiosk: {
+    title: 'Kiosk Mode',
+    online: 'Online',
+    offline: 'Offline',
+    pending: '{count} offline spins waiting to sync',
+    syncNow: 'Sync now',
+    syncing: 'Syncing…',
+    lastError: 'Last sync attempt failed: {code}',
+    rejectedTitle: 'Offline spins the spin service refused (their claim codes are not valid):',
+    dismiss: 'Dismiss',
+    name: 'Tablet name, e.g. Front desk 1',
+    exitKey: 'Exit key',
+    start: 'Start kiosk mode',
+    startRequired: 'Enter a name for this tablet and an exit key first',
+    startConfirm: 'Start kiosk mode? You will be signed out, the screen switches to fullscreen and admin access is hidden.',
+    registerFailed: 'Could not register this tablet. Please try again.',
+    hint: 'Starting kiosk mode registers this tablet with its own key for the spin service. To leave kiosk mode, hold the title for 3 seconds and enter the exit key.',
+    exitPrompt: 'Enter the exit key to leave kiosk mode',
+    tablets: 'Kiosk tablets',
+    noTablets: 'No tablets registered yet.',
+    registered: 'registered {date} by {by}',
+    revokedAt: 'revoked {date}',
+    revoke: 'Revoke',
+    revokeConfirm: 'Revoke "{name}"? The spin service refuses its offline spins from now on, and it has to be set up again.',
+    revokeFailed: 'Could not revoke the tablet. Please try again.',
+    offlineBadge: 'Offline',
+    offlineClaimNote: 'Saved on this device while offline. Your claim code becomes valid once we are back online.',
+  },
+  stream: {
+    title: 'Stream Queue',
+    requester: 'Viewer name',
+    queue: 'Queue spin',
+    requesterRequired: 'Enter the viewer name first',
+    queueFailed: 'Could not queue the spin. Please try again.',
+    hint: 'Spins play one after another on the stream overlay: /overlay?key=STREAM_TOKEN. Bots can add spins to the spinRequests collection or send them over a WebSocket feed.',
+    queued: 'Waiting: {count}',
+    recent: 'Recently played:',
+    spinFor: 'Stream: {name}',
+    requesterLabel: 'Viewer:',
+  },
+  overlay: {
+    missingKey: 'Add ?key= with the STREAM_TOKEN of the spin service to the overlay URL.',
+    spinningFor: 'Spinning for {name}…',
+    won: 'won {prize}!',
+    upNext: 'Up next: {names}{more}',
+    more: ' and {count} more',
+    feedOffline: 'Spin request feed disconnected',
+    serviceDown: 'Waiting for the spin service…',
+  },
+  display: {
+    title: 'Lobby Display',
+    notPaired: 'No display is paired with this device.',
+    pair: 'Pair a display',
+    newCode: 'New code',
+    newCodeConfirm: 'Displays using the current code will stop following this device. Continue?',
+    unpair: 'Unpair',
+    code: 'Session code:',
+    openOnDisplay: 'Open on the display:',
+    hint: 'Spins made on this device play on every display showing the code. Pairing stays on in kiosk mode.',
+    enterCode: 'Enter the session code shown on the control screen',
+    invalidCode: 'That is not a valid session code.',
+    waiting: 'Waiting for the next spin…',
+    result: '🎉 {prize}',
+    session: 'Session {code}',
+    connecting: 'Connecting to session {code}…',
+  },
+  theme: {
+    title: 'Theme for venue “{venue}”',
+    save: 'Save theme',
+    saving: 'Saving…',
+    discard: 'Discard changes',
+    resetDefault: 'Reset to the default look',
+    fixErrors: 'Fix the highlighted fields before saving.',
+    saveFailed: 'Saving the theme failed. Nothing was changed.',
+    addColor: '+ Color',
+    removeColor: 'Remove color',
+    playSpin: '▶ Spin sound',
+    playWin: '▶ Win sound',
+    mute: 'Mute',
+    unmute: 'Unmute',
+    muted: 'Volume: muted',
+    fields: {
+      title: 'Page title',
+      logoUrl: 'Logo URL',
+      backgroundUrl: 'Background image URL',
+      backgroundDim: 'Background dimming: {percent}%',
+      palette: 'Wheel colors',
+      textColor: 'Label color',
+      accentColor: 'Button color',
+      borderColor: 'Rim color',
+      pointerColor: 'Pointer color',
+      font: 'Font',
+      fontName: 'Font family name',
+      fontUrl: 'Font stylesheet URL',
+      pointer: 'Pointer',
+      soundSet: 'Sounds',
+      spinSoundUrl: 'Spin sound URL',
+      winSoundUrl: 'Win sound URL',
+      volume: 'Volume: {percent}%',
+      spinSeconds: 'Spin time (seconds)',
+      easing: 'Slow-down',
+      fontSize: 'Label size (px)',
+      borderWidth: 'Rim width',
+      lineColor: 'Slice line color',
+      lineWidth: 'Slice line width',
+    },
+    fonts: {
+      system: 'System',
+      serif: 'Serif',
+      rounded: 'Rounded',
+      condensed: 'Condensed',
+      custom: 'Custom',
+    },
+    pointers: {
+      classic: 'Classic',
+      arrow: 'Arrow',
+      gem: 'Gem',
+      none: 'None',
+    },
+    soundSets: {
+      classic: 'Classic',
+      silent: 'Silent',
+      custom: 'Custom',
+    },
+    easings: {
+      standard: 'Standard',
+      smooth: 'Smooth',
+      bounce: 'Bounce',
+    },
+    errors: {
+      'too-long': 'At most 60 characters.',
+      'invalid-url': 'Use an https:// URL or a path starting with /.',
+      'out-of-range': 'Must be between {min} and {max}.',
+      'invalid-palette': 'Use 1 to 12 colors.',
+      'invalid-color': 'Not a valid color.',
+      'invalid-choice': 'Not a valid choice.',
+      required: 'Required.',
+    },
+  },
+  venues: {
+    hint: 'Figures for every venue. Spins and review counts cover the last 24 hours and all time.',
+    refresh: 'Refresh',
+    venue: 'Venue',
+    figures: {
+      spinsLastDay: 'Spins (24 h)',
+      spinsTotal: 'Spins (all)',
+      pendingReview: 'Pending review',
+      outOfStock: 'Out of stock',
+    },
+    thisVenue: 'this page',
+    unavailable: 'n/a',
+    total: 'Total ({count} venues)',
+    empty: 'No venues yet. Run the venue migration or add one below.',
+    add: 'Add venue',
+    id: 'Venue ID (e.g. seaside)',
+    name: 'Display name',
+    create: 'Create venue',
+    addHint: 'Venue IDs are lower-case letters, digits and dashes, and cannot be changed later. Grant staff access with npm run set-role.',
+    errors: {
+      'invalid-id': 'Use lower-case letters, digits and dashes for the venue ID.',
+      exists: 'A venue with this ID already exists.',
+      saveFailed: 'Creating the venue failed.',
+    },
+  },
+  result: {
+    title: 'You won!',
+    claimCode: 'Your claim code',
+    close: 'Close',
+    notifying: 'We are sending your prize details to {contact}.',
+  },
+  rules: {
+    title: 'Prize rules',
+    hint: 'Rules change the odds before each spin, in list order. They only choose among prizes in stock. Offline kiosk spins use the rules the kiosk last fetched, without booking tiers.',
+    empty: 'No rules yet: every spin uses the prize probabilities.',
+    add: '+ Add rule',
+    save: 'Save rules',
+    saving: 'Saving…',
+    discard: 'Discard changes',
+    unsaved: 'Unsaved changes. Spins keep the saved rules until you save.',
+    saveFailed: 'Saving the rules failed. Nothing was changed.',
+    fixErrors: 'Fix the highlighted rules before saving.',
+    enabled: 'Enabled',
+    name: 'Rule name',
+    choosePrize: 'Choose a prize',
+    everyRealPrize: 'Every prize except consolation',
+    types: {
+      guarantee: 'Guaranteed win',
+      tierOdds: 'Tier odds',
+      dailyCap: 'Daily limit',
+      pity: 'Pity timer',
+    },
+    fields: {
+      nthSpin: 'Spin no.',
+      repeat: 'Every time that many more',
+      tiers: 'Booking tiers',
+      factor: 'Odds ×',
+      limit: 'Per day',
+      streak: 'Consolation prizes in a row',
+    },
+    describe: {
+      guarantee: 'That spin of the day wins the prize (with the box ticked: every multiple of it).',
+      tierOdds: 'Bookings with one of these tiers get the prize\'s odds multiplied.',
+      dailyCap: 'Once the prize has been won this many times today, it is left out.',
+      pity: 'After this many consolation prizes in a row, the next spin wins a real prize.',
+    },
+    errors: {
+      required: 'Required',
+      'too-long': 'At most 60 characters',
+      'invalid-type': 'Unknown rule type',
+      prize: 'Choose a prize',
+      count: 'Enter a whole number',
+      factor: 'Enter a number above 0, at most {max}',
+      tiers: 'Enter at least one tier',
+    },
+    dryRun: {
+      title: 'Dry run',
+      hint: 'The odds of the next spin on the live wheel with the rules above, saved or not. Change the inputs to try other spins.',
+      spinOfDay: 'Spin no. of the day',
+      tier: 'Booking tier',
+      noTier: 'none',
+      streak: 'Consolation streak',
+      base: 'Probability',
+      withRules: 'With rules',
+      applied: 'Rules applied: {rules}',
+      none: 'none',
+    },
+  },
+  simulator: {
+    title: 'Odds simulator',
+    hint: 'Runs virtual spins of a prize set through the same selection code and saved prize rules as real spins. Nothing is awarded and no stock is used.',
+    spins: 'Spins',
+    spinsPerDay: 'Spins per day',
+    allOnOneDay: 'all today',
+    fromStock: 'Start from the current stock',
+    run: 'Run simulation',
+    invalid: 'Enter between 1 and {max} spins, and a whole number of spins per day.',
+    summary: '{spins} virtual spins over {days} day(s)',
+    chance: 'Odds now',
+    expected: 'Expected wins',
+    wins: 'Simulated wins',
+    share: 'Share',
+    stockLeft: 'Stock left',
+    soldOutAt: 'Sold out',
+    spinNumber: 'at spin {n}',
+    dailyLimitDays: 'Days out by daily stock',
+    unawarded: '{count} spins could not award anything: every prize was out of stock and there is no consolation prize.',
+    rulesNote: 'Expected wins use the odds of the first spin; simulated wins include stock running out and the prize rules. Spin numbers of the day count this prize set only.',
+  },
+  odds: {
+    title: '{title}: Odds & Terms',
+    prizesTitle: 'Prizes and chances',
+    campaign: 'Current promotion: {name}.',
+    period: 'Runs {from} to {to}.',
+    chance: 'Chance per spin',
+    totalStock: 'Quantity',
+    dailyStock: 'Per day',
+    consolation: 'consolation prize',
+    outOfStock: 'out of stock',
+    asOf: 'Chances as of {time} ({timeZone}). They update as prizes are won.',
+    termsTitle: 'Terms',
+    terms: {
+      booking: 'Each booking ID gives one spin.',
+      random: 'The prize is drawn at random by our server when you spin, with the chances shown above. The wheel animation only shows the result.',
+      stock: 'A prize that runs out is left out of the draw, and the chances of the remaining prizes grow in proportion until it is back in stock.',
+      consolation: 'If every other prize is out of stock, the consolation prize is awarded.',
+      promotions: 'The venue may run promotions, such as guaranteed prizes on certain spins, that change the chances of individual spins.',
+      claim: 'Show your claim code to our staff to collect your prize. Each claim code can be redeemed once.',
+      changes: 'Prizes, quantities and chances may change between promotions. This page always shows the current ones.',
+    },
+    back: 'Back to the wheel',
+  },
+  notify: {
+    subject: 'You won {prize}!',
+    won: 'Congratulations! You won {prize} on {time}.',
+    claimCode: 'Your claim code: {claimCode}',
+    collect: 'Show this claim code to our staff to collect your prize. Each code can be redeemed once.',
+  },
+  a11y: {
+    adminTabs: 'Admin sections',
+    reduceMotion: 'Reduce motion',
+    spinHint: 'Enter your Booking ID and press Apply to unlock the spin.',
+    spinningAnnouncement: 'The wheel is spinning…',
+    wonAnnouncement: 'You won {prize}. Your claim code is {code}.',
+    wheel: 'Prize wheel with: {prizes}',
+  },
+  errors: {
+    spin: {
+      'not-found': 'Booking ID not found. Please check the ID or ask our staff.',
+      'already-used': 'This Booking ID has already been used for a spin.',
+      'expired': 'This Booking ID has expired.',
+      'no-prizes': 'No prizes configured',
+      'no-active-campaign': 'There is no active campaign right now.',
+      'out-of-stock': 'All prizes have been claimed. Please ask our staff.',
+      'invalid-booking-id': 'That is not a valid Booking ID.',
+      'invalid-format': 'That Booking ID does not look right. Please check it for typos.',
+      'unpaid': 'This booking has not been paid yet. Please ask our staff.',
+      'outside-campaign': 'This booking is not for the current campaign.',
+      'unknown-venue': 'This venue is not set up. Please ask our staff.',
+      'invalid-spin': 'The spin record from this device was invalid.',
+      'prize-not-found': 'The prize no longer exists.',
+      'claim-code-taken': 'The claim code was already issued to another spin.',
+      'invalid-request': 'The spin request was invalid.',
+      'cooldown': 'Please wait a moment before the next spin.',
+      'rate-limited': 'Too many spins right now. Please ask our staff.',
+      'too-many-attempts': 'Too many unknown Booking IDs from this device. Please ask our staff.',
+      'invalid-contact': 'Enter a valid email address or WhatsApp number, or leave the field empty.',
+      'contact-unsupported': 'We cannot send prize details there. Please use another contact or leave the field empty.',
+      'kiosk-revoked': 'This kiosk tablet was revoked. Set it up again under Kiosk Mode.',
+      unavailable: 'Could not reach the spin service. Please try again.',
+    },
+    claim: {
+      'invalid-code': 'That is not a valid claim code.',
+      'not-found': 'No spin found for this claim code.',
+      'already-redeemed': 'This prize has already been redeemed.',
+      'fraud-confirmed': 'This spin was marked as fraud. Redeeming it needs an override reason.',
+    },
+  },
+};
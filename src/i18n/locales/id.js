@@ -0,0 +1,560 @@
+// Bahasa Indonesia
+export default {
+  common: {
+    actions: 'Aksi',
+    bookingId: 'ID Pemesanan',
+    campaign: 'Kampanye',
+    cancel: 'Batal',
+    date: 'Tanggal',
+    defaultPrizeSet: 'Bawaan (tanpa kampanye)',
+    delete: 'Hapus',
+    edit: 'Edit',
+    from: 'Dari',
+    loading: 'Memuat…',
+    no: 'Tidak',
+    ok: 'OK',
+    prize: 'Hadiah',
+    prizeSet: 'Set hadiah:',
+    somethingWentWrong: 'Terjadi kesalahan. Silakan coba lagi.',
+    spins: 'putaran',
+    to: 'Sampai',
+    unlimited: 'tak terbatas',
+    yes: 'Ya',
+  },
+  app: {
+    title: 'Putar TikTok Millennium',
+    language: 'Bahasa',
+    bookingIdLabel: 'ID Pemesanan:',
+    bookingIdPlaceholder: 'Masukkan ID pemesanan',
+    apply: 'Terapkan',
+    currentBookingId: 'ID Pemesanan Saat Ini:',
+    welcomeGuest: 'Selamat datang, {name}!',
+    bookingIdRequired: 'ID Pemesanan dibutuhkan',
+    enterBookingFirst: 'Silakan masukkan ID Pemesanan terlebih dahulu',
+    noPrizes: 'Belum ada hadiah yang dikonfigurasi',
+    noActiveCampaign: 'Tidak ada kampanye aktif',
+    noActiveCampaignHint: 'Roda akan dibuka kembali pada promosi berikutnya.',
+    spin: 'PUTAR',
+    spinning: 'Sedang berputar...',
+    youWon: 'Anda menang:',
+    showClaimCode: 'Tunjukkan kode klaim ini kepada staf kami untuk mengambil hadiah.',
+    spinRules: 'Setiap putaran membutuhkan ID pemesanan. Setelah satu putaran, masukkan ID baru untuk berputar lagi.',
+    oddsLink: 'Peluang & Ketentuan',
+    contactLabel: 'Kirim detail hadiah saya ke (opsional)',
+    contactPlaceholder: {
+      email: 'Alamat email',
+      whatsapp: 'Nomor WhatsApp',
+      any: 'Email atau nomor WhatsApp',
+    },
+  },
+  auth: {
+    email: 'Email admin',
+    password: 'Password',
+    signIn: 'Admin',
+    wrongCredentials: 'Email atau password salah',
+    noAdminRole: 'Akun ini tidak memiliki peran admin',
+    otherVenue: 'Akun ini mengelola venue “{venue}”. Buka',
+    logOut: 'Keluar',
+  },
+  admin: {
+    dashboard: 'Dashboard Admin',
+    tabDashboard: 'Hadiah & Putaran',
+    tabStats: 'Statistik',
+    tabSimulator: 'Simulator',
+    tabRules: 'Aturan hadiah',
+    tabVenues: 'Venue',
+    readOnly: 'Akses baca saja: mengedit hadiah membutuhkan peran editor hadiah.',
+    addPrize: 'Tambah Hadiah',
+    label: 'Label',
+    probability: 'Probabilitas',
+    remaining: 'Sisa (total / hari ini)',
+  },
+  prizeEditor: {
+    icon: 'Ikon',
+    color: 'Warna',
+    defaultColor: 'Pakai warna bawaan',
+    totalStock: 'Total stok',
+    dailyStock: 'Stok harian',
+    consolation: 'Hiburan',
+    translations: 'Terjemahan',
+    more: 'Lainnya',
+    wheelStyle: 'Gaya irisan',
+    textColor: 'Warna label',
+    fontSize: 'Ukuran label (px)',
+    themeSize: 'Tema',
+    dragHint: 'Seret untuk mengubah urutan irisan',
+    order: 'Urutan',
+    moveUp: 'Naikkan',
+    moveDown: 'Turunkan',
+    empty: 'Belum ada hadiah di set ini.',
+    total: 'Total: {total}% dari {target}%',
+    totalError: 'Total probabilitas harus {target}% sebelum disimpan.',
+    save: 'Simpan perubahan',
+    saving: 'Menyimpan…',
+    discard: 'Buang perubahan',
+    unsaved: 'Ada perubahan yang belum disimpan. Roda tetap memakai hadiah tersimpan sampai Anda menyimpan.',
+    saveFailed: 'Gagal menyimpan. Tidak ada yang diubah.',
+    import: 'Impor JSON/CSV',
+    exportJson: 'Ekspor JSON',
+    exportCsv: 'Ekspor CSV',
+    errors: {
+      required: 'Wajib diisi',
+      probability: 'Masukkan angka 0 atau lebih',
+      stock: 'Bilangan bulat 0 atau lebih, atau kosong',
+      color: 'Gunakan warna #rrggbb',
+      icon: 'Maksimal {max} karakter',
+      fontSize: 'Bilangan bulat {minSize} sampai {maxSize}, atau kosong',
+    },
+    importErrors: {
+      'invalid-json': 'File bukan JSON yang valid.',
+      'not-a-list': 'File JSON harus berisi daftar hadiah.',
+      'missing-label-column': 'File CSV membutuhkan kolom "label".',
+      'empty': 'File tidak berisi hadiah.',
+      unreadable: 'File tidak dapat dibaca.',
+    },
+  },
+  campaigns: {
+    title: 'Kampanye',
+    name: 'Nama',
+    window: 'Jadwal',
+    status: 'Status',
+    disabled: 'Nonaktif',
+    live: 'Berjalan',
+    scheduled: 'Terjadwal',
+    namePlaceholder: 'Nama kampanye',
+    until: 'Sampai',
+    dailyHours: 'Jam harian',
+    priority: 'Prioritas',
+    enabled: 'Aktif',
+    add: 'Tambah Kampanye',
+    save: 'Simpan Kampanye',
+    nameRequired: 'Nama kampanye dibutuhkan',
+    endBeforeStart: 'Akhir harus setelah mulai',
+    dailyHoursFormat: 'Jam harian harus HH:MM',
+    deleteConfirm: 'Hapus kampanye "{name}"? Hadiahnya tetap tersimpan tetapi tidak akan ditampilkan lagi.',
+    timeZoneHint: 'Hari dan jam harian memakai zona waktu venue ({timeZone}). Tanpa kampanye, roda memakai set hadiah bawaan.',
+  },
+  history: {
+    title: 'Riwayat Hadiah',
+    empty: 'Belum ada perubahan hadiah yang tercatat.',
+    restore: 'Pulihkan versi ini',
+    restoring: 'Memulihkan…',
+    restoreConfirm: 'Pulihkan "{label}" ke versi ini? Pengaturan saat ini tetap tersimpan di riwayat.',
+    restoreFailed: 'Pemulihan gagal. Tidak ada yang diubah.',
+    actions: {
+      create: 'Dibuat',
+      update: 'Diubah',
+      delete: 'Dihapus',
+      rollback: 'Dipulihkan',
+    },
+    fields: {
+      label: 'Label',
+      labels: 'Terjemahan',
+      probability: 'Probabilitas',
+      totalStock: 'Stok total',
+      dailyStock: 'Stok harian',
+      consolation: 'Hiburan',
+      color: 'Warna',
+      icon: 'Ikon',
+      textColor: 'Warna label',
+      fontSize: 'Ukuran label',
+      order: 'Posisi',
+      campaignId: 'Kampanye',
+    },
+  },
+  logs: {
+    title: 'Putaran Terbaru',
+    claimCode: 'Kode Klaim',
+    redeemed: 'Ditukar',
+    notRedeemed: 'Belum ditukar',
+    allPrizes: 'Semua hadiah',
+    allCampaigns: 'Semua kampanye',
+    noCampaign: 'Tanpa kampanye',
+    search: 'Cari',
+    reset: 'Atur Ulang',
+    prev: 'Sebelumnya',
+    next: 'Berikutnya',
+    endBeforeStart: 'Tanggal akhir sebelum tanggal mulai',
+    exportFailed: 'Ekspor gagal',
+    notify: {
+      pending: 'mengirim',
+      retrying: 'mencoba lagi',
+      sent: 'terkirim',
+      failed: 'tidak terkirim',
+    },
+  },
+  redeem: {
+    title: 'Tukar Hadiah',
+    codePlaceholder: 'Kode klaim',
+    lookUp: 'Cari',
+    claimCode: 'Kode klaim:',
+    prize: 'Hadiah:',
+    wonAt: 'Menang pada:',
+    redeemedBy: 'Ditukarkan oleh',
+    markRedeemed: 'Tandai sudah ditukar',
+    redeemAnyway: 'Tetap tukarkan…',
+    overridePrompt: 'Putaran ini ditandai sebagai penipuan. Mengapa hadiahnya tetap diserahkan? Alasannya dicatat dengan nama Anda.',
+    override: 'Pengecualian:',
+  },
+  stats: {
+    period: 'Periode:',
+    lastDays: '{days} hari terakhir',
+    spinsPerDay: 'Putaran per hari',
+    spinsPerHour: 'Putaran per jam ({timeZone})',
+    configuredVsActual: 'Konfigurasi vs. aktual',
+    configured: 'Konfigurasi',
+    actual: 'Aktual',
+    expectedWins: 'Kemenangan diharapkan',
+    actualWins: 'Kemenangan aktual',
+    actualShare: 'Porsi aktual',
+    notEnoughData: 'Belum cukup putaran untuk dibandingkan dengan konfigurasi (setiap hadiah butuh minimal 5 kemenangan yang diharapkan).',
+    drift: '⚠ Hasil menyimpang dari konfigurasi (χ² = {statistic}, df = {df}, p = {pValue} < {threshold}).',
+    consistent: 'Hasil sesuai dengan konfigurasi (χ² = {statistic}, df = {df}, p = {pValue}).',
+    caveat: 'Dibandingkan dengan probabilitas saat ini. Stok habis, hadiah hiburan, dan perubahan selama periode juga menggeser hasil.',
+    otherSpins: '{count} putaran untuk hadiah yang tidak lagi ada di set ini tidak dihitung.',
+    spinsTested: '{count} putaran diuji',
+  },
+  review: {
+    title: 'Antrean Tinjauan ({count})',
+    empty: 'Tidak ada putaran yang ditandai untuk ditinjau.',
+    device: 'Perangkat: {device}',
+    clear: 'Tampak sah',
+    confirm: 'Tandai sebagai penipuan',
+    saveFailed: 'Gagal menyimpan tinjauan. Silakan coba lagi.',
+    flags: {
+      'unknown-device': 'Tanpa ID perangkat',
+      'odd-format': 'Booking ID tidak biasa',
+      'sequential-booking-id': 'Booking ID berurutan dengan yang baru dipakai di perangkat yang sama',
+      'device-burst': 'Lonjakan putaran dari satu perangkat',
+      'offline-inactive-prize': 'Putaran offline: hadiah tidak ada di roda',
+      'offline-out-of-stock': 'Putaran offline: stok hadiah habis',
+      'offline-rule-blocked': 'Putaran offline: aturan hadiah tidak mengizinkan hadiah ini',
+    },
+    status: {
+      pending: 'perlu ditinjau',
+      cleared: 'aman',
+      confirmed: 'penipuan',
+    },
+    redeemWarning: {
+      pending: 'Putaran ini ditandai mencurigakan dan menunggu tinjauan.',
+      confirmed: 'Putaran ini ditandai sebagai penipuan. Serahkan hadiahnya hanya dengan pengecualian.',
+    },
+  },
+  kiosk: {
+    title: 'Mode Kios',
+    online: 'Online',
+    offline: 'Offline',
+    pending: '{count} putaran offline menunggu sinkronisasi',
+    syncNow: 'Sinkronkan sekarang',
+    syncing: 'Menyinkronkan…',
+    lastError: 'Sinkronisasi terakhir gagal: {code}',
+    rejectedTitle: 'Putaran offline yang ditolak layanan putaran (kode klaimnya tidak berlaku):',
+    dismiss: 'Tutup',
+    name: 'Nama tablet, mis. Resepsionis 1',
+    exitKey: 'Kunci keluar',
+    start: 'Mulai mode kios',
+    startRequired: 'Masukkan nama tablet ini dan kunci keluar terlebih dahulu',
+    startConfirm: 'Mulai mode kios? Anda akan keluar, layar beralih ke layar penuh dan akses admin disembunyikan.',
+    registerFailed: 'Tablet ini tidak dapat didaftarkan. Silakan coba lagi.',
+    hint: 'Memulai mode kios mendaftarkan tablet ini dengan kuncinya sendiri untuk layanan putaran. Untuk keluar dari mode kios, tahan judul selama 3 detik lalu masukkan kunci keluar.',
+    exitPrompt: 'Masukkan kunci keluar untuk keluar dari mode kios',
+    tablets: 'Tablet kios',
+    noTablets: 'Belum ada tablet yang terdaftar.',
+    registered: 'didaftarkan {date} oleh {by}',
+    revokedAt: 'dicabut {date}',
+    revoke: 'Cabut',
+    revokeConfirm: 'Cabut "{name}"? Mulai sekarang layanan putaran menolak putaran offline-nya, dan tablet harus disiapkan ulang.',
+    revokeFailed: 'Tablet tidak dapat dicabut. Silakan coba lagi.',
+    offlineBadge: 'Offline',
+    offlineClaimNote: 'Disimpan di perangkat ini selama offline. Kode klaim Anda berlaku setelah kami kembali online.',
+  },
+  stream: {
+    title: 'Antrean Siaran',
+    requester: 'Nama penonton',
+    queue: 'Antrekan putaran',
+    requesterRequired: 'Masukkan nama penonton terlebih dahulu',
+    queueFailed: 'Gagal mengantrekan putaran. Silakan coba lagi.',
+    hint: 'Putaran dimainkan bergantian di overlay siaran: /overlay?key=STREAM_TOKEN. Bot dapat menambahkan putaran ke koleksi spinRequests atau mengirimnya melalui feed WebSocket.',
+    queued: 'Menunggu: {count}',
+    recent: 'Baru dimainkan:',
+    spinFor: 'Siaran: {name}',
+    requesterLabel: 'Penonton:',
+  },
+  overlay: {
+    missingKey: 'Tambahkan ?key= berisi STREAM_TOKEN layanan putaran ke URL overlay.',
+    spinningFor: 'Memutar untuk {name}…',
+    won: 'memenangkan {prize}!',
+    upNext: 'Berikutnya: {names}{more}',
+    more: ' dan {count} lainnya',
+    feedOffline: 'Feed permintaan putaran terputus',
+    serviceDown: 'Menunggu layanan putaran…',
+  },
+  display: {
+    title: 'Layar Lobi',
+    notPaired: 'Belum ada layar yang dipasangkan dengan perangkat ini.',
+    pair: 'Pasangkan layar',
+    newCode: 'Kode baru',
+    newCodeConfirm: 'Layar yang memakai kode saat ini tidak akan mengikuti perangkat ini lagi. Lanjutkan?',
+    unpair: 'Lepaskan',
+    code: 'Kode sesi:',
+    openOnDisplay: 'Buka di layar:',
+    hint: 'Putaran di perangkat ini diputar di semua layar yang menampilkan kode tersebut. Pemasangan tetap aktif dalam mode kios.',
+    enterCode: 'Masukkan kode sesi yang tampil di layar kontrol',
+    invalidCode: 'Kode sesi tidak valid.',
+    waiting: 'Menunggu putaran berikutnya…',
+    result: '🎉 {prize}',
+    session: 'Sesi {code}',
+    connecting: 'Menghubungkan ke sesi {code}…',
+  },
+  theme: {
+    title: 'Tema untuk venue “{venue}”',
+    save: 'Simpan tema',
+    saving: 'Menyimpan…',
+    discard: 'Buang perubahan',
+    resetDefault: 'Kembalikan tampilan bawaan',
+    fixErrors: 'Perbaiki kolom yang ditandai sebelum menyimpan.',
+    saveFailed: 'Gagal menyimpan tema. Tidak ada yang diubah.',
+    addColor: '+ Warna',
+    removeColor: 'Hapus warna',
+    playSpin: '▶ Suara putar',
+    playWin: '▶ Suara menang',
+    mute: 'Bisukan',
+    unmute: 'Nyalakan suara',
+    muted: 'Volume: dibisukan',
+    fields: {
+      title: 'Judul halaman',
+      logoUrl: 'URL logo',
+      backgroundUrl: 'URL gambar latar',
+      backgroundDim: 'Peredupan latar: {percent}%',
+      palette: 'Warna roda',
+      textColor: 'Warna label',
+      accentColor: 'Warna tombol',
+      borderColor: 'Warna tepi',
+      pointerColor: 'Warna penunjuk',
+      font: 'Font',
+      fontName: 'Nama keluarga font',
+      fontUrl: 'URL stylesheet font',
+      pointer: 'Penunjuk',
+      soundSet: 'Suara',
+      spinSoundUrl: 'URL suara putar',
+      winSoundUrl: 'URL suara menang',
+      volume: 'Volume: {percent}%',
+      spinSeconds: 'Durasi putaran (detik)',
+      easing: 'Perlambatan',
+      fontSize: 'Ukuran label (px)',
+      borderWidth: 'Tebal bingkai',
+      lineColor: 'Warna garis irisan',
+      lineWidth: 'Tebal garis irisan',
+    },
+    fonts: {
+      system: 'Sistem',
+      serif: 'Serif',
+      rounded: 'Bulat',
+      condensed: 'Ramping',
+      custom: 'Kustom',
+    },
+    pointers: {
+      classic: 'Klasik',
+      arrow: 'Panah',
+      gem: 'Permata',
+      none: 'Tanpa',
+    },
+    soundSets: {
+      classic: 'Klasik',
+      silent: 'Senyap',
+      custom: 'Kustom',
+    },
+    easings: {
+      standard: 'Standar',
+      smooth: 'Halus',
+      bounce: 'Memantul',
+    },
+    errors: {
+      'too-long': 'Maksimal 60 karakter.',
+      'invalid-url': 'Gunakan URL https:// atau path yang diawali /.',
+      'out-of-range': 'Harus antara {min} dan {max}.',
+      'invalid-palette': 'Gunakan 1 sampai 12 warna.',
+      'invalid-color': 'Warna tidak valid.',
+      'invalid-choice': 'Pilihan tidak valid.',
+      required: 'Wajib diisi.',
+    },
+  },
+  venues: {
+    hint: 'Angka untuk setiap venue. Jumlah putaran mencakup 24 jam terakhir dan seluruh waktu.',
+    refresh: 'Muat ulang',
+    venue: 'Venue',
+    figures: {
+      spinsLastDay: 'Putaran (24 jam)',
+      spinsTotal: 'Putaran (semua)',
+      pendingReview: 'Menunggu tinjauan',
+      outOfStock: 'Stok habis',
+    },
+    thisVenue: 'halaman ini',
+    unavailable: 't/a',
+    total: 'Total ({count} venue)',
+    empty: 'Belum ada venue. Jalankan migrasi venue atau tambahkan di bawah.',
+    add: 'Tambah venue',
+    id: 'ID venue (mis. seaside)',
+    name: 'Nama tampilan',
+    create: 'Buat venue',
+    addHint: 'ID venue berupa huruf kecil, angka, dan tanda hubung, dan tidak dapat diubah nanti. Beri akses staf dengan npm run set-role.',
+    errors: {
+      'invalid-id': 'Gunakan huruf kecil, angka, dan tanda hubung untuk ID venue.',
+      exists: 'Venue dengan ID ini sudah ada.',
+      saveFailed: 'Gagal membuat venue.',
+    },
+  },
+  result: {
+    title: 'Anda menang!',
+    claimCode: 'Kode klaim Anda',
+    close: 'Tutup',
+    notifying: 'Kami mengirim detail hadiah Anda ke {contact}.',
+  },
+  rules: {
+    title: 'Aturan hadiah',
+    hint: 'Aturan mengubah peluang sebelum setiap putaran, sesuai urutan daftar. Aturan hanya memilih di antara hadiah yang tersedia. Putaran kios offline memakai aturan yang terakhir diambil kios, tanpa tingkat pemesanan.',
+    empty: 'Belum ada aturan: setiap putaran memakai probabilitas hadiah.',
+    add: '+ Tambah aturan',
+    save: 'Simpan aturan',
+    saving: 'Menyimpan…',
+    discard: 'Buang perubahan',
+    unsaved: 'Ada perubahan yang belum disimpan. Putaran tetap memakai aturan tersimpan sampai Anda menyimpan.',
+    saveFailed: 'Gagal menyimpan aturan. Tidak ada yang diubah.',
+    fixErrors: 'Perbaiki aturan yang ditandai sebelum menyimpan.',
+    enabled: 'Aktif',
+    name: 'Nama aturan',
+    choosePrize: 'Pilih hadiah',
+    everyRealPrize: 'Semua hadiah kecuali hadiah hiburan',
+    types: {
+      guarantee: 'Menang terjamin',
+      tierOdds: 'Peluang per tingkat',
+      dailyCap: 'Batas harian',
+      pity: 'Penghibur beruntun',
+    },
+    fields: {
+      nthSpin: 'Putaran ke-',
+      repeat: 'Setiap kelipatannya',
+      tiers: 'Tingkat pemesanan',
+      factor: 'Peluang ×',
+      limit: 'Per hari',
+      streak: 'Hadiah hiburan berturut-turut',
+    },
+    describe: {
+      guarantee: 'Putaran itu pada hari tersebut memenangkan hadiah (jika dicentang: setiap kelipatannya).',
+      tierOdds: 'Pemesanan dengan salah satu tingkat ini mendapat peluang hadiah yang dikalikan.',
+      dailyCap: 'Setelah hadiah dimenangkan sebanyak ini hari ini, hadiah tidak diikutkan.',
+      pity: 'Setelah sekian hadiah hiburan berturut-turut, putaran berikutnya memenangkan hadiah sungguhan.',
+    },
+    errors: {
+      required: 'Wajib diisi',
+      'too-long': 'Maksimal 60 karakter',
+      'invalid-type': 'Jenis aturan tidak dikenal',
+      prize: 'Pilih hadiah',
+      count: 'Masukkan bilangan bulat',
+      factor: 'Masukkan angka di atas 0, maksimal {max}',
+      tiers: 'Masukkan minimal satu tingkat',
+    },
+    dryRun: {
+      title: 'Uji coba',
+      hint: 'Peluang putaran berikutnya pada roda aktif dengan aturan di atas, tersimpan atau belum. Ubah isian untuk mencoba putaran lain.',
+      spinOfDay: 'Putaran ke- hari ini',
+      tier: 'Tingkat pemesanan',
+      noTier: 'tidak ada',
+      streak: 'Hiburan beruntun',
+      base: 'Probabilitas',
+      withRules: 'Dengan aturan',
+      applied: 'Aturan yang berlaku: {rules}',
+      none: 'tidak ada',
+    },
+  },
+  simulator: {
+    title: 'Simulator peluang',
+    hint: 'Menjalankan putaran virtual sebuah set hadiah dengan kode pemilihan dan aturan hadiah tersimpan yang sama seperti putaran sungguhan. Tidak ada hadiah diberikan dan stok tidak terpakai.',
+    spins: 'Putaran',
+    spinsPerDay: 'Putaran per hari',
+    allOnOneDay: 'semua hari ini',
+    fromStock: 'Mulai dari stok saat ini',
+    run: 'Jalankan simulasi',
+    invalid: 'Masukkan 1 sampai {max} putaran, dan bilangan bulat untuk putaran per hari.',
+    summary: '{spins} putaran virtual selama {days} hari',
+    chance: 'Peluang saat ini',
+    expected: 'Perkiraan menang',
+    wins: 'Menang dalam simulasi',
+    share: 'Porsi',
+    stockLeft: 'Sisa stok',
+    soldOutAt: 'Habis',
+    spinNumber: 'pada putaran {n}',
+    dailyLimitDays: 'Hari habis karena stok harian',
+    unawarded: '{count} putaran tidak memberikan apa pun: semua hadiah habis dan tidak ada hadiah hiburan.',
+    rulesNote: 'Perkiraan menang memakai peluang putaran pertama; menang dalam simulasi memperhitungkan stok yang habis dan aturan hadiah. Nomor putaran harian hanya menghitung set hadiah ini.',
+  },
+  odds: {
+    title: '{title}: Peluang & Ketentuan',
+    prizesTitle: 'Hadiah dan peluang',
+    campaign: 'Promosi saat ini: {name}.',
+    period: 'Berlaku {from} sampai {to}.',
+    chance: 'Peluang per putaran',
+    totalStock: 'Jumlah',
+    dailyStock: 'Per hari',
+    consolation: 'hadiah hiburan',
+    outOfStock: 'habis',
+    asOf: 'Peluang per {time} ({timeZone}). Peluang diperbarui saat hadiah dimenangkan.',
+    termsTitle: 'Ketentuan',
+    terms: {
+      booking: 'Setiap ID pemesanan mendapat satu putaran.',
+      random: 'Hadiah diundi secara acak oleh server kami saat Anda memutar, dengan peluang seperti di atas. Animasi roda hanya menampilkan hasilnya.',
+      stock: 'Hadiah yang habis tidak diikutkan dalam undian, dan peluang hadiah lainnya naik secara proporsional sampai stoknya tersedia lagi.',
+      consolation: 'Jika semua hadiah lain habis, hadiah hiburan yang diberikan.',
+      promotions: 'Tempat ini dapat mengadakan promosi, seperti hadiah terjamin pada putaran tertentu, yang mengubah peluang putaran tertentu.',
+      claim: 'Tunjukkan kode klaim kepada staf kami untuk mengambil hadiah. Setiap kode klaim hanya dapat ditukarkan sekali.',
+      changes: 'Hadiah, jumlah, dan peluang dapat berubah antar promosi. Halaman ini selalu menampilkan yang berlaku saat ini.',
+    },
+    back: 'Kembali ke roda',
+  },
+  notify: {
+    subject: 'Anda memenangkan {prize}!',
+    won: 'Selamat! Anda memenangkan {prize} pada {time}.',
+    claimCode: 'Kode klaim Anda: {claimCode}',
+    collect: 'Tunjukkan kode klaim ini kepada staf kami untuk mengambil hadiah. Setiap kode hanya dapat ditukarkan sekali.',
+  },
+  a11y: {
+    adminTabs: 'Bagian admin',
+    reduceMotion: 'Kurangi animasi',
+    spinHint: 'Masukkan ID Pemesanan Anda lalu tekan Terapkan untuk membuka putaran.',
+    spinningAnnouncement: 'Roda sedang berputar…',
+    wonAnnouncement: 'Anda memenangkan {prize}. Kode klaim Anda {code}.',
+    wheel: 'Roda hadiah berisi: {prizes}',
+  },
+  errors: {
+    spin: {
+      'not-found': 'ID Pemesanan tidak ditemukan. Periksa kembali ID atau tanyakan staf kami.',
+      'already-used': 'ID Pemesanan ini sudah digunakan untuk putaran.',
+      'expired': 'ID Pemesanan ini sudah kedaluwarsa.',
+      'no-prizes': 'Belum ada hadiah yang dikonfigurasi',
+      'no-active-campaign': 'Tidak ada kampanye yang sedang berjalan saat ini.',
+      'out-of-stock': 'Semua hadiah sudah habis. Silakan hubungi staf kami.',
+      'invalid-booking-id': 'Booking ID tidak valid.',
+      'invalid-format': 'Format Booking ID tidak sesuai. Periksa kembali penulisannya.',
+      'unpaid': 'Pemesanan ini belum dibayar. Silakan hubungi staf kami.',
+      'outside-campaign': 'Pemesanan ini tidak termasuk dalam kampanye saat ini.',
+      'unknown-venue': 'Venue ini belum disiapkan. Silakan hubungi staf kami.',
+      'invalid-spin': 'Data putaran dari perangkat ini tidak valid.',
+      'prize-not-found': 'Hadiah sudah tidak ada.',
+      'claim-code-taken': 'Kode klaim sudah dipakai untuk putaran lain.',
+      'invalid-request': 'Permintaan putaran tidak valid.',
+      'cooldown': 'Mohon tunggu sebentar sebelum putaran berikutnya.',
+      'rate-limited': 'Terlalu banyak putaran saat ini. Silakan hubungi staf kami.',
+      'too-many-attempts': 'Terlalu banyak Booking ID tidak dikenal dari perangkat ini. Silakan hubungi staf kami.',
+      'invalid-contact': 'Masukkan alamat email atau nomor WhatsApp yang valid, atau kosongkan kolom ini.',
+      'contact-unsupported': 'Kami tidak dapat mengirim detail hadiah ke sana. Gunakan kontak lain atau kosongkan kolom ini.',
+      'kiosk-revoked': 'Tablet kios ini telah dicabut. Siapkan ulang di Mode Kios.',
+      unavailable: 'Tidak dapat menghubungi layanan putaran. Silakan coba lagi.',
+    },
+    claim: {
+      'invalid-code': 'Kode klaim tidak valid.',
+      'not-found': 'Tidak ada putaran untuk kode klaim ini.',
+      'already-redeemed': 'Hadiah ini sudah ditukarkan.',
+      'fraud-confirmed': 'Putaran ini ditandai sebagai penipuan. Penukaran memerlukan alasan pengecualian.',
+    },
+  },
+};
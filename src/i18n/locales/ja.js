@@ -0,0 +1,560 @@
+// 日本語
+export default {
+  common: {
+    actions: '操作',
+    bookingId: '予約番号',
+    campaign: 'キャンペーン',
+    cancel: 'キャンセル',
+    date: '日時',
+    defaultPrizeSet: 'デフォルト（キャンペーンなし）',
+    delete: '削除',
+    edit: '編集',
+    from: '開始',
+    loading: '読み込み中…',
+    no: 'いいえ',
+    ok: 'OK',
+    prize: '賞品',
+    prizeSet: '賞品セット：',
+    somethingWentWrong: 'エラーが発生しました。もう一度お試しください。',
+    spins: '回',
+    to: '終了',
+    unlimited: '無制限',
+    yes: 'はい',
+  },
+  app: {
+    title: 'Millennium TikTok スピン',
+    language: '言語',
+    bookingIdLabel: '予約番号：',
+    bookingIdPlaceholder: '予約番号を入力',
+    apply: '適用',
+    currentBookingId: '現在の予約番号：',
+    welcomeGuest: 'ようこそ、{name}様！',
+    bookingIdRequired: '予約番号を入力してください',
+    enterBookingFirst: '先に予約番号を入力してください',
+    noPrizes: '賞品が設定されていません',
+    noActiveCampaign: '開催中のキャンペーンはありません',
+    noActiveCampaignHint: '次のキャンペーン期間にホイールが再開します。',
+    spin: 'スピン',
+    spinning: '回転中...',
+    youWon: '当選：',
+    showClaimCode: 'この引換コードをスタッフに提示して賞品をお受け取りください。',
+    spinRules: 'スピンには予約番号が必要です。1回スピンした後は、別の予約番号を入力すると再びスピンできます。',
+    oddsLink: '当選確率と規約',
+    contactLabel: '賞品の詳細の送信先（任意）',
+    contactPlaceholder: {
+      email: 'メールアドレス',
+      whatsapp: 'WhatsApp 番号',
+      any: 'メールアドレスまたは WhatsApp 番号',
+    },
+  },
+  auth: {
+    email: '管理者メール',
+    password: 'パスワード',
+    signIn: '管理者',
+    wrongCredentials: 'メールアドレスまたはパスワードが違います',
+    noAdminRole: 'このアカウントには管理者権限がありません',
+    otherVenue: 'このアカウントは会場「{venue}」の管理者です。開く',
+    logOut: 'ログアウト',
+  },
+  admin: {
+    dashboard: '管理ダッシュボード',
+    tabDashboard: '賞品とスピン',
+    tabStats: '統計',
+    tabSimulator: 'シミュレーター',
+    tabRules: '賞品ルール',
+    tabVenues: '会場',
+    readOnly: '閲覧のみ：賞品の編集には賞品編集者ロールが必要です。',
+    addPrize: '賞品を追加',
+    label: '名前',
+    probability: '確率',
+    remaining: '残り（合計 / 本日）',
+  },
+  prizeEditor: {
+    icon: 'アイコン',
+    color: '色',
+    defaultColor: 'デフォルトの色を使う',
+    totalStock: '総在庫',
+    dailyStock: '1日の在庫',
+    consolation: '残念賞',
+    translations: '翻訳',
+    more: '詳細',
+    wheelStyle: 'スライスのスタイル',
+    textColor: '文字色',
+    fontSize: '文字サイズ (px)',
+    themeSize: 'テーマ',
+    dragHint: 'ドラッグして並び順を変更',
+    order: '並び順',
+    moveUp: '上へ',
+    moveDown: '下へ',
+    empty: 'このセットにはまだ賞品がありません。',
+    total: '合計：{total}% / {target}%',
+    totalError: '保存するには確率の合計を {target}% にしてください。',
+    save: '変更を保存',
+    saving: '保存中…',
+    discard: '変更を破棄',
+    unsaved: '未保存の変更があります。保存するまでホイールは保存済みの賞品を使います。',
+    saveFailed: '保存に失敗しました。変更はありません。',
+    import: 'JSON/CSV をインポート',
+    exportJson: 'JSON をエクスポート',
+    exportCsv: 'CSV をエクスポート',
+    errors: {
+      required: '必須',
+      probability: '0 以上の数値を入力してください',
+      stock: '0 以上の整数、または空欄',
+      color: '#rrggbb 形式の色を指定してください',
+      icon: '{max} 文字以内',
+      fontSize: '{minSize}〜{maxSize} の整数、または空欄',
+    },
+    importErrors: {
+      'invalid-json': '有効な JSON ファイルではありません。',
+      'not-a-list': 'JSON ファイルには賞品のリストが必要です。',
+      'missing-label-column': 'CSV ファイルには "label" 列が必要です。',
+      'empty': 'ファイルに賞品がありません。',
+      unreadable: 'ファイルを読み込めませんでした。',
+    },
+  },
+  campaigns: {
+    title: 'キャンペーン',
+    name: '名前',
+    window: '期間',
+    status: '状態',
+    disabled: '無効',
+    live: '開催中',
+    scheduled: '予定',
+    namePlaceholder: 'キャンペーン名',
+    until: '終了',
+    dailyHours: '毎日の時間帯',
+    priority: '優先度',
+    enabled: '有効',
+    add: 'キャンペーンを追加',
+    save: 'キャンペーンを保存',
+    nameRequired: 'キャンペーン名を入力してください',
+    endBeforeStart: '終了は開始より後にしてください',
+    dailyHoursFormat: '時間帯は HH:MM 形式で入力してください',
+    deleteConfirm: 'キャンペーン「{name}」を削除しますか？賞品はデータベースに残りますが、表示されなくなります。',
+    timeZoneHint: '曜日と時間帯は会場のタイムゾーン（{timeZone}）を使用します。キャンペーンがない場合はデフォルトの賞品セットを使用します。',
+  },
+  history: {
+    title: '賞品の履歴',
+    empty: '賞品の変更履歴はまだありません。',
+    restore: 'このバージョンに戻す',
+    restoring: '復元中…',
+    restoreConfirm: '「{label}」をこのバージョンに戻しますか？現在の設定は履歴に残ります。',
+    restoreFailed: '復元に失敗しました。変更はありません。',
+    actions: {
+      create: '作成',
+      update: '変更',
+      delete: '削除',
+      rollback: '復元',
+    },
+    fields: {
+      label: '名前',
+      labels: '翻訳',
+      probability: '確率',
+      totalStock: '総在庫',
+      dailyStock: '1日の在庫',
+      consolation: '残念賞',
+      color: '色',
+      icon: 'アイコン',
+      textColor: '文字色',
+      fontSize: '文字サイズ',
+      order: '位置',
+      campaignId: 'キャンペーン',
+    },
+  },
+  logs: {
+    title: '最近のスピン',
+    claimCode: '引換コード',
+    redeemed: '引換済み',
+    notRedeemed: '未引換',
+    allPrizes: 'すべての賞品',
+    allCampaigns: 'すべてのキャンペーン',
+    noCampaign: 'キャンペーンなし',
+    search: '検索',
+    reset: 'リセット',
+    prev: '前へ',
+    next: '次へ',
+    endBeforeStart: '終了日が開始日より前です',
+    exportFailed: 'エクスポートに失敗しました',
+    notify: {
+      pending: '送信中',
+      retrying: '再試行中',
+      sent: '送信済み',
+      failed: '未送信',
+    },
+  },
+  redeem: {
+    title: '賞品の引き換え',
+    codePlaceholder: '引換コード',
+    lookUp: '照会',
+    claimCode: '引換コード：',
+    prize: '賞品：',
+    wonAt: '当選日時：',
+    redeemedBy: '引換担当',
+    markRedeemed: '引換済みにする',
+    redeemAnyway: 'それでも引き換える…',
+    overridePrompt: 'このスピンは不正とされました。それでも賞品をお渡しする理由は何ですか？理由はあなたの名前とともに記録されます。',
+    override: '例外承認：',
+  },
+  stats: {
+    period: '期間：',
+    lastDays: '過去 {days} 日間',
+    spinsPerDay: '1日あたりのスピン数',
+    spinsPerHour: '時間帯別スピン数（{timeZone}）',
+    configuredVsActual: '設定と実績の比較',
+    configured: '設定',
+    actual: '実績',
+    expectedWins: '期待当選数',
+    actualWins: '実際の当選数',
+    actualShare: '実際の割合',
+    notEnoughData: 'スピン数が少ないため、設定との比較はまだできません（各賞品に5回以上の期待当選数が必要です）。',
+    drift: '⚠ 結果が設定から乖離しています（χ² = {statistic}、df = {df}、p = {pValue} < {threshold}）。',
+    consistent: '結果は設定と一致しています（χ² = {statistic}、df = {df}、p = {pValue}）。',
+    caveat: '現在の確率と比較しています。在庫切れ、残念賞への切り替え、期間中の変更も結果に影響します。',
+    otherSpins: 'このセットにない賞品の {count} 回のスピンは除外されています。',
+    spinsTested: '{count} 回を検定',
+  },
+  review: {
+    title: 'レビュー待ち（{count}）',
+    empty: 'レビュー待ちのスピンはありません。',
+    device: '端末：{device}',
+    clear: '問題なし',
+    confirm: '不正としてマーク',
+    saveFailed: 'レビューを保存できませんでした。もう一度お試しください。',
+    flags: {
+      'unknown-device': '端末 ID なし',
+      'odd-format': '予約番号の形式が不自然',
+      'sequential-booking-id': '同じ端末で直前に使われた予約番号の連番',
+      'device-burst': '1 台の端末からの連続スピン',
+      'offline-inactive-prize': 'オフラインスピン：賞品がホイールにありませんでした',
+      'offline-out-of-stock': 'オフラインスピン：賞品の在庫がありませんでした',
+      'offline-rule-blocked': 'オフラインスピン：賞品ルールで対象外の賞品でした',
+    },
+    status: {
+      pending: '要レビュー',
+      cleared: '問題なし',
+      confirmed: '不正',
+    },
+    redeemWarning: {
+      pending: 'このスピンは不審としてフラグが立てられ、レビュー待ちです。',
+      confirmed: 'このスピンは不正とされました。賞品は例外承認がある場合のみお渡しください。',
+    },
+  },
+  kiosk: {
+    title: 'キオスクモード',
+    online: 'オンライン',
+    offline: 'オフライン',
+    pending: '同期待ちのオフラインスピン：{count} 件',
+    syncNow: '今すぐ同期',
+    syncing: '同期中…',
+    lastError: '前回の同期に失敗しました：{code}',
+    rejectedTitle: 'スピンサービスに拒否されたオフラインスピン（引換コードは無効です）：',
+    dismiss: '閉じる',
+    name: 'タブレット名（例：フロント 1）',
+    exitKey: '終了キー',
+    start: 'キオスクモードを開始',
+    startRequired: '先にこのタブレットの名前と終了キーを入力してください',
+    startConfirm: 'キオスクモードを開始しますか？ログアウトされ、全画面表示になり、管理画面へのアクセスは非表示になります。',
+    registerFailed: 'このタブレットを登録できませんでした。もう一度お試しください。',
+    hint: 'キオスクモードを開始すると、このタブレットは専用のキーでスピンサービスに登録されます。キオスクモードを終了するには、タイトルを 3 秒間長押しして終了キーを入力してください。',
+    exitPrompt: 'キオスクモードを終了するには終了キーを入力してください',
+    tablets: 'キオスク用タブレット',
+    noTablets: '登録済みのタブレットはまだありません。',
+    registered: '{date} に {by} が登録',
+    revokedAt: '{date} に無効化',
+    revoke: '無効化',
+    revokeConfirm: '「{name}」を無効化しますか？今後このタブレットのオフラインスピンはスピンサービスに拒否され、再設定が必要になります。',
+    revokeFailed: 'タブレットを無効化できませんでした。もう一度お試しください。',
+    offlineBadge: 'オフライン',
+    offlineClaimNote: 'オフラインの間はこの端末に保存されています。オンラインに戻ると引換コードが有効になります。',
+  },
+  stream: {
+    title: '配信キュー',
+    requester: '視聴者名',
+    queue: 'スピンを追加',
+    requesterRequired: '先に視聴者名を入力してください',
+    queueFailed: 'スピンを追加できませんでした。もう一度お試しください。',
+    hint: 'スピンは配信オーバーレイで順番に再生されます：/overlay?key=STREAM_TOKEN。ボットは spinRequests コレクションへの追加、または WebSocket フィードで送信できます。',
+    queued: '待機中：{count}',
+    recent: '最近のスピン：',
+    spinFor: '配信：{name}',
+    requesterLabel: '視聴者：',
+  },
+  overlay: {
+    missingKey: 'オーバーレイの URL に ?key=（スピンサービスの STREAM_TOKEN）を追加してください。',
+    spinningFor: '{name} さんのスピン中…',
+    won: '{prize} が当たりました！',
+    upNext: '次は：{names}{more}',
+    more: ' ほか {count} 人',
+    feedOffline: 'スピンリクエストのフィードが切断されました',
+    serviceDown: 'スピンサービスを待っています…',
+  },
+  display: {
+    title: 'ロビーディスプレイ',
+    notPaired: 'この端末とペアリングされたディスプレイはありません。',
+    pair: 'ディスプレイをペアリング',
+    newCode: '新しいコード',
+    newCodeConfirm: '現在のコードを使っているディスプレイは、この端末に連動しなくなります。続けますか？',
+    unpair: 'ペアリング解除',
+    code: 'セッションコード：',
+    openOnDisplay: 'ディスプレイで開く：',
+    hint: 'この端末でのスピンは、同じコードを表示しているすべてのディスプレイで再生されます。キオスクモードでもペアリングは維持されます。',
+    enterCode: '操作画面に表示されているセッションコードを入力してください',
+    invalidCode: 'セッションコードが正しくありません。',
+    waiting: '次のスピンを待っています…',
+    result: '🎉 {prize}',
+    session: 'セッション {code}',
+    connecting: 'セッション {code} に接続中…',
+  },
+  theme: {
+    title: '会場「{venue}」のテーマ',
+    save: 'テーマを保存',
+    saving: '保存中…',
+    discard: '変更を破棄',
+    resetDefault: '標準の見た目に戻す',
+    fixErrors: '保存する前に、表示されている項目を修正してください。',
+    saveFailed: 'テーマを保存できませんでした。変更はありません。',
+    addColor: '+ 色',
+    removeColor: '色を削除',
+    playSpin: '▶ 回転音',
+    playWin: '▶ 当選音',
+    mute: 'ミュート',
+    unmute: 'ミュート解除',
+    muted: '音量：ミュート',
+    fields: {
+      title: 'ページタイトル',
+      logoUrl: 'ロゴの URL',
+      backgroundUrl: '背景画像の URL',
+      backgroundDim: '背景の暗さ：{percent}%',
+      palette: 'ホイールの色',
+      textColor: '文字の色',
+      accentColor: 'ボタンの色',
+      borderColor: '縁の色',
+      pointerColor: 'ポインターの色',
+      font: 'フォント',
+      fontName: 'フォント名',
+      fontUrl: 'フォントのスタイルシート URL',
+      pointer: 'ポインター',
+      soundSet: 'サウンド',
+      spinSoundUrl: '回転音の URL',
+      winSoundUrl: '当選音の URL',
+      volume: '音量：{percent}%',
+      spinSeconds: '回転時間（秒）',
+      easing: '減速',
+      fontSize: '文字サイズ (px)',
+      borderWidth: '外枠の太さ',
+      lineColor: '区切り線の色',
+      lineWidth: '区切り線の太さ',
+    },
+    fonts: {
+      system: 'システム',
+      serif: '明朝',
+      rounded: '丸ゴシック',
+      condensed: 'コンデンス',
+      custom: 'カスタム',
+    },
+    pointers: {
+      classic: 'クラシック',
+      arrow: '矢印',
+      gem: 'ジェム',
+      none: 'なし',
+    },
+    soundSets: {
+      classic: 'クラシック',
+      silent: '無音',
+      custom: 'カスタム',
+    },
+    easings: {
+      standard: '標準',
+      smooth: 'なめらか',
+      bounce: 'バウンド',
+    },
+    errors: {
+      'too-long': '60 文字以内で入力してください。',
+      'invalid-url': 'https:// の URL か / で始まるパスを使ってください。',
+      'out-of-range': '{min}〜{max} の範囲で指定してください。',
+      'invalid-palette': '色は 1〜12 個にしてください。',
+      'invalid-color': '色が正しくありません。',
+      'invalid-choice': '選択肢が正しくありません。',
+      required: '必須です。',
+    },
+  },
+  venues: {
+    hint: '全会場の数値です。スピン数は直近 24 時間と累計です。',
+    refresh: '更新',
+    venue: '会場',
+    figures: {
+      spinsLastDay: 'スピン（24 時間）',
+      spinsTotal: 'スピン（累計）',
+      pendingReview: '確認待ち',
+      outOfStock: '在庫切れ',
+    },
+    thisVenue: 'このページ',
+    unavailable: '取得不可',
+    total: '合計（{count} 会場）',
+    empty: '会場がまだありません。会場の移行を実行するか、下で追加してください。',
+    add: '会場を追加',
+    id: '会場 ID（例：seaside）',
+    name: '表示名',
+    create: '会場を作成',
+    addHint: '会場 ID は小文字・数字・ハイフンのみで、後から変更できません。スタッフの権限は npm run set-role で付与します。',
+    errors: {
+      'invalid-id': '会場 ID には小文字・数字・ハイフンを使ってください。',
+      exists: 'この ID の会場はすでにあります。',
+      saveFailed: '会場を作成できませんでした。',
+    },
+  },
+  result: {
+    title: '当選しました！',
+    claimCode: '引換コード',
+    close: '閉じる',
+    notifying: '賞品の詳細を {contact} に送信しています。',
+  },
+  rules: {
+    title: '賞品ルール',
+    hint: 'ルールは各スピンの前に一覧の順で確率を調整します。選ばれるのは在庫のある賞品だけです。オフラインのキオスクのスピンには、キオスクが最後に取得したルールが予約ランクなしで適用されます。',
+    empty: 'ルールはまだありません。すべてのスピンは賞品の確率どおりです。',
+    add: '+ ルールを追加',
+    save: 'ルールを保存',
+    saving: '保存中…',
+    discard: '変更を破棄',
+    unsaved: '未保存の変更があります。保存するまでスピンには保存済みのルールが使われます。',
+    saveFailed: 'ルールを保存できませんでした。変更はありません。',
+    fixErrors: '保存する前に、強調表示されたルールを修正してください。',
+    enabled: '有効',
+    name: 'ルール名',
+    choosePrize: '賞品を選択',
+    everyRealPrize: '残念賞以外のすべての賞品',
+    types: {
+      guarantee: '確定当選',
+      tierOdds: 'ランク別確率',
+      dailyCap: '1日の上限',
+      pity: '天井',
+    },
+    fields: {
+      nthSpin: '何回目',
+      repeat: '同じ回数ごとに繰り返す',
+      tiers: '予約ランク',
+      factor: '確率 ×',
+      limit: '1日あたり',
+      streak: '残念賞の連続回数',
+    },
+    describe: {
+      guarantee: 'その日のその回のスピンで賞品が当たります（チェックすると、その倍数の回ごと）。',
+      tierOdds: 'これらのランクの予約では、賞品の確率に倍率が掛かります。',
+      dailyCap: '今日この回数当選した賞品は対象外になります。',
+      pity: '残念賞がこの回数続くと、次のスピンで本賞が当たります。',
+    },
+    errors: {
+      required: '必須',
+      'too-long': '60 文字以内',
+      'invalid-type': '不明なルールの種類',
+      prize: '賞品を選択してください',
+      count: '整数を入力してください',
+      factor: '0 より大きく {max} 以下の数値を入力してください',
+      tiers: 'ランクを 1 つ以上入力してください',
+    },
+    dryRun: {
+      title: '試算',
+      hint: '上のルール（保存の有無にかかわらず）で、現在のホイールの次のスピンの確率を表示します。入力を変えて別のスピンを試せます。',
+      spinOfDay: '今日の何回目',
+      tier: '予約ランク',
+      noTier: 'なし',
+      streak: '残念賞の連続',
+      base: '確率',
+      withRules: 'ルール適用後',
+      applied: '適用されたルール：{rules}',
+      none: 'なし',
+    },
+  },
+  simulator: {
+    title: '確率シミュレーター',
+    hint: '実際のスピンと同じ抽選コードと保存済みの賞品ルールで、賞品セットの仮想スピンを行います。賞品は付与されず、在庫も減りません。',
+    spins: 'スピン数',
+    spinsPerDay: '1日のスピン数',
+    allOnOneDay: 'すべて今日',
+    fromStock: '現在の在庫から開始',
+    run: 'シミュレーションを実行',
+    invalid: 'スピン数は 1〜{max}、1日のスピン数は整数で入力してください。',
+    summary: '{days} 日間で {spins} 回の仮想スピン',
+    chance: '現在の確率',
+    expected: '期待当選数',
+    wins: 'シミュレーション当選数',
+    share: '割合',
+    stockLeft: '残り在庫',
+    soldOutAt: '在庫切れ',
+    spinNumber: '{n} 回目のスピン',
+    dailyLimitDays: '1日の在庫切れ日数',
+    unawarded: '{count} 回のスピンで何も付与できませんでした：すべての賞品が在庫切れで、残念賞がありません。',
+    rulesNote: '期待当選数は最初のスピンの確率で計算し、シミュレーション当選数には在庫切れと賞品ルールが反映されます。その日のスピン番号はこの賞品セットのみで数えます。',
+  },
+  odds: {
+    title: '{title}：当選確率と規約',
+    prizesTitle: '賞品と当選確率',
+    campaign: '開催中のキャンペーン：{name}。',
+    period: '期間：{from}〜{to}。',
+    chance: '1回あたりの確率',
+    totalStock: '数量',
+    dailyStock: '1日あたり',
+    consolation: '残念賞',
+    outOfStock: '在庫切れ',
+    asOf: '{time}（{timeZone}）時点の確率です。賞品が当選するたびに更新されます。',
+    termsTitle: '規約',
+    terms: {
+      booking: '予約IDごとに1回スピンできます。',
+      random: '賞品はスピン時に当社のサーバーが上記の確率で無作為に抽選します。ホイールのアニメーションは結果を表示するだけです。',
+      stock: '在庫切れの賞品は抽選から除かれ、再入荷するまで残りの賞品の確率が比例して上がります。',
+      consolation: '他の賞品がすべて在庫切れの場合は、残念賞となります。',
+      promotions: '店舗は特定のスピンでの当選保証などのプロモーションを行うことがあり、個々のスピンの確率が変わる場合があります。',
+      claim: '賞品の受け取りには、引換コードをスタッフにご提示ください。引換コードは1回のみ使用できます。',
+      changes: '賞品・数量・確率はキャンペーンごとに変わることがあります。このページには常に最新の内容が表示されます。',
+    },
+    back: 'ホイールに戻る',
+  },
+  notify: {
+    subject: '{prize} が当たりました！',
+    won: 'おめでとうございます！{time} に {prize} が当たりました。',
+    claimCode: '引換コード：{claimCode}',
+    collect: '賞品の受け取りには、この引換コードをスタッフにご提示ください。引換コードは1回のみ使用できます。',
+  },
+  a11y: {
+    adminTabs: '管理セクション',
+    reduceMotion: 'アニメーションを減らす',
+    spinHint: '予約番号を入力して「適用」を押すとスピンできます。',
+    spinningAnnouncement: 'ホイールが回転しています…',
+    wonAnnouncement: '{prize} が当たりました。引換コードは {code} です。',
+    wheel: '賞品ホイール：{prizes}',
+  },
+  errors: {
+    spin: {
+      'not-found': '予約番号が見つかりません。番号をご確認いただくか、スタッフにお尋ねください。',
+      'already-used': 'この予約番号はすでにスピンに使用されています。',
+      'expired': 'この予約番号は有効期限が切れています。',
+      'no-prizes': '賞品が設定されていません',
+      'no-active-campaign': '現在開催中のキャンペーンはありません。',
+      'out-of-stock': 'すべての賞品の配布が終了しました。スタッフにお尋ねください。',
+      'invalid-booking-id': '予約番号が正しくありません。',
+      'invalid-format': '予約番号の形式が正しくありません。入力内容をご確認ください。',
+      'unpaid': 'このご予約はお支払いが済んでいません。スタッフにお声がけください。',
+      'outside-campaign': 'このご予約は現在のキャンペーンの対象外です。',
+      'unknown-venue': 'この会場は設定されていません。スタッフにお問い合わせください。',
+      'invalid-spin': 'この端末のスピン記録が不正です。',
+      'prize-not-found': 'その賞品は存在しません。',
+      'claim-code-taken': 'この引換コードは別のスピンに発行済みです。',
+      'invalid-request': 'スピンのリクエストが無効です。',
+      'cooldown': '次のスピンまで少しお待ちください。',
+      'rate-limited': '現在スピンが集中しています。スタッフにお声がけください。',
+      'too-many-attempts': 'この端末から不明な予約番号が多すぎます。スタッフにお声がけください。',
+      'invalid-contact': '有効なメールアドレスまたは WhatsApp 番号を入力するか、空欄のままにしてください。',
+      'contact-unsupported': 'この連絡先には賞品の詳細を送信できません。別の連絡先を入力するか、空欄のままにしてください。',
+      'kiosk-revoked': 'このキオスク用タブレットは無効化されています。キオスクモードで再設定してください。',
+      unavailable: 'スピンサービスに接続できません。もう一度お試しください。',
+    },
+    claim: {
+      'invalid-code': '無効な引換コードです。',
+      'not-found': 'この引換コードのスピンは見つかりません。',
+      'already-redeemed': 'この賞品はすでに引き換えられています。',
+      'fraud-confirmed': 'このスピンは不正とされました。引き換えには例外承認の理由が必要です。',
+    },
+  },
+};
@@ -0,0 +1,560 @@
+// 简体中文
+export default {
+  common: {
+    actions: '操作',
+    bookingId: '预订编号',
+    campaign: '活动',
+    cancel: '取消',
+    date: '日期',
+    defaultPrizeSet: '默认（无活动）',
+    delete: '删除',
+    edit: '编辑',
+    from: '从',
+    loading: '加载中…',
+    no: '否',
+    ok: '确定',
+    prize: '奖品',
+    prizeSet: '奖品组：',
+    somethingWentWrong: '出错了，请重试。',
+    spins: '次抽奖',
+    to: '至',
+    unlimited: '不限',
+    yes: '是',
+  },
+  app: {
+    title: 'Millennium TikTok 幸运转盘',
+    language: '语言',
+    bookingIdLabel: '预订编号：',
+    bookingIdPlaceholder: '请输入预订编号',
+    apply: '确认',
+    currentBookingId: '当前预订编号：',
+    welcomeGuest: '欢迎，{name}！',
+    bookingIdRequired: '请填写预订编号',
+    enterBookingFirst: '请先输入预订编号',
+    noPrizes: '尚未配置奖品',
+    noActiveCampaign: '当前没有进行中的活动',
+    noActiveCampaignHint: '转盘将在下一次活动期间重新开放。',
+    spin: '抽奖',
+    spinning: '转动中...',
+    youWon: '恭喜获得：',
+    showClaimCode: '请向工作人员出示此领奖码以领取奖品。',
+    spinRules: '每次抽奖都需要输入预订编号。抽奖一次后，需要输入新的预订编号才能再次抽奖。',
+    oddsLink: '中奖概率与条款',
+    contactLabel: '将奖品详情发送到（可选）',
+    contactPlaceholder: {
+      email: '电子邮箱',
+      whatsapp: 'WhatsApp 号码',
+      any: '电子邮箱或 WhatsApp 号码',
+    },
+  },
+  auth: {
+    email: '管理员邮箱',
+    password: '密码',
+    signIn: '管理员',
+    wrongCredentials: '邮箱或密码错误',
+    noAdminRole: '此账号没有管理员权限',
+    otherVenue: '此账号管理场地“{venue}”。打开',
+    logOut: '退出登录',
+  },
+  admin: {
+    dashboard: '管理后台',
+    tabDashboard: '奖品与抽奖',
+    tabStats: '统计',
+    tabSimulator: '模拟器',
+    tabRules: '奖品规则',
+    tabVenues: '场地',
+    readOnly: '只读权限：编辑奖品需要奖品编辑角色。',
+    addPrize: '添加奖品',
+    label: '名称',
+    probability: '概率',
+    remaining: '剩余（总计 / 今日）',
+  },
+  prizeEditor: {
+    icon: '图标',
+    color: '颜色',
+    defaultColor: '使用默认颜色',
+    totalStock: '总库存',
+    dailyStock: '每日库存',
+    consolation: '安慰奖',
+    translations: '翻译',
+    more: '更多',
+    wheelStyle: '扇区样式',
+    textColor: '文字颜色',
+    fontSize: '文字大小 (px)',
+    themeSize: '主题',
+    dragHint: '拖动以调整扇区顺序',
+    order: '顺序',
+    moveUp: '上移',
+    moveDown: '下移',
+    empty: '此奖品组还没有奖品。',
+    total: '合计：{total}% / {target}%',
+    totalError: '保存前概率合计必须为 {target}%。',
+    save: '保存更改',
+    saving: '保存中…',
+    discard: '放弃更改',
+    unsaved: '有未保存的更改。保存前转盘仍使用已保存的奖品。',
+    saveFailed: '保存失败，未做任何更改。',
+    import: '导入 JSON/CSV',
+    exportJson: '导出 JSON',
+    exportCsv: '导出 CSV',
+    errors: {
+      required: '必填',
+      probability: '请输入不小于 0 的数字',
+      stock: '不小于 0 的整数，或留空',
+      color: '请使用 #rrggbb 格式的颜色',
+      icon: '最多 {max} 个字符',
+      fontSize: '{minSize} 到 {maxSize} 的整数，或留空',
+    },
+    importErrors: {
+      'invalid-json': '文件不是有效的 JSON。',
+      'not-a-list': 'JSON 文件必须包含奖品列表。',
+      'missing-label-column': 'CSV 文件需要 "label" 列。',
+      'empty': '文件中没有奖品。',
+      unreadable: '无法读取文件。',
+    },
+  },
+  campaigns: {
+    title: '活动',
+    name: '名称',
+    window: '时间段',
+    status: '状态',
+    disabled: '已停用',
+    live: '进行中',
+    scheduled: '已排期',
+    namePlaceholder: '活动名称',
+    until: '至',
+    dailyHours: '每日时段',
+    priority: '优先级',
+    enabled: '启用',
+    add: '添加活动',
+    save: '保存活动',
+    nameRequired: '请填写活动名称',
+    endBeforeStart: '结束时间必须晚于开始时间',
+    dailyHoursFormat: '每日时段格式必须为 HH:MM',
+    deleteConfirm: '删除活动“{name}”？其奖品仍保留在数据库中，但将不再显示。',
+    timeZoneHint: '日期和每日时段使用场馆时区（{timeZone}）。没有任何活动时，转盘使用默认奖品组。',
+  },
+  history: {
+    title: '奖品历史',
+    empty: '尚无奖品变更记录。',
+    restore: '恢复此版本',
+    restoring: '正在恢复…',
+    restoreConfirm: '将“{label}”恢复到此版本？当前设置仍会保留在历史中。',
+    restoreFailed: '恢复失败，未做任何更改。',
+    actions: {
+      create: '已创建',
+      update: '已修改',
+      delete: '已删除',
+      rollback: '已恢复',
+    },
+    fields: {
+      label: '名称',
+      labels: '翻译',
+      probability: '概率',
+      totalStock: '总库存',
+      dailyStock: '每日库存',
+      consolation: '安慰奖',
+      color: '颜色',
+      icon: '图标',
+      textColor: '文字颜色',
+      fontSize: '文字大小',
+      order: '位置',
+      campaignId: '活动',
+    },
+  },
+  logs: {
+    title: '最近抽奖',
+    claimCode: '领奖码',
+    redeemed: '已兑换',
+    notRedeemed: '未兑换',
+    allPrizes: '全部奖品',
+    allCampaigns: '全部活动',
+    noCampaign: '无活动',
+    search: '搜索',
+    reset: '重置',
+    prev: '上一页',
+    next: '下一页',
+    endBeforeStart: '结束日期早于开始日期',
+    exportFailed: '导出失败',
+    notify: {
+      pending: '发送中',
+      retrying: '重试中',
+      sent: '已发送',
+      failed: '未发送',
+    },
+  },
+  redeem: {
+    title: '兑换奖品',
+    codePlaceholder: '领奖码',
+    lookUp: '查询',
+    claimCode: '领奖码：',
+    prize: '奖品：',
+    wonAt: '中奖时间：',
+    redeemedBy: '兑换人',
+    markRedeemed: '标记为已兑换',
+    redeemAnyway: '仍然兑换…',
+    overridePrompt: '此抽奖已被标记为欺诈。为何仍要发放奖品？原因将与您的名字一同记录。',
+    override: '特批：',
+  },
+  stats: {
+    period: '时间范围：',
+    lastDays: '最近 {days} 天',
+    spinsPerDay: '每日抽奖次数',
+    spinsPerHour: '每小时抽奖次数（{timeZone}）',
+    configuredVsActual: '配置与实际对比',
+    configured: '配置',
+    actual: '实际',
+    expectedWins: '预期中奖数',
+    actualWins: '实际中奖数',
+    actualShare: '实际占比',
+    notEnoughData: '抽奖次数不足，暂无法与配置对比（每个奖品至少需要 5 次预期中奖）。',
+    drift: '⚠ 结果偏离配置（χ² = {statistic}，df = {df}，p = {pValue} < {threshold}）。',
+    consistent: '结果与配置一致（χ² = {statistic}，df = {df}，p = {pValue}）。',
+    caveat: '对比基于当前概率。库存耗尽、安慰奖替补以及期间内的修改也会影响结果。',
+    otherSpins: '已排除 {count} 次不再属于此奖品组的抽奖。',
+    spinsTested: '共检验 {count} 次抽奖',
+  },
+  review: {
+    title: '审核队列（{count}）',
+    empty: '没有待审核的可疑抽奖。',
+    device: '设备：{device}',
+    clear: '确认正常',
+    confirm: '标记为欺诈',
+    saveFailed: '保存审核结果失败，请重试。',
+    flags: {
+      'unknown-device': '无设备 ID',
+      'odd-format': '预订编号格式异常',
+      'sequential-booking-id': '预订编号与同一设备最近使用的编号相邻',
+      'device-burst': '同一设备短时间内大量抽奖',
+      'offline-inactive-prize': '离线抽奖：奖品不在转盘上',
+      'offline-out-of-stock': '离线抽奖：奖品已无库存',
+      'offline-rule-blocked': '离线抽奖：奖品规则不允许该奖品',
+    },
+    status: {
+      pending: '待审核',
+      cleared: '正常',
+      confirmed: '欺诈',
+    },
+    redeemWarning: {
+      pending: '此抽奖被标记为可疑，正在等待审核。',
+      confirmed: '此抽奖已被标记为欺诈，仅在特批后发放奖品。',
+    },
+  },
+  kiosk: {
+    title: '自助终端模式',
+    online: '在线',
+    offline: '离线',
+    pending: '{count} 条离线抽奖等待同步',
+    syncNow: '立即同步',
+    syncing: '正在同步…',
+    lastError: '上次同步失败：{code}',
+    rejectedTitle: '被抽奖服务拒绝的离线抽奖（其领奖码无效）：',
+    dismiss: '忽略',
+    name: '平板名称，例如 前台 1',
+    exitKey: '退出密钥',
+    start: '启动自助终端模式',
+    startRequired: '请先输入此平板的名称和退出密钥',
+    startConfirm: '启动自助终端模式？您将被登出，屏幕切换为全屏，并隐藏管理入口。',
+    registerFailed: '无法注册此平板，请重试。',
+    hint: '启动自助终端模式时，此平板会以自己的密钥注册到抽奖服务。如需退出自助终端模式，请长按标题 3 秒并输入退出密钥。',
+    exitPrompt: '输入退出密钥以退出自助终端模式',
+    tablets: '自助终端平板',
+    noTablets: '尚未注册任何平板。',
+    registered: '{date} 由 {by} 注册',
+    revokedAt: '已于 {date} 撤销',
+    revoke: '撤销',
+    revokeConfirm: '撤销“{name}”？抽奖服务将从现在起拒绝它的离线抽奖，该平板需要重新设置。',
+    revokeFailed: '无法撤销该平板，请重试。',
+    offlineBadge: '离线',
+    offlineClaimNote: '离线期间已保存在此设备上。恢复联网后您的领奖码即可生效。',
+  },
+  stream: {
+    title: '直播队列',
+    requester: '观众名称',
+    queue: '加入转盘队列',
+    requesterRequired: '请先输入观众名称',
+    queueFailed: '无法加入队列，请重试。',
+    hint: '转盘会在直播叠加层上依次进行：/overlay?key=STREAM_TOKEN。机器人可以向 spinRequests 集合添加请求，或通过 WebSocket 推送。',
+    queued: '等待中：{count}',
+    recent: '最近进行：',
+    spinFor: '直播：{name}',
+    requesterLabel: '观众：',
+  },
+  overlay: {
+    missingKey: '请在叠加层网址中加入 ?key=（转盘服务的 STREAM_TOKEN）。',
+    spinningFor: '正在为 {name} 转动…',
+    won: '赢得了 {prize}！',
+    upNext: '接下来：{names}{more}',
+    more: ' 等 {count} 人',
+    feedOffline: '转盘请求源已断开',
+    serviceDown: '正在等待转盘服务…',
+  },
+  display: {
+    title: '大堂显示屏',
+    notPaired: '尚未有显示屏与此设备配对。',
+    pair: '配对显示屏',
+    newCode: '新代码',
+    newCodeConfirm: '使用当前代码的显示屏将不再跟随此设备。是否继续？',
+    unpair: '取消配对',
+    code: '会话代码：',
+    openOnDisplay: '在显示屏上打开：',
+    hint: '在此设备上的转盘会在所有显示该代码的显示屏上播放。自助模式下配对保持有效。',
+    enterCode: '请输入控制屏上显示的会话代码',
+    invalidCode: '会话代码无效。',
+    waiting: '等待下一次转盘…',
+    result: '🎉 {prize}',
+    session: '会话 {code}',
+    connecting: '正在连接会话 {code}…',
+  },
+  theme: {
+    title: '场地“{venue}”的主题',
+    save: '保存主题',
+    saving: '正在保存…',
+    discard: '放弃更改',
+    resetDefault: '恢复默认外观',
+    fixErrors: '请先修正标出的字段再保存。',
+    saveFailed: '主题保存失败，未做任何更改。',
+    addColor: '+ 颜色',
+    removeColor: '移除颜色',
+    playSpin: '▶ 转动音效',
+    playWin: '▶ 中奖音效',
+    mute: '静音',
+    unmute: '取消静音',
+    muted: '音量：已静音',
+    fields: {
+      title: '页面标题',
+      logoUrl: '标志 URL',
+      backgroundUrl: '背景图片 URL',
+      backgroundDim: '背景变暗：{percent}%',
+      palette: '转盘颜色',
+      textColor: '文字颜色',
+      accentColor: '按钮颜色',
+      borderColor: '边框颜色',
+      pointerColor: '指针颜色',
+      font: '字体',
+      fontName: '字体名称',
+      fontUrl: '字体样式表 URL',
+      pointer: '指针',
+      soundSet: '音效',
+      spinSoundUrl: '转动音效 URL',
+      winSoundUrl: '中奖音效 URL',
+      volume: '音量：{percent}%',
+      spinSeconds: '旋转时长（秒）',
+      easing: '减速方式',
+      fontSize: '文字大小 (px)',
+      borderWidth: '边框宽度',
+      lineColor: '分隔线颜色',
+      lineWidth: '分隔线宽度',
+    },
+    fonts: {
+      system: '系统',
+      serif: '衬线',
+      rounded: '圆体',
+      condensed: '窄体',
+      custom: '自定义',
+    },
+    pointers: {
+      classic: '经典',
+      arrow: '箭头',
+      gem: '宝石',
+      none: '无',
+    },
+    soundSets: {
+      classic: '经典',
+      silent: '静音',
+      custom: '自定义',
+    },
+    easings: {
+      standard: '标准',
+      smooth: '平滑',
+      bounce: '回弹',
+    },
+    errors: {
+      'too-long': '最多 60 个字符。',
+      'invalid-url': '请使用 https:// URL 或以 / 开头的路径。',
+      'out-of-range': '必须在 {min} 到 {max} 之间。',
+      'invalid-palette': '请使用 1 到 12 种颜色。',
+      'invalid-color': '颜色无效。',
+      'invalid-choice': '选项无效。',
+      required: '必填。',
+    },
+  },
+  venues: {
+    hint: '各场地的数据。转动次数涵盖最近 24 小时和全部时间。',
+    refresh: '刷新',
+    venue: '场地',
+    figures: {
+      spinsLastDay: '转动（24 小时）',
+      spinsTotal: '转动（全部）',
+      pendingReview: '待审核',
+      outOfStock: '缺货',
+    },
+    thisVenue: '当前页面',
+    unavailable: '不可用',
+    total: '合计（{count} 个场地）',
+    empty: '还没有场地。请运行场地迁移或在下方添加。',
+    add: '添加场地',
+    id: '场地 ID（如 seaside）',
+    name: '显示名称',
+    create: '创建场地',
+    addHint: '场地 ID 只能使用小写字母、数字和连字符，创建后不能更改。用 npm run set-role 为员工授权。',
+    errors: {
+      'invalid-id': '场地 ID 请使用小写字母、数字和连字符。',
+      exists: '已存在相同 ID 的场地。',
+      saveFailed: '创建场地失败。',
+    },
+  },
+  result: {
+    title: '恭喜中奖！',
+    claimCode: '您的领奖码',
+    close: '关闭',
+    notifying: '我们正在将奖品详情发送到 {contact}。',
+  },
+  rules: {
+    title: '奖品规则',
+    hint: '规则会在每次抽奖前按列表顺序调整中奖概率，且只在有库存的奖品中选择。离线自助机的抽奖使用自助机最近获取的规则，但不考虑预订等级。',
+    empty: '暂无规则：每次抽奖都按奖品概率进行。',
+    add: '+ 添加规则',
+    save: '保存规则',
+    saving: '保存中…',
+    discard: '放弃修改',
+    unsaved: '有未保存的修改。保存之前，抽奖仍使用已保存的规则。',
+    saveFailed: '保存规则失败，未做任何更改。',
+    fixErrors: '请先修正标出的规则再保存。',
+    enabled: '启用',
+    name: '规则名称',
+    choosePrize: '选择奖品',
+    everyRealPrize: '除安慰奖外的所有奖品',
+    types: {
+      guarantee: '保证中奖',
+      tierOdds: '等级概率',
+      dailyCap: '每日上限',
+      pity: '保底机制',
+    },
+    fields: {
+      nthSpin: '第几次抽奖',
+      repeat: '每隔相同次数重复',
+      tiers: '预订等级',
+      factor: '概率 ×',
+      limit: '每天',
+      streak: '连续安慰奖次数',
+    },
+    describe: {
+      guarantee: '当天的这一次抽奖必中该奖品（勾选后：每个倍数都会中奖）。',
+      tierOdds: '属于这些等级的预订，该奖品的概率会乘以倍数。',
+      dailyCap: '该奖品今天达到此次数后将被排除。',
+      pity: '连续获得这么多次安慰奖后，下一次抽奖必中正式奖品。',
+    },
+    errors: {
+      required: '必填',
+      'too-long': '最多 60 个字符',
+      'invalid-type': '未知的规则类型',
+      prize: '请选择奖品',
+      count: '请输入整数',
+      factor: '请输入大于 0 且不超过 {max} 的数字',
+      tiers: '请至少输入一个等级',
+    },
+    dryRun: {
+      title: '试运行',
+      hint: '按上方规则（无论是否已保存）计算当前转盘下一次抽奖的概率。修改输入以模拟其他抽奖。',
+      spinOfDay: '当天第几次抽奖',
+      tier: '预订等级',
+      noTier: '无',
+      streak: '连续安慰奖',
+      base: '概率',
+      withRules: '应用规则后',
+      applied: '生效的规则：{rules}',
+      none: '无',
+    },
+  },
+  simulator: {
+    title: '概率模拟器',
+    hint: '使用与真实抽奖相同的选择代码和已保存的奖品规则，对奖品组进行虚拟抽奖。不会发放奖品，也不会消耗库存。',
+    spins: '抽奖次数',
+    spinsPerDay: '每天抽奖次数',
+    allOnOneDay: '全部在今天',
+    fromStock: '从当前库存开始',
+    run: '运行模拟',
+    invalid: '请输入 1 到 {max} 次抽奖，每天抽奖次数须为整数。',
+    summary: '{days} 天内共 {spins} 次虚拟抽奖',
+    chance: '当前概率',
+    expected: '预期中奖',
+    wins: '模拟中奖',
+    share: '占比',
+    stockLeft: '剩余库存',
+    soldOutAt: '售罄',
+    spinNumber: '第 {n} 次抽奖时',
+    dailyLimitDays: '每日库存用完的天数',
+    unawarded: '{count} 次抽奖无法发放任何奖品：所有奖品均已售罄且没有安慰奖。',
+    rulesNote: '预期中奖按第一次抽奖的概率计算；模拟中奖包含库存用完和奖品规则的影响。当天的抽奖序号只统计此奖品组。',
+  },
+  odds: {
+    title: '{title}：中奖概率与条款',
+    prizesTitle: '奖品与中奖概率',
+    campaign: '当前活动：{name}。',
+    period: '活动时间：{from} 至 {to}。',
+    chance: '每次抽奖的概率',
+    totalStock: '数量',
+    dailyStock: '每天',
+    consolation: '安慰奖',
+    outOfStock: '已售罄',
+    asOf: '截至 {time}（{timeZone}）的概率，随奖品被抽中而更新。',
+    termsTitle: '条款',
+    terms: {
+      booking: '每个预订编号可抽奖一次。',
+      random: '奖品在您抽奖时由我们的服务器按上述概率随机抽取，转盘动画仅用于展示结果。',
+      stock: '已售罄的奖品不参与抽奖，其余奖品的概率按比例提高，直到该奖品补货。',
+      consolation: '如果其他奖品全部售罄，则发放安慰奖。',
+      promotions: '本店可能举办促销活动（例如特定抽奖必中奖品），这会改变个别抽奖的概率。',
+      claim: '请向工作人员出示领奖码领取奖品。每个领奖码只能兑换一次。',
+      changes: '奖品、数量和概率可能在不同活动之间变化，本页面始终显示当前内容。',
+    },
+    back: '返回转盘',
+  },
+  notify: {
+    subject: '恭喜您抽中 {prize}！',
+    won: '恭喜！您于 {time} 抽中了 {prize}。',
+    claimCode: '您的领奖码：{claimCode}',
+    collect: '请向工作人员出示此领奖码领取奖品。每个领奖码只能兑换一次。',
+  },
+  a11y: {
+    adminTabs: '管理分区',
+    reduceMotion: '减少动画',
+    spinHint: '请输入预订编号并点击“确认”以解锁抽奖。',
+    spinningAnnouncement: '转盘正在转动…',
+    wonAnnouncement: '您抽中了 {prize}。您的领奖码是 {code}。',
+    wheel: '奖品转盘：{prizes}',
+  },
+  errors: {
+    spin: {
+      'not-found': '未找到该预订编号，请检查编号或咨询工作人员。',
+      'already-used': '该预订编号已经抽过奖了。',
+      'expired': '该预订编号已过期。',
+      'no-prizes': '尚未配置奖品',
+      'no-active-campaign': '当前没有进行中的活动。',
+      'out-of-stock': '所有奖品已领完，请咨询工作人员。',
+      'invalid-booking-id': '预订编号无效。',
+      'invalid-format': '预订编号格式不正确，请检查是否输入有误。',
+      'unpaid': '此预订尚未付款，请联系工作人员。',
+      'outside-campaign': '此预订不属于当前活动。',
+      'unknown-venue': '此场地尚未设置，请联系工作人员。',
+      'invalid-spin': '此设备上的抽奖记录无效。',
+      'prize-not-found': '该奖品已不存在。',
+      'claim-code-taken': '该领奖码已分配给其他抽奖。',
+      'invalid-request': '转盘请求无效。',
+      'cooldown': '请稍候再进行下一次抽奖。',
+      'rate-limited': '当前抽奖次数过多，请联系工作人员。',
+      'too-many-attempts': '此设备输入了过多无效的预订编号，请联系工作人员。',
+      'invalid-contact': '请输入有效的电子邮箱或 WhatsApp 号码，或留空。',
+      'contact-unsupported': '无法将奖品详情发送到该联系方式。请使用其他联系方式或留空。',
+      'kiosk-revoked': '此自助终端平板已被撤销。请在自助终端模式中重新设置。',
+      unavailable: '无法连接抽奖服务，请重试。',
+    },
+    claim: {
+      'invalid-code': '领奖码无效。',
+      'not-found': '未找到此领奖码对应的抽奖记录。',
+      'already-redeemed': '该奖品已被兑换。',
+      'fraud-confirmed': '此抽奖已被标记为欺诈，兑换需要填写特批原因。',
+    },
+  },
+};
@@ -0,0 +1,124 @@
+// src/kiosk.js
+// Kiosk mode for the front-desk tablet: fullscreen, admin sign-in hidden, and
+// spins queued on the device while the spin service is unreachable.
+// Settings live in localStorage so a reload (or a reboot without network) stays in kiosk mode:
+//   { enabled: boolean, token: string, exitKey: string }
+// token = this tablet's credential for the spin service (src/kiosks.js), exitKey =
+// what staff enter to leave kiosk mode
+import { useCallback, useEffect, useState } from 'react';
+import { fetchKioskRules } from './api';
+import { nextRuleState } from './lib/prizeRules';
+
+const STORAGE_KEY = 'spin.kiosk';
+// { rules, state } from POST /api/kiosk/rules
+const RULES_KEY = 'spin.kiosk.rules';
+const RULES_REFRESH_MS = 5 * 60 * 1000;
+const NO_RULES = { rules: [], state: {} };
+
+function loadSettings() {
+  try {
+    const settings = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!settings || typeof settings.token !== 'string' || typeof settings.exitKey !== 'string') {
+      return { enabled: false, token: '', exitKey: '' };
+    }
+    return { enabled: !!settings.enabled, token: settings.token, exitKey: settings.exitKey };
+  } catch {
+    return { enabled: false, token: '', exitKey: '' };
+  }
+}
+
+function save(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    // storage blocked: kiosk mode lasts until the page is closed
+  }
+}
+
+function loadRules() {
+  try {
+    const cached = JSON.parse(localStorage.getItem(RULES_KEY));
+    return cached && Array.isArray(cached.rules) ? cached : NO_RULES;
+  } catch {
+    return NO_RULES;
+  }
+}
+
+// Browsers only allow fullscreen from a user gesture, so this is called from click handlers
+function enterFullscreen() {
+  if (document.fullscreenElement || !document.documentElement.requestFullscreen) return;
+  document.documentElement.requestFullscreen().catch((err) => console.warn('Fullscreen refused:', err));
+}
+
+/**
+ * Kiosk state. The token is kept after kiosk mode is switched off so spins still
+ * queued on the device can sync.
+ */
+export function useKiosk() {
+  const [settings, setSettings] = useState(loadSettings);
+
+  const update = useCallback((next) => {
+    save(STORAGE_KEY, next);
+    setSettings(next);
+  }, []);
+
+  const start = useCallback((token, exitKey) => {
+    update({ enabled: true, token, exitKey });
+    enterFullscreen();
+  }, [update]);
+
+  const stop = useCallback(() => {
+    update({ ...settings, enabled: false });
+    if (document.fullscreenElement) document.exitFullscreen().catch(() => {});
+  }, [settings, update]);
+
+  // Leaving fullscreen (Esc, swipe) is undone on the next touch; long-press menus are off
+  useEffect(() => {
+    if (!settings.enabled) return;
+    const preventMenu = (e) => e.preventDefault();
+    document.addEventListener('pointerdown', enterFullscreen);
+    document.addEventListener('contextmenu', preventMenu);
+    return () => {
+      document.removeEventListener('pointerdown', enterFullscreen);
+      document.removeEventListener('contextmenu', preventMenu);
+    };
+  }, [settings.enabled]);
+
+  return { enabled: settings.enabled, token: settings.token, exitKey: settings.exitKey, start, stop };
+}
+
+/**
+ * The prize rules offline spins are drawn with (src/lib/offlineSpins.js), fetched
+ * with the kiosk's token while online and kept in localStorage for when it is not.
+ * afterSpin(prize, day) moves the cached rule state on the way the spin service will once
+ * the spin syncs; the next fetch replaces it with the service's own.
+ */
+export function useKioskRules(token) {
+  const [cached, setCached] = useState(loadRules);
+
+  const update = useCallback((change) => {
+    setCached((prev) => {
+      const next = change(prev);
+      save(RULES_KEY, next);
+      return next;
+    });
+  }, []);
+
+  useEffect(() => {
+    if (!token) return;
+    const refresh = () => fetchKioskRules(token)
+      .then(({ rules, state }) => update(() => ({ rules, state })))
+      .catch((err) => {
+        if (err.code !== 'network') console.warn('Fetching the kiosk rules failed:', err);
+      });
+    refresh();
+    const timer = setInterval(() => navigator.onLine && refresh(), RULES_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [token, update]);
+
+  const afterSpin = useCallback((prize, day) => {
+    update((prev) => ({ ...prev, state: nextRuleState(prev.state, prize, day) }));
+  }, [update]);
+
+  return { rules: cached.rules, state: cached.state, afterSpin };
+}
@@ -0,0 +1,31 @@
+// src/kiosks.js
+// This venue's kiosk tablets (src/lib/kioskCredential.js). Starting kiosk mode
+// registers the tablet; staff revoke one that is lost or replaced.
+import { onSnapshot, orderBy, query, serverTimestamp, setDoc, updateDoc } from 'firebase/firestore';
+import { venueCollection, venueDoc } from './venue';
+import { hashKioskSecret, KIOSK_NAME_MAX_LENGTH, newKioskCredential } from './lib/kioskCredential';
+
+export function subscribeKiosks(onKiosks, onError) {
+  return onSnapshot(query(venueCollection('kiosks'), orderBy('createdAt', 'desc')), (snap) => {
+    onKiosks(snap.docs.map((d) => ({ id: d.id, ...d.data() })));
+  }, onError);
+}
+
+// Resolves to the token the tablet keeps; Firestore only gets its hash
+export async function registerKiosk(name, actor) {
+  const { kioskId, secret, token } = newKioskCredential();
+  await setDoc(venueDoc('kiosks', kioskId), {
+    name: name.trim().slice(0, KIOSK_NAME_MAX_LENGTH),
+    secretHash: await hashKioskSecret(secret),
+    createdAt: serverTimestamp(),
+    createdBy: actor,
+    revokedAt: null,
+    revokedBy: null,
+  });
+  return token;
+}
+
+// The security rules only accept this once per kiosk, in the staff member's own name
+export function revokeKiosk(kioskId, actor) {
+  return updateDoc(venueDoc('kiosks', kioskId), { revokedAt: serverTimestamp(), revokedBy: actor });
+}
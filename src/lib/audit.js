@@ -0,0 +1,48 @@
+// src/lib/audit.js
+// Prize audit entries (prizeAudit collection) store the editable part of a prize
+// before and after each change:
+//   { prizeId, action: 'create' | 'update' | 'delete' | 'rollback', before, after,
+//     actor, at, restoredFrom? }
+// before is null for creates, after is null for deletes. Stock counters are left
+// out: the spin service changes them on every spin.
+
+export const PRIZE_CONFIG_FIELDS = [
+  'label', 'labels', 'probability', 'totalStock', 'dailyStock', 'consolation', 'color', 'icon', 'textColor', 'fontSize',
+  'order', 'campaignId',
+];
+
+// Editable fields of a prize document, with absent fields as null so versions compare cleanly
+export function prizeConfig(prize) {
+  if (!prize) return null;
+  const config = {};
+  PRIZE_CONFIG_FIELDS.forEach((field) => {
+    config[field] = prize[field] ?? null;
+  });
+  config.consolation = !!config.consolation;
+  if (config.labels && Object.keys(config.labels).length === 0) config.labels = null;
+  return config;
+}
+
+// JSON with object keys sorted, so maps like `labels` compare the same whatever order Firestore returns their keys in
+const stableJson = (value) => JSON.stringify(value, (key, v) => (
+  v && typeof v === 'object' && !Array.isArray(v)
+    ? Object.fromEntries(Object.keys(v).sort().map((k) => [k, v[k]]))
+    : v
+));
+
+const sameValue = (a, b) => stableJson(a ?? null) === stableJson(b ?? null);
+
+// [{ field, before, after }] for the fields that differ; either side may be null
+export function diffPrizeConfig(before, after) {
+  return PRIZE_CONFIG_FIELDS
+    .filter((field) => !sameValue(before?.[field], after?.[field]))
+    .map((field) => ({ field, before: before?.[field] ?? null, after: after?.[field] ?? null }));
+}
+
+// The version a history entry lets you go back to: the state after the change,
+// or for a delete, the prize as it was before it was removed
+export const restorableConfig = (entry) => entry.after || entry.before;
+
+// Audit entry id for deleting a prize whose latest entry is `lastAuditId`. Deletes
+// leave no document to point at the entry, so the security rules look it up by this id.
+export const deleteAuditId = (prizeId, lastAuditId) => `${lastAuditId || prizeId}-delete`;
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { prizeConfig, diffPrizeConfig, restorableConfig, deleteAuditId } from './audit.js';
+
+describe('prizeConfig', () => {
+  it('keeps the editable fields and drops stock counters', () => {
+    const config = prizeConfig({ id: 'p1', label: 'Drink', probability: 40, awardedTotal: 3, awardedByDay: { '2026-01-01': 1 } });
+    expect(config).toMatchObject({ label: 'Drink', probability: 40, totalStock: null, consolation: false, labels: null });
+    expect(config).not.toHaveProperty('awardedTotal');
+    expect(config).not.toHaveProperty('id');
+  });
+
+  it('treats missing and empty translations alike', () => {
+    expect(prizeConfig({ label: 'A', labels: {} })).toEqual(prizeConfig({ label: 'A' }));
+  });
+});
+
+describe('diffPrizeConfig', () => {
+  it('lists only changed fields', () => {
+    const before = prizeConfig({ label: 'Drink', probability: 40, labels: { id: 'Minuman' } });
+    const after = prizeConfig({ label: 'Drink', probability: 30, labels: { id: 'Minum' } });
+    expect(diffPrizeConfig(before, after)).toEqual([
+      { field: 'labels', before: { id: 'Minuman' }, after: { id: 'Minum' } },
+      { field: 'probability', before: 40, after: 30 },
+    ]);
+  });
+
+  it('is empty for an unchanged prize', () => {
+    const config = prizeConfig({ label: 'Drink', probability: 40, order: 2 });
+    expect(diffPrizeConfig(config, { ...config })).toEqual([]);
+  });
+
+  it('ignores the key order of maps', () => {
+    const before = prizeConfig({ label: 'Drink', labels: { id: 'Minuman', ja: 'ドリンク' } });
+    const after = prizeConfig({ label: 'Drink', labels: { ja: 'ドリンク', id: 'Minuman' } });
+    expect(diffPrizeConfig(before, after)).toEqual([]);
+  });
+
+  it('compares against nothing for creates and deletes', () => {
+    const config = prizeConfig({ label: 'Drink', probability: 40 });
+    const created = diffPrizeConfig(null, config);
+    expect(created.find((c) => c.field === 'label')).toEqual({ field: 'label', before: null, after: 'Drink' });
+  });
+});
+
+describe('restorableConfig', () => {
+  it('restores the state after a change, or before a delete', () => {
+    const before = prizeConfig({ label: 'Old' });
+    const after = prizeConfig({ label: 'New' });
+    expect(restorableConfig({ action: 'update', before, after })).toBe(after);
+    expect(restorableConfig({ action: 'delete', before, after: null })).toBe(before);
+  });
+});
+
+describe('deleteAuditId', () => {
+  it('derives from the latest entry so repeated deletes of a restored prize differ', () => {
+    expect(deleteAuditId('p1', 'a1')).toBe('a1-delete');
+    expect(deleteAuditId('p1', 'a2')).not.toBe(deleteAuditId('p1', 'a1'));
+    expect(deleteAuditId('p1', undefined)).toBe('p1-delete');
+  });
+});
@@ -0,0 +1,54 @@
+// src/lib/campaigns.js
+// Which campaign (and therefore which prize set) is live right now.
+//
+// Campaign fields:
+//   name        string
+//   enabled     boolean          switched-off campaigns never go live
+//   startsAt    Date | null      absolute window, either end may be open
+//   endsAt      Date | null
+//   days        number[] | null  weekdays it runs on (Sunday = 0); empty/null = every day
+//   dailyStart  'HH:MM' | null   venue-local hours it runs each day; an end before
+//   dailyEnd    'HH:MM' | null   the start wraps past midnight (e.g. 20:00-02:00)
+//   priority    number           highest wins when windows overlap
+//
+// Prizes belong to a campaign through their `campaignId` field. With no campaigns
+// defined at all the wheel runs on the prizes that have no campaignId.
+import { DEFAULT_TIME_ZONE, localTime, parseClock } from './time.js';
+
+export function isCampaignActive(campaign, now, timeZone = DEFAULT_TIME_ZONE) {
+  if (!campaign.enabled) return false;
+  if (campaign.startsAt && now < campaign.startsAt) return false;
+  if (campaign.endsAt && now >= campaign.endsAt) return false;
+
+  const { weekday, minutes } = localTime(now, timeZone);
+  if (campaign.days?.length && !campaign.days.includes(weekday)) return false;
+
+  const start = parseClock(campaign.dailyStart);
+  const end = parseClock(campaign.dailyEnd);
+  if (start !== null && end !== null) {
+    return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+  }
+  if (start !== null) return minutes >= start;
+  if (end !== null) return minutes < end;
+  return true;
+}
+
+export function findActiveCampaign(campaigns, now, timeZone = DEFAULT_TIME_ZONE) {
+  return campaigns
+    .filter((c) => isCampaignActive(c, now, timeZone))
+    .sort((a, b) => (b.priority || 0) - (a.priority || 0) || (b.startsAt?.getTime() || 0) - (a.startsAt?.getTime() || 0))[0] || null;
+}
+
+/**
+ * Prize set for the current moment.
+ * @returns {{ campaign: object|null, prizes: object[], closed: boolean }}
+ *   closed = campaigns exist but none is running, so the wheel is off
+ */
+export function resolvePrizeSet(campaigns, prizes, now, timeZone = DEFAULT_TIME_ZONE) {
+  if (campaigns.length === 0) {
+    return { campaign: null, prizes: prizes.filter((p) => !p.campaignId), closed: false };
+  }
+  const campaign = findActiveCampaign(campaigns, now, timeZone);
+  if (!campaign) return { campaign: null, prizes: [], closed: true };
+  return { campaign, prizes: prizes.filter((p) => p.campaignId === campaign.id), closed: false };
+}
@@ -0,0 +1,19 @@
+// src/lib/claimCode.js
+// Claim codes look like "K7QM-3XHT": no 0/O, 1/I/L so they survive being read aloud or typed.
+
+export const CLAIM_CODE_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+const CODE_LENGTH = 8;
+
+// randomInt(n) -> integer in [0, n); the spin service passes crypto.randomInt
+export function generateClaimCode(randomInt) {
+  let raw = '';
+  for (let i = 0; i < CODE_LENGTH; i++) raw += CLAIM_CODE_ALPHABET[randomInt(CLAIM_CODE_ALPHABET.length)];
+  return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+}
+
+// Canonical form of whatever staff typed or scanned, or null if it can't be a claim code
+export function normalizeClaimCode(input) {
+  const raw = String(input || '').toUpperCase().replace(/[\s-]/g, '');
+  if (raw.length !== CODE_LENGTH || [...raw].some((c) => !CLAIM_CODE_ALPHABET.includes(c))) return null;
+  return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+}
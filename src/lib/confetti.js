@@ -0,0 +1,30 @@
+// src/lib/confetti.js
+// Confetti for the result modal (src/components/ResultModal.jsx): one falling piece
+// per entry, styled by .confetti-piece in index.css. Pieces stay put across renders,
+// so they are made once per win.
+
+const MIN_SIZE = 6; // px
+const MAX_SIZE = 12;
+const MAX_DELAY = 0.8; // s
+const MIN_DURATION = 2.2; // s
+const MAX_DURATION = 3.6;
+
+const between = (random, min, max) => min + random() * (max - min);
+
+/**
+ * @param {number} count
+ * @param {string[]} palette  piece colours, used in turn
+ * @param {() => number} [random]  uniform in [0, 1)
+ * @returns {Array<{ left: number, size: number, delay: number, duration: number, color: string, round: boolean }>}
+ *   left in % of the width, size in px, delay and duration in seconds
+ */
+export function confettiPieces(count, palette, random = Math.random) {
+  return Array.from({ length: count }, (_, i) => ({
+    left: random() * 100,
+    size: Math.round(between(random, MIN_SIZE, MAX_SIZE)),
+    delay: between(random, 0, MAX_DELAY),
+    duration: between(random, MIN_DURATION, MAX_DURATION),
+    color: palette[i % palette.length],
+    round: random() < 0.3,
+  }));
+}
@@ -0,0 +1,22 @@
+import { describe, it, expect } from 'vitest';
+import { confettiPieces } from './confetti.js';
+
+describe('confettiPieces', () => {
+  it('cycles through the palette', () => {
+    const pieces = confettiPieces(5, ['#111111', '#222222'], () => 0.5);
+    expect(pieces).toHaveLength(5);
+    expect(pieces.map((p) => p.color)).toEqual(['#111111', '#222222', '#111111', '#222222', '#111111']);
+  });
+
+  it('keeps pieces on screen and within their timing', () => {
+    for (const value of [0, 0.999]) {
+      const [piece] = confettiPieces(1, ['#ffffff'], () => value);
+      expect(piece.left).toBeGreaterThanOrEqual(0);
+      expect(piece.left).toBeLessThan(100);
+      expect(piece.size).toBeGreaterThanOrEqual(6);
+      expect(piece.size).toBeLessThanOrEqual(12);
+      expect(piece.delay).toBeLessThanOrEqual(0.8);
+      expect(piece.duration).toBeGreaterThanOrEqual(2.2);
+    }
+  });
+});
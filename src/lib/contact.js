@@ -0,0 +1,33 @@
+// src/lib/contact.js
+// Where a winner's message goes (server/notifiers.js): an email address or a
+// WhatsApp number, entered next to the booking ID. Checked the same way by the
+// booking page and the spin service.
+
+export const CONTACT_CHANNELS = ['email', 'whatsapp'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const EMAIL_MAX_LENGTH = 254;
+// local (0812…) or international (+62812…) numbers
+const PHONE_PATTERN = /^\+?\d{8,15}$/;
+
+/**
+ * @returns {{ channel: 'email'|'whatsapp', to: string }|null}  null when it is neither;
+ *   numbers lose their spaces, dashes, dots and brackets
+ */
+export function normalizeContact(value) {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  if (trimmed.includes('@')) {
+    return trimmed.length <= EMAIL_MAX_LENGTH && EMAIL_PATTERN.test(trimmed) ? { channel: 'email', to: trimmed } : null;
+  }
+  const number = trimmed.replace(/[\s\-.()]/g, '');
+  return PHONE_PATTERN.test(number) ? { channel: 'whatsapp', to: number } : null;
+}
+
+// For screens others may see (kiosk, admin lists): k•••@example.com, +62•••••4567
+export function maskContact(to) {
+  if (typeof to !== 'string') return '';
+  const at = to.indexOf('@');
+  if (at >= 0) return `${to.slice(0, 1)}•••${to.slice(at)}`;
+  return `${to.slice(0, to.startsWith('+') ? 3 : 2)}•••••${to.slice(-4)}`;
+}
@@ -0,0 +1,25 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeContact, maskContact } from './contact.js';
+
+describe('normalizeContact', () => {
+  it('tells email addresses from WhatsApp numbers', () => {
+    expect(normalizeContact(' sari@example.com ')).toEqual({ channel: 'email', to: 'sari@example.com' });
+    expect(normalizeContact('+62 812-3456 (7890)')).toEqual({ channel: 'whatsapp', to: '+6281234567890' });
+    expect(normalizeContact('0812.3456.7890')).toEqual({ channel: 'whatsapp', to: '081234567890' });
+  });
+
+  it('refuses anything else', () => {
+    expect(normalizeContact('sari@example')).toBeNull();
+    expect(normalizeContact('12345')).toBeNull();
+    expect(normalizeContact('call me')).toBeNull();
+    expect(normalizeContact(undefined)).toBeNull();
+  });
+});
+
+describe('maskContact', () => {
+  it('keeps just enough to recognise the contact', () => {
+    expect(maskContact('sari@example.com')).toBe('s•••@example.com');
+    expect(maskContact('+6281234567890')).toBe('+62•••••7890');
+    expect(maskContact('081234567890')).toBe('08•••••7890');
+  });
+});
@@ -0,0 +1,28 @@
+// src/lib/contrast.js
+// WCAG 2.x contrast for theme colours ('#rrggbb'), so text drawn on a venue's
+// accent colour stays readable whatever the venue picks.
+
+// Normal text needs 4.5:1 (WCAG AA)
+export const MIN_TEXT_CONTRAST = 4.5;
+
+function luminance(hex) {
+  const channels = [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16) / 255);
+  const [r, g, b] = channels.map((c) => (c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4));
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/** Contrast ratio between two colours, from 1 (same) to 21 (black on white). */
+export function contrastRatio(a, b) {
+  const [light, dark] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+// Black or white, whichever reads better on `background`; either one always clears 4.5:1
+export function readableTextColor(background) {
+  return contrastRatio(background, '#000000') >= contrastRatio(background, '#ffffff') ? '#000000' : '#ffffff';
+}
+
+// `color` when it is readable on `background`, otherwise black or white
+export function textColorOn(background, color) {
+  return contrastRatio(color, background) >= MIN_TEXT_CONTRAST ? color : readableTextColor(background);
+}
@@ -0,0 +1,22 @@
+import { describe, it, expect } from 'vitest';
+import { contrastRatio, readableTextColor, textColorOn } from './contrast.js';
+
+describe('contrastRatio', () => {
+  it('matches the WCAG figures', () => {
+    expect(contrastRatio('#000000', '#ffffff')).toBeCloseTo(21);
+    expect(contrastRatio('#ffffff', '#ffffff')).toBe(1);
+    expect(contrastRatio('#767676', '#ffffff')).toBeCloseTo(4.54, 2);
+  });
+});
+
+describe('readable colours', () => {
+  it('puts black on light accents and white on dark ones', () => {
+    expect(readableTextColor('#FFDD57')).toBe('#000000');
+    expect(readableTextColor('#1f2937')).toBe('#ffffff');
+  });
+
+  it('keeps a colour only where it is readable', () => {
+    expect(textColorOn('#1f2937', '#FFDD57')).toBe('#FFDD57');
+    expect(textColorOn('#1f2937', '#1e3a8a')).toBe('#ffffff');
+  });
+});
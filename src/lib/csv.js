@@ -0,0 +1,78 @@
+// src/lib/csv.js
+
+// Text a spreadsheet would run as a formula (CSV/formula injection): guests and
+// staff type booking IDs, names and prize labels that end up in exports
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// `value` as a spreadsheet cell shows it: text that could start a formula gets a
+// leading ' (which spreadsheets hide). Numbers are left alone.
+export function neutralizeFormula(value) {
+  return typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : value;
+}
+
+function escapeCell(value) {
+  const str = value == null ? '' : String(neutralizeFormula(value));
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// rows: array of arrays (first row = header). CRLF line endings like Excel writes.
+export function toCsv(rows) {
+  return rows.map((row) => row.map(escapeCell).join(',')).join('\r\n');
+}
+
+// The ' toCsv() puts before formula-like text comes off again on import
+const unneutralize = (cell) => (cell[0] === "'" && FORMULA_START.test(cell.slice(1)) ? cell.slice(1) : cell);
+
+// RFC 4180 parser: quoted cells, doubled quotes, CRLF or LF, optional BOM. Blank lines are skipped.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const src = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        cell += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(unneutralize(cell));
+      cell = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i++;
+      row.push(unneutralize(cell));
+      if (row.length > 1 || row[0] !== '') rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += c;
+    }
+  }
+  row.push(unneutralize(cell));
+  if (row.length > 1 || row[0] !== '') rows.push(row);
+  return rows;
+}
+
+// Triggers a browser download of `parts` (Blob constructor parts)
+export function downloadFile(parts, fileName, type) {
+  const blob = new Blob(parts, { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// The BOM makes Excel read UTF-8 (e.g. "Hadiah Spesial ✨") correctly.
+export function downloadCsv(rows, fileName) {
+  downloadFile(['\uFEFF', toCsv(rows)], fileName, 'text/csv;charset=utf-8');
+}
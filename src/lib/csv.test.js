@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { toCsv, parseCsv, neutralizeFormula } from './csv.js';
+
+describe('parseCsv', () => {
+  it('reads what toCsv writes', () => {
+    const rows = [
+      ['label', 'note'],
+      ['Free drink', 'plain'],
+      ['Voucher, 10%', 'has a comma'],
+      ['Say "hi"', 'line one\nline two'],
+      ['', ''],
+    ];
+    expect(parseCsv(toCsv(rows))).toEqual(rows);
+  });
+
+  it('gets formula-like text back as it was', () => {
+    const rows = [['=HYPERLINK("http://x","y")', '+1 drink', '-10% off', '@me', '\tTab', "'quoted"]];
+    expect(parseCsv(toCsv(rows))).toEqual(rows);
+  });
+
+  it('accepts LF line endings, a BOM and a trailing newline', () => {
+    expect(parseCsv('\uFEFFa,b\n1,2\n')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+
+  it('skips blank lines', () => {
+    expect(parseCsv('a\r\n\r\nb\r\n')).toEqual([['a'], ['b']]);
+  });
+});
+
+describe('toCsv', () => {
+  it('keeps spreadsheets from running cells as formulas', () => {
+    expect(toCsv([['=1+1', '+1', '-1', '@SUM(A1)', '\t=1', '\r=1']])).toBe(`'=1+1,'+1,'-1,'@SUM(A1),'\t=1,"'\r=1"`);
+    expect(toCsv([['a=1', 'BK-1', -5, "'x"]])).toBe("a=1,BK-1,-5,'x");
+  });
+});
+
+describe('neutralizeFormula', () => {
+  it('only touches text', () => {
+    expect(neutralizeFormula('=cmd')).toBe("'=cmd");
+    expect(neutralizeFormula(-5)).toBe(-5);
+    expect(neutralizeFormula(null)).toBeNull();
+  });
+});
@@ -0,0 +1,39 @@
+// src/lib/displaySession.js
+// Pairs the control screen (the booking page where guests spin) with big displays
+// (src/Display.jsx). The control makes up a session code and sends it with every
+// spin; the spin service stores the latest spin under displaySessions/{code}, and
+// displays showing that code replay it. A session belongs to the venue whose spin
+// first used the code: the service ignores the code in other venues' spins, and
+// displays ignore sessions of other venues.
+//   displaySessions/{code}: { venueId, spinId, prizeId, prizeLabel, campaignId, at }
+import { CLAIM_CODE_ALPHABET } from './claimCode.js';
+
+const CODE_LENGTH = 6;
+
+// randomInt(n) -> integer in [0, n); same alphabet as claim codes, easy to read off a screen
+export function generateDisplayCode(randomInt) {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) code += CLAIM_CODE_ALPHABET[randomInt(CLAIM_CODE_ALPHABET.length)];
+  return code;
+}
+
+// Canonical form of a typed code, or null if it can't be one
+export function normalizeDisplayCode(input) {
+  const code = String(input || '').toUpperCase().replace(/[\s-]/g, '');
+  if (code.length !== CODE_LENGTH || [...code].some((c) => !CLAIM_CODE_ALPHABET.includes(c))) return null;
+  return code;
+}
+
+/**
+ * How a display should show a session update.
+ * @param {{ spinId: string, at: Date }|null} event  the session document
+ * @param {string|null} shownSpinId  spin the display shows already (null on first load)
+ * @param {boolean} firstLoad  a display that just joined shows the latest result as is
+ * @returns {'none' | 'animate' | 'show'}
+ */
+export function displayAction(event, shownSpinId, firstLoad, now, spinMs) {
+  if (!event?.spinId || event.spinId === shownSpinId) return 'none';
+  if (firstLoad) return 'show';
+  // an update that arrives late (display was asleep) is past its animation
+  return now.getTime() - event.at.getTime() < spinMs ? 'animate' : 'show';
+}
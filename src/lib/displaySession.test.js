@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { generateDisplayCode, normalizeDisplayCode, displayAction } from './displaySession.js';
+
+describe('display codes', () => {
+  it('generates codes that normalize to themselves', () => {
+    let i = 0;
+    const code = generateDisplayCode(() => i++);
+    expect(code).toBe('234567');
+    expect(normalizeDisplayCode(code)).toBe(code);
+  });
+
+  it('accepts lower case and spacing, refuses look-alike characters', () => {
+    expect(normalizeDisplayCode(' k7q-m3x ')).toBe('K7QM3X');
+    expect(normalizeDisplayCode('K7QM30')).toBeNull();
+    expect(normalizeDisplayCode('K7QM3')).toBeNull();
+  });
+});
+
+describe('displayAction', () => {
+  const now = new Date('2025-01-01T05:00:10Z');
+  const event = { spinId: 's2', at: new Date('2025-01-01T05:00:05Z') };
+
+  it('animates a fresh spin', () => {
+    expect(displayAction(event, 's1', false, now, 8000)).toBe('animate');
+  });
+
+  it('shows the latest result to a display that just joined', () => {
+    expect(displayAction(event, null, true, now, 8000)).toBe('show');
+  });
+
+  it('skips the animation for updates that arrive too late', () => {
+    expect(displayAction(event, 's1', false, now, 3000)).toBe('show');
+  });
+
+  it('ignores sessions without a spin and spins already shown', () => {
+    expect(displayAction(null, null, true, now, 8000)).toBe('none');
+    expect(displayAction(event, 's2', false, now, 8000)).toBe('none');
+  });
+});
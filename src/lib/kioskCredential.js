@@ -0,0 +1,34 @@
+// src/lib/kioskCredential.js
+// Per-device kiosk credentials. Starting kiosk mode on a tablet registers it as
+// venues/{venueId}/kiosks/{kioskId}:
+//   { name, secretHash, createdAt, createdBy, revokedAt, revokedBy }
+// and keeps the token `${kioskId}.${secret}` on the tablet. The spin service checks
+// the secret against secretHash, so only the tablet knows it, and staff revoke a
+// lost or replaced tablet by stamping revokedAt.
+
+// kiosk ids are crypto.randomUUID() values, secrets 32 random bytes in hex
+const KIOSK_ID_PATTERN = /^[0-9a-f-]{36}$/i;
+const SECRET_PATTERN = /^[0-9a-f]{64}$/;
+export const KIOSK_NAME_MAX_LENGTH = 40;
+
+const toHex = (bytes) => [...new Uint8Array(bytes)].map((b) => b.toString(16).padStart(2, '0')).join('');
+
+/** @returns {{ kioskId: string, secret: string, token: string }} */
+export function newKioskCredential() {
+  const kioskId = crypto.randomUUID();
+  const secret = toHex(crypto.getRandomValues(new Uint8Array(32)));
+  return { kioskId, secret, token: `${kioskId}.${secret}` };
+}
+
+/** @returns {{ kioskId: string, secret: string } | null}  null for anything but a well-formed token */
+export function parseKioskToken(token) {
+  if (typeof token !== 'string') return null;
+  const [kioskId, secret, ...rest] = token.split('.');
+  if (rest.length > 0 || !KIOSK_ID_PATTERN.test(kioskId || '') || !SECRET_PATTERN.test(secret || '')) return null;
+  return { kioskId, secret };
+}
+
+// SHA-256 in hex; the secret is random, so it needs no salt or slow hash
+export async function hashKioskSecret(secret) {
+  return toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(secret)));
+}
@@ -0,0 +1,22 @@
+import { describe, it, expect } from 'vitest';
+import { hashKioskSecret, newKioskCredential, parseKioskToken } from './kioskCredential.js';
+
+describe('kiosk credentials', () => {
+  it('reads back the tokens it creates', () => {
+    const { kioskId, secret, token } = newKioskCredential();
+    expect(parseKioskToken(token)).toEqual({ kioskId, secret });
+    expect(newKioskCredential().secret).not.toBe(secret);
+  });
+
+  it('refuses anything else', () => {
+    const { kioskId, secret } = newKioskCredential();
+    expect(parseKioskToken('the-old-shared-kiosk-token')).toBeNull();
+    expect(parseKioskToken(`${kioskId}.${secret.slice(1)}`)).toBeNull();
+    expect(parseKioskToken(`${kioskId}.${secret}.${secret}`)).toBeNull();
+    expect(parseKioskToken(undefined)).toBeNull();
+  });
+
+  it('hashes secrets with SHA-256', async () => {
+    expect(await hashKioskSecret('abc')).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+  });
+});
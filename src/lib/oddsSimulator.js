@@ -0,0 +1,77 @@
+// src/lib/oddsSimulator.js
+// Virtual spins for the admin odds simulator: the wheel's slices go through
+// selectWithRules() (./prizeRules.js), the code the spin service picks with, while
+// stock counters and the consolation streak are kept the way the service keeps
+// them. Nothing is written anywhere.
+import { stockAfterAward, remainingStock } from './stock.js';
+import { activeRules, nextRuleState, ruleContext, ruleOdds, selectWithRules } from './prizeRules.js';
+
+export const MAX_SIMULATED_SPINS = 100000;
+
+// The venue day `n` days after `day` (both 'YYYY-MM-DD')
+function addDays(day, n) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + n);
+  return date.toISOString().slice(0, 10);
+}
+
+const withoutCounters = (p) => ({ ...p, awardedTotal: 0, awardedToday: 0, awardedDay: null });
+
+/**
+ * @param {Array} slices  wheelSlices() of the prize set
+ * @param {object} opts
+ * @param {number} opts.spins
+ * @param {string} opts.day  venue day of the first spin
+ * @param {number} [opts.spinsPerDay]  spins before the day changes (and daily stock resets); default: all on `day`
+ * @param {object} [opts.rules]  settings/prizeRules; only its enabled, valid rules apply
+ * @param {boolean} [opts.fromStock]  start from the prizes' current counters instead of full stock
+ * @param {object} [opts.state]  settings/ruleState, with fromStock
+ * @param {() => number} [opts.random]
+ * @returns {{ spins: number, days: number, unawarded: number, rows: Array<{ prize: object, chance: number,
+ *   wins: number, share: number, left: number|null, soldOutAt: number|null, dailyLimitDays: number }> }}
+ *   chance: odds of the first spin; left: total stock after the last spin (null = unlimited);
+ *   soldOutAt: spin that took the last of the total stock; dailyLimitDays: days the daily stock ran out
+ */
+export function simulateSpins(slices, { spins, day, spinsPerDay, rules, fromStock = false, state = {}, random = Math.random }) {
+  const active = activeRules(rules);
+  const prizes = slices.map((p) => (fromStock ? { ...p } : withoutCounters(p)));
+  let ruleState = fromStock ? { ...state } : {};
+  const perDay = spinsPerDay > 0 ? spinsPerDay : spins;
+  const wins = prizes.map(() => 0);
+  const soldOutAt = prizes.map(() => null);
+  const dailyLimitDays = prizes.map(() => new Set());
+  let unawarded = 0;
+
+  const first = ruleOdds(prizes, active, ruleContext({ day, state: ruleState })).odds;
+
+  for (let n = 0; n < spins; n++) {
+    const today = addDays(day, Math.floor(n / perDay));
+    const { index } = selectWithRules(prizes, active, ruleContext({ day: today, state: ruleState }), random);
+    if (index < 0) {
+      unawarded += 1;
+      continue;
+    }
+    const prize = prizes[index];
+    Object.assign(prize, stockAfterAward(prize, today));
+    ruleState = nextRuleState(ruleState, prize, today);
+    wins[index] += 1;
+    const { total, daily } = remainingStock(prize, today);
+    if (total === 0 && soldOutAt[index] === null) soldOutAt[index] = n + 1;
+    if (daily === 0) dailyLimitDays[index].add(today);
+  }
+
+  return {
+    spins,
+    days: spins > 0 ? Math.ceil(spins / perDay) : 0,
+    unawarded,
+    rows: slices.map((p, i) => ({
+      prize: p,
+      chance: first[i],
+      wins: wins[i],
+      share: spins > 0 ? wins[i] / spins : 0,
+      left: remainingStock(prizes[i], day).total,
+      soldOutAt: soldOutAt[i],
+      dailyLimitDays: dailyLimitDays[i].size,
+    })),
+  };
+}
@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { simulateSpins } from './oddsSimulator.js';
+import { emptyRule } from './prizeRules.js';
+
+const DAY = '2025-01-31';
+const slices = [
+  { id: 'grand', label: 'Grand', probability: 10, totalStock: 3 },
+  { id: 'drink', label: 'Drink', probability: 40, dailyStock: 2 },
+  { id: 'thanks', label: 'Thanks', probability: 50, consolation: true },
+];
+// cycles through the slices' ranges: 0.05 -> grand, 0.3 -> drink, 0.8 -> thanks
+const cycle = (values) => {
+  let n = 0;
+  return () => values[n++ % values.length];
+};
+
+describe('simulateSpins', () => {
+  it('counts wins and burns stock like the spin service', () => {
+    const result = simulateSpins(slices, { spins: 12, day: DAY, spinsPerDay: 6, random: cycle([0.05, 0.3, 0.8]) });
+    expect(result.days).toBe(2);
+    expect(result.unawarded).toBe(0);
+    const byId = Object.fromEntries(result.rows.map((r) => [r.prize.id, r]));
+    expect(byId.grand).toMatchObject({ chance: 0.1, wins: 3, left: 0, soldOutAt: 7 });
+    // two drinks a day, on both days
+    expect(byId.drink).toMatchObject({ wins: 4, left: null, dailyLimitDays: 2 });
+    expect(byId.thanks.wins).toBe(5);
+    expect(result.rows.reduce((s, r) => s + r.share, 0)).toBeCloseTo(1);
+  });
+
+  it('starts from full stock unless asked to use the current counters', () => {
+    const awarded = slices.map((p) => (p.id === 'grand' ? { ...p, awardedTotal: 3 } : p));
+    const fresh = simulateSpins(awarded, { spins: 1, day: DAY, random: () => 0 });
+    expect(fresh.rows[0]).toMatchObject({ chance: 0.1, wins: 1 });
+    const current = simulateSpins(awarded, { spins: 1, day: DAY, fromStock: true, random: () => 0 });
+    expect(current.rows[0]).toMatchObject({ chance: 0, wins: 0, left: 0 });
+    expect(current.rows[1].wins).toBe(1);
+  });
+
+  it('applies the enabled prize rules', () => {
+    const rules = { rules: [{ ...emptyRule('guarantee', 'g'), name: 'Every 4th', prizeId: 'drink', nthSpin: 4, repeat: true }] };
+    const result = simulateSpins(slices.slice(2), { spins: 8, day: DAY, rules, random: () => 0 });
+    expect(result.rows[0].wins).toBe(8);
+    const withDrink = simulateSpins([{ ...slices[1], dailyStock: null }, slices[2]], { spins: 8, day: DAY, rules, random: () => 0.99 });
+    expect(withDrink.rows.map((r) => r.wins)).toEqual([2, 6]);
+  });
+
+  it('reports spins that could not award anything', () => {
+    const result = simulateSpins([{ ...slices[0], totalStock: 1 }], { spins: 3, day: DAY, random: () => 0 });
+    expect(result.rows[0]).toMatchObject({ wins: 1, soldOutAt: 1 });
+    expect(result.unawarded).toBe(2);
+  });
+});
@@ -0,0 +1,77 @@
+// src/lib/offlineSpins.js
+// Spins a kiosk makes while the spin service is unreachable. The kiosk picks the
+// prize from its cached config with the prize rules it last fetched (POST
+// /api/kiosk/rules), shows it with a locally generated claim code, and queues the
+// record (src/spinQueue.js) until POST /api/spins/offline accepts it. The service
+// checks the prize against the stock and the rules again when the record arrives.
+//
+// Queued records:
+//   { id, venue, bookingId, prizeId, prizeLabel, claimCode, spunAt: ISO string,
+//     status: 'pending' | 'rejected', attempts, nextAttemptAt: ms, error: code | null }
+import { ruleContext, selectWithRules } from './prizeRules.js';
+import { generateClaimCode } from './claimCode.js';
+
+// Answers from the spin service that will not change on retry; anything else
+// (network errors, 5xx, an unknown kiosk credential) is retried with backoff. Spins
+// from a revoked kiosk are refused for good.
+export const OFFLINE_REJECTIONS = [
+  'not-found', 'already-used', 'expired', 'invalid-booking-id', 'invalid-format', 'unpaid', 'outside-campaign',
+  'invalid-spin', 'prize-not-found', 'claim-code-taken', 'unknown-venue', 'kiosk-revoked',
+];
+
+const RETRY_BASE_MS = 5 * 1000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+
+// Delay before retry number `attempts` (1-based): doubling from 5 s up to 5 min,
+// with jitter so several kiosks coming back online don't sync in lockstep
+export function retryDelay(attempts, random = Math.random) {
+  const delay = Math.min(RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_MS);
+  return Math.round(delay * (0.5 + random() / 2));
+}
+
+// modulo bias over 2^32 is negligible for the 31-letter claim code alphabet
+const cryptoRandomInt = (n) => crypto.getRandomValues(new Uint32Array(1))[0] % n;
+
+/**
+ * Picks a prize for `bookingId` from the cached wheel slices, as the spin service
+ * would: with the prize rules and rule state from the kiosk's cache. The booking's
+ * tier is unknown offline, so tier rules do not apply.
+ * @param {object} opts
+ * @param {Array} opts.slices  the live wheel
+ * @param {Array} [opts.rules]  active prize rules (src/lib/prizeRules.js)
+ * @param {object} [opts.state]  settings/ruleState
+ * @returns {object|null} a queue record, or null when nothing can be awarded
+ */
+export function createOfflineSpin({
+  id, venue, bookingId, slices, rules = [], state = {}, day, now, random = Math.random, randomInt = cryptoRandomInt,
+}) {
+  const { index } = selectWithRules(slices, rules, ruleContext({ day, state }), random);
+  if (index < 0) return null;
+  return {
+    id,
+    venue,
+    bookingId,
+    prizeId: slices[index].id,
+    prizeLabel: slices[index].label,
+    claimCode: generateClaimCode(randomInt),
+    spunAt: now.toISOString(),
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: 0,
+    error: null,
+  };
+}
+
+// Pending records whose retry time has come, oldest spin first
+export function dueRecords(records, nowMs) {
+  return records
+    .filter((r) => r.status === 'pending' && r.nextAttemptAt <= nowMs)
+    .sort((a, b) => a.spunAt.localeCompare(b.spunAt));
+}
+
+// The record after a failed sync attempt with error `code`
+export function afterFailedSync(record, code, nowMs, random = Math.random) {
+  if (OFFLINE_REJECTIONS.includes(code)) return { ...record, status: 'rejected', error: code };
+  const attempts = record.attempts + 1;
+  return { ...record, attempts, nextAttemptAt: nowMs + retryDelay(attempts, random), error: code };
+}
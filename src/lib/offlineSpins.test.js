@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { retryDelay, createOfflineSpin, dueRecords, afterFailedSync } from './offlineSpins.js';
+
+const NOW = new Date('2025-01-01T05:00:00Z');
+
+const pending = (fields) => ({ status: 'pending', attempts: 0, nextAttemptAt: 0, error: null, ...fields });
+
+describe('retryDelay', () => {
+  it('doubles up to five minutes', () => {
+    const noJitter = () => 1;
+    expect([1, 2, 3].map((n) => retryDelay(n, noJitter))).toEqual([5000, 10000, 20000]);
+    expect(retryDelay(20, noJitter)).toBe(300000);
+  });
+
+  it('jitters down to half the delay', () => {
+    expect(retryDelay(1, () => 0)).toBe(2500);
+  });
+});
+
+describe('createOfflineSpin', () => {
+  const slices = [
+    { id: 'a', label: 'A', probability: 50, totalStock: 0 },
+    { id: 'b', label: 'B', probability: 50 },
+  ];
+
+  it('picks among prizes in stock and issues a claim code', () => {
+    const record = createOfflineSpin({ id: 'r1', venue: 'seaside', bookingId: 'B1', slices, day: '2025-01-01', now: NOW, random: () => 0, randomInt: () => 0 });
+    expect(record).toMatchObject({ id: 'r1', venue: 'seaside', bookingId: 'B1', prizeId: 'b', claimCode: '2222-2222', spunAt: NOW.toISOString(), status: 'pending' });
+  });
+
+  it('applies the cached prize rules and rule state', () => {
+    const pity = { id: 'p', name: 'Pity', enabled: true, type: 'pity', streak: 2 };
+    const withConsolation = [{ id: 'a', label: 'A', probability: 50 }, { id: 'b', label: 'B', probability: 50, consolation: true }];
+    const spin = (state) => createOfflineSpin({
+      id: 'r1', bookingId: 'B1', slices: withConsolation, rules: [pity], state, day: '2025-01-01', now: NOW, random: () => 0.9, randomInt: () => 0,
+    });
+    expect(spin({ consolationStreak: 1 }).prizeId).toBe('b');
+    expect(spin({ consolationStreak: 2 }).prizeId).toBe('a');
+  });
+
+  it('gives nothing when everything is out of stock', () => {
+    const empty = [{ id: 'a', label: 'A', probability: 100, totalStock: 0 }];
+    expect(createOfflineSpin({ id: 'r1', bookingId: 'B1', slices: empty, day: '2025-01-01', now: NOW, randomInt: () => 0 })).toBeNull();
+  });
+});
+
+describe('dueRecords', () => {
+  it('returns pending records that are due, oldest first', () => {
+    const records = [
+      pending({ id: 'late', spunAt: '2025-01-01T05:00:00Z' }),
+      pending({ id: 'early', spunAt: '2025-01-01T04:00:00Z' }),
+      pending({ id: 'waiting', spunAt: '2025-01-01T03:00:00Z', nextAttemptAt: 2000 }),
+      { ...pending({ id: 'rejected', spunAt: '2025-01-01T03:00:00Z' }), status: 'rejected' },
+    ];
+    expect(dueRecords(records, 1000).map((r) => r.id)).toEqual(['early', 'late']);
+  });
+});
+
+describe('afterFailedSync', () => {
+  it('keeps retrying on network and server errors', () => {
+    const record = afterFailedSync(pending({ id: 'r1' }), 'network', 1000, () => 1);
+    expect(record).toMatchObject({ status: 'pending', attempts: 1, nextAttemptAt: 6000, error: 'network' });
+  });
+
+  it('stops on answers that will not change', () => {
+    expect(afterFailedSync(pending({ id: 'r1' }), 'already-used', 1000)).toMatchObject({ status: 'rejected', error: 'already-used' });
+  });
+});
@@ -0,0 +1,215 @@
+// src/lib/prizeConfig.js
+// The admin prize editor's draft of a prize set: form rows, validation, conversion
+// to Firestore fields and JSON/CSV interchange for copying configs between venues.
+//
+// Draft rows keep form values as strings:
+//   { key, id, label, labels: { en, id, zh, ja }, probability, totalStock, dailyStock, consolation, color, icon,
+//     textColor, fontSize }
+// color, textColor and fontSize style the prize's slice; blank keeps the theme's.
+// `id` is null for prizes not saved yet; `key` is stable either way (React key).
+// Exports carry configuration only: no ids, stock counters or campaign.
+import { PROBABILITY_TOTAL, sortPrizes } from './prizeSelection.js';
+import { parseCsv } from './csv.js';
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+// emoji with skin tones or ZWJ sequences run to several code units
+export const MAX_ICON_LENGTH = 8;
+// slice label size in px, as in the theme
+export const FONT_SIZE_RANGE = [8, 40];
+const TOTAL_TOLERANCE = 1e-6;
+
+export class PrizeImportError extends Error {
+  constructor(code) {
+    super(`Prize import failed: ${code}`);
+    this.name = 'PrizeImportError';
+    this.code = code;
+  }
+}
+
+const text = (value) => (value == null ? '' : String(value));
+
+export function toDraftRow(prize) {
+  return {
+    key: prize.id,
+    id: prize.id,
+    label: text(prize.label),
+    labels: { ...(prize.labels || {}) },
+    probability: text(prize.probability ?? 0),
+    totalStock: text(prize.totalStock),
+    dailyStock: text(prize.dailyStock),
+    consolation: !!prize.consolation,
+    color: text(prize.color),
+    icon: text(prize.icon),
+    textColor: text(prize.textColor),
+    fontSize: text(prize.fontSize),
+  };
+}
+
+let newRowCount = 0;
+export function emptyDraftRow(fields = {}) {
+  newRowCount += 1;
+  return {
+    key: `new-${newRowCount}`,
+    id: null,
+    label: '',
+    labels: {},
+    probability: '0',
+    totalStock: '',
+    dailyStock: '',
+    consolation: false,
+    color: '',
+    icon: '',
+    textColor: '',
+    fontSize: '',
+    ...fields,
+  };
+}
+
+export const draftFromPrizes = (prizes) => sortPrizes(prizes).map(toDraftRow);
+
+const parseProbability = (value) => (text(value).trim() === '' ? NaN : Number(value));
+// '' = unlimited (null); undefined when invalid
+function parseStock(value) {
+  const str = text(value).trim();
+  if (str === '') return null;
+  const n = Number(str);
+  return Number.isInteger(n) && n >= 0 ? n : undefined;
+}
+// '' = the theme's size (null); undefined when invalid
+function parseFontSize(value) {
+  const str = text(value).trim();
+  if (str === '') return null;
+  const n = Number(str);
+  return Number.isInteger(n) && n >= FONT_SIZE_RANGE[0] && n <= FONT_SIZE_RANGE[1] ? n : undefined;
+}
+
+/**
+ * @returns {{ rowErrors: Array<Record<string, string>>, total: number, totalOk: boolean, valid: boolean }}
+ *   rowErrors[i] maps a field to an error code: 'required', 'probability', 'stock', 'color', 'icon', 'fontSize'
+ */
+export function validateDraft(rows) {
+  let total = 0;
+  const rowErrors = rows.map((row) => {
+    const errors = {};
+    if (!row.label.trim()) errors.label = 'required';
+    const probability = parseProbability(row.probability);
+    if (!Number.isFinite(probability) || probability < 0) errors.probability = 'probability';
+    else total += probability;
+    if (parseStock(row.totalStock) === undefined) errors.totalStock = 'stock';
+    if (parseStock(row.dailyStock) === undefined) errors.dailyStock = 'stock';
+    if (row.color && !COLOR_PATTERN.test(row.color)) errors.color = 'color';
+    if (row.textColor && !COLOR_PATTERN.test(row.textColor)) errors.textColor = 'color';
+    if (row.icon.trim().length > MAX_ICON_LENGTH) errors.icon = 'icon';
+    if (parseFontSize(row.fontSize) === undefined) errors.fontSize = 'fontSize';
+    return errors;
+  });
+  const totalOk = Math.abs(total - PROBABILITY_TOTAL) <= TOTAL_TOLERANCE;
+  const valid = rows.length > 0 && totalOk && rowErrors.every((e) => Object.keys(e).length === 0);
+  return { rowErrors, total, totalOk, valid };
+}
+
+// Firestore fields for a valid row at slice position `order`
+export function fromDraftRow(row, order) {
+  const labels = {};
+  Object.entries(row.labels || {}).forEach(([code, label]) => {
+    if (text(label).trim()) labels[code] = text(label).trim();
+  });
+  return {
+    label: row.label.trim(),
+    labels,
+    probability: parseProbability(row.probability),
+    totalStock: parseStock(row.totalStock),
+    dailyStock: parseStock(row.dailyStock),
+    consolation: !!row.consolation,
+    color: row.color || null,
+    icon: row.icon.trim() || null,
+    textColor: row.textColor || null,
+    fontSize: parseFontSize(row.fontSize),
+    order,
+  };
+}
+
+// Imported rows take over the id (and so the stock counters) of an existing prize with the same label
+export function mergeImportedRows(currentRows, importedRows) {
+  const unmatched = currentRows.filter((r) => r.id);
+  return importedRows.map((row) => {
+    const label = row.label.trim().toLowerCase();
+    const match = unmatched.find((r) => r.label.trim().toLowerCase() === label);
+    if (!match) return row;
+    unmatched.splice(unmatched.indexOf(match), 1);
+    return { ...row, key: match.key, id: match.id };
+  });
+}
+
+const exportFields = (row, i) => {
+  const { order: _order, ...fields } = fromDraftRow(row, i);
+  return fields;
+};
+
+export function prizesToJson(rows) {
+  return JSON.stringify(rows.map(exportFields), null, 2);
+}
+
+// Translations become label_<language> columns
+const CSV_COLUMNS = ['label', 'probability', 'totalStock', 'dailyStock', 'consolation', 'color', 'icon', 'textColor', 'fontSize'];
+const LABEL_COLUMN = /^label_([a-z]{2,3})$/;
+
+// CSV rows (header first) for toCsv()/downloadCsv()
+export function prizesToCsvRows(rows) {
+  const prizes = rows.map(exportFields);
+  const languages = [...new Set(prizes.flatMap((p) => Object.keys(p.labels)))].sort();
+  return [
+    [...CSV_COLUMNS, ...languages.map((code) => `label_${code}`)],
+    ...prizes.map((p) => [
+      ...CSV_COLUMNS.map((column) => (column === 'consolation' ? (p.consolation ? 'true' : '') : p[column])),
+      ...languages.map((code) => p.labels[code] || ''),
+    ]),
+  ];
+}
+
+function rowFromImport(fields) {
+  const labels = {};
+  Object.entries(fields.labels || {}).forEach(([code, label]) => {
+    if (text(label).trim()) labels[code] = text(label);
+  });
+  return emptyDraftRow({
+    label: text(fields.label),
+    labels,
+    probability: text(fields.probability ?? ''),
+    totalStock: text(fields.totalStock),
+    dailyStock: text(fields.dailyStock),
+    consolation: fields.consolation === true || /^(true|yes|1|x)$/i.test(text(fields.consolation).trim()),
+    color: text(fields.color).trim(),
+    icon: text(fields.icon),
+    textColor: text(fields.textColor).trim(),
+    fontSize: text(fields.fontSize).trim(),
+  });
+}
+
+export function parsePrizesJson(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    throw new PrizeImportError('invalid-json');
+  }
+  if (!Array.isArray(data) || data.some((p) => !p || typeof p !== 'object')) throw new PrizeImportError('not-a-list');
+  if (data.length === 0) throw new PrizeImportError('empty');
+  return data.map(rowFromImport);
+}
+
+export function parsePrizesCsv(csv) {
+  const [header, ...body] = parseCsv(csv);
+  const columns = (header || []).map((h) => h.trim());
+  if (!columns.includes('label')) throw new PrizeImportError('missing-label-column');
+  if (body.length === 0) throw new PrizeImportError('empty');
+  return body.map((cells) => {
+    const fields = { labels: {} };
+    columns.forEach((column, i) => {
+      const language = column.match(LABEL_COLUMN)?.[1];
+      if (language) fields.labels[language] = cells[i];
+      else if (CSV_COLUMNS.includes(column)) fields[column] = cells[i];
+    });
+    return rowFromImport(fields);
+  });
+}
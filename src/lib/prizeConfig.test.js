@@ -0,0 +1,139 @@
+import { describe, it, expect } from 'vitest';
+import {
+  draftFromPrizes,
+  emptyDraftRow,
+  validateDraft,
+  fromDraftRow,
+  mergeImportedRows,
+  prizesToJson,
+  prizesToCsvRows,
+  parsePrizesJson,
+  parsePrizesCsv,
+} from './prizeConfig.js';
+import { toCsv } from './csv.js';
+
+const row = (fields) => emptyDraftRow(fields);
+
+describe('draftFromPrizes', () => {
+  it('orders rows by slice order and keeps form values as strings', () => {
+    const rows = draftFromPrizes([
+      { id: 'b', label: 'B', probability: 40, order: 1, totalStock: null },
+      { id: 'a', label: 'A', probability: 60, order: 0, dailyStock: 5, consolation: true },
+    ]);
+    expect(rows.map((r) => r.id)).toEqual(['a', 'b']);
+    expect(rows[0]).toMatchObject({ probability: '60', dailyStock: '5', totalStock: '', consolation: true });
+  });
+});
+
+describe('validateDraft', () => {
+  it('accepts a complete set that adds up to 100', () => {
+    const result = validateDraft([row({ label: 'A', probability: '70' }), row({ label: 'B', probability: '30', color: '#112233' })]);
+    expect(result).toMatchObject({ total: 100, totalOk: true, valid: true });
+  });
+
+  it('flags each invalid field on its row', () => {
+    const { rowErrors, valid } = validateDraft([
+      row({ label: ' ', probability: '-1', totalStock: '2.5', dailyStock: 'x', color: 'red', icon: '123456789', textColor: 'white', fontSize: '7' }),
+    ]);
+    expect(rowErrors[0]).toEqual({
+      label: 'required',
+      probability: 'probability',
+      totalStock: 'stock',
+      dailyStock: 'stock',
+      color: 'color',
+      icon: 'icon',
+      textColor: 'color',
+      fontSize: 'fontSize',
+    });
+    expect(valid).toBe(false);
+  });
+
+  it('blocks saving while the total is not 100', () => {
+    const result = validateDraft([row({ label: 'A', probability: '50' }), row({ label: 'B', probability: '' })]);
+    expect(result.total).toBe(50);
+    expect(result.totalOk).toBe(false);
+    expect(result.rowErrors[1]).toEqual({ probability: 'probability' });
+    expect(result.valid).toBe(false);
+  });
+
+  it('does not accept an empty set', () => {
+    expect(validateDraft([]).valid).toBe(false);
+  });
+});
+
+describe('fromDraftRow', () => {
+  it('converts form values to Firestore fields', () => {
+    expect(fromDraftRow(row({
+      label: ' Free night ',
+      labels: { id: ' Gratis menginap ', ja: '' },
+      probability: '2.5',
+      totalStock: '1',
+      dailyStock: '',
+      icon: ' 🛏️ ',
+      fontSize: '18',
+    }), 3)).toEqual({
+      label: 'Free night',
+      labels: { id: 'Gratis menginap' },
+      probability: 2.5,
+      totalStock: 1,
+      dailyStock: null,
+      consolation: false,
+      color: null,
+      icon: '🛏️',
+      textColor: null,
+      fontSize: 18,
+      order: 3,
+    });
+  });
+});
+
+describe('import and export', () => {
+  const rows = [
+    row({ label: 'Free drink', labels: { id: 'Minuman gratis' }, probability: '60', dailyStock: '20', color: '#ffdd57', icon: '🥤', textColor: '#000000', fontSize: '20' }),
+    row({ label: 'Try again', probability: '40', consolation: true }),
+  ];
+  const fields = (r) => fromDraftRow(r, 0);
+
+  it('round-trips through JSON', () => {
+    expect(parsePrizesJson(prizesToJson(rows)).map(fields)).toEqual(rows.map(fields));
+  });
+
+  it('round-trips through CSV with one column per translation', () => {
+    const csvRows = prizesToCsvRows(rows);
+    expect(csvRows[0]).toEqual(['label', 'probability', 'totalStock', 'dailyStock', 'consolation', 'color', 'icon', 'textColor', 'fontSize', 'label_id']);
+    expect(parsePrizesCsv(toCsv(csvRows)).map(fields)).toEqual(rows.map(fields));
+  });
+
+  it('leaves ids and stock counters out of exports', () => {
+    const json = prizesToJson(draftFromPrizes([{ id: 'p1', label: 'A', probability: 100, awardedTotal: 7 }]));
+    expect(json).not.toContain('p1');
+    expect(json).not.toContain('awardedTotal');
+  });
+
+  it('imports hand-written CSV with columns in any order', () => {
+    const [imported] = parsePrizesCsv('probability,label,consolation\r\n100,Voucher,yes\r\n');
+    expect(imported).toMatchObject({ label: 'Voucher', probability: '100', consolation: true, id: null });
+  });
+
+  it('rejects files that are not prize lists', () => {
+    expect(() => parsePrizesJson('{')).toThrow(expect.objectContaining({ code: 'invalid-json' }));
+    expect(() => parsePrizesJson('{"label":"A"}')).toThrow(expect.objectContaining({ code: 'not-a-list' }));
+    expect(() => parsePrizesJson('[]')).toThrow(expect.objectContaining({ code: 'empty' }));
+    expect(() => parsePrizesCsv('name,probability\r\nA,100')).toThrow(expect.objectContaining({ code: 'missing-label-column' }));
+    expect(() => parsePrizesCsv('label,probability\r\n')).toThrow(expect.objectContaining({ code: 'empty' }));
+  });
+});
+
+describe('mergeImportedRows', () => {
+  it('reuses saved prizes with the same label so their stock counters survive', () => {
+    const current = draftFromPrizes([{ id: 'p1', label: 'Free Drink', probability: 100 }]);
+    const merged = mergeImportedRows(current, [row({ label: 'free drink ' }), row({ label: 'New prize' })]);
+    expect(merged.map((r) => r.id)).toEqual(['p1', null]);
+    expect(merged[0].key).toBe('p1');
+  });
+
+  it('matches each saved prize at most once', () => {
+    const current = draftFromPrizes([{ id: 'p1', label: 'A' }]);
+    expect(mergeImportedRows(current, [row({ label: 'A' }), row({ label: 'A' })]).map((r) => r.id)).toEqual(['p1', null]);
+  });
+});
@@ -0,0 +1,210 @@
+// src/lib/prizeRules.js
+// Prize rules: adjustments to the prize weights that the spin service applies
+// before it picks (selectWithRules), and the admin dry run shows (ruleOdds).
+// Stored per venue in settings/prizeRules as { rules: [...] }, in list order:
+//
+//   { id, name, enabled, type, ...fields of the type }
+//   guarantee  prizeId, nthSpin, repeat   the nthSpin-th spin of the day (every
+//                                         nthSpin-th with repeat) wins prizeId
+//   tierOdds   prizeId, tiers, factor     bookings of one of `tiers` get prizeId's
+//                                         weight times factor; prizeId null = every
+//                                         prize but the consolation one
+//   dailyCap   prizeId, limit             prizeId is awarded at most `limit` times a day
+//   pity       streak                     after `streak` consolation prizes in a row
+//                                         the next spin wins a real prize
+//
+// Rules only ever choose among the prizes in stock. A guarantee whose prize can't
+// be awarded falls back to the normal draw, and once nothing else is left the
+// consolation prize is awarded as usual (prizeSelection.js).
+import { isInStock } from './stock.js';
+import { pickIndex, prizeWeight } from './prizeSelection.js';
+
+export const RULE_TYPES = ['guarantee', 'tierOdds', 'dailyCap', 'pity'];
+export const MAX_RULES = 20;
+export const MAX_FACTOR = 100;
+const NAME_MAX_LENGTH = 60;
+
+const isCount = (n, min) => Number.isInteger(n) && n >= min;
+
+// Booking tiers are matched without regard to case or surrounding spaces
+export const normalizeTier = (tier) => (typeof tier === 'string' ? tier.trim().toLowerCase() : '');
+
+export function emptyRule(type, id) {
+  const fields = {
+    guarantee: { prizeId: null, nthSpin: 100, repeat: false },
+    tierOdds: { prizeId: null, tiers: [], factor: 2 },
+    dailyCap: { prizeId: null, limit: 1 },
+    pity: { streak: 5 },
+  };
+  return { id, name: '', enabled: true, type, ...fields[type] };
+}
+
+/**
+ * Problems with one rule as the editor holds it: { field: error code }
+ * Codes: 'required', 'too-long', 'invalid-type', 'prize', 'count', 'factor', 'tiers'
+ */
+export function ruleErrors(rule) {
+  const errors = {};
+  if (typeof rule.name !== 'string' || !rule.name.trim()) errors.name = 'required';
+  else if (rule.name.length > NAME_MAX_LENGTH) errors.name = 'too-long';
+  if (!RULE_TYPES.includes(rule.type)) errors.type = 'invalid-type';
+  if ((rule.type === 'guarantee' || rule.type === 'dailyCap') && !rule.prizeId) errors.prizeId = 'prize';
+  if (rule.type === 'guarantee' && !isCount(rule.nthSpin, 1)) errors.nthSpin = 'count';
+  if (rule.type === 'tierOdds') {
+    if (!(typeof rule.factor === 'number' && rule.factor > 0 && rule.factor <= MAX_FACTOR)) errors.factor = 'factor';
+    if (!Array.isArray(rule.tiers) || !rule.tiers.some((t) => normalizeTier(t))) errors.tiers = 'tiers';
+  }
+  if (rule.type === 'dailyCap' && !isCount(rule.limit, 0)) errors.limit = 'count';
+  if (rule.type === 'pity' && !isCount(rule.streak, 1)) errors.streak = 'count';
+  return errors;
+}
+
+/** @returns {{ ruleErrors: Array<Record<string, string>>, valid: boolean }} */
+export function validateRules(rules) {
+  const errors = rules.map(ruleErrors);
+  return { ruleErrors: errors, valid: rules.length <= MAX_RULES && errors.every((e) => Object.keys(e).length === 0) };
+}
+
+// The rules as stored: tiers cleaned up, fields of other types left out
+export function toStoredRule(rule) {
+  const stored = emptyRule(rule.type, rule.id);
+  Object.keys(stored).forEach((field) => {
+    if (rule[field] !== undefined) stored[field] = rule[field];
+  });
+  stored.name = stored.name.trim();
+  stored.enabled = !!stored.enabled;
+  if (stored.tiers) stored.tiers = [...new Set(stored.tiers.map(normalizeTier).filter(Boolean))];
+  return stored;
+}
+
+// The rules the spin service applies: enabled and valid, in order. A broken rule
+// is skipped on its own rather than stopping spins.
+export function activeRules(data) {
+  const rules = Array.isArray(data?.rules) ? data.rules : [];
+  return rules.filter((r) => r && typeof r === 'object' && r.enabled && Object.keys(ruleErrors(r)).length === 0);
+}
+
+const awardedToday = (prize, day) => (prize.awardedDay === day ? prize.awardedToday || 0 : 0);
+
+/**
+ * What the rules know about a spin.
+ * @param {object} opts
+ * @param {string} opts.day  venue day (dayKey)
+ * @param {object|null} [opts.booking]  booking of the spin, if any (server/bookingSources.js)
+ * @param {{ consolationStreak?: number, day?: string, spinsToday?: number }} [opts.state]  settings/ruleState
+ * @returns {{ day: string, spinOfDay: number, tier: string, consolationStreak: number }}
+ *   spinOfDay counts this spin: the venue's spins recorded on `day`, plus one
+ */
+export function ruleContext({ day, booking = null, state = {} }) {
+  return {
+    day,
+    spinOfDay: (state?.day === day ? state.spinsToday || 0 : 0) + 1,
+    tier: normalizeTier(booking?.tier),
+    consolationStreak: state?.consolationStreak || 0,
+  };
+}
+
+// settings/ruleState after awarding `prize` on venue day `day`. Every spin the venue
+// records counts toward that day's spins, except a late one for an earlier day (an
+// offline kiosk spin synced afterwards), which leaves the current day's count alone.
+export function nextRuleState(state, prize, day) {
+  const consolationStreak = prize.consolation ? (state?.consolationStreak || 0) + 1 : 0;
+  if (state?.day && day < state.day) return { consolationStreak, day: state.day, spinsToday: state.spinsToday || 0 };
+  return { consolationStreak, day, spinsToday: (state?.day === day ? state.spinsToday || 0 : 0) + 1 };
+}
+
+function ruleMatches(rule, slices, context) {
+  switch (rule.type) {
+    case 'guarantee':
+      return rule.repeat ? context.spinOfDay % rule.nthSpin === 0 : context.spinOfDay === rule.nthSpin;
+    case 'tierOdds':
+      return !!context.tier && rule.tiers.map(normalizeTier).includes(context.tier);
+    case 'dailyCap': {
+      const prize = slices.find((p) => p.id === rule.prizeId);
+      return !!prize && awardedToday(prize, context.day) >= rule.limit;
+    }
+    case 'pity':
+      return context.consolationStreak >= rule.streak;
+    default:
+      return false;
+  }
+}
+
+/**
+ * The slices a spin may land on once the rules are applied.
+ * @returns {{ forced: number, available: Array<{ index: number, weight: number }>, applied: string[] }}
+ *   forced: index the spin must award (-1 for a normal draw); applied: ids of the rules that had an effect
+ */
+export function applyRules(slices, rules, context) {
+  const weights = slices.map(prizeWeight);
+  const excluded = slices.map((p) => !isInStock(p, context.day));
+  const applied = [];
+  const guarantees = [];
+
+  rules.forEach((rule) => {
+    if (!ruleMatches(rule, slices, context)) return;
+    if (rule.type === 'guarantee') {
+      guarantees.push(rule);
+      return;
+    }
+    let hit = false;
+    slices.forEach((p, i) => {
+      if (excluded[i]) return;
+      if (rule.type === 'tierOdds') {
+        if ((rule.prizeId ? p.id === rule.prizeId : !p.consolation) && weights[i] > 0) {
+          weights[i] *= rule.factor;
+          hit = true;
+        }
+      } else if (rule.type === 'dailyCap' ? p.id === rule.prizeId : p.consolation) {
+        excluded[i] = true;
+        hit = true;
+      }
+    });
+    if (hit) applied.push(rule.id);
+  });
+
+  // later rules may have capped a guaranteed prize; the first one still possible wins
+  for (const rule of guarantees) {
+    const index = slices.findIndex((p) => p.id === rule.prizeId);
+    if (index >= 0 && !excluded[index]) {
+      applied.push(rule.id);
+      return { forced: index, available: [{ index, weight: 1 }], applied };
+    }
+  }
+  const available = slices.map((_, index) => ({ index, weight: weights[index] })).filter(({ index }) => !excluded[index]);
+  return { forced: -1, available, applied };
+}
+
+/**
+ * Index of the slice to award, as selectSliceIndex() but with the rules applied.
+ * With no rules it picks exactly what selectSliceIndex() picks.
+ * @returns {{ index: number, applied: string[] }}  index -1 when nothing can be awarded
+ */
+export function selectWithRules(slices, rules, context, random = Math.random) {
+  const { forced, available, applied } = applyRules(slices, rules, context);
+  if (forced >= 0) return { index: forced, applied };
+  if (available.length > 0) {
+    return { index: available[pickIndex(available.map(({ weight }) => ({ probability: weight })), random)].index, applied };
+  }
+  return { index: slices.findIndex((p) => p.consolation), applied };
+}
+
+/**
+ * Chance of each slice for a spin in `context`, for the admin dry run.
+ * @returns {{ odds: number[], applied: string[] }}  odds in [0, 1] per slice; all 0 when nothing can be awarded
+ */
+export function ruleOdds(slices, rules, context) {
+  const { available, applied } = applyRules(slices, rules, context);
+  const odds = slices.map(() => 0);
+  if (available.length === 0) {
+    const consolation = slices.findIndex((p) => p.consolation);
+    if (consolation >= 0) odds[consolation] = 1;
+    return { odds, applied };
+  }
+  const total = available.reduce((s, { weight }) => s + weight, 0);
+  // as pickIndex(): zero weights everywhere make the draw uniform
+  available.forEach(({ index, weight }) => {
+    odds[index] = total > 0 ? weight / total : 1 / available.length;
+  });
+  return { odds, applied };
+}
@@ -0,0 +1,125 @@
+import { describe, it, expect } from 'vitest';
+import {
+  emptyRule,
+  ruleErrors,
+  toStoredRule,
+  activeRules,
+  ruleContext,
+  nextRuleState,
+  selectWithRules,
+  ruleOdds,
+} from './prizeRules.js';
+import { selectSliceIndex } from './prizeSelection.js';
+
+const DAY = '2025-01-01';
+const slices = [
+  { id: 'grand', label: 'Grand', probability: 1 },
+  { id: 'drink', label: 'Drink', probability: 49 },
+  { id: 'thanks', label: 'Thanks', probability: 50, consolation: true },
+];
+const context = (fields) => ({ day: DAY, spinOfDay: 1, tier: '', consolationStreak: 0, ...fields });
+const rule = (type, fields) => ({ ...emptyRule(type, `${type}-1`), name: type, ...fields });
+
+describe('ruleErrors', () => {
+  it('accepts complete rules of every type', () => {
+    expect(ruleErrors(rule('guarantee', { prizeId: 'grand' }))).toEqual({});
+    expect(ruleErrors(rule('tierOdds', { tiers: ['gold'] }))).toEqual({});
+    expect(ruleErrors(rule('dailyCap', { prizeId: 'grand' }))).toEqual({});
+    expect(ruleErrors(rule('pity'))).toEqual({});
+  });
+
+  it('flags the fields each type needs', () => {
+    expect(ruleErrors(rule('guarantee', { name: ' ', nthSpin: 0 }))).toEqual({ name: 'required', prizeId: 'prize', nthSpin: 'count' });
+    expect(ruleErrors(rule('tierOdds', { tiers: [' '], factor: 0 }))).toEqual({ factor: 'factor', tiers: 'tiers' });
+    expect(ruleErrors(rule('pity', { streak: 1.5 }))).toEqual({ streak: 'count' });
+  });
+});
+
+describe('stored rules', () => {
+  it('keeps only the fields of the rule type and cleans up tiers', () => {
+    expect(toStoredRule({ ...rule('tierOdds', { tiers: [' Gold', 'gold', ''] }), nthSpin: 3 })).toEqual({
+      id: 'tierOdds-1', name: 'tierOdds', enabled: true, type: 'tierOdds', prizeId: null, tiers: ['gold'], factor: 2,
+    });
+  });
+
+  it('applies enabled, valid rules only', () => {
+    const rules = [rule('pity'), rule('pity', { enabled: false }), rule('guarantee'), null];
+    expect(activeRules({ rules })).toEqual([rules[0]]);
+    expect(activeRules(undefined)).toEqual([]);
+  });
+});
+
+describe('ruleContext', () => {
+  it("counts today's spins and reads the booking tier", () => {
+    const state = { consolationStreak: 2, day: DAY, spinsToday: 9 };
+    expect(ruleContext({ day: DAY, booking: { tier: ' VIP ' }, state }))
+      .toEqual({ day: DAY, spinOfDay: 10, tier: 'vip', consolationStreak: 2 });
+    // a new day starts from the first spin
+    expect(ruleContext({ day: '2025-01-02', state }).spinOfDay).toBe(1);
+    expect(ruleContext({ day: DAY }).spinOfDay).toBe(1);
+  });
+
+  it('tracks consolation prizes in a row', () => {
+    expect(nextRuleState({ consolationStreak: 2 }, slices[2], DAY)).toMatchObject({ consolationStreak: 3 });
+    expect(nextRuleState({ consolationStreak: 2 }, slices[0], DAY)).toMatchObject({ consolationStreak: 0 });
+  });
+
+  it("counts the day's spins", () => {
+    expect(nextRuleState({}, slices[0], DAY)).toEqual({ consolationStreak: 0, day: DAY, spinsToday: 1 });
+    expect(nextRuleState({ day: DAY, spinsToday: 4 }, slices[0], DAY)).toMatchObject({ day: DAY, spinsToday: 5 });
+    expect(nextRuleState({ day: DAY, spinsToday: 4 }, slices[0], '2025-01-02')).toMatchObject({ day: '2025-01-02', spinsToday: 1 });
+    // a late offline spin for an earlier day leaves today's count alone
+    expect(nextRuleState({ day: DAY, spinsToday: 4 }, slices[2], '2024-12-31'))
+      .toEqual({ consolationStreak: 1, day: DAY, spinsToday: 4 });
+  });
+});
+
+describe('selectWithRules', () => {
+  it('picks like selectSliceIndex without rules', () => {
+    for (const r of [0, 0.3, 0.6, 0.99]) {
+      expect(selectWithRules(slices, [], context(), () => r).index).toBe(selectSliceIndex(slices, DAY, () => r));
+    }
+  });
+
+  it('awards the guaranteed prize on the nth spin of the day', () => {
+    const rules = [rule('guarantee', { prizeId: 'grand', nthSpin: 100 })];
+    expect(selectWithRules(slices, rules, context({ spinOfDay: 100 }), () => 0.99)).toEqual({ index: 0, applied: ['guarantee-1'] });
+    expect(selectWithRules(slices, rules, context({ spinOfDay: 200 }), () => 0.99).index).toBe(2);
+    const repeating = [rule('guarantee', { prizeId: 'grand', nthSpin: 100, repeat: true })];
+    expect(selectWithRules(slices, repeating, context({ spinOfDay: 200 }), () => 0.99).index).toBe(0);
+  });
+
+  it('draws normally when the guaranteed prize is out of stock', () => {
+    const rules = [rule('guarantee', { prizeId: 'grand', nthSpin: 1 })];
+    const soldOut = [{ ...slices[0], totalStock: 0 }, ...slices.slice(1)];
+    expect(selectWithRules(soldOut, rules, context(), () => 0)).toEqual({ index: 1, applied: [] });
+  });
+
+  it('caps a prize per day', () => {
+    const rules = [rule('dailyCap', { prizeId: 'grand', limit: 2 })];
+    const awarded = [{ ...slices[0], awardedDay: DAY, awardedToday: 2 }, ...slices.slice(1)];
+    expect(selectWithRules(awarded, rules, context(), () => 0)).toEqual({ index: 1, applied: ['dailyCap-1'] });
+  });
+
+  it('gives a real prize after a streak of consolation prizes', () => {
+    const rules = [rule('pity', { streak: 3 })];
+    expect(selectWithRules(slices, rules, context({ consolationStreak: 3 }), () => 0.99)).toEqual({ index: 1, applied: ['pity-1'] });
+    expect(selectWithRules(slices, rules, context({ consolationStreak: 2 }), () => 0.99).index).toBe(2);
+  });
+});
+
+describe('ruleOdds', () => {
+  it('multiplies the odds of matching booking tiers', () => {
+    const rules = [rule('tierOdds', { prizeId: 'grand', tiers: ['gold'], factor: 51 })];
+    expect(ruleOdds(slices, rules, context()).odds).toEqual([0.01, 0.49, 0.5]);
+    const { odds, applied } = ruleOdds(slices, rules, context({ tier: 'gold' }));
+    expect(odds.map((o) => Number(o.toFixed(2)))).toEqual([0.34, 0.33, 0.33]);
+    expect(applied).toEqual(['tierOdds-1']);
+  });
+
+  it('falls back to the consolation prize once the rules leave nothing', () => {
+    const rules = [rule('pity', { streak: 1 })];
+    const onlyConsolation = [{ ...slices[0], totalStock: 0 }, { ...slices[1], dailyStock: 0 }, slices[2]];
+    expect(ruleOdds(onlyConsolation, rules, context({ consolationStreak: 1 })).odds).toEqual([0, 0, 1]);
+  });
+});
@@ -0,0 +1,96 @@
+// src/lib/prizeSelection.js
+// Weighted prize selection, shared by the spin service (which picks) and the
+// browser (which draws the wheel). Both sides build the slice list with
+// wheelSlices() so an index into it always means the same prize.
+import { isInStock } from './stock.js';
+
+// `probability` is entered as a percent of the whole wheel
+export const PROBABILITY_TOTAL = 100;
+const TOTAL_TOLERANCE = 1e-6;
+
+// Selection weight: non-numeric, negative or non-finite probabilities count as 0
+export function prizeWeight(prize) {
+  const n = prize?.probability;
+  return typeof n === 'number' && Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+const hasLabel = (prize) => typeof prize?.label === 'string' && prize.label.trim() !== '';
+
+// Slice order set in the prize editor (`order`); prizes without one keep their place after the rest
+export function sortPrizes(prizes) {
+  const position = (p) => (Number.isFinite(p.order) ? p.order : Number.MAX_SAFE_INTEGER);
+  return prizes
+    .map((p, i) => [p, i])
+    .sort(([a, i], [b, j]) => position(a) - position(b) || i - j)
+    .map(([p]) => p);
+}
+
+// The prizes that become wheel slices, in slice order. Unlabelled prizes are left out.
+export function wheelSlices(prizes) {
+  return sortPrizes(prizes).filter(hasLabel).map((p) => ({ ...p, label: p.label.trim() }));
+}
+
+/**
+ * Weighted random index into `slices`. Zero-weight slices are never picked unless
+ * every weight is zero, in which case the pick is uniform.
+ * @param {Array} slices
+ * @param {() => number} [random]  uniform in [0, 1)
+ * @returns {number} -1 when `slices` is empty
+ */
+export function pickIndex(slices, random = Math.random) {
+  if (slices.length === 0) return -1;
+  const weights = slices.map(prizeWeight);
+  const total = weights.reduce((s, w) => s + w, 0);
+  if (total <= 0) return Math.min(Math.floor(random() * slices.length), slices.length - 1);
+  const r = random() * total;
+  let acc = 0;
+  let last = -1;
+  for (let i = 0; i < weights.length; i++) {
+    if (weights[i] <= 0) continue;
+    acc += weights[i];
+    last = i;
+    if (r < acc) return i;
+  }
+  // only reached through floating point rounding, or a random() that returned 1
+  return last;
+}
+
+/**
+ * Index of the slice to award on venue day `day`. Out-of-stock slices drop out and
+ * the remaining weights renormalize; once nothing is in stock the consolation slice
+ * is awarded regardless of its own stock.
+ * @returns {number} -1 when nothing can be awarded
+ */
+export function selectSliceIndex(slices, day, random = Math.random) {
+  const available = slices.map((p, i) => [p, i]).filter(([p]) => isInStock(p, day));
+  if (available.length > 0) return available[pickIndex(available.map(([p]) => p), random)][1];
+  return slices.findIndex((p) => p.consolation);
+}
+
+/**
+ * Problems with a prize set as configured in the admin area. Selection still works
+ * with any of these (weights renormalize), but the odds are not what the editor shows.
+ * @returns {Array<{ code: string, prizeId?: string, total?: number }>}
+ *   codes: 'no-prizes', 'empty-label', 'invalid-probability', 'negative-probability',
+ *   'total-not-100', 'multiple-consolation'
+ */
+export function validatePrizeConfig(prizes) {
+  const issues = [];
+  prizes.forEach((p) => {
+    if (!hasLabel(p)) issues.push({ code: 'empty-label', prizeId: p.id });
+    if (typeof p.probability !== 'number' || !Number.isFinite(p.probability)) {
+      issues.push({ code: 'invalid-probability', prizeId: p.id });
+    } else if (p.probability < 0) {
+      issues.push({ code: 'negative-probability', prizeId: p.id });
+    }
+  });
+  const slices = wheelSlices(prizes);
+  if (slices.length === 0) {
+    issues.push({ code: 'no-prizes' });
+  } else {
+    const total = slices.reduce((s, p) => s + prizeWeight(p), 0);
+    if (Math.abs(total - PROBABILITY_TOTAL) > TOTAL_TOLERANCE) issues.push({ code: 'total-not-100', total });
+  }
+  if (prizes.filter((p) => p.consolation).length > 1) issues.push({ code: 'multiple-consolation' });
+  return issues;
+}
@@ -0,0 +1,213 @@
+import { describe, it, expect } from 'vitest';
+import { prizeWeight, wheelSlices, pickIndex, selectSliceIndex, validatePrizeConfig } from './prizeSelection.js';
+
+// Small seeded PRNG (mulberry32) so distribution tests are repeatable
+function seededRandom(seed) {
+  let a = seed;
+  return () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const DAY = '2025-01-01';
+
+describe('prizeWeight', () => {
+  it('uses positive finite probabilities as they are', () => {
+    expect(prizeWeight({ probability: 12.5 })).toBe(12.5);
+  });
+
+  it('counts negative, missing and non-numeric probabilities as 0', () => {
+    expect(prizeWeight({ probability: -5 })).toBe(0);
+    expect(prizeWeight({})).toBe(0);
+    expect(prizeWeight({ probability: '50' })).toBe(0);
+    expect(prizeWeight({ probability: NaN })).toBe(0);
+    expect(prizeWeight({ probability: Infinity })).toBe(0);
+  });
+});
+
+describe('wheelSlices', () => {
+  it('drops unlabelled prizes and keeps the order of the rest', () => {
+    const prizes = [
+      { id: 'a', label: 'A' },
+      { id: 'b', label: '' },
+      { id: 'c', label: '   ' },
+      { id: 'd' },
+      { id: 'e', label: 'E' },
+    ];
+    expect(wheelSlices(prizes).map((p) => p.id)).toEqual(['a', 'e']);
+  });
+
+  it('follows the editor order, with unordered prizes last', () => {
+    const prizes = [
+      { id: 'legacy', label: 'L' },
+      { id: 'second', label: 'S', order: 1 },
+      { id: 'first', label: 'F', order: 0 },
+    ];
+    expect(wheelSlices(prizes).map((p) => p.id)).toEqual(['first', 'second', 'legacy']);
+  });
+
+  it('trims labels without touching the input', () => {
+    const prizes = [{ id: 'a', label: '  Free drink ' }];
+    expect(wheelSlices(prizes)[0].label).toBe('Free drink');
+    expect(prizes[0].label).toBe('  Free drink ');
+  });
+});
+
+describe('pickIndex', () => {
+  const slices = [
+    { id: 'a', probability: 50 },
+    { id: 'b', probability: 30 },
+    { id: 'c', probability: 20 },
+  ];
+
+  it('maps the random number onto cumulative weights', () => {
+    expect(pickIndex(slices, () => 0)).toBe(0);
+    expect(pickIndex(slices, () => 0.49)).toBe(0);
+    expect(pickIndex(slices, () => 0.5)).toBe(1);
+    expect(pickIndex(slices, () => 0.79)).toBe(1);
+    expect(pickIndex(slices, () => 0.8)).toBe(2);
+    expect(pickIndex(slices, () => 0.999999)).toBe(2);
+  });
+
+  it('normalizes weights that do not add up to 100', () => {
+    const small = [{ probability: 1 }, { probability: 3 }];
+    expect(pickIndex(small, () => 0.24)).toBe(0);
+    expect(pickIndex(small, () => 0.25)).toBe(1);
+  });
+
+  it('never picks a zero-weight slice, even at the edges', () => {
+    const withZeros = [{ probability: 0 }, { probability: 10 }, { probability: 0 }];
+    expect(pickIndex(withZeros, () => 0)).toBe(1);
+    expect(pickIndex(withZeros, () => 0.999999)).toBe(1);
+    // out-of-contract random() values still land on a real prize
+    expect(pickIndex(withZeros, () => 1)).toBe(1);
+  });
+
+  it('ignores negative weights instead of subtracting them', () => {
+    const withNegative = [{ probability: -50 }, { probability: 50 }, { probability: 50 }];
+    expect(pickIndex(withNegative, () => 0)).toBe(1);
+    expect(pickIndex(withNegative, () => 0.5)).toBe(2);
+  });
+
+  it('picks uniformly when every weight is zero', () => {
+    const zeros = [{ probability: 0 }, { probability: 0 }, { probability: 0 }, { probability: 0 }];
+    expect(pickIndex(zeros, () => 0)).toBe(0);
+    expect(pickIndex(zeros, () => 0.5)).toBe(2);
+    expect(pickIndex(zeros, () => 0.99)).toBe(3);
+    expect(pickIndex(zeros, () => 1)).toBe(3);
+  });
+
+  it('returns -1 for an empty list', () => {
+    expect(pickIndex([], () => 0.5)).toBe(-1);
+  });
+
+  it('follows the configured distribution over many spins', () => {
+    const random = seededRandom(42);
+    const spins = 20000;
+    const counts = [0, 0, 0];
+    for (let i = 0; i < spins; i++) counts[pickIndex(slices, random)]++;
+    expect(counts[0] / spins).toBeCloseTo(0.5, 1);
+    expect(counts[1] / spins).toBeCloseTo(0.3, 1);
+    expect(counts[2] / spins).toBeCloseTo(0.2, 1);
+  });
+});
+
+describe('selectSliceIndex', () => {
+  it('skips out-of-stock prizes and renormalizes the rest', () => {
+    const slices = [
+      { id: 'a', probability: 50, totalStock: 1, awardedTotal: 1 },
+      { id: 'b', probability: 25 },
+      { id: 'c', probability: 25 },
+    ];
+    // with 'a' gone, b and c split the wheel evenly
+    expect(selectSliceIndex(slices, DAY, () => 0)).toBe(1);
+    expect(selectSliceIndex(slices, DAY, () => 0.49)).toBe(1);
+    expect(selectSliceIndex(slices, DAY, () => 0.5)).toBe(2);
+  });
+
+  it('counts daily stock against the given day only', () => {
+    const slices = [{ id: 'a', probability: 100, dailyStock: 1, awardedToday: 1, awardedDay: DAY }];
+    expect(selectSliceIndex(slices, DAY, () => 0)).toBe(-1);
+    expect(selectSliceIndex(slices, '2025-01-02', () => 0)).toBe(0);
+  });
+
+  it('falls back to the consolation prize once everything is gone', () => {
+    const slices = [
+      { id: 'a', probability: 90, totalStock: 0 },
+      { id: 'b', probability: 10, totalStock: 2, awardedTotal: 2, consolation: true },
+    ];
+    expect(selectSliceIndex(slices, DAY, () => 0.5)).toBe(1);
+  });
+
+  it('returns -1 when nothing is in stock and there is no consolation prize', () => {
+    expect(selectSliceIndex([{ id: 'a', probability: 100, totalStock: 0 }], DAY, () => 0)).toBe(-1);
+  });
+});
+
+describe('wheel and selection agree', () => {
+  it('indexes the same prize when unlabelled prizes sit between slices', () => {
+    const prizes = [
+      { id: 'draft', label: '', probability: 40 },
+      { id: 'drink', label: 'Free drink', probability: 30 },
+      { id: 'night', label: 'Free night', probability: 30 },
+    ];
+    const slices = wheelSlices(prizes);
+    const index = selectSliceIndex(slices, DAY, () => 0.9);
+    // the wheel is drawn from wheelSlices() too, so slice `index` is the awarded prize
+    expect(slices[index].id).toBe('night');
+    expect(slices.map((p) => p.label)).toEqual(['Free drink', 'Free night']);
+  });
+});
+
+describe('validatePrizeConfig', () => {
+  const codes = (prizes) => validatePrizeConfig(prizes).map((i) => i.code);
+
+  it('accepts a set that adds up to 100', () => {
+    expect(validatePrizeConfig([
+      { id: 'a', label: 'A', probability: 33.3 },
+      { id: 'b', label: 'B', probability: 33.3 },
+      { id: 'c', label: 'C', probability: 33.4 },
+    ])).toEqual([]);
+  });
+
+  it('reports totals other than 100', () => {
+    expect(validatePrizeConfig([
+      { id: 'a', label: 'A', probability: 60 },
+      { id: 'b', label: 'B', probability: 60 },
+    ])).toEqual([{ code: 'total-not-100', total: 120 }]);
+  });
+
+  it('leaves unlabelled prizes out of the total', () => {
+    expect(validatePrizeConfig([
+      { id: 'a', label: 'A', probability: 100 },
+      { id: 'b', label: '', probability: 20 },
+    ])).toEqual([{ code: 'empty-label', prizeId: 'b' }]);
+  });
+
+  it('reports negative and non-numeric probabilities per prize', () => {
+    const issues = validatePrizeConfig([
+      { id: 'a', label: 'A', probability: 100 },
+      { id: 'b', label: 'B', probability: -10 },
+      { id: 'c', label: 'C', probability: '5' },
+    ]);
+    expect(issues).toContainEqual({ code: 'negative-probability', prizeId: 'b' });
+    expect(issues).toContainEqual({ code: 'invalid-probability', prizeId: 'c' });
+    expect(codes([{ id: 'a', label: 'A', probability: 100 }, { id: 'b', label: 'B', probability: -10 }]))
+      .not.toContain('total-not-100');
+  });
+
+  it('reports an empty wheel', () => {
+    expect(codes([])).toEqual(['no-prizes']);
+    expect(codes([{ id: 'a', label: ' ', probability: 100 }])).toEqual(['empty-label', 'no-prizes']);
+  });
+
+  it('reports more than one consolation prize', () => {
+    expect(codes([
+      { id: 'a', label: 'A', probability: 50, consolation: true },
+      { id: 'b', label: 'B', probability: 50, consolation: true },
+    ])).toEqual(['multiple-consolation']);
+  });
+});
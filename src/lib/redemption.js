@@ -0,0 +1,22 @@
+// src/lib/redemption.js
+// Handing over the prize of a spin (src/claims.js); firestore.rules isRedemption()
+// makes the same checks. A spin whose review confirmed it as fraud is only redeemed
+// with an override: the reason is recorded on the spin as redeemOverride.
+
+export const OVERRIDE_REASON_MAX_LENGTH = 200;
+
+export const needsOverride = (spin) => spin.reviewStatus === 'confirmed';
+
+// The ClaimError code refusing the redemption, or null
+export function redemptionRejection(spin, overrideReason = '') {
+  if (spin.redeemedAt) return 'already-redeemed';
+  if (needsOverride(spin) && !overrideReason.trim()) return 'fraud-confirmed';
+  return null;
+}
+
+// Fields to write next to redeemedAt
+export function redemptionFields(spin, staffEmail, overrideReason = '') {
+  const fields = { redeemedBy: staffEmail };
+  if (needsOverride(spin)) fields.redeemOverride = overrideReason.trim().slice(0, OVERRIDE_REASON_MAX_LENGTH);
+  return fields;
+}
@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import { OVERRIDE_REASON_MAX_LENGTH, redemptionFields, redemptionRejection } from './redemption.js';
+
+describe('redemptionRejection', () => {
+  it('allows unredeemed spins, flagged or not', () => {
+    expect(redemptionRejection({ redeemedAt: null })).toBeNull();
+    expect(redemptionRejection({ redeemedAt: null, reviewStatus: 'pending' })).toBeNull();
+    expect(redemptionRejection({ redeemedAt: null, reviewStatus: 'cleared' })).toBeNull();
+  });
+
+  it('refuses a second redemption', () => {
+    expect(redemptionRejection({ redeemedAt: new Date() }, 'reason')).toBe('already-redeemed');
+  });
+
+  it('refuses a spin confirmed as fraud without an override reason', () => {
+    const spin = { redeemedAt: null, reviewStatus: 'confirmed' };
+    expect(redemptionRejection(spin)).toBe('fraud-confirmed');
+    expect(redemptionRejection(spin, '   ')).toBe('fraud-confirmed');
+    expect(redemptionRejection(spin, 'Manager checked the booking')).toBeNull();
+  });
+});
+
+describe('redemptionFields', () => {
+  it('records the override only for spins confirmed as fraud', () => {
+    expect(redemptionFields({ reviewStatus: 'pending' }, 'staff@example.com', 'ignored')).toEqual({ redeemedBy: 'staff@example.com' });
+    expect(redemptionFields({ reviewStatus: 'confirmed' }, 'staff@example.com', ' Checked ')).toEqual({
+      redeemedBy: 'staff@example.com',
+      redeemOverride: 'Checked',
+    });
+    const long = redemptionFields({ reviewStatus: 'confirmed' }, 'staff@example.com', 'x'.repeat(300));
+    expect(long.redeemOverride).toHaveLength(OVERRIDE_REASON_MAX_LENGTH);
+  });
+});
@@ -0,0 +1,49 @@
+// src/lib/spinRequests.js
+// Spin requests from a livestream: a host or bot queues { id, requester } and the
+// overlay (src/Overlay.jsx) plays them one after another through the spin service.
+// Requests arrive from Firestore's spinRequests collection or a WebSocket feed
+// (src/streamEvents.js), and the spin service records the outcome under the same id.
+
+export const REQUESTER_MAX_LENGTH = 40;
+// also used in the spin id (stream-<id>), so it must be a valid Firestore document ID
+export const REQUEST_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Display name as the overlay shows it, or null if nothing printable is left
+export function normalizeRequester(name) {
+  if (typeof name !== 'string') return null;
+  // eslint-disable-next-line no-control-regex
+  const clean = name.replace(/[\u0000-\u001f\u007f]/g, ' ').replace(/\s+/g, ' ').trim();
+  return clean ? [...clean].slice(0, REQUESTER_MAX_LENGTH).join('') : null;
+}
+
+/**
+ * A message from the WebSocket feed: JSON { id?, requester } or a plain name.
+ * Messages without an id get one from `newId`; a bot that wants retries to be
+ * ignored sends its own stable id.
+ * @returns {{ id: string, requester: string }|null}
+ */
+export function parseSpinRequest(message, newId) {
+  let data;
+  try {
+    data = JSON.parse(message);
+  } catch {
+    data = { requester: message };
+  }
+  if (typeof data === 'string') data = { requester: data };
+  if (!data || typeof data !== 'object') return null;
+  const requester = normalizeRequester(data.requester);
+  const id = data.id === undefined ? newId() : String(data.id);
+  if (!requester || !REQUEST_ID_PATTERN.test(id)) return null;
+  return { id, requester };
+}
+
+// The queue with `requests` appended, skipping ids already queued or played
+export function enqueueRequests(queue, requests, played = new Set()) {
+  const known = new Set(queue.map((r) => r.id));
+  const added = requests.filter((r) => {
+    if (known.has(r.id) || played.has(r.id)) return false;
+    known.add(r.id);
+    return true;
+  });
+  return added.length > 0 ? [...queue, ...added] : queue;
+}
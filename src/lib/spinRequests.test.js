@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeRequester, parseSpinRequest, enqueueRequests, REQUESTER_MAX_LENGTH } from './spinRequests.js';
+
+describe('normalizeRequester', () => {
+  it('collapses whitespace and strips control characters', () => {
+    expect(normalizeRequester('  sari\n\twijaya ')).toBe('sari wijaya');
+    expect(normalizeRequester('\u0000\u0007')).toBeNull();
+    expect(normalizeRequester(42)).toBeNull();
+  });
+
+  it('cuts long names without splitting emoji', () => {
+    const name = normalizeRequester('🎉'.repeat(50));
+    expect([...name]).toHaveLength(REQUESTER_MAX_LENGTH);
+    expect(name.endsWith('🎉')).toBe(true);
+  });
+});
+
+describe('parseSpinRequest', () => {
+  const newId = () => 'generated';
+
+  it('reads JSON messages and keeps their id', () => {
+    expect(parseSpinRequest('{"id":"gift-42","requester":"kenji"}', newId)).toEqual({ id: 'gift-42', requester: 'kenji' });
+  });
+
+  it('treats anything else as a name', () => {
+    expect(parseSpinRequest('li na', newId)).toEqual({ id: 'generated', requester: 'li na' });
+    expect(parseSpinRequest('"li na"', newId)).toEqual({ id: 'generated', requester: 'li na' });
+  });
+
+  it('drops messages without a name or with an unusable id', () => {
+    expect(parseSpinRequest('{"requester":"  "}', newId)).toBeNull();
+    expect(parseSpinRequest('{"id":"a/b","requester":"x"}', newId)).toBeNull();
+    expect(parseSpinRequest('null', newId)).toBeNull();
+  });
+});
+
+describe('enqueueRequests', () => {
+  it('appends new requests in order and skips known ones', () => {
+    const queue = [{ id: 'a', requester: 'A' }];
+    const next = enqueueRequests(queue, [{ id: 'a', requester: 'A' }, { id: 'b', requester: 'B' }, { id: 'c', requester: 'C' }], new Set(['c']));
+    expect(next.map((r) => r.id)).toEqual(['a', 'b']);
+  });
+
+  it('returns the same queue when nothing is new', () => {
+    const queue = [{ id: 'a', requester: 'A' }];
+    expect(enqueueRequests(queue, [{ id: 'a', requester: 'A' }])).toBe(queue);
+  });
+});
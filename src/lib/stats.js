@@ -0,0 +1,148 @@
+// src/lib/stats.js
+// Aggregates over spin logs for the admin statistics tab.
+// Spins are plain objects: { prizeId, prizeLabel, createdAt: Date }.
+import { DEFAULT_TIME_ZONE, dayKey, localTime } from './time.js';
+
+// A prize set only counts as drifting when p is below this
+export const DRIFT_P_VALUE = 0.01;
+// Chi-square is unreliable when any expected count is below 5
+const MIN_EXPECTED_COUNT = 5;
+
+// [{ day: 'YYYY-MM-DD', count }] for every day from the first to the last spin, gaps included
+export function spinsPerDay(spins, timeZone = DEFAULT_TIME_ZONE) {
+  if (spins.length === 0) return [];
+  const counts = new Map();
+  spins.forEach((s) => {
+    const day = dayKey(s.createdAt, timeZone);
+    counts.set(day, (counts.get(day) || 0) + 1);
+  });
+  const days = [...counts.keys()].sort();
+  const result = [];
+  // walk calendar days in UTC so DST never skips or repeats one
+  for (let d = new Date(`${days[0]}T00:00:00Z`); ; d.setUTCDate(d.getUTCDate() + 1)) {
+    const day = d.toISOString().slice(0, 10);
+    result.push({ day, count: counts.get(day) || 0 });
+    if (day === days[days.length - 1]) break;
+  }
+  return result;
+}
+
+// [{ hour: 0..23, count }] by venue-local hour of day
+export function spinsPerHour(spins, timeZone = DEFAULT_TIME_ZONE) {
+  const counts = Array(24).fill(0);
+  spins.forEach((s) => {
+    counts[Math.floor(localTime(s.createdAt, timeZone).minutes / 60)]++;
+  });
+  return counts.map((count, hour) => ({ hour, count }));
+}
+
+/**
+ * Observed wins per prize next to the configured share.
+ * @returns {{ rows: Array<{ prizeId, label, count, observedShare, expectedShare, expectedCount, consolation }>, other: number, total: number }}
+ *   other = spins whose prize is not in `prizes` (deleted, or from another prize set)
+ */
+export function prizeDistribution(spins, prizes) {
+  const weightTotal = prizes.reduce((s, p) => s + Math.max(p.probability || 0, 0), 0);
+  const counts = new Map(prizes.map((p) => [p.id, 0]));
+  let other = 0;
+  spins.forEach((s) => {
+    if (counts.has(s.prizeId)) counts.set(s.prizeId, counts.get(s.prizeId) + 1);
+    else other++;
+  });
+  const total = spins.length - other;
+  const rows = prizes.map((p) => {
+    const count = counts.get(p.id);
+    // zero total weight means the wheel picks uniformly
+    const expectedShare = weightTotal > 0 ? Math.max(p.probability || 0, 0) / weightTotal : 1 / prizes.length;
+    return {
+      prizeId: p.id,
+      label: p.label,
+      count,
+      observedShare: total > 0 ? count / total : 0,
+      expectedShare,
+      expectedCount: expectedShare * total,
+      consolation: !!p.consolation,
+    };
+  });
+  return { rows, other, total };
+}
+
+/**
+ * Pearson's chi-square goodness-of-fit test of a prizeDistribution().
+ * The consolation prize is left out: it also wins whenever everything else is out
+ * of stock, so its count says nothing about the odds. The other prizes are tested
+ * against their shares among themselves.
+ * @returns {{ statistic, df, pValue, reliable, drift }}
+ *   reliable = every expected count is at least 5
+ *   drift = a prize with 0% configured chance was won, or p < DRIFT_P_VALUE
+ */
+export function chiSquareTest(rows) {
+  const drawn = rows.filter((r) => !r.consolation);
+  const impossibleWin = drawn.some((r) => r.expectedShare === 0 && r.count > 0);
+  const tested = drawn.filter((r) => r.expectedShare > 0);
+  const shareTotal = tested.reduce((s, r) => s + r.expectedShare, 0);
+  const total = tested.reduce((s, r) => s + r.count, 0);
+  const expected = tested.map((r) => (r.expectedShare / shareTotal) * total);
+  const statistic = tested.reduce((s, r, i) => s + (r.count - expected[i]) ** 2 / expected[i], 0);
+  const df = tested.length - 1;
+  const pValue = df > 0 && total > 0 ? chiSquarePValue(statistic, df) : 1;
+  const reliable = tested.length > 1 && expected.every((e) => e >= MIN_EXPECTED_COUNT);
+  return { statistic, df, pValue, reliable, drift: impossibleWin || (reliable && pValue < DRIFT_P_VALUE) };
+}
+
+// P(X >= statistic) for X ~ chi-square(df), i.e. the upper regularized gamma Q(df/2, statistic/2)
+export function chiSquarePValue(statistic, df) {
+  if (statistic <= 0) return 1;
+  return gammaQ(df / 2, statistic / 2);
+}
+
+// Lanczos approximation (g = 7, n = 9)
+const LANCZOS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+  -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+  1.5056327351493116e-7,
+];
+
+function logGamma(z) {
+  if (z < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * z)) - logGamma(1 - z);
+  z -= 1;
+  let x = LANCZOS[0];
+  for (let i = 1; i < LANCZOS.length; i++) x += LANCZOS[i] / (z + i);
+  const t = z + LANCZOS.length - 1.5;
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(x);
+}
+
+const EPSILON = 1e-14;
+const MAX_ITERATIONS = 500;
+
+// Upper regularized incomplete gamma: series below a + 1, continued fraction above
+function gammaQ(a, x) {
+  if (x < a + 1) {
+    let term = 1 / a;
+    let sum = term;
+    for (let n = 1; n < MAX_ITERATIONS; n++) {
+      term *= x / (a + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * EPSILON) break;
+    }
+    return 1 - sum * Math.exp(-x + a * Math.log(x) - logGamma(a));
+  }
+  // modified Lentz
+  let b = x + 1 - a;
+  let c = 1 / Number.MIN_VALUE;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i < MAX_ITERATIONS; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < Number.MIN_VALUE) d = Number.MIN_VALUE;
+    c = b + an / c;
+    if (Math.abs(c) < Number.MIN_VALUE) c = Number.MIN_VALUE;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < EPSILON) break;
+  }
+  return Math.exp(-x + a * Math.log(x) - logGamma(a)) * h;
+}
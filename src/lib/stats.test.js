@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { chiSquarePValue, chiSquareTest, prizeDistribution, spinsPerDay } from './stats.js';
+
+const spinsOf = (counts) => Object.entries(counts).flatMap(([prizeId, n]) => Array.from({ length: n }, () => ({ prizeId })));
+
+describe('chiSquarePValue', () => {
+  it('matches chi-square table values', () => {
+    // continued fraction side
+    expect(chiSquarePValue(3.841, 1)).toBeCloseTo(0.05, 4);
+    expect(chiSquarePValue(6.635, 1)).toBeCloseTo(0.01, 4);
+    expect(chiSquarePValue(23.209, 10)).toBeCloseTo(0.01, 4);
+    // series side
+    expect(chiSquarePValue(2, 10)).toBeCloseTo(0.99634, 5);
+    expect(chiSquarePValue(0.455, 1)).toBeCloseTo(0.5, 3);
+  });
+
+  it('is exp(-x/2) for two degrees of freedom', () => {
+    expect(chiSquarePValue(2, 2)).toBeCloseTo(Math.exp(-1), 10);
+    expect(chiSquarePValue(5.991, 2)).toBeCloseTo(0.05, 4);
+  });
+
+  it('is 1 for a zero statistic', () => {
+    expect(chiSquarePValue(0, 3)).toBe(1);
+  });
+});
+
+describe('chiSquareTest', () => {
+  const prizes = [
+    { id: 'a', label: 'A', probability: 50 },
+    { id: 'b', label: 'B', probability: 50 },
+  ];
+
+  it('finds no drift when wins follow the configuration', () => {
+    const test = chiSquareTest(prizeDistribution(spinsOf({ a: 52, b: 48 }), prizes).rows);
+    expect(test).toMatchObject({ df: 1, reliable: true, drift: false });
+    expect(test.statistic).toBeCloseTo(0.16, 10);
+  });
+
+  it('flags drift when p is below the threshold', () => {
+    const test = chiSquareTest(prizeDistribution(spinsOf({ a: 80, b: 20 }), prizes).rows);
+    expect(test.pValue).toBeLessThan(0.01);
+    expect(test.drift).toBe(true);
+  });
+
+  it('is unreliable, and never drifts, while an expected count is below 5', () => {
+    const test = chiSquareTest(prizeDistribution(spinsOf({ a: 6, b: 0 }), prizes).rows);
+    expect(test.reliable).toBe(false);
+    expect(test.drift).toBe(false);
+  });
+
+  it('flags any win of a prize with 0% chance, however few spins there are', () => {
+    const rows = prizeDistribution(spinsOf({ a: 1, c: 1 }), [...prizes, { id: 'c', label: 'C', probability: 0 }]).rows;
+    expect(chiSquareTest(rows)).toMatchObject({ reliable: false, drift: true });
+  });
+
+  it('leaves the consolation fallback out of the test', () => {
+    const withConsolation = [
+      { id: 'a', label: 'A', probability: 30 },
+      { id: 'b', label: 'B', probability: 30 },
+      { id: 'c', label: 'Thanks', probability: 40, consolation: true },
+    ];
+    // stock ran out, so the consolation prize won far more than its 40%
+    const test = chiSquareTest(prizeDistribution(spinsOf({ a: 30, b: 30, c: 140 }), withConsolation).rows);
+    expect(test).toMatchObject({ df: 1, statistic: 0, reliable: true, drift: false });
+
+    // a 0% consolation prize only ever wins as the fallback
+    const fallbackOnly = [...prizes, { id: 'c', label: 'Thanks', probability: 0, consolation: true }];
+    expect(chiSquareTest(prizeDistribution(spinsOf({ a: 25, b: 25, c: 10 }), fallbackOnly).rows).drift).toBe(false);
+  });
+
+  it('cannot test a single prize', () => {
+    const rows = prizeDistribution(spinsOf({ a: 10 }), [{ id: 'a', label: 'A', probability: 100 }]).rows;
+    expect(chiSquareTest(rows)).toMatchObject({ df: 0, pValue: 1, reliable: false, drift: false });
+  });
+});
+
+describe('prizeDistribution', () => {
+  it('counts spins of unknown prizes as other', () => {
+    const { rows, other, total } = prizeDistribution(spinsOf({ a: 3, gone: 2 }), [{ id: 'a', label: 'A', probability: 0 }]);
+    expect({ other, total }).toEqual({ other: 2, total: 3 });
+    // zero total weight means a uniform wheel
+    expect(rows[0]).toMatchObject({ count: 3, expectedShare: 1, expectedCount: 3, observedShare: 1 });
+  });
+});
+
+describe('spinsPerDay', () => {
+  it('fills the days without spins', () => {
+    const spins = ['2025-09-01T05:00:00Z', '2025-09-03T05:00:00Z', '2025-09-03T06:00:00Z'].map((d) => ({ createdAt: new Date(d) }));
+    expect(spinsPerDay(spins, 'UTC')).toEqual([
+      { day: '2025-09-01', count: 1 },
+      { day: '2025-09-02', count: 0 },
+      { day: '2025-09-03', count: 2 },
+    ]);
+  });
+});
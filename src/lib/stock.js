@@ -0,0 +1,39 @@
+// src/lib/stock.js
+// Prize inventory helpers, shared by the browser (admin display) and the spin service.
+//
+// Prize fields:
+//   totalStock   number | null   how many can ever be awarded (null/absent = unlimited)
+//   dailyStock   number | null   how many per venue day (null/absent = unlimited)
+//   awardedTotal number          counters maintained by the spin service
+//   awardedToday number
+//   awardedDay   'YYYY-MM-DD'    day awardedToday belongs to
+//   consolation  boolean         fallback prize once everything else is out of stock
+//
+// `day` arguments are venue-local keys from dayKey() in ./time.js.
+
+const isLimit = (n) => typeof n === 'number' && Number.isFinite(n) && n >= 0;
+
+// { total, daily } remaining for `day`; null means unlimited
+export function remainingStock(prize, day) {
+  const awardedToday = prize.awardedDay === day ? prize.awardedToday || 0 : 0;
+  return {
+    total: isLimit(prize.totalStock) ? Math.max(prize.totalStock - (prize.awardedTotal || 0), 0) : null,
+    daily: isLimit(prize.dailyStock) ? Math.max(prize.dailyStock - awardedToday, 0) : null,
+  };
+}
+
+export function isInStock(prize, day) {
+  const { total, daily } = remainingStock(prize, day);
+  return total !== 0 && daily !== 0;
+}
+
+// Counter fields to write after awarding `prize` on `day`. A late award for an
+// earlier day (an offline kiosk spin synced afterwards) only counts toward the total.
+export function stockAfterAward(prize, day) {
+  if (prize.awardedDay && day < prize.awardedDay) return { awardedTotal: (prize.awardedTotal || 0) + 1 };
+  return {
+    awardedTotal: (prize.awardedTotal || 0) + 1,
+    awardedToday: (prize.awardedDay === day ? prize.awardedToday || 0 : 0) + 1,
+    awardedDay: day,
+  };
+}
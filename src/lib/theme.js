@@ -0,0 +1,152 @@
+// src/lib/theme.js
+// Branding per venue, stored in themes/{venueId} and edited in the admin area
+// (src/components/ThemeEditor.jsx). Every field is optional; missing or invalid
+// values fall back to DEFAULT_THEME, which is the original look of the app.
+
+export const DEFAULT_PALETTE = ['#FFDD57', '#FF6B6B', '#6BCB77', '#4D96FF', '#FF8C42'];
+export const MAX_PALETTE = 12;
+
+export const FONTS = {
+  system: 'system-ui, Avenir, Helvetica, Arial, sans-serif',
+  serif: 'Georgia, "Times New Roman", serif',
+  rounded: '"Trebuchet MS", "Arial Rounded MT Bold", system-ui, sans-serif',
+  condensed: '"Arial Narrow", "Roboto Condensed", system-ui, sans-serif',
+  // fontName, loaded from fontUrl (e.g. a Google Fonts stylesheet)
+  custom: null,
+};
+
+export const POINTERS = ['classic', 'arrow', 'gem', 'none'];
+
+// spinRate: playback speed of the looping spin sound; the classic tick is played fast
+export const SOUND_SETS = {
+  classic: { spin: '/sounds/spin.wav', win: '/sounds/win.wav', spinRate: 3 },
+  silent: { spin: null, win: null, spinRate: 1 },
+  // spinSoundUrl / winSoundUrl, played as recorded
+  custom: null,
+};
+
+// How the wheel slows down; CSS for each is in index.css (.wheel-easing-*)
+export const EASINGS = ['standard', 'smooth', 'bounce'];
+
+// Allowed ranges of the numeric fields, [min, max]
+export const RANGES = {
+  backgroundDim: [0, 1],
+  spinSeconds: [3, 30],
+  volume: [0, 1],
+  fontSize: [8, 40],
+  borderWidth: [0, 20],
+  lineWidth: [0, 10],
+};
+
+// react-custom-roulette's spin at spinDuration 1, in seconds (2.6 + 0.75 + 8)
+const WHEEL_SPIN_SECONDS = 11.35;
+
+export const DEFAULT_THEME = {
+  title: '', // empty: the translated app title
+  logoUrl: '',
+  backgroundUrl: '/bg.jpg',
+  backgroundDim: 0.72, // opacity of the dark layer over the background image
+  palette: DEFAULT_PALETTE,
+  textColor: '#ffffff', // wheel labels
+  accentColor: '#eab308', // spin button
+  borderColor: '#cccccc', // wheel rim
+  font: 'system',
+  fontName: '',
+  fontUrl: '',
+  pointer: 'classic',
+  pointerColor: '#e04e2b',
+  soundSet: 'classic',
+  spinSoundUrl: '',
+  winSoundUrl: '',
+  volume: 1, // 0 mutes
+  spinSeconds: WHEEL_SPIN_SECONDS,
+  easing: 'standard',
+  fontSize: 14, // slice labels; prizes may set their own
+  borderWidth: 5, // wheel rim
+  lineColor: '#ffffff', // lines between slices
+  lineWidth: 2,
+};
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+const TITLE_MAX_LENGTH = 60;
+
+const isColor = (value) => typeof value === 'string' && HEX_COLOR.test(value);
+// site-relative paths or http(s) URLs; nothing that could run script
+const isUrl = (value) => typeof value === 'string' && (/^\/(?!\/)/.test(value) || /^https?:\/\/[^\s]+$/i.test(value));
+
+/** Problems with a theme as the editor holds it: { field: error code } */
+export function themeErrors(theme) {
+  const errors = {};
+  if (typeof theme.title !== 'string' || theme.title.length > TITLE_MAX_LENGTH) errors.title = 'too-long';
+  ['logoUrl', 'fontUrl', 'spinSoundUrl', 'winSoundUrl'].forEach((field) => {
+    if (theme[field] && !isUrl(theme[field])) errors[field] = 'invalid-url';
+  });
+  if (!isUrl(theme.backgroundUrl) && theme.backgroundUrl !== '') errors.backgroundUrl = 'invalid-url';
+  Object.entries(RANGES).forEach(([field, [min, max]]) => {
+    if (typeof theme[field] !== 'number' || !(theme[field] >= min && theme[field] <= max)) errors[field] = 'out-of-range';
+  });
+  if (!Array.isArray(theme.palette) || theme.palette.length === 0 || theme.palette.length > MAX_PALETTE
+    || !theme.palette.every(isColor)) {
+    errors.palette = 'invalid-palette';
+  }
+  ['textColor', 'accentColor', 'borderColor', 'pointerColor', 'lineColor'].forEach((field) => {
+    if (!isColor(theme[field])) errors[field] = 'invalid-color';
+  });
+  if (!Object.hasOwn(FONTS, String(theme.font))) errors.font = 'invalid-choice';
+  if (theme.font === 'custom' && !theme.fontName?.trim()) errors.fontName = 'required';
+  if (!POINTERS.includes(theme.pointer)) errors.pointer = 'invalid-choice';
+  if (!EASINGS.includes(theme.easing)) errors.easing = 'invalid-choice';
+  if (!Object.hasOwn(SOUND_SETS, String(theme.soundSet))) errors.soundSet = 'invalid-choice';
+  if (theme.soundSet === 'custom') {
+    if (!theme.spinSoundUrl) errors.spinSoundUrl = 'required';
+    if (!theme.winSoundUrl) errors.winSoundUrl = 'required';
+  }
+  return errors;
+}
+
+// The stored document as the app uses it: each invalid field falls back on its own,
+// so one bad value can't take the rest of the branding with it
+export function normalizeTheme(data) {
+  const theme = { ...DEFAULT_THEME };
+  if (!data || typeof data !== 'object') return theme;
+  Object.keys(DEFAULT_THEME).forEach((field) => {
+    if (data[field] !== undefined) theme[field] = data[field];
+  });
+  const errors = themeErrors(theme);
+  Object.keys(errors).forEach((field) => { theme[field] = DEFAULT_THEME[field]; });
+  // a custom font or sound set without its details is no choice at all
+  if (errors.fontName) theme.font = DEFAULT_THEME.font;
+  if (errors.spinSoundUrl || errors.winSoundUrl) theme.soundSet = DEFAULT_THEME.soundSet;
+  return theme;
+}
+
+// CSS font-family for the theme
+export function fontFamily(theme) {
+  if (theme.font === 'custom') return `"${theme.fontName.replace(/"/g, '')}", ${FONTS.system}`;
+  return FONTS[theme.font] || FONTS.system;
+}
+
+// { spin, win, spinRate } sound URLs, null for silence
+export function soundUrls(theme) {
+  if (theme.volume === 0) return SOUND_SETS.silent;
+  if (theme.soundSet === 'custom') return { spin: theme.spinSoundUrl || null, win: theme.winSoundUrl || null, spinRate: 1 };
+  return SOUND_SETS[theme.soundSet] || SOUND_SETS.classic;
+}
+
+// react-custom-roulette's spinDuration for the theme's spinSeconds
+export const wheelSpinDuration = (theme) => theme.spinSeconds / WHEEL_SPIN_SECONDS;
+
+// Pointer shapes, drawn tip at the bottom left like the wheel library's own pointer
+const POINTER_PATHS = {
+  arrow: 'M4 96 L30 8 L56 44 L92 70 Z',
+  gem: 'M4 96 L20 34 L66 4 L96 34 L66 80 Z',
+};
+
+// pointerProps for react-custom-roulette's Wheel; undefined keeps its default pointer
+export function pointerProps(theme) {
+  if (theme.pointer === 'none') return { style: { display: 'none' } };
+  const path = POINTER_PATHS[theme.pointer];
+  if (!path) return undefined;
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100"><path d="${path}" fill="${theme.pointerColor}" stroke="#ffffff" stroke-width="3" stroke-linejoin="round"/></svg>`;
+  return { src: `data:image/svg+xml,${encodeURIComponent(svg)}` };
+}
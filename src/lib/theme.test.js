@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_THEME, normalizeTheme, themeErrors, fontFamily, soundUrls, pointerProps, wheelSpinDuration } from './theme.js';
+
+describe('normalizeTheme', () => {
+  it('falls back to the default look', () => {
+    expect(normalizeTheme(undefined)).toEqual(DEFAULT_THEME);
+    expect(normalizeTheme({})).toEqual(DEFAULT_THEME);
+  });
+
+  it('keeps valid fields and drops invalid ones one by one', () => {
+    const theme = normalizeTheme({ title: 'Seaside Spin', accentColor: 'red', palette: ['#000000', '#ffffff'], extra: 1 });
+    expect(theme.title).toBe('Seaside Spin');
+    expect(theme.accentColor).toBe(DEFAULT_THEME.accentColor);
+    expect(theme.palette).toEqual(['#000000', '#ffffff']);
+    expect(theme).not.toHaveProperty('extra');
+  });
+
+  it('refuses script URLs', () => {
+    expect(normalizeTheme({ backgroundUrl: 'javascript:alert(1)' }).backgroundUrl).toBe(DEFAULT_THEME.backgroundUrl);
+    expect(normalizeTheme({ logoUrl: '//evil.example/x.png' }).logoUrl).toBe('');
+    expect(normalizeTheme({ logoUrl: 'https://cdn.example/logo.png' }).logoUrl).toBe('https://cdn.example/logo.png');
+  });
+
+  it('drops a custom font or sound set without its details', () => {
+    expect(normalizeTheme({ font: 'custom' }).font).toBe('system');
+    expect(normalizeTheme({ font: 'constructor' }).font).toBe('system');
+    expect(normalizeTheme({ soundSet: 'custom', spinSoundUrl: '/a.mp3' }).soundSet).toBe('classic');
+  });
+});
+
+describe('themeErrors', () => {
+  it('reports each bad field', () => {
+    expect(themeErrors({ ...DEFAULT_THEME, palette: [], pointerColor: '#fff', backgroundDim: 2 })).toEqual({
+      palette: 'invalid-palette', pointerColor: 'invalid-color', backgroundDim: 'out-of-range',
+    });
+    expect(themeErrors(DEFAULT_THEME)).toEqual({});
+  });
+
+  it('keeps the spin settings in range', () => {
+    expect(themeErrors({ ...DEFAULT_THEME, spinSeconds: 1, volume: '0.5', easing: 'elastic', lineWidth: 11 })).toEqual({
+      spinSeconds: 'out-of-range', volume: 'out-of-range', easing: 'invalid-choice', lineWidth: 'out-of-range',
+    });
+  });
+});
+
+describe('theme helpers', () => {
+  it('resolves fonts and sounds', () => {
+    expect(fontFamily({ ...DEFAULT_THEME, font: 'custom', fontName: 'Pacifico' })).toMatch(/^"Pacifico", system-ui/);
+    expect(soundUrls({ ...DEFAULT_THEME, soundSet: 'silent' })).toMatchObject({ spin: null, win: null });
+    expect(soundUrls({ ...DEFAULT_THEME, soundSet: 'custom', spinSoundUrl: '/s.mp3', winSoundUrl: '/w.mp3' }))
+      .toEqual({ spin: '/s.mp3', win: '/w.mp3', spinRate: 1 });
+    expect(soundUrls({ ...DEFAULT_THEME, volume: 0 })).toMatchObject({ spin: null, win: null });
+  });
+
+  it('scales the wheel animation to spinSeconds', () => {
+    expect(wheelSpinDuration(DEFAULT_THEME)).toBe(1);
+    expect(wheelSpinDuration({ ...DEFAULT_THEME, spinSeconds: 11.35 / 2 })).toBeCloseTo(0.5);
+  });
+
+  it('draws pointers in the pointer colour', () => {
+    expect(pointerProps(DEFAULT_THEME)).toBeUndefined();
+    expect(pointerProps({ ...DEFAULT_THEME, pointer: 'none' })).toEqual({ style: { display: 'none' } });
+    const { src } = pointerProps({ ...DEFAULT_THEME, pointer: 'arrow', pointerColor: '#123456' });
+    expect(decodeURIComponent(src)).toContain('fill="#123456"');
+  });
+});
@@ -0,0 +1,65 @@
+// src/lib/time.js
+// Venue-local calendar helpers. Stock days and campaign windows are counted in
+// the venue's time zone, not the time zone of whichever device is asking.
+
+export const DEFAULT_TIME_ZONE = 'Asia/Jakarta';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Calendar day in the venue's time zone, e.g. '2025-09-18'
+export function dayKey(date, timeZone = DEFAULT_TIME_ZONE) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+}
+
+// The day after `day`, e.g. '2025-09-18' -> '2025-09-19'
+export function nextDay(day) {
+  const [y, m, d] = day.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + 1)).toISOString().slice(0, 10);
+}
+
+// How far the venue's wall clock is ahead of UTC at `ms`, in ms
+function zoneOffset(ms, timeZone) {
+  const p = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23',
+    })
+      .formatToParts(new Date(ms))
+      .map((part) => [part.type, Number(part.value)]),
+  );
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ms / 1000) * 1000;
+}
+
+// A Date whose UTC fields read as the venue's wall clock at `date`, for formats
+// without time zones (xlsx)
+export function wallClock(date, timeZone = DEFAULT_TIME_ZONE) {
+  return new Date(date.getTime() + zoneOffset(date.getTime(), timeZone));
+}
+
+// The moment venue day `day` (as from dayKey()) begins, e.g. in Asia/Jakarta
+// '2025-09-18' -> 2025-09-17T17:00:00Z
+export function dayStart(day, timeZone = DEFAULT_TIME_ZONE) {
+  const [y, m, d] = day.split('-').map(Number);
+  const midnight = Date.UTC(y, m - 1, d);
+  // the offset at the guess, then again at the result in case a DST change lies between
+  const guess = midnight - zoneOffset(midnight, timeZone);
+  const start = new Date(midnight - zoneOffset(guess, timeZone));
+  // where clocks skip midnight, the day begins at the jump
+  return dayKey(start, timeZone) === day ? start : new Date(guess);
+}
+
+// { weekday: 0-6 (Sunday = 0), minutes: minutes since local midnight }
+export function localTime(date, timeZone = DEFAULT_TIME_ZONE) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value]),
+  );
+  return { weekday: WEEKDAYS.indexOf(parts.weekday), minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+
+// 'HH:MM' -> minutes since midnight, or null when blank/invalid
+export function parseClock(value) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+  if (!m || Number(m[1]) > 24 || Number(m[2]) > 59) return null;
+  return Number(m[1]) * 60 + Number(m[2]);
+}
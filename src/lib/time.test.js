@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { dayKey, dayStart, nextDay, wallClock } from './time.js';
+
+describe('dayStart', () => {
+  it('is venue-local midnight', () => {
+    expect(dayStart('2025-09-18', 'Asia/Jakarta').toISOString()).toBe('2025-09-17T17:00:00.000Z');
+    expect(dayStart('2025-09-18', 'UTC').toISOString()).toBe('2025-09-18T00:00:00.000Z');
+  });
+
+  it('follows daylight saving time', () => {
+    expect(dayStart('2025-03-09', 'America/New_York').toISOString()).toBe('2025-03-09T05:00:00.000Z');
+    expect(dayStart('2025-03-10', 'America/New_York').toISOString()).toBe('2025-03-10T04:00:00.000Z');
+    // clocks went from 00:00 straight to 01:00
+    expect(dayStart('2018-11-04', 'America/Sao_Paulo').toISOString()).toBe('2018-11-04T03:00:00.000Z');
+  });
+
+  it('is the first moment dayKey() puts in that day', () => {
+    const start = dayStart('2025-01-01', 'Asia/Tokyo');
+    expect(dayKey(start, 'Asia/Tokyo')).toBe('2025-01-01');
+    expect(dayKey(new Date(start.getTime() - 1), 'Asia/Tokyo')).toBe('2024-12-31');
+  });
+});
+
+describe('nextDay', () => {
+  it('crosses months and years', () => {
+    expect(nextDay('2024-02-28')).toBe('2024-02-29');
+    expect(nextDay('2024-12-31')).toBe('2025-01-01');
+  });
+});
+
+describe('wallClock', () => {
+  it('reads as the venue clock in UTC', () => {
+    expect(wallClock(new Date('2025-09-17T17:30:15.250Z'), 'Asia/Jakarta').toISOString()).toBe('2025-09-18T00:30:15.250Z');
+  });
+});
@@ -0,0 +1,48 @@
+// src/lib/venue.js
+// Which venue a page belongs to. Pages take it from ?venue=<id> in the URL, so each
+// venue's tablets, displays and overlays are bookmarked with their own id.
+//
+// Each venue's data lives under venues/{venueId}: the wheel (prizes, campaigns, the
+// prize audit, settings such as the prize rules), what happened on it (spins,
+// claims, stream spin requests), the bookings it accepts and winners' contacts
+// (both server-only) and its kiosk tablets. Admins belong to one venue through their `venue` claim; super
+// admins see every venue.
+
+export const DEFAULT_VENUE_ID = 'default';
+// lower-case slugs, also used as Firestore document IDs
+export const VENUE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+export const VENUE_COLLECTIONS = ['prizes', 'prizeAudit', 'campaigns', 'settings', 'spins', 'claims', 'spinRequests', 'bookings', 'contacts', 'kiosks'];
+
+// Roles from the `role` custom claim; viewer and prizeEditor also need a `venue` claim
+export const VENUE_ROLES = ['viewer', 'prizeEditor'];
+export const SUPER_ADMIN = 'superAdmin';
+
+export const isVenueId = (id) => typeof id === 'string' && VENUE_ID_PATTERN.test(id);
+
+export function venueFromSearch(search, fallback = DEFAULT_VENUE_ID) {
+  const id = new URLSearchParams(search).get('venue')?.trim().toLowerCase();
+  return isVenueId(id) ? id : fallback;
+}
+
+// Firestore path of one of a venue's collections, e.g. venues/seaside/spins
+export function venuePath(venueId, collection) {
+  if (!isVenueId(venueId)) throw new Error(`Invalid venue id: ${venueId}`);
+  if (!VENUE_COLLECTIONS.includes(collection)) throw new Error(`Not a venue collection: ${collection}`);
+  return `venues/${venueId}/${collection}`;
+}
+
+// The role an admin's claims give them at `venueId`, or null: a super admin's
+// everywhere, anyone else's only at their own venue
+export function roleAtVenue(claims, venueId) {
+  if (claims?.role === SUPER_ADMIN) return SUPER_ADMIN;
+  if (!VENUE_ROLES.includes(claims?.role)) return null;
+  return claims.venue === venueId ? claims.role : null;
+}
+
+// Claims for an admin who had a role before venues existed: their role at `venueId`.
+// null when nothing needs to change.
+export function claimsForVenue(claims, venueId) {
+  if (!VENUE_ROLES.includes(claims?.role) || claims.venue) return null;
+  return { ...claims, venue: venueId };
+}
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { venueFromSearch, venuePath, roleAtVenue, claimsForVenue, DEFAULT_VENUE_ID } from './venue.js';
+
+describe('venueFromSearch', () => {
+  it('reads ?venue= as a lower-case slug', () => {
+    expect(venueFromSearch('?venue=Seaside-Bali&code=ABC')).toBe('seaside-bali');
+  });
+
+  it('falls back for missing or unusable ids', () => {
+    expect(venueFromSearch('')).toBe(DEFAULT_VENUE_ID);
+    expect(venueFromSearch('?venue=a/b', 'lobby')).toBe('lobby');
+    expect(venueFromSearch('?venue=-x')).toBe(DEFAULT_VENUE_ID);
+  });
+});
+
+describe('venuePath', () => {
+  it('scopes venue collections under venues/{venueId}', () => {
+    expect(venuePath('seaside', 'spins')).toBe('venues/seaside/spins');
+  });
+
+  it('refuses ids that could escape the venue', () => {
+    expect(() => venuePath('a/b', 'spins')).toThrow();
+    expect(() => venuePath('seaside', 'displaySessions')).toThrow();
+  });
+});
+
+describe('roleAtVenue', () => {
+  it('gives venue admins their role only at their own venue', () => {
+    const claims = { role: 'prizeEditor', venue: 'seaside' };
+    expect(roleAtVenue(claims, 'seaside')).toBe('prizeEditor');
+    expect(roleAtVenue(claims, 'uptown')).toBe(null);
+    expect(roleAtVenue({ role: 'viewer' }, DEFAULT_VENUE_ID)).toBe(null);
+  });
+
+  it('gives super admins every venue', () => {
+    expect(roleAtVenue({ role: 'superAdmin' }, 'uptown')).toBe('superAdmin');
+    expect(roleAtVenue({ role: 'owner', venue: 'uptown' }, 'uptown')).toBe(null);
+    expect(roleAtVenue(null, 'uptown')).toBe(null);
+  });
+});
+
+describe('claimsForVenue', () => {
+  it('assigns admins without a venue to the migrated one', () => {
+    expect(claimsForVenue({ role: 'viewer' }, 'default')).toEqual({ role: 'viewer', venue: 'default' });
+    expect(claimsForVenue({ role: 'viewer', venue: 'uptown' }, 'default')).toBe(null);
+    expect(claimsForVenue({ role: 'superAdmin' }, 'default')).toBe(null);
+    expect(claimsForVenue({}, 'default')).toBe(null);
+  });
+});
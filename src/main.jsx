@@ -2,9 +2,35 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import Overlay from './Overlay.jsx'
+import Display from './Display.jsx'
+import Odds from './Odds.jsx'
+import I18nProvider from './i18n/I18nProvider.jsx'
+import ThemeProvider from './theme/ThemeProvider.jsx'
+import DialogProvider from './dialogs/DialogProvider.jsx'
+import { VENUE_ID } from './venue'
+
+// /overlay: livestream overlay, /display: lobby display, /odds: Odds & Terms;
+// every other path is the booking page
+const PAGES = { '/overlay': Overlay, '/display': Display, '/odds': Odds }
+const Page = PAGES[window.location.pathname.replace(/\/+$/, '')] || App
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <I18nProvider>
+      <ThemeProvider venueId={VENUE_ID}>
+        <DialogProvider>
+          <Page />
+        </DialogProvider>
+      </ThemeProvider>
+    </I18nProvider>
   </StrictMode>,
 )
+
+// Offline support for the kiosk (public/sw.js); skipped in dev so Vite's module
+// server is never cached
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch((err) => console.warn('Service worker registration failed:', err))
+  })
+}
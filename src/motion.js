@@ -0,0 +1,42 @@
+// src/motion.js
+// Reduced-motion mode for the booking page: the wheel animation is skipped and the
+// result shown straight away, the result modal and confetti stay still (index.css).
+// Follows the OS's prefers-reduced-motion until the guest picks with the toggle.
+import { useCallback, useEffect, useState } from 'react';
+
+const STORAGE_KEY = 'spin.reducedMotion';
+
+function systemPrefersReduced() {
+  return typeof window !== 'undefined' && !!window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+}
+
+function loadReduced() {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (saved === 'true' || saved === 'false') return saved === 'true';
+  } catch {
+    // storage disabled: fall back to the OS setting
+  }
+  return systemPrefersReduced();
+}
+
+/** { reduced, setReduced }; also sets the `reduce-motion` class on <html> */
+export function useReducedMotion() {
+  const [reduced, setState] = useState(loadReduced);
+
+  const setReduced = useCallback((next) => {
+    try {
+      localStorage.setItem(STORAGE_KEY, String(next));
+    } catch {
+      // not persisted; the choice still applies for this session
+    }
+    setState(next);
+  }, []);
+
+  useEffect(() => {
+    document.documentElement.classList.toggle('reduce-motion', reduced);
+    return () => document.documentElement.classList.remove('reduce-motion');
+  }, [reduced]);
+
+  return { reduced, setReduced };
+}
@@ -0,0 +1,25 @@
+// src/prizeRules.js
+// This venue's prize rules (src/lib/prizeRules.js) in settings/prizeRules, and the
+// state the spin service keeps for them in settings/ruleState.
+import { onSnapshot, serverTimestamp, setDoc } from 'firebase/firestore';
+import { venueDoc } from './venue';
+import { toStoredRule } from './lib/prizeRules';
+
+export function subscribePrizeRules(onRules, onError) {
+  return onSnapshot(venueDoc('settings', 'prizeRules'), (snap) => {
+    onRules(snap.exists() ? snap.data().rules || [] : []);
+  }, onError);
+}
+
+export function subscribeRuleState(onState, onError) {
+  return onSnapshot(venueDoc('settings', 'ruleState'), (snap) => onState(snap.exists() ? snap.data() : {}), onError);
+}
+
+// Replaces the venue's rules; the editor only saves rules validateRules() accepts
+export function savePrizeRules(rules, actor) {
+  return setDoc(venueDoc('settings', 'prizeRules'), {
+    rules: rules.map(toStoredRule),
+    updatedAt: serverTimestamp(),
+    updatedBy: actor,
+  });
+}
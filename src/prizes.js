@@ -0,0 +1,88 @@
+// src/prizes.js
+import { doc, runTransaction, serverTimestamp } from 'firebase/firestore';
+import { db } from './firebase';
+import { venueCollection } from './venue';
+import { fromDraftRow } from './lib/prizeConfig';
+import { prizeConfig, diffPrizeConfig, restorableConfig, deleteAuditId } from './lib/audit';
+
+const prizesRef = venueCollection('prizes');
+const auditRef = venueCollection('prizeAudit');
+
+// Adds the audit entry for one prize change to `tx` and returns its id. The prize
+// write must carry it as `lastAuditId`; firestore.rules refuse prize writes without one.
+function writeAudit(tx, { prizeId, action, before, after, actor, lastAuditId, restoredFrom }) {
+  const entryRef = action === 'delete' ? doc(auditRef, deleteAuditId(prizeId, lastAuditId)) : doc(auditRef);
+  tx.set(entryRef, {
+    prizeId,
+    action,
+    before,
+    after,
+    actor,
+    at: serverTimestamp(),
+    ...(restoredFrom ? { restoredFrom } : {}),
+  });
+  return entryRef.id;
+}
+
+// Writes an edited prize set in one transaction, so the wheel never sees half of an
+// edit, with an audit entry per prize that actually changed.
+// rows: validated draft rows in slice order; removedIds: saved prizes dropped from the set.
+// Stock counters (awardedTotal, ...) are left alone; the spin service owns them.
+export async function savePrizeSet(campaignId, rows, removedIds, actor) {
+  await runTransaction(db, async (tx) => {
+    const ids = [...rows.filter((r) => r.id).map((r) => r.id), ...removedIds];
+    const snaps = await Promise.all(ids.map((id) => tx.get(doc(prizesRef, id))));
+    const saved = new Map(snaps.map((snap) => [snap.id, snap]));
+
+    rows.forEach((row, order) => {
+      const after = prizeConfig({ ...fromDraftRow(row, order), campaignId: campaignId || null });
+      if (!row.id) {
+        const prizeRef = doc(prizesRef);
+        const lastAuditId = writeAudit(tx, { prizeId: prizeRef.id, action: 'create', before: null, after, actor });
+        tx.set(prizeRef, { ...after, lastAuditId });
+        return;
+      }
+      const snap = saved.get(row.id);
+      if (!snap.exists()) throw new Error(`Prize ${row.id} was deleted by someone else`);
+      const before = prizeConfig(snap.data());
+      if (diffPrizeConfig(before, after).length === 0) return;
+      const lastAuditId = writeAudit(tx, { prizeId: row.id, action: 'update', before, after, actor });
+      tx.update(snap.ref, { ...after, lastAuditId });
+    });
+
+    removedIds.forEach((id) => {
+      const snap = saved.get(id);
+      if (!snap.exists()) return;
+      writeAudit(tx, {
+        prizeId: id,
+        action: 'delete',
+        before: prizeConfig(snap.data()),
+        after: null,
+        actor,
+        lastAuditId: snap.data().lastAuditId,
+      });
+      tx.delete(snap.ref);
+    });
+  });
+}
+
+// Puts a prize back to the version recorded in audit entry `entry` (recreating it if it
+// was deleted). The rollback itself gets an audit entry pointing at `entry`.
+export async function restorePrizeVersion(entry, actor) {
+  await runTransaction(db, async (tx) => {
+    const prizeRef = doc(prizesRef, entry.prizeId);
+    const snap = await tx.get(prizeRef);
+    const target = restorableConfig(entry);
+    const before = snap.exists() ? prizeConfig(snap.data()) : null;
+    const lastAuditId = writeAudit(tx, {
+      prizeId: entry.prizeId,
+      action: 'rollback',
+      before,
+      after: target,
+      actor,
+      restoredFrom: entry.id,
+    });
+    if (snap.exists()) tx.update(prizeRef, { ...target, lastAuditId });
+    else tx.set(prizeRef, { ...target, lastAuditId });
+  });
+}
@@ -0,0 +1,137 @@
+// src/spinQueue.js
+// IndexedDB queue of spins made in kiosk mode while the spin service was
+// unreachable, synced to POST /api/spins/offline with retries. Record format and
+// retry rules are in src/lib/offlineSpins.js.
+import { useCallback, useEffect, useState } from 'react';
+import { recordOfflineSpin, SpinApiError } from './api';
+import { afterFailedSync, dueRecords } from './lib/offlineSpins';
+
+const DB_NAME = 'spin-kiosk';
+const STORE = 'spins';
+const SYNC_INTERVAL_MS = 15 * 1000;
+
+let dbPromise = null;
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: 'id' });
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return dbPromise;
+}
+
+// Runs one request against the spins store and resolves once its transaction commits
+async function withStore(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export const listQueuedSpins = () => withStore('readonly', (store) => store.getAll());
+export const enqueueSpin = (record) => withStore('readwrite', (store) => store.add(record));
+const putSpin = (record) => withStore('readwrite', (store) => store.put(record));
+const deleteSpin = (id) => withStore('readwrite', (store) => store.delete(id));
+
+let syncing = null;
+
+// Sends every due record once. Stops at the first network error: the rest would fail too.
+export function syncQueuedSpins(kioskToken) {
+  if (!syncing) {
+    syncing = (async () => {
+      for (const record of dueRecords(await listQueuedSpins(), Date.now())) {
+        try {
+          await recordOfflineSpin(record, kioskToken);
+          await deleteSpin(record.id);
+        } catch (err) {
+          const code = err instanceof SpinApiError ? err.code : 'internal';
+          if (!(err instanceof SpinApiError)) console.error('Offline spin sync failed:', err);
+          await putSpin(afterFailedSync(record, code, Date.now()));
+          if (code === 'network') break;
+        }
+      }
+    })().finally(() => {
+      syncing = null;
+    });
+  }
+  return syncing;
+}
+
+/**
+ * Connection state and the local queue, synced every SYNC_INTERVAL_MS and as soon
+ * as the browser reports it is back online.
+ * @returns {{ online: boolean, pending: object[], rejected: object[], syncing: boolean,
+ *   enqueue: (record: object) => Promise<void>, syncNow: () => Promise<void>, dismiss: (id: string) => Promise<void> }}
+ */
+export function useSpinQueue(kioskToken) {
+  const [online, setOnline] = useState(() => navigator.onLine);
+  const [records, setRecords] = useState([]);
+  const [busy, setBusy] = useState(false);
+
+  const refresh = useCallback(async () => {
+    try {
+      setRecords(await listQueuedSpins());
+    } catch (err) {
+      console.error('Reading the offline spin queue failed:', err);
+    }
+  }, []);
+
+  const syncNow = useCallback(async () => {
+    if (!kioskToken) return;
+    setBusy(true);
+    try {
+      await syncQueuedSpins(kioskToken);
+    } catch (err) {
+      console.error('Offline spin sync failed:', err);
+    }
+    setBusy(false);
+    await refresh();
+  }, [kioskToken, refresh]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  useEffect(() => {
+    const goOnline = () => {
+      setOnline(true);
+      syncNow();
+    };
+    const goOffline = () => setOnline(false);
+    window.addEventListener('online', goOnline);
+    window.addEventListener('offline', goOffline);
+    const timer = setInterval(() => navigator.onLine && syncNow(), SYNC_INTERVAL_MS);
+    return () => {
+      window.removeEventListener('online', goOnline);
+      window.removeEventListener('offline', goOffline);
+      clearInterval(timer);
+    };
+  }, [syncNow]);
+
+  const enqueue = useCallback(async (record) => {
+    await enqueueSpin(record);
+    await refresh();
+  }, [refresh]);
+
+  const dismiss = useCallback(async (id) => {
+    await deleteSpin(id);
+    await refresh();
+  }, [refresh]);
+
+  return {
+    online,
+    pending: records.filter((r) => r.status === 'pending'),
+    rejected: records.filter((r) => r.status === 'rejected'),
+    syncing: busy,
+    enqueue,
+    syncNow,
+    dismiss,
+  };
+}
@@ -0,0 +1,20 @@
+// src/spinReview.js
+// Review of spins the spin service flagged (server/spinGuard.js). Flagged spins
+// carry flags: ['sequential-booking-id', ...] and reviewStatus: 'pending'.
+import { updateDoc, serverTimestamp } from 'firebase/firestore';
+import { venueDoc } from './venue';
+
+export const REVIEW_STATUSES = {
+  PENDING: 'pending',
+  CLEARED: 'cleared', // looked at, nothing wrong
+  CONFIRMED: 'confirmed', // fraud; staff should not hand out the prize
+};
+
+// The security rules only accept this once per spin, in the reviewer's own name
+export function reviewSpin(spinId, status, reviewerEmail) {
+  return updateDoc(venueDoc('spins', spinId), {
+    reviewStatus: status,
+    reviewedBy: reviewerEmail,
+    reviewedAt: serverTimestamp(),
+  });
+}
@@ -0,0 +1,80 @@
+// src/streamEvents.js
+// Where the stream overlay gets its spin requests (src/lib/spinRequests.js):
+//   'firestore'       queued documents in spinRequests, added by the host in the
+//                     admin area or by a bot with the Admin SDK
+//   'ws://...'        a WebSocket feed, e.g. a chat bot or `npm run mock:stream`
+// spinRequests/{id}: { requester, status: 'queued' | 'done' | 'failed', createdAt,
+//   requestedBy, spinId, prizeId, prizeLabel, error, finishedAt }; the spin service
+//   writes the outcome fields, and creates the document for requests from a feed.
+import { addDoc, onSnapshot, orderBy, query, serverTimestamp, where } from 'firebase/firestore';
+import { venueCollection } from './venue';
+import { normalizeRequester, parseSpinRequest } from './lib/spinRequests';
+
+const RECONNECT_MS = 3000;
+
+export const queuedSpinRequests = () => query(
+  venueCollection('spinRequests'),
+  where('status', '==', 'queued'),
+  orderBy('createdAt')
+);
+
+function subscribeFirestore(onRequests, onStatus) {
+  return onSnapshot(queuedSpinRequests(), (snapshot) => {
+    onStatus(true);
+    onRequests(snapshot.docs.map((d) => ({ id: d.id, requester: d.data().requester })));
+  }, (err) => {
+    console.error('Failed to load spin requests:', err);
+    onStatus(false);
+  });
+}
+
+// Reconnects until unsubscribed, so the overlay survives a bot restarting
+function subscribeWebSocket(url, onRequests, onStatus) {
+  let socket = null;
+  let retry = null;
+  let stopped = false;
+
+  function connect() {
+    socket = new WebSocket(url);
+    socket.onopen = () => onStatus(true);
+    socket.onmessage = (event) => {
+      const request = parseSpinRequest(String(event.data), () => crypto.randomUUID());
+      if (request) onRequests([request]);
+    };
+    socket.onclose = () => {
+      onStatus(false);
+      if (!stopped) retry = setTimeout(connect, RECONNECT_MS);
+    };
+  }
+
+  connect();
+  return () => {
+    stopped = true;
+    clearTimeout(retry);
+    socket.close();
+  };
+}
+
+/**
+ * @param {string} source  'firestore' or a ws:// / wss:// URL
+ * @param {(requests: Array<{ id: string, requester: string }>) => void} onRequests
+ *   Firestore passes the whole queue each time, WebSocket one new request
+ * @param {(connected: boolean) => void} onStatus
+ * @returns {() => void} unsubscribe
+ */
+export function subscribeSpinRequests(source, onRequests, onStatus = () => {}) {
+  if (/^wss?:\/\//.test(source)) return subscribeWebSocket(source, onRequests, onStatus);
+  return subscribeFirestore(onRequests, onStatus);
+}
+
+// Host queueing a spin from the admin area; the security rules check the fields
+export function queueSpinRequest(requester, userEmail) {
+  const name = normalizeRequester(requester);
+  if (!name) throw new Error('A requester name is required');
+  return addDoc(venueCollection('spinRequests'), {
+    requester: name,
+    status: 'queued',
+    createdAt: serverTimestamp(),
+    requestedBy: userEmail,
+  });
+}
@@ -0,0 +1,43 @@
+// src/testUtils.js
+// Component rendering and axe-core checks for the accessibility tests, which run
+// under jsdom (`// @vitest-environment jsdom` at the top of the test file).
+import axe from 'axe-core';
+import { act } from 'react';
+import { createRoot } from 'react-dom/client';
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+/** Mounts `element` into a fresh container in the document; `unmount` removes both. */
+export async function render(element) {
+  const container = document.createElement('div');
+  document.body.appendChild(container);
+  const root = createRoot(container);
+  await act(async () => root.render(element));
+  return {
+    container,
+    rerender: (next) => act(async () => root.render(next)),
+    unmount: () => {
+      act(() => root.unmount());
+      container.remove();
+    },
+  };
+}
+
+/** Runs `fn` (a click, a key press) and lets React apply the updates it causes. */
+export function interact(fn) {
+  return act(async () => fn());
+}
+
+export function press(target, key, opts = {}) {
+  return interact(() => target.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, ...opts })));
+}
+
+/**
+ * axe-core violations in `node`, as 'rule-id: selector' strings so a failing test
+ * names what to fix. Contrast is checked by lib/contrast.js instead: jsdom has no
+ * layout, so axe cannot compute it here.
+ */
+export async function axeViolations(node) {
+  const { violations } = await axe.run(node, { rules: { 'color-contrast': { enabled: false } } });
+  return violations.flatMap((v) => v.nodes.map((n) => `${v.id}: ${n.target.join(' ')}`));
+}
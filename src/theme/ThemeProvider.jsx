@@ -0,0 +1,34 @@
+import React, { useEffect, useState } from 'react';
+import { onSnapshot } from 'firebase/firestore';
+import { ThemeContext, themeRef } from './index';
+import { DEFAULT_THEME, fontFamily, normalizeTheme } from '../lib/theme';
+import { useI18n } from '../i18n';
+
+// Loads the venue's theme and applies what lives outside React: page title and font
+export default function ThemeProvider({ venueId, children }) {
+  const { t } = useI18n();
+  const [theme, setTheme] = useState(DEFAULT_THEME);
+
+  useEffect(() => {
+    const unsubscribe = onSnapshot(themeRef(venueId), (snap) => {
+      setTheme(normalizeTheme(snap.exists() ? snap.data() : null));
+    }, (err) => console.error('Failed to load the theme:', err));
+    return () => unsubscribe();
+  }, [venueId]);
+
+  useEffect(() => {
+    document.title = theme.title || t('app.title');
+  }, [theme.title, t]);
+
+  useEffect(() => {
+    document.body.style.fontFamily = fontFamily(theme);
+    if (!theme.fontUrl) return;
+    const link = document.createElement('link');
+    link.rel = 'stylesheet';
+    link.href = theme.fontUrl;
+    document.head.appendChild(link);
+    return () => link.remove();
+  }, [theme]);
+
+  return <ThemeContext.Provider value={theme}>{children}</ThemeContext.Provider>;
+}
@@ -0,0 +1,54 @@
+// src/theme/index.js
+// The venue's branding (src/lib/theme.js) for every page, live from themes/{venueId}.
+import { createContext, useContext, useMemo } from 'react';
+import { doc, serverTimestamp, setDoc } from 'firebase/firestore';
+import { db } from '../firebase';
+import { DEFAULT_THEME, soundUrls } from '../lib/theme';
+
+export const ThemeContext = createContext(DEFAULT_THEME);
+
+export function useTheme() {
+  return useContext(ThemeContext);
+}
+
+export const themeRef = (venueId) => doc(db, 'themes', venueId);
+
+// Replaces the venue's theme; the editor only sends fields themeErrors() accepts
+export function saveTheme(venueId, theme, actor) {
+  return setDoc(themeRef(venueId), { ...theme, updatedAt: serverTimestamp(), updatedBy: actor });
+}
+
+// Stand-in for a sound the theme leaves out, so callers never check
+function silence() {
+  return { play: () => Promise.resolve(), pause() {}, loop: false, currentTime: 0, playbackRate: 1, volume: 1 };
+}
+
+// { playSpin, stopSpin, playWin } for the theme's sound set and volume
+export function useThemeSounds() {
+  const theme = useTheme();
+  const { spin, win, spinRate } = soundUrls(theme);
+  const { volume } = theme;
+  return useMemo(() => {
+    const spinAudio = spin ? new Audio(spin) : silence();
+    const winAudio = win ? new Audio(win) : silence();
+    spinAudio.volume = volume;
+    winAudio.volume = volume;
+    const play = (audio) => {
+      audio.currentTime = 0;
+      audio.play().catch(() => {}); // autoplay may be blocked until the first tap
+    };
+    return {
+      playSpin() {
+        spinAudio.loop = true;
+        spinAudio.playbackRate = spinRate;
+        play(spinAudio);
+      },
+      stopSpin() {
+        spinAudio.pause();
+        spinAudio.loop = false;
+        spinAudio.currentTime = 0;
+      },
+      playWin: () => play(winAudio),
+    };
+  }, [spin, win, spinRate, volume]);
+}
@@ -0,0 +1,23 @@
+// src/venue.js
+// The venue of this page (src/lib/venue.js). Without ?venue= in the URL the page
+// belongs to VITE_DEFAULT_VENUE, or 'default'.
+import { collection, doc } from 'firebase/firestore';
+import { db } from './firebase';
+import { DEFAULT_VENUE_ID, venueFromSearch, venuePath } from './lib/venue';
+
+export const VENUE_ID = venueFromSearch(
+  window.location.search,
+  import.meta.env.VITE_DEFAULT_VENUE || DEFAULT_VENUE_ID
+);
+
+// This venue's prizes, spins, ... (VENUE_COLLECTIONS in src/lib/venue.js)
+export const venueCollection = (name, venueId = VENUE_ID) => collection(db, venuePath(venueId, name));
+export const venueDoc = (name, id, venueId = VENUE_ID) => doc(db, venuePath(venueId, name), id);
+
+// Link to another page of this venue (or of `venueId`), e.g. venueUrl('/display', { code })
+export function venueUrl(path, params = {}, venueId = VENUE_ID) {
+  const search = new URLSearchParams(params);
+  if (venueId !== (import.meta.env.VITE_DEFAULT_VENUE || DEFAULT_VENUE_ID)) search.set('venue', venueId);
+  const query = search.toString();
+  return `${window.location.origin}${path}${query ? `?${query}` : ''}`;
+}
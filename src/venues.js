@@ -0,0 +1,53 @@
+// src/venues.js
+// The venue list (venues/{venueId}: { name, createdAt, createdBy }) and the
+// cross-venue overview for super admins. Each venue's own data sits below its
+// document (src/lib/venue.js).
+import {
+  collection, doc, getCountFromServer, getDocs, onSnapshot, query, runTransaction, serverTimestamp, Timestamp, where,
+} from 'firebase/firestore';
+import { db } from './firebase';
+import { venueCollection } from './venue';
+import { isVenueId } from './lib/venue';
+import { isInStock } from './lib/stock';
+import { dayKey } from './lib/time';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function subscribeVenues(onVenues, onError) {
+  return onSnapshot(collection(db, 'venues'), (snapshot) => {
+    onVenues(snapshot.docs.map((d) => ({ id: d.id, ...d.data() })).sort((a, b) => a.id.localeCompare(b.id)));
+  }, onError);
+}
+
+// Rejects with 'invalid-id' or 'exists'; venue ids end up in every URL of the venue
+export async function createVenue(id, name, userEmail) {
+  if (!isVenueId(id)) throw new Error('invalid-id');
+  const ref = doc(db, 'venues', id);
+  await runTransaction(db, async (tx) => {
+    if ((await tx.get(ref)).exists()) throw new Error('exists');
+    tx.set(ref, { name: name.trim() || id, createdAt: serverTimestamp(), createdBy: userEmail });
+  });
+}
+
+const count = async (q) => (await getCountFromServer(q)).data().count;
+
+// Figures for one venue: counts are aggregated by Firestore, so this stays cheap
+// however many spins a venue has
+export async function venueSummary(venueId, now, timeZone) {
+  const spins = venueCollection('spins', venueId);
+  const [spinsLastDay, spinsTotal, pendingReview, prizes] = await Promise.all([
+    count(query(spins, where('createdAt', '>=', Timestamp.fromMillis(now.getTime() - DAY_MS)))),
+    count(spins),
+    count(query(spins, where('reviewStatus', '==', 'pending'))),
+    getDocs(venueCollection('prizes', venueId)),
+  ]);
+  const day = dayKey(now, timeZone);
+  const onWheel = prizes.docs.map((d) => d.data()).filter((p) => p.label);
+  return {
+    spinsLastDay,
+    spinsTotal,
+    pendingReview,
+    prizes: onWheel.length,
+    outOfStock: onWheel.filter((p) => !isInStock(p, day)).length,
+  };
+}
@@ -0,0 +1,38 @@
+// src/wheelConfig.js
+// Live prizes and campaigns for the wheel, shared by the booking page (App.jsx)
+// and the stream overlay (Overlay.jsx). Both collections are publicly readable.
+import { useEffect, useState } from 'react';
+import { query, onSnapshot } from 'firebase/firestore';
+import { venueCollection } from './venue';
+
+export function useWheelConfig() {
+  const [prizes, setPrizes] = useState([]);
+  const [campaigns, setCampaigns] = useState([]);
+
+  // Load prizes
+  useEffect(() => {
+    const q = query(venueCollection('prizes'));
+    const unsubscribe = onSnapshot(q, (snapshot) => {
+      const items = snapshot.docs.map((d) => ({ id: d.id, ...d.data() }));
+      const total = items.reduce((s, x) => s + (x.probability || 0), 0);
+      if (total === 0 && items.length > 0) {
+        items.forEach((it) => (it.probability = 1));
+      }
+      setPrizes(items);
+    });
+    return () => unsubscribe();
+  }, []);
+
+  // Load campaigns
+  useEffect(() => {
+    const unsubscribe = onSnapshot(venueCollection('campaigns'), (snapshot) => {
+      setCampaigns(snapshot.docs.map((d) => {
+        const data = d.data();
+        return { id: d.id, ...data, startsAt: data.startsAt?.toDate?.() || null, endsAt: data.endsAt?.toDate?.() || null };
+      }));
+    });
+    return () => unsubscribe();
+  }, []);
+
+  return { prizes, campaigns };
+}
@@ -1,7 +1,43 @@
+import { createHash } from 'node:crypto'
+import { readFile, writeFile } from 'node:fs/promises'
+import { resolve } from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Writes the files of the build into the service worker's precache list (public/sw.js)
+function swPrecache() {
+  let outDir
+  let base
+  let assets = []
+  return {
+    name: 'sw-precache',
+    apply: 'build',
+    configResolved(config) {
+      outDir = resolve(config.root, config.build.outDir)
+      base = config.base
+    },
+    generateBundle(options, bundle) {
+      // index.html is the page, cached as '/'
+      assets = Object.keys(bundle).filter((file) => file !== 'index.html' && !file.endsWith('.map')).sort().map((file) => `${base}${file}`)
+    },
+    async closeBundle() {
+      const file = resolve(outDir, 'sw.js')
+      const source = await readFile(file, 'utf8')
+      const version = createHash('sha256').update(assets.join('\n')).digest('hex').slice(0, 12)
+      const built = source
+        .replace('const BUILD_ASSETS = [];', `const BUILD_ASSETS = ${JSON.stringify(assets)};`)
+        .replace("const BUILD_VERSION = 'dev';", `const BUILD_VERSION = '${version}';`)
+      if (!built.includes(version)) this.error('public/sw.js has no BUILD_ASSETS / BUILD_VERSION to fill in')
+      await writeFile(file, built)
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), swPrecache()],
+  server: {
+    // spin service (npm run server / npm run server:memory)
+    proxy: { '/api': 'http://localhost:8787' },
+  },
 })